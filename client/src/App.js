@@ -1,23 +1,39 @@
-import React, { useState, useEffect, useCallback } from "react";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
 import "./App.css";
 
 // Component Imports
 const Dashboard = ({ apiUrl, setLoading }) => {
   const [summary, setSummary] = useState(null);
+  const [carbon, setCarbon] = useState(null);
+  const [trends, setTrends] = useState(null);
+  const [displayUnit, setDisplayUnit] = useState("t");
   // FIX: Removed unused 'error' state variable
 
   const fetchSummary = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${apiUrl}/dashboard-stats`);
-      const data = await response.json();
-      setSummary(data);
+      const [statsResponse, carbonResponse, trendsResponse] = await Promise.all(
+        [
+          apiFetch(`${apiUrl}/dashboard-stats?unit=${displayUnit}`),
+          apiFetch(`${apiUrl}/analytics/carbon`),
+          apiFetch(`${apiUrl}/analytics/timeseries?bucket=${TREND_BUCKET}`),
+        ],
+      );
+      setSummary(await statsResponse.json());
+      setCarbon(await carbonResponse.json());
+      setTrends((await trendsResponse.json()).metrics);
     } catch (err) {
       console.error("Failed to fetch summary", err);
     } finally {
       setLoading(false);
     }
-  }, [apiUrl, setLoading]); // FIX: Added dependencies
+  }, [apiUrl, displayUnit, setLoading]); // FIX: Added dependencies
 
   useEffect(() => {
     fetchSummary();
@@ -36,13 +52,19 @@ const Dashboard = ({ apiUrl, setLoading }) => {
         <div className="metric-card primary">
           <div className="metric-value">{summary.total_industries || 0}</div>
           <div className="metric-label">Connected Industries</div>
-          <div className="metric-chart"></div>
+          <MetricTrend
+            series={trends?.industries_registered}
+            label="New industries"
+          />
         </div>
 
         <div className="metric-card success">
           <div className="metric-value">{summary.available_materials || 0}</div>
           <div className="metric-label">Available Materials</div>
-          <div className="metric-chart"></div>
+          <MetricTrend
+            series={trends?.materials_registered}
+            label="New materials"
+          />
         </div>
 
         <div className="metric-card accent">
@@ -50,7 +72,10 @@ const Dashboard = ({ apiUrl, setLoading }) => {
             {summary.completed_transactions || 0}
           </div>
           <div className="metric-label">Completed Transactions</div>
-          <div className="metric-chart"></div>
+          <MetricTrend
+            series={trends?.transactions_completed}
+            label="Completed"
+          />
         </div>
 
         <div className="metric-card secondary">
@@ -58,21 +83,59 @@ const Dashboard = ({ apiUrl, setLoading }) => {
             {Math.round((summary.avg_feasibility || 0) * 100)}%
           </div>
           <div className="metric-label">Avg Feasibility Index</div>
-          <div className="metric-chart"></div>
+          <MetricTrend series={trends?.avg_feasibility} label="Feasibility" />
         </div>
 
         <div className="metric-card info">
           <div className="metric-value">
             {(summary.total_material_quantity || 0).toFixed(0)}
           </div>
-          <div className="metric-label">Total Material Stock (tons)</div>
-          <div className="metric-chart"></div>
+          <div className="metric-label">
+            Total Material Stock (
+            <select
+              className="unit-select"
+              value={displayUnit}
+              onChange={(e) => setDisplayUnit(e.target.value)}
+            >
+              {DISPLAY_UNITS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            )
+          </div>
+          {summary.unconverted_materials?.length > 0 && (
+            <div className="metric-note">
+              Not included: {describeUnconverted(summary.unconverted_materials)}
+            </div>
+          )}
+          <MetricTrend
+            series={trends?.quantity_transferred}
+            label="Transferred"
+          />
         </div>
 
         <div className="metric-card success">
           <div className="metric-value">{summary.active_connections || 0}</div>
           <div className="metric-label">Active Symbiosis Connections</div>
-          <div className="metric-chart"></div>
+          <MetricTrend
+            series={trends?.new_opportunities}
+            label="New opportunities"
+          />
+        </div>
+
+        <div className="metric-card accent">
+          <div className="metric-value">
+            {(carbon?.total?.net_co2e_avoided_t || 0).toFixed(1)}
+          </div>
+          <div className="metric-label">Tonnes CO2e Avoided</div>
+          {carbon?.unaccounted > 0 && (
+            <div className="metric-note">
+              Not included: {carbon.unaccounted} transfers without a tonnage
+            </div>
+          )}
+          <MetricTrend series={trends?.co2e_avoided} label="CO2e avoided" />
         </div>
       </div>
 
@@ -88,10 +151,26 @@ const Dashboard = ({ apiUrl, setLoading }) => {
           </div>
           <div className="insight-card">
             <h4>🌍 Ecosystem Impact</h4>
-            <p>
-              {summary.completed_transactions} successful material transfers
-              have prevented equivalent tonnage from landfill.
-            </p>
+            {carbon?.total?.transactions > 0 ? (
+              <p>
+                {carbon.total.transactions} completed transfers put{" "}
+                {carbon.total.quantity_t.toFixed(1)} t of material back into
+                use, avoiding {formatCo2e(carbon.total.landfill_avoided_co2e_t)}{" "}
+                from landfill and{" "}
+                {formatCo2e(carbon.total.virgin_displaced_co2e_t)} of virgin
+                production, less{" "}
+                {formatCo2e(
+                  carbon.total.preprocessing_co2e_t +
+                    carbon.total.transport_co2e_t,
+                )}{" "}
+                for preprocessing and transport.
+              </p>
+            ) : (
+              <p>
+                Emissions avoided will be accounted here as material transfers
+                are completed.
+              </p>
+            )}
           </div>
           <div className="insight-card">
             <h4>📊 Predictive Accuracy</h4>
@@ -106,515 +185,1817 @@ const Dashboard = ({ apiUrl, setLoading }) => {
   );
 };
 
-const IndustriesView = ({ apiUrl, setLoading }) => {
-  const [industries, setIndustries] = useState([]);
-  const [newIndustry, setNewIndustry] = useState({
-    name: "",
-    sector: "",
-    description: "",
-    location: "",
-    annual_output: "",
+// Dashboard cards chart their metric week by week
+const TREND_BUCKET = "week";
+
+const SPARKLINE_WIDTH = 100;
+const SPARKLINE_HEIGHT = 40;
+
+// Sparkline of one series from /analytics/timeseries with the change from the
+// previous bucket to the current one. Buckets without a value (an average
+// over nothing) are skipped.
+const MetricTrend = ({ series, label }) => {
+  if (!series) return <div className="metric-chart"></div>;
+
+  const present = series.values
+    .map((value, index) => [index, value])
+    .filter(([, value]) => value !== null);
+  const max = Math.max(...present.map(([, value]) => value), 0);
+  const min = Math.min(...present.map(([, value]) => value), 0);
+  const step = SPARKLINE_WIDTH / Math.max(series.values.length - 1, 1);
+  const points = present
+    .map(([index, value]) => {
+      const height = max > min ? (value - min) / (max - min) : 0;
+      return `${index * step},${SPARKLINE_HEIGHT * (1 - height)}`;
+    })
+    .join(" ");
+
+  const { change, change_pct: changePct, unit } = series;
+  let caption = "no change";
+  if (change === null) caption = "no comparison";
+  else if (changePct !== null)
+    caption = `${changePct >= 0 ? "+" : "−"}${Math.abs(changePct)}%`;
+  else if (change !== 0)
+    caption = `${change > 0 ? "+" : "−"}${Math.abs(change)}${unit ? ` ${unit}` : ""}`;
+
+  return (
+    <>
+      <div className="metric-chart">
+        <svg
+          className="sparkline"
+          viewBox={`0 -2 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT + 4}`}
+          preserveAspectRatio="none"
+        >
+          <title>
+            {`${label} per ${TREND_BUCKET}: ${series.values
+              .map((value) => value ?? "–")
+              .join(", ")}`}
+          </title>
+          <polyline points={points} vectorEffect="non-scaling-stroke" />
+        </svg>
+      </div>
+      <div
+        className={`metric-change ${change > 0 ? "up" : change < 0 ? "down" : ""}`}
+      >
+        {label}: {caption} vs last {TREND_BUCKET}
+      </div>
+    </>
+  );
+};
+
+// Splits an API error body into the form-level message and a map of
+// field → message so forms can show each problem next to its input
+const parseApiError = (data) => ({
+  message: data.error,
+  fields: Object.fromEntries(
+    (data.fields || []).map(({ field, message }) => [field, message]),
+  ),
+});
+
+const FieldError = ({ error, field }) =>
+  error?.fields?.[field] ? (
+    <span className="field-error">{error.fields[field]}</span>
+  ) : null;
+
+// ==================== SESSION ====================
+
+const TOKEN_KEY = "symbiosis.token";
+
+// Bearer token of the signed-in user, kept across reloads
+let authToken = localStorage.getItem(TOKEN_KEY);
+let onUnauthorized = () => {};
+
+const setAuthToken = (token) => {
+  authToken = token;
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  else localStorage.removeItem(TOKEN_KEY);
+};
+
+// fetch() with the session token attached; a 401 means the session has
+// ended, so the app returns to the sign-in screen
+const apiFetch = async (url, options = {}) => {
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      ...options.headers,
+      ...(authToken && { Authorization: `Bearer ${authToken}` }),
+    },
   });
+  if (response.status === 401 && authToken) onUnauthorized();
+  return response;
+};
+
+// Industries belong to an organization; only its members may change them
+// or their materials, requirements and incoming opportunities
+const isMemberOf = (user, organizationId) =>
+  organizationId != null && user?.organization_id === organizationId;
+
+// Whether the user's role grants a permission such as "materials:write"; the
+// server sends the list with the profile
+const can = (user, permission) =>
+  Boolean(user?.permissions?.includes(permission));
+
+const SECTORS = [
+  ["Steel", "Steel Manufacturing"],
+  ["Chemicals", "Chemical Manufacturing"],
+  ["Textiles", "Textiles"],
+  ["Construction", "Construction Materials"],
+  ["Electronics", "Electronics"],
+  ["Food", "Food & Beverage"],
+  ["Energy", "Energy Generation"],
+  ["Other", "Other"],
+];
+
+const REGULATORY_STATUSES = [
+  ["unknown", "Unknown"],
+  ["approved", "Approved"],
+  ["compliant", "Compliant"],
+  ["exempt", "Exempt"],
+  ["pending", "Pending"],
+  ["restricted", "Restricted"],
+  ["hazardous", "Hazardous"],
+  ["prohibited", "Prohibited"],
+];
+
+// Outcomes of the server's regulatory rule sets (lib/rules)
+const HAZARD_LEVELS = [
+  ["hazardous", "Hazardous"],
+  ["non_hazardous", "Non-hazardous"],
+  ["unclassified", "Unclassified"],
+];
+
+const WASTE_STATUS_LABELS = {
+  waste: "Waste",
+  by_product: "By-product",
+  end_of_waste: "End-of-waste",
+};
+
+// Canonical unit codes accepted by the server, grouped by dimension
+const UNIT_GROUPS = [
+  [
+    "Mass",
+    [
+      ["kg", "Kilogram"],
+      ["t", "Tonne"],
+      ["g", "Gram"],
+      ["lb", "Pound"],
+    ],
+  ],
+  [
+    "Volume",
+    [
+      ["m3", "Cubic metre"],
+      ["l", "Litre"],
+    ],
+  ],
+  [
+    "Energy",
+    [
+      ["kWh", "Kilowatt-hour"],
+      ["MWh", "Megawatt-hour"],
+      ["MJ", "Megajoule"],
+      ["GJ", "Gigajoule"],
+    ],
+  ],
+  ["Count", [["pcs", "Pieces"]]],
+];
+
+const UNIT_LABELS = Object.fromEntries(
+  UNIT_GROUPS.flatMap(([, units]) => units),
+);
+
+// Totals are shown in a mass or volume unit
+const DISPLAY_UNITS = UNIT_GROUPS.slice(0, 2).flatMap(([, units]) => units);
+
+const UnitOptions = () =>
+  UNIT_GROUPS.map(([dimension, units]) => (
+    <optgroup key={dimension} label={dimension}>
+      {units.map(([value, label]) => (
+        <option key={value} value={value}>
+          {label}
+        </option>
+      ))}
+    </optgroup>
+  ));
+
+// Stock totals leave out materials whose unit cannot be converted to the
+// display unit; this describes what was left out
+const describeUnconverted = (unconverted = []) =>
+  unconverted.map(({ unit, count }) => `${count} in ${unit}`).join(", ");
+
+// List endpoints accept page/limit/sort/order plus filters; blank values are
+// left out so the server applies its defaults
+const toQueryString = (params) =>
+  new URLSearchParams(
+    Object.entries(params).filter(
+      ([, value]) => value !== "" && value !== null && value !== undefined,
+    ),
+  ).toString();
+
+const Pager = ({ pagination, onPageChange }) => {
+  if (!pagination || pagination.total === 0) return null;
+  const { page, pages, total } = pagination;
+  return (
+    <div className="pager">
+      <button
+        className="btn btn-small btn-ghost"
+        disabled={page <= 1}
+        onClick={() => onPageChange(page - 1)}
+      >
+        ← Prev
+      </button>
+      <span>
+        Page {page} of {pages} · {total} total
+      </span>
+      <button
+        className="btn btn-small btn-ghost"
+        disabled={page >= pages}
+        onClick={() => onPageChange(page + 1)}
+      >
+        Next →
+      </button>
+    </div>
+  );
+};
+
+const SortControl = ({ options, sort, order, onChange }) => (
+  <div className="sort-control">
+    <select
+      value={sort}
+      onChange={(e) => onChange(e.target.value, order)}
+      className="filter-select"
+    >
+      {options.map(([value, label]) => (
+        <option key={value} value={value}>
+          Sort: {label}
+        </option>
+      ))}
+    </select>
+    <button
+      className="btn btn-small btn-ghost"
+      title={order === "asc" ? "Ascending" : "Descending"}
+      onClick={() => onChange(sort, order === "asc" ? "desc" : "asc")}
+    >
+      {order === "asc" ? "↑" : "↓"}
+    </button>
+  </div>
+);
+
+// Deletes a record, asking again before cascading to dependent records
+const deleteWithConfirm = async (url, label) => {
+  if (!window.confirm(`Delete ${label}?`)) return false;
+
+  let response = await apiFetch(url, { method: "DELETE" });
+  if (response.status === 409) {
+    const data = await response.json();
+    const summary = Object.entries(data.dependents || {})
+      .filter(([, count]) => count > 0)
+      .map(([kind, count]) => `${count} ${kind}`)
+      .join(", ");
+    if (
+      !window.confirm(
+        `${label} still has ${summary}. Deleting it will remove these as well. Continue?`,
+      )
+    )
+      return false;
+    response = await apiFetch(`${url}?force=true`, { method: "DELETE" });
+  }
+  return response.ok;
+};
+
+const formatAuditValue = (value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+// Who changed a record and how, newest first, from the append-only audit log
+const AuditHistory = ({ apiUrl, entity, entityId, limit = 20 }) => {
+  const [entries, setEntries] = useState(null);
+
+  useEffect(() => {
+    const params = new URLSearchParams({
+      entity,
+      entity_id: entityId,
+      limit,
+    });
+    apiFetch(`${apiUrl}/audit?${params}`)
+      .then((response) => response.json())
+      .then((data) => setEntries(data.data || []))
+      .catch((error) => console.error("Error fetching audit log:", error));
+  }, [apiUrl, entity, entityId, limit]);
+
+  if (!entries) return null;
+
+  return (
+    <ul className="audit-history">
+      {entries.length === 0 && <li>No recorded changes</li>}
+      {entries.map((entry) => (
+        <li key={entry.id}>
+          <div className="audit-entry-header">
+            <span>{new Date(entry.created_at).toLocaleString()}</span>
+            <span className={`audit-action audit-${entry.action}`}>
+              {entry.action}
+            </span>
+            <span>by {entry.actor}</span>
+          </div>
+          {entry.changes.length > 0 && (
+            <ul className="audit-changes">
+              {entry.changes.map((change) => (
+                <li key={change.field}>
+                  <strong>{change.field}</strong>:{" "}
+                  {formatAuditValue(change.before)} →{" "}
+                  {formatAuditValue(change.after)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Hazard and waste status from the regulatory rules, with the rules that fired
+const MaterialClassification = ({ apiUrl, materialId }) => {
+  const [classification, setClassification] = useState(null);
+
+  useEffect(() => {
+    apiFetch(`${apiUrl}/materials/${materialId}`)
+      .then((response) => response.json())
+      .then((data) => setClassification(data.classification || {}))
+      .catch((error) => console.error("Error fetching classification:", error));
+  }, [apiUrl, materialId]);
+
+  if (!classification) return null;
+
+  const firedRules = classification.fired_rules || [];
+  const ruleSets = classification.rule_sets || [];
+
+  return (
+    <div className="classification-details">
+      {classification.waste_codes?.length > 0 && (
+        <div>Waste codes: {classification.waste_codes.join(", ")}</div>
+      )}
+      {classification.forbidden_sectors?.length > 0 && (
+        <div>
+          May not be transferred to:{" "}
+          {classification.forbidden_sectors
+            .map((sector) => (sector === "*" ? "any sector" : sector))
+            .join(", ")}
+        </div>
+      )}
+      <ul className="fired-rules">
+        {firedRules.length === 0 && <li>No rule applies to this material</li>}
+        {firedRules.map((fired) => (
+          <li key={`${fired.rule_set}/${fired.rule}`}>
+            <strong>{fired.rule}</strong> ({fired.rule_set})
+            {fired.description && ` — ${fired.description}`}
+          </li>
+        ))}
+      </ul>
+      {ruleSets.length > 0 && (
+        <div className="classification-meta">
+          Rule sets:{" "}
+          {ruleSets
+            .map((set) => (set.version ? `${set.id} ${set.version}` : set.id))
+            .join(", ")}
+          {classification.classified_at &&
+            ` · classified ${new Date(classification.classified_at).toLocaleString()}`}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const FORECAST_METHODS = {
+  seasonal_naive: "seasonal naive",
+  exponential_smoothing: "exponential smoothing",
+};
+
+// Months of history shown before the projection
+const FORECAST_HISTORY_SHOWN = 12;
+const FORECAST_WIDTH = 600;
+const FORECAST_HEIGHT = 160;
+
+// Projected monthly generation of the material's stream (its industry's
+// generation of its type) after the last year of history, with the 80% and
+// 95% intervals as bands
+const MaterialForecast = ({ apiUrl, materialId }) => {
+  const [stream, setStream] = useState(undefined);
+
+  useEffect(() => {
+    apiFetch(`${apiUrl}/forecast?material_id=${materialId}`)
+      .then((response) => response.json())
+      .then((data) => setStream(data.data?.[0] || null))
+      .catch((error) => console.error("Error fetching forecast:", error));
+  }, [apiUrl, materialId]);
+
+  if (stream === undefined) return null;
+  if (!stream?.method)
+    return (
+      <div className="classification-details">
+        {stream
+          ? "No forecast: this material's quantity does not convert to tonnes."
+          : "No forecast: the material was registered before the history the forecast draws on."}
+      </div>
+    );
+
+  const history = stream.history.slice(-FORECAST_HISTORY_SHOWN);
+  const months = [...history, ...stream.forecast];
+  const max = Math.max(
+    ...history.map((point) => point.generated_t),
+    ...stream.forecast.map((point) => point.upper_95),
+    1,
+  );
+  const step = FORECAST_WIDTH / months.length;
+  const x = (index) => (index + 0.5) * step;
+  const y = (value) => FORECAST_HEIGHT * (1 - value / max);
+  const ahead = stream.forecast.map((point, i) => ({
+    ...point,
+    x: x(history.length + i),
+  }));
+  const band = (lower, upper) =>
+    [
+      ...ahead.map((point) => `${point.x},${y(point[upper])}`),
+      ...ahead
+        .slice()
+        .reverse()
+        .map((point) => `${point.x},${y(point[lower])}`),
+    ].join(" ");
+
+  return (
+    <div className="classification-details forecast-details">
+      <div>
+        {stream.material_type} from {stream.industry_name}: about{" "}
+        {stream.total.generated_t.toFixed(1)} t over the next{" "}
+        {stream.forecast.length} months (80% interval{" "}
+        {stream.total.lower_80.toFixed(1)}–{stream.total.upper_80.toFixed(1)} t)
+      </div>
+      <svg
+        className="forecast-chart"
+        viewBox={`0 0 ${FORECAST_WIDTH} ${FORECAST_HEIGHT + 20}`}
+      >
+        {history.map((point, i) => (
+          <rect
+            key={point.month}
+            className="forecast-history"
+            x={x(i) - step * 0.35}
+            y={y(point.generated_t)}
+            width={step * 0.7}
+            height={FORECAST_HEIGHT - y(point.generated_t)}
+          >
+            <title>{`${point.month}: ${point.generated_t} t generated, ${point.transferred_t} t transferred`}</title>
+          </rect>
+        ))}
+        <polygon
+          className="forecast-band wide"
+          points={band("lower_95", "upper_95")}
+        />
+        <polygon
+          className="forecast-band"
+          points={band("lower_80", "upper_80")}
+        />
+        <polyline
+          className="forecast-line"
+          points={ahead
+            .map((point) => `${point.x},${y(point.generated_t)}`)
+            .join(" ")}
+        />
+        {ahead.map((point) => (
+          <circle
+            key={point.month}
+            className="forecast-point"
+            cx={point.x}
+            cy={y(point.generated_t)}
+            r="4"
+          >
+            <title>{`${point.month}: ${point.generated_t} t (80%: ${point.lower_80}–${point.upper_80} t, 95%: ${point.lower_95}–${point.upper_95} t)`}</title>
+          </circle>
+        ))}
+        {months.map((point, i) => (
+          <text
+            key={point.month}
+            className="forecast-label"
+            x={x(i)}
+            y={FORECAST_HEIGHT + 14}
+          >
+            {point.month.slice(2)}
+          </text>
+        ))}
+      </svg>
+      <div className="classification-meta">
+        {FORECAST_METHODS[stream.method]}
+        {stream.prior_weight > 0 &&
+          ` blended ${Math.round(stream.prior_weight * 100)}% with ${stream.prior_t} t/month expected from annual output`}
+        {stream.unconverted > 0 &&
+          ` · ${stream.unconverted} materials not in tonnes left out`}
+      </div>
+    </div>
+  );
+};
+
+// Composition limits are edited as text, e.g. "SiO2 >= 30, Pb <= 0.1, CaO 20-60"
+const parseCompositionLimits = (text) =>
+  text
+    .split(/[,;\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const range = part.match(
+        /^(.+?)\s+(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)$/,
+      );
+      if (range) {
+        return {
+          component: range[1],
+          min: parseFloat(range[2]),
+          max: parseFloat(range[3]),
+        };
+      }
+      const bound = part.match(/^(.+?)\s*(>=|<=|>|<)\s*(\d+(?:\.\d+)?)$/);
+      if (bound) {
+        const value = parseFloat(bound[3]);
+        return bound[2].startsWith(">")
+          ? { component: bound[1], min: value, max: null }
+          : { component: bound[1], min: null, max: value };
+      }
+      return { component: part, min: null, max: null };
+    });
+
+const formatCompositionLimits = (limits = []) =>
+  limits
+    .map(({ component, min, max }) => {
+      if (min !== null && max !== null) return `${component} ${min}-${max}`;
+      if (min !== null) return `${component} >= ${min}`;
+      if (max !== null) return `${component} <= ${max}`;
+      return component;
+    })
+    .join(", ");
+
+const EMPTY_REQUIREMENT = {
+  name: "",
+  accepted_material_types: "",
+  composition_limits: "",
+  min_mechanical_tolerance: "",
+  min_thermal_stability: "",
+  max_thermal_stability: "",
+  required_regulatory_status: "",
+  monthly_demand_quantity: "",
+  demand_unit: "t",
+};
+
+const IndustryRequirements = ({ apiUrl, industryId, canEdit }) => {
+  const [requirements, setRequirements] = useState([]);
+  const [form, setForm] = useState(EMPTY_REQUIREMENT);
+  const [editingId, setEditingId] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState(null);
 
-  const fetchIndustries = useCallback(async () => {
-    setLoading(true);
+  const fetchRequirements = useCallback(async () => {
     try {
-      const response = await fetch(`${apiUrl}/industries`);
+      const response = await apiFetch(
+        `${apiUrl}/industries/${industryId}/requirements`,
+      );
       const data = await response.json();
-      setIndustries(data);
-    } catch (error) {
-      console.error("Error fetching industries:", error);
-    } finally {
-      setLoading(false);
+      setRequirements(data);
+    } catch (err) {
+      console.error("Error fetching requirements:", err);
     }
-  }, [apiUrl, setLoading]);
+  }, [apiUrl, industryId]);
 
   useEffect(() => {
-    fetchIndustries();
-  }, [fetchIndustries]); // FIX: Added missing dependency
+    fetchRequirements();
+  }, [fetchRequirements]);
 
-  const handleAddIndustry = async (e) => {
+  const resetForm = () => {
+    setForm(EMPTY_REQUIREMENT);
+    setEditingId(null);
+    setShowForm(false);
+    setError(null);
+  };
+
+  const handleEdit = (requirement) => {
+    setForm({
+      ...EMPTY_REQUIREMENT,
+      ...Object.fromEntries(
+        Object.entries(requirement).map(([k, v]) => [k, v ?? ""]),
+      ),
+      accepted_material_types: requirement.accepted_material_types.join(", "),
+      composition_limits: formatCompositionLimits(
+        requirement.composition_limits,
+      ),
+    });
+    setEditingId(requirement.id);
+    setShowForm(true);
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
+    const url = editingId
+      ? `${apiUrl}/industries/${industryId}/requirements/${editingId}`
+      : `${apiUrl}/industries/${industryId}/requirements`;
     try {
-      const response = await fetch(`${apiUrl}/industries`, {
-        method: "POST",
+      const response = await apiFetch(url, {
+        method: editingId ? "PUT" : "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(newIndustry),
+        body: JSON.stringify({
+          ...form,
+          composition_limits: parseCompositionLimits(form.composition_limits),
+        }),
       });
-
       if (response.ok) {
-        setNewIndustry({
-          name: "",
-          sector: "",
-          description: "",
-          location: "",
-          annual_output: "",
-        });
-        setShowForm(false);
-        fetchIndustries();
+        resetForm();
+        fetchRequirements();
+      } else {
+        setError(parseApiError(await response.json()));
       }
-    } catch (error) {
-      console.error("Error adding industry:", error);
+    } catch (err) {
+      console.error("Error saving requirement:", err);
+    }
+  };
+
+  const handleDelete = async (requirementId) => {
+    try {
+      await apiFetch(
+        `${apiUrl}/industries/${industryId}/requirements/${requirementId}`,
+        { method: "DELETE" },
+      );
+      fetchRequirements();
+    } catch (err) {
+      console.error("Error deleting requirement:", err);
     }
   };
 
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm({ ...form, [key]: e.target.value }),
+  });
+
   return (
-    <div className="view-container">
-      <div className="view-header">
-        <h2>Industrial Ecosystem</h2>
-        <button
-          className="btn btn-primary"
-          onClick={() => setShowForm(!showForm)}
-        >
-          {showForm ? "× Cancel" : "+ Add Industry"}
-        </button>
+    <div className="requirements-section">
+      <div className="requirements-header">
+        <h4>Input Requirements</h4>
+        {canEdit && (
+          <button
+            className="btn btn-secondary btn-small"
+            onClick={() => (showForm ? resetForm() : setShowForm(true))}
+          >
+            {showForm ? "× Cancel" : "+ Add"}
+          </button>
+        )}
       </div>
 
       {showForm && (
-        <form className="form-container" onSubmit={handleAddIndustry}>
+        <form className="requirement-form" onSubmit={handleSubmit}>
           <div className="form-group">
-            <label>Industry Name *</label>
+            <label>Requirement Name *</label>
             <input
               type="text"
-              value={newIndustry.name}
-              onChange={(e) =>
-                setNewIndustry({ ...newIndustry, name: e.target.value })
-              }
-              placeholder="e.g., Steel Manufacturing Co."
+              {...field("name")}
+              placeholder="e.g., Clinker substitute"
               required
             />
+            <FieldError error={error} field="name" />
+          </div>
+          <div className="form-group">
+            <label>Accepted Material Types</label>
+            <input
+              type="text"
+              {...field("accepted_material_types")}
+              placeholder="e.g., ash, slag, gypsum"
+            />
+            <FieldError error={error} field="accepted_material_types" />
+          </div>
+          <div className="form-group">
+            <label>Composition Limits (%)</label>
+            <input
+              type="text"
+              {...field("composition_limits")}
+              placeholder="e.g., SiO2 >= 30, CaO 20-60, Pb <= 0.1"
+            />
+            <FieldError error={error} field="composition_limits" />
           </div>
           <div className="form-row">
             <div className="form-group">
-              <label>Sector *</label>
-              <select
-                value={newIndustry.sector}
-                onChange={(e) =>
-                  setNewIndustry({ ...newIndustry, sector: e.target.value })
-                }
-                required
-              >
-                <option value="">Select Sector</option>
-                <option value="Steel">Steel Manufacturing</option>
-                <option value="Chemicals">Chemical Manufacturing</option>
-                <option value="Textiles">Textiles</option>
-                <option value="Construction">Construction Materials</option>
-                <option value="Electronics">Electronics</option>
-                <option value="Food">Food & Beverage</option>
-                <option value="Energy">Energy Generation</option>
-                <option value="Other">Other</option>
-              </select>
+              <label>Min Mechanical Tolerance</label>
+              <input
+                type="number"
+                step="0.01"
+                {...field("min_mechanical_tolerance")}
+                placeholder="0–1"
+              />
+              <FieldError error={error} field="min_mechanical_tolerance" />
             </div>
             <div className="form-group">
-              <label>Location</label>
+              <label>Thermal Stability Min</label>
               <input
-                type="text"
-                value={newIndustry.location}
-                onChange={(e) =>
-                  setNewIndustry({ ...newIndustry, location: e.target.value })
-                }
-                placeholder="e.g., Industrial Zone, Region"
+                type="number"
+                step="0.01"
+                {...field("min_thermal_stability")}
+                placeholder="0–1"
               />
+              <FieldError error={error} field="min_thermal_stability" />
+            </div>
+            <div className="form-group">
+              <label>Thermal Stability Max</label>
+              <input
+                type="number"
+                step="0.01"
+                {...field("max_thermal_stability")}
+                placeholder="0–1"
+              />
+              <FieldError error={error} field="max_thermal_stability" />
             </div>
           </div>
-          <div className="form-group">
-            <label>Description</label>
-            <textarea
-              value={newIndustry.description}
-              onChange={(e) =>
-                setNewIndustry({ ...newIndustry, description: e.target.value })
-              }
-              placeholder="Brief description of industry operations..."
-              rows="3"
-            />
-          </div>
-          <div className="form-group">
-            <label>Annual Output (tons)</label>
-            <input
-              type="number"
-              value={newIndustry.annual_output}
-              onChange={(e) =>
-                setNewIndustry({
-                  ...newIndustry,
-                  annual_output: e.target.value,
-                })
-              }
-              placeholder="0"
-            />
+          <div className="form-row">
+            <div className="form-group">
+              <label>Required Regulatory Status</label>
+              <select {...field("required_regulatory_status")}>
+                <option value="">Any</option>
+                <option value="approved">Approved</option>
+                <option value="compliant">Compliant</option>
+                <option value="exempt">Exempt</option>
+                <option value="pending">Pending</option>
+              </select>
+              <FieldError error={error} field="required_regulatory_status" />
+            </div>
+            <div className="form-group">
+              <label>Monthly Demand</label>
+              <input
+                type="number"
+                {...field("monthly_demand_quantity")}
+                placeholder="0"
+              />
+              <FieldError error={error} field="monthly_demand_quantity" />
+            </div>
+            <div className="form-group">
+              <label>Demand Unit</label>
+              <select {...field("demand_unit")}>
+                <UnitOptions />
+              </select>
+              <FieldError error={error} field="demand_unit" />
+            </div>
           </div>
+          {error && <div className="form-error">{error.message}</div>}
           <button type="submit" className="btn btn-success">
-            Submit Industry
+            {editingId ? "Update Requirement" : "Save Requirement"}
           </button>
         </form>
       )}
 
-      <div className="industries-grid">
-        {industries.map((industry) => (
-          <div key={industry.id} className="industry-card">
-            <div className="card-header">
-              <h3>{industry.name}</h3>
-              <span className="sector-badge">{industry.sector}</span>
-            </div>
-            <div className="card-body">
-              <p className="card-description">{industry.description}</p>
-              <div className="card-meta">
-                <span>📍 {industry.location || "Unknown"}</span>
-                <span>📊 {industry.annual_output || "N/A"} tons/year</span>
+      {requirements.length === 0 ? (
+        <p className="requirements-empty">
+          No requirements declared — matching uses sector defaults.
+        </p>
+      ) : (
+        <ul className="requirements-list">
+          {requirements.map((requirement) => (
+            <li key={requirement.id}>
+              <div className="requirement-title">
+                <strong>{requirement.name}</strong>
+                {canEdit && (
+                  <span className="requirement-actions">
+                    <button onClick={() => handleEdit(requirement)}>
+                      Edit
+                    </button>
+                    <button onClick={() => handleDelete(requirement.id)}>
+                      Delete
+                    </button>
+                  </span>
+                )}
               </div>
-            </div>
-          </div>
-        ))}
-      </div>
-    </div>
-  );
-};
-
-const MaterialsView = ({ apiUrl, setLoading }) => {
-  const [materials, setMaterials] = useState([]);
-  const [industries, setIndustries] = useState([]);
-  const [newMaterial, setNewMaterial] = useState({
-    name: "",
-    material_type: "",
-    quantity_available: "",
-    unit: "kg",
-    industry_id: "",
+              <div className="requirement-meta">
+                {requirement.accepted_material_types.length > 0 && (
+                  <span>
+                    Accepts: {requirement.accepted_material_types.join(", ")}
+                  </span>
+                )}
+                {requirement.composition_limits.length > 0 && (
+                  <span>
+                    Composition:{" "}
+                    {formatCompositionLimits(requirement.composition_limits)}
+                  </span>
+                )}
+                {requirement.required_regulatory_status && (
+                  <span>Status: {requirement.required_regulatory_status}</span>
+                )}
+                {requirement.monthly_demand_quantity !== null && (
+                  <span>
+                    Demand: {requirement.monthly_demand_quantity}{" "}
+                    {requirement.demand_unit}/month
+                  </span>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_INDUSTRY = {
+  name: "",
+  sector: "",
+  description: "",
+  location: "",
+  latitude: "",
+  longitude: "",
+  annual_output: "",
+};
+
+const hasCoordinates = (industry) =>
+  typeof industry.latitude === "number" &&
+  typeof industry.longitude === "number";
+
+const formatCoordinates = ({ latitude, longitude }) =>
+  `${Math.abs(latitude).toFixed(2)}°${latitude < 0 ? "S" : "N"} ${Math.abs(
+    longitude,
+  ).toFixed(2)}°${longitude < 0 ? "W" : "E"}`;
+
+const formatDistance = (km) =>
+  km === null || km === undefined ? "Unknown distance" : `${Math.round(km)} km`;
+
+// Fill colours for industries plotted on the map
+const SECTOR_COLORS = {
+  Steel: "#64748b",
+  Chemicals: "#8b5cf6",
+  Textiles: "#ec4899",
+  Construction: "#f59e0b",
+  Electronics: "#3b82f6",
+  Food: "#10b981",
+  Energy: "#ef4444",
+  Other: "#94a3b8",
+};
+
+const MAP_WIDTH = 800;
+const MAP_HEIGHT = 400;
+const MAP_PADDING = 40;
+
+// Industries with coordinates on an equirectangular projection fitted to
+// their extent (longitudes scaled by the cosine of the mean latitude)
+const IndustryMap = ({ industries }) => {
+  const located = industries.filter(hasCoordinates);
+  if (located.length === 0)
+    return (
+      <div className="empty-state">
+        No industry has coordinates yet. Add a known location or enter them by
+        hand.
+      </div>
+    );
+
+  const lats = located.map((i) => i.latitude);
+  const lons = located.map((i) => i.longitude);
+  const meanLat = lats.reduce((sum, lat) => sum + lat, 0) / lats.length;
+  const xScale = Math.cos((meanLat * Math.PI) / 180);
+  const minX = Math.min(...lons) * xScale;
+  const maxY = Math.max(...lats);
+  // At least a degree either way, so a single site is not blown up
+  const spanX = Math.max(Math.max(...lons) * xScale - minX, 1);
+  const spanY = Math.max(maxY - Math.min(...lats), 1);
+  const scale = Math.min(
+    (MAP_WIDTH - 2 * MAP_PADDING) / spanX,
+    (MAP_HEIGHT - 2 * MAP_PADDING) / spanY,
+  );
+  const project = (industry) => ({
+    x: MAP_PADDING + (industry.longitude * xScale - minX) * scale,
+    y: MAP_PADDING + (maxY - industry.latitude) * scale,
   });
-  const [showForm, setShowForm] = useState(false);
-  const [filterStatus, setFilterStatus] = useState("available");
+  const sectors = [...new Set(located.map((i) => i.sector))];
 
-  const fetchMaterials = useCallback(async () => {
+  return (
+    <div className="industry-map">
+      <svg
+        viewBox={`0 0 ${MAP_WIDTH} ${MAP_HEIGHT}`}
+        className="industry-map-svg"
+      >
+        {located.map((industry) => {
+          const { x, y } = project(industry);
+          return (
+            <g key={industry.id} className="map-site">
+              <circle
+                cx={x}
+                cy={y}
+                r="7"
+                fill={SECTOR_COLORS[industry.sector] || SECTOR_COLORS.Other}
+              />
+              <text x={x + 10} y={y + 4} className="map-label">
+                {industry.name}
+              </text>
+              <title>
+                {`${industry.name} (${industry.sector})\n${
+                  industry.location || ""
+                } ${formatCoordinates(industry)}`}
+              </title>
+            </g>
+          );
+        })}
+      </svg>
+      <div className="map-legend">
+        {sectors.map((sector) => (
+          <span key={sector}>
+            <span
+              className="legend-dot"
+              style={{
+                backgroundColor: SECTOR_COLORS[sector] || SECTOR_COLORS.Other,
+              }}
+            />
+            {sector}
+          </span>
+        ))}
+        {located.length < industries.length && (
+          <span className="map-note">
+            {industries.length - located.length} without coordinates
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Rows listed in an import preview; problems are listed first
+const IMPORT_ROWS_SHOWN = 100;
+
+const fieldLabel = (field) =>
+  field.charAt(0).toUpperCase() + field.slice(1).replace(/_/g, " ");
+
+// Reads a CSV or Excel file of industries or materials, lets the user map
+// its columns to fields, previews every row with its errors and imports them
+// all at once (or none, if any row has errors)
+const ImportPanel = ({ apiUrl, entity, setLoading, onImported }) => {
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const send = async (action, upload, mapping) => {
+    setError(null);
     setLoading(true);
     try {
-      const response = await fetch(
-        `${apiUrl}/materials?status=${filterStatus}`,
-      );
+      const response = await apiFetch(`${apiUrl}/import/${entity}/${action}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...upload, mapping }),
+      });
       const data = await response.json();
-      setMaterials(data);
+      if (response.ok) return data;
+      if (data.report) setPreview(data.report);
+      setError(parseApiError(data));
     } catch (error) {
-      console.error("Error fetching materials:", error);
+      console.error(`Error sending import ${action}:`, error);
     } finally {
       setLoading(false);
     }
-  }, [apiUrl, filterStatus, setLoading]);
+    return null;
+  };
+
+  const previewWith = async (upload, mapping) => {
+    setFile(upload);
+    const data = await send("preview", upload, mapping);
+    if (data) setPreview(data);
+  };
+
+  const handleFile = (e) => {
+    const selected = e.target.files[0];
+    setPreview(null);
+    setMessage(null);
+    if (!selected) return setFile(null);
+    const reader = new FileReader();
+    reader.onload = () =>
+      previewWith({
+        filename: selected.name,
+        content: reader.result.slice(reader.result.indexOf(",") + 1),
+      });
+    reader.readAsDataURL(selected);
+  };
+
+  const handleMapping = (field, column) =>
+    previewWith(file, { ...preview.mapping, [field]: column || null });
+
+  const handleImport = async () => {
+    const data = await send("commit", file, preview.mapping);
+    if (!data) return;
+    setMessage(data.message);
+    setFile(null);
+    setPreview(null);
+    onImported();
+  };
+
+  const mappingError = preview && {
+    fields: Object.fromEntries(
+      preview.mapping_errors.map(({ field, message }) => [field, message]),
+    ),
+  };
+  const mapped = preview
+    ? preview.targets.filter(({ field }) => preview.mapping[field])
+    : [];
+  const problems = preview ? preview.rows.filter((r) => r.errors.length) : [];
+  const shown = (problems.length > 0 ? problems : preview?.rows || []).slice(
+    0,
+    IMPORT_ROWS_SHOWN,
+  );
+  const ready =
+    preview &&
+    preview.total > 0 &&
+    preview.invalid === 0 &&
+    preview.mapping_errors.length === 0;
+
+  return (
+    <div className="form-container import-panel">
+      <div className="form-row">
+        <div className="form-group">
+          <label>CSV or Excel file</label>
+          <input
+            type="file"
+            accept=".csv,.tsv,.txt,.xlsx"
+            onChange={handleFile}
+          />
+          <FieldError error={error} field="filename" />
+          <FieldError error={error} field="content" />
+        </div>
+        {preview?.sheets.length > 1 && (
+          <div className="form-group">
+            <label>Sheet</label>
+            <select
+              value={preview.sheet}
+              onChange={(e) => previewWith({ ...file, sheet: e.target.value })}
+            >
+              {preview.sheets.map((sheet) => (
+                <option key={sheet} value={sheet}>
+                  {sheet}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+      <div className="metric-note">
+        The first row holds the column names. Materials name their industry
+        exactly as it is registered.
+      </div>
+
+      {error && <div className="form-error">{error.message}</div>}
+      {message && <div className="rules-message">{message}</div>}
+
+      {preview && (
+        <>
+          <h3>Columns</h3>
+          <div className="import-mapping">
+            {preview.targets.map(({ field, required }) => (
+              <div className="form-group" key={field}>
+                <label>
+                  {fieldLabel(field)}
+                  {required && " *"}
+                </label>
+                <select
+                  value={preview.mapping[field] || ""}
+                  onChange={(e) => handleMapping(field, e.target.value)}
+                >
+                  <option value="">— not imported —</option>
+                  {preview.columns.map((column) => (
+                    <option key={column} value={column}>
+                      {column}
+                    </option>
+                  ))}
+                </select>
+                <FieldError error={mappingError} field={`mapping.${field}`} />
+              </div>
+            ))}
+          </div>
+
+          <p className="carbon-total">
+            {preview.total} rows · {preview.valid} valid · {preview.invalid}{" "}
+            with errors
+          </p>
+          {shown.length > 0 && (
+            <div className="import-preview">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Row</th>
+                    {mapped.map(({ field }) => (
+                      <th key={field}>{fieldLabel(field)}</th>
+                    ))}
+                    <th>Problems</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {shown.map(({ row, values, errors }) => (
+                    <tr
+                      key={row}
+                      className={errors.length ? "import-invalid" : undefined}
+                    >
+                      <td>{row}</td>
+                      {mapped.map(({ field }) => (
+                        <td key={field}>{values[field] ?? ""}</td>
+                      ))}
+                      <td>
+                        {errors.map(({ field, message }) => (
+                          <div key={field} className="field-error">
+                            {fieldLabel(field)}: {message}
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          {(problems.length > 0 ? problems.length : preview.total) >
+            shown.length && (
+            <div className="metric-note">
+              Showing the first {shown.length}{" "}
+              {problems.length > 0 ? "rows with errors" : "rows"}.
+            </div>
+          )}
+          <button
+            className="btn btn-success"
+            onClick={handleImport}
+            disabled={!ready}
+          >
+            📥 Import {preview.total} {entity}
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+const IndustriesView = ({ apiUrl, setLoading, user, focus }) => {
+  const [industries, setIndustries] = useState([]);
+  const [newIndustry, setNewIndustry] = useState(EMPTY_INDUSTRY);
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+  const [showMap, setShowMap] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [lookupNote, setLookupNote] = useState(null);
 
   const fetchIndustries = useCallback(async () => {
+    setLoading(true);
     try {
-      const response = await fetch(`${apiUrl}/industries`);
+      const response = await apiFetch(`${apiUrl}/industries`);
       const data = await response.json();
       setIndustries(data);
     } catch (error) {
       console.error("Error fetching industries:", error);
+    } finally {
+      setLoading(false);
     }
-  }, [apiUrl]);
+  }, [apiUrl, setLoading]);
 
   useEffect(() => {
-    fetchMaterials();
     fetchIndustries();
-  }, [fetchMaterials, fetchIndustries]); // FIX: Added missing dependencies
+  }, [fetchIndustries]); // FIX: Added missing dependency
 
-  const handleAddMaterial = async (e) => {
-    e.preventDefault();
-    try {
-      const payload = {
-        ...newMaterial,
-        quantity: parseFloat(newMaterial.quantity_available),
-        quantity_available: undefined,
-      };
+  // Bring an industry picked from the header search into view
+  useEffect(() => {
+    if (!focus) return;
+    document
+      .getElementById(`industry-${focus.id}`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [focus, industries]);
 
-      const response = await fetch(`${apiUrl}/materials`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(payload),
+  const closeForm = () => {
+    setNewIndustry(EMPTY_INDUSTRY);
+    setEditingId(null);
+    setFormError(null);
+    setLookupNote(null);
+    setShowForm(false);
+  };
+
+  // Fills in the coordinates of the location from the server's gazetteer
+  const handleLookup = async () => {
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/geocode?${toQueryString({ q: newIndustry.location })}`,
+      );
+      const data = await response.json();
+      if (!response.ok) {
+        setLookupNote(`${data.error}. ${data.fields?.[0]?.message || ""}`);
+        return;
+      }
+      setNewIndustry({
+        ...newIndustry,
+        latitude: data.latitude,
+        longitude: data.longitude,
       });
+      setLookupNote(`Found ${data.place}`);
+    } catch (error) {
+      console.error("Error looking up location:", error);
+    }
+  };
+
+  const handleAddIndustry = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch(
+        editingId
+          ? `${apiUrl}/industries/${editingId}`
+          : `${apiUrl}/industries`,
+        {
+          method: editingId ? "PUT" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(newIndustry),
+        },
+      );
 
       if (response.ok) {
-        setNewMaterial({
-          name: "",
-          material_type: "",
-          quantity_available: "",
-          unit: "kg",
-          industry_id: "",
-        });
-        setShowForm(false);
-        fetchMaterials();
+        closeForm();
+        fetchIndustries();
+      } else {
+        setFormError(parseApiError(await response.json()));
       }
     } catch (error) {
-      console.error("Error adding material:", error);
+      console.error("Error saving industry:", error);
+    }
+  };
+
+  const handleEditIndustry = (industry) => {
+    setNewIndustry({
+      name: industry.name,
+      sector: industry.sector,
+      description: industry.description || "",
+      location: industry.location || "",
+      latitude: industry.latitude ?? "",
+      longitude: industry.longitude ?? "",
+      annual_output: industry.annual_output ?? "",
+    });
+    setEditingId(industry.id);
+    setShowForm(true);
+  };
+
+  const canEditIndustry = (industry) =>
+    isMemberOf(user, industry.organization_id) && can(user, "industries:write");
+
+  // Industries registered before accounts existed are assigned by a system
+  // administrator to the organization that runs them
+  const handleClaimIndustry = async (industry) => {
+    const organizationId = window.prompt(
+      `Assign ${industry.name} to the organization with id:`,
+      user.organization_id,
+    );
+    if (!organizationId) return;
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/industries/${industry.id}/claim`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ organization_id: organizationId }),
+        },
+      );
+      if (!response.ok) alert((await response.json()).error);
+      fetchIndustries();
+    } catch (error) {
+      console.error("Error claiming industry:", error);
+    }
+  };
+
+  const handleDeleteIndustry = async (industry) => {
+    try {
+      if (
+        await deleteWithConfirm(
+          `${apiUrl}/industries/${industry.id}`,
+          industry.name,
+        )
+      )
+        fetchIndustries();
+    } catch (error) {
+      console.error("Error deleting industry:", error);
     }
   };
 
   return (
     <div className="view-container">
       <div className="view-header">
-        <h2>Material Inventory</h2>
+        <h2>Industrial Ecosystem</h2>
         <div className="header-controls">
-          <select
-            value={filterStatus}
-            onChange={(e) => setFilterStatus(e.target.value)}
-            className="filter-select"
-          >
-            <option value="available">Available</option>
-            <option value="in_use">In Use</option>
-            <option value="archived">Archived</option>
-          </select>
           <button
-            className="btn btn-primary"
-            onClick={() => setShowForm(!showForm)}
+            className="btn btn-secondary"
+            onClick={() => setShowMap(!showMap)}
           >
-            {showForm ? "× Cancel" : "+ Add Material"}
+            {showMap ? "Hide Map" : "🗺️ Show Map"}
           </button>
+          {can(user, "industries:write") && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowImport(!showImport)}
+            >
+              {showImport ? "× Close Import" : "📥 Import"}
+            </button>
+          )}
+          {can(user, "industries:write") && (
+            <button
+              className="btn btn-primary"
+              onClick={() => (showForm ? closeForm() : setShowForm(true))}
+            >
+              {showForm ? "× Cancel" : "+ Add Industry"}
+            </button>
+          )}
         </div>
       </div>
 
+      {showMap && <IndustryMap industries={industries} />}
+
+      {showImport && (
+        <ImportPanel
+          apiUrl={apiUrl}
+          entity="industries"
+          setLoading={setLoading}
+          onImported={fetchIndustries}
+        />
+      )}
+
       {showForm && (
-        <form className="form-container" onSubmit={handleAddMaterial}>
+        <form className="form-container" onSubmit={handleAddIndustry}>
+          <div className="form-group">
+            <label>Industry Name *</label>
+            <input
+              type="text"
+              value={newIndustry.name}
+              onChange={(e) =>
+                setNewIndustry({ ...newIndustry, name: e.target.value })
+              }
+              placeholder="e.g., Steel Manufacturing Co."
+              required
+            />
+            <FieldError error={formError} field="name" />
+          </div>
           <div className="form-row">
             <div className="form-group">
-              <label>Material Name *</label>
-              <input
-                type="text"
-                value={newMaterial.name}
+              <label>Sector *</label>
+              <select
+                value={newIndustry.sector}
                 onChange={(e) =>
-                  setNewMaterial({ ...newMaterial, name: e.target.value })
+                  setNewIndustry({ ...newIndustry, sector: e.target.value })
                 }
-                placeholder="e.g., Recycled Steel Scrap"
                 required
-              />
+              >
+                <option value="">Select Sector</option>
+                {SECTORS.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <FieldError error={formError} field="sector" />
             </div>
             <div className="form-group">
-              <label>Material Type *</label>
+              <label>Location</label>
               <input
                 type="text"
-                value={newMaterial.material_type}
+                value={newIndustry.location}
                 onChange={(e) =>
-                  setNewMaterial({
-                    ...newMaterial,
-                    material_type: e.target.value,
-                  })
+                  setNewIndustry({ ...newIndustry, location: e.target.value })
                 }
-                placeholder="e.g., Metal, Plastic, Chemical"
-                required
+                placeholder="e.g., Ennore, Tamil Nadu"
               />
+              <FieldError error={formError} field="location" />
             </div>
           </div>
           <div className="form-row">
             <div className="form-group">
-              <label>Source Industry *</label>
-              <select
-                value={newMaterial.industry_id}
+              <label>Latitude</label>
+              <input
+                type="number"
+                step="any"
+                min="-90"
+                max="90"
+                value={newIndustry.latitude}
                 onChange={(e) =>
-                  setNewMaterial({
-                    ...newMaterial,
-                    industry_id: e.target.value,
-                  })
+                  setNewIndustry({ ...newIndustry, latitude: e.target.value })
                 }
-                required
-              >
-                <option value="">Select Industry</option>
-                {industries.map((ind) => (
-                  <option key={ind.id} value={ind.id}>
-                    {ind.name}
-                  </option>
-                ))}
-              </select>
+                placeholder="Looked up from location if blank"
+              />
+              <FieldError error={formError} field="latitude" />
             </div>
             <div className="form-group">
-              <label>Quantity</label>
+              <label>Longitude</label>
               <input
                 type="number"
-                value={newMaterial.quantity_available}
+                step="any"
+                min="-180"
+                max="180"
+                value={newIndustry.longitude}
                 onChange={(e) =>
-                  setNewMaterial({
-                    ...newMaterial,
-                    quantity_available: e.target.value,
-                  })
+                  setNewIndustry({ ...newIndustry, longitude: e.target.value })
                 }
-                placeholder="0"
+                placeholder="Looked up from location if blank"
               />
+              <FieldError error={formError} field="longitude" />
             </div>
-            <div className="form-group">
-              <label>Unit</label>
-              <select
-                value={newMaterial.unit}
-                onChange={(e) =>
-                  setNewMaterial({ ...newMaterial, unit: e.target.value })
-                }
+            <div className="form-group lookup-group">
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={handleLookup}
+                disabled={!newIndustry.location.trim()}
               >
-                <option value="kg">Kilogram</option>
-                <option value="ton">Ton</option>
-                <option value="liter">Liter</option>
-                <option value="unit">Unit</option>
-              </select>
+                Look up
+              </button>
+              {lookupNote && <span className="lookup-note">{lookupNote}</span>}
             </div>
           </div>
+          <div className="form-group">
+            <label>Description</label>
+            <textarea
+              value={newIndustry.description}
+              onChange={(e) =>
+                setNewIndustry({ ...newIndustry, description: e.target.value })
+              }
+              placeholder="Brief description of industry operations..."
+              rows="3"
+            />
+            <FieldError error={formError} field="description" />
+          </div>
+          <div className="form-group">
+            <label>Annual Output (tons)</label>
+            <input
+              type="number"
+              value={newIndustry.annual_output}
+              onChange={(e) =>
+                setNewIndustry({
+                  ...newIndustry,
+                  annual_output: e.target.value,
+                })
+              }
+              placeholder="0"
+            />
+            <FieldError error={formError} field="annual_output" />
+          </div>
+          {formError && <div className="form-error">{formError.message}</div>}
           <button type="submit" className="btn btn-success">
-            Add Material
+            {editingId ? "Update Industry" : "Submit Industry"}
           </button>
         </form>
       )}
 
-      <div className="materials-list">
-        {materials.length === 0 ? (
-          <div className="empty-state">No materials found</div>
-        ) : (
-          materials.map((material) => (
-            <div key={material.id} className="material-row">
-              <div className="material-info">
-                <h4>{material.name}</h4>
-                <span className="material-type">{material.material_type}</span>
-              </div>
-              <div className="material-details">
-                <span>Source: {material.industry_name}</span>
-                <span className="material-quantity">
-                  {material.quantity} {material.unit}
-                </span>
+      <div className="industries-grid">
+        {industries.map((industry) => (
+          <div
+            key={industry.id}
+            id={`industry-${industry.id}`}
+            className={`industry-card ${focus?.id === industry.id ? "focused" : ""}`}
+          >
+            <div className="card-header">
+              <h3>{industry.name}</h3>
+              <div className="card-controls">
+                <span className="sector-badge">{industry.sector}</span>
+                {canEditIndustry(industry) && (
+                  <>
+                    <button
+                      className="icon-button"
+                      title="Edit industry"
+                      onClick={() => handleEditIndustry(industry)}
+                    >
+                      ✏️
+                    </button>
+                    <button
+                      className="icon-button"
+                      title="Delete industry"
+                      onClick={() => handleDeleteIndustry(industry)}
+                    >
+                      🗑️
+                    </button>
+                  </>
+                )}
+                {industry.organization_id == null && user?.system_admin && (
+                  <button
+                    className="btn btn-small btn-secondary"
+                    onClick={() => handleClaimIndustry(industry)}
+                  >
+                    Assign
+                  </button>
+                )}
               </div>
-              <div className="material-status">
+            </div>
+            <div className="card-body">
+              <p className="card-description">{industry.description}</p>
+              <div className="card-meta">
                 <span
-                  className={`status-badge ${material.availability_status}`}
+                  title={
+                    hasCoordinates(industry)
+                      ? `${formatCoordinates(industry)} (${industry.location_source})`
+                      : "No coordinates"
+                  }
                 >
-                  {material.availability_status}
+                  📍 {industry.location || "Unknown"}
+                  {hasCoordinates(industry) && " ✓"}
                 </span>
+                <span>📊 {industry.annual_output || "N/A"} tons/year</span>
+                <span>🏢 {industry.organization_name || "Unclaimed"}</span>
               </div>
+              <button
+                className="btn btn-secondary btn-small"
+                onClick={() =>
+                  setExpandedId(expandedId === industry.id ? null : industry.id)
+                }
+              >
+                {expandedId === industry.id
+                  ? "Hide Requirements"
+                  : "Input Requirements"}
+              </button>
+              {expandedId === industry.id && (
+                <IndustryRequirements
+                  apiUrl={apiUrl}
+                  industryId={industry.id}
+                  canEdit={canEditIndustry(industry)}
+                />
+              )}
             </div>
-          ))
-        )}
+          </div>
+        ))}
       </div>
     </div>
   );
 };
 
-const SymbiosisNetwork = ({ apiUrl, setLoading }) => {
-  const [network, setNetwork] = useState(null);
+const EMPTY_MATERIAL = {
+  name: "",
+  material_type: "",
+  quantity_available: "",
+  unit: "kg",
+  density: "",
+  components: [],
+  industry_id: "",
+  chemical_composition: "",
+  mechanical_tolerance: "",
+  thermodynamic_stability: "",
+  regulatory_status: "unknown",
+  availability_status: "available",
+  description: "",
+};
 
-  const fetchNetwork = useCallback(async () => {
-    setLoading(true);
+const MATERIAL_SORTS = [
+  ["created_at", "Date added"],
+  ["name", "Name"],
+  ["material_type", "Type"],
+  ["quantity", "Quantity"],
+  ["industry", "Industry"],
+];
+
+const EMPTY_COMPONENT = {
+  component: "",
+  identifier: "",
+  amount: "",
+  basis: "percent",
+  method: "",
+  lab_reference: "",
+};
+
+// Form rows use "" for missing values; the API uses null
+const toComponentRow = (component) =>
+  Object.fromEntries(
+    Object.keys(EMPTY_COMPONENT).map((key) => [
+      key,
+      component[key] ?? EMPTY_COMPONENT[key],
+    ]),
+  );
+
+const isBlankComponent = (row) =>
+  !String(row.component).trim() && row.amount === "";
+
+// Edits a material's components. Free text can be parsed into components on
+// the server; while there are none, the text is saved as it is.
+const CompositionEditor = ({
+  apiUrl,
+  components,
+  text,
+  onChange,
+  onTextChange,
+  error,
+}) => {
+  const [unparsed, setUnparsed] = useState([]);
+
+  const updateRow = (index, changes) =>
+    onChange(
+      components.map((row, i) => (i === index ? { ...row, ...changes } : row)),
+    );
+
+  const handleParse = async () => {
     try {
-      const response = await fetch(`${apiUrl}/symbiosis/network`);
+      const response = await apiFetch(`${apiUrl}/materials/composition/parse`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text }),
+      });
       const data = await response.json();
-      setNetwork(data);
-    } catch (error) {
-      console.error("Error fetching network:", error);
-    } finally {
-      setLoading(false);
+      if (!response.ok) return;
+      onChange(data.components.map(toComponentRow));
+      setUnparsed(data.unparsed);
+    } catch (err) {
+      console.error("Error parsing composition:", err);
     }
-  }, [apiUrl, setLoading]);
-
-  useEffect(() => {
-    fetchNetwork();
-  }, [fetchNetwork]); // FIX: Added missing dependency
+  };
 
-  return (
-    <div className="view-container">
-      <div className="view-header">
-        <h2>Industrial Symbiosis Network</h2>
-        <p>Visual representation of cross-industry material reuse pathways</p>
-      </div>
+  const total = components.reduce((sum, row) => {
+    const amount = parseFloat(row.amount);
+    if (Number.isNaN(amount)) return sum;
+    return sum + (row.basis === "ppm" ? amount / 10000 : amount);
+  }, 0);
 
-      <div className="network-visualization">
-        <div className="network-canvas">
-          <svg className="network-svg">
-            {/* Network edges */}
-            {network?.edges?.map((edge) => (
-              <g key={`edge-${edge.id}`} className="network-edge">
-                <line
-                  x1={`${((edge.source - 1) % 3) * 250 + 100}`}
-                  y1={`${Math.floor((edge.source - 1) / 3) * 250 + 100}`}
-                  x2={`${((edge.target - 1) % 3) * 250 + 100}`}
-                  y2={`${Math.floor((edge.target - 1) / 3) * 250 + 100}`}
-                  strokeWidth={Math.max(1, edge.strength * 3)}
-                  stroke={`rgba(100, 150, 200, ${edge.strength})`}
-                />
-              </g>
-            ))}
+  const rowField = (index, key) => ({
+    value: components[index][key],
+    onChange: (e) => updateRow(index, { [key]: e.target.value }),
+  });
 
-            {/* Network nodes */}
-            {network?.nodes?.map((node) => (
-              <g key={`node-${node.id}`} className="network-node">
-                <circle
-                  cx={`${((node.id - 1) % 3) * 250 + 100}`}
-                  cy={`${Math.floor((node.id - 1) / 3) * 250 + 100}`}
-                  r="40"
-                  className="node-circle"
-                />
-                <text
-                  x={`${((node.id - 1) % 3) * 250 + 100}`}
-                  y={`${Math.floor((node.id - 1) / 3) * 250 + 100}`}
-                  textAnchor="middle"
-                  className="node-label"
-                >
-                  {node.name.split(" ")[0]}
-                </text>
-              </g>
-            ))}
-          </svg>
+  return (
+    <div className="composition-editor">
+      {components.length === 0 ? (
+        <div className="composition-text">
+          <input
+            type="text"
+            value={text}
+            onChange={(e) => onTextChange(e.target.value)}
+            placeholder="e.g., SiO2 45%, Al2O3 25%, CaO 8%"
+          />
+          <button
+            type="button"
+            className="btn btn-small btn-secondary"
+            disabled={!text.trim()}
+            onClick={handleParse}
+          >
+            Parse into components
+          </button>
         </div>
-
-        <div className="network-legend">
-          <h4>Network Statistics</h4>
-          <div className="legend-item">
-            <span className="legend-color primary"></span>
-            <span>Nodes: {network?.nodes?.length || 0} Industries</span>
-          </div>
-          <div className="legend-item">
-            <span className="legend-color secondary"></span>
-            <span>Edges: {network?.edges?.length || 0} Connections</span>
-          </div>
-          <div className="legend-info">
-            <p>
-              Line thickness represents connection strength. Darker lines
-              indicate stronger symbiosis potential.
-            </p>
-          </div>
+      ) : (
+        <table className="composition-table">
+          <thead>
+            <tr>
+              <th>Component</th>
+              <th>CAS no. / formula</th>
+              <th>Amount</th>
+              <th>Basis</th>
+              <th>Method</th>
+              <th>Lab reference</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {components.map((row, index) => (
+              <tr key={index}>
+                <td>
+                  <input
+                    type="text"
+                    placeholder="SiO2"
+                    {...rowField(index, "component")}
+                  />
+                  <FieldError
+                    error={error}
+                    field={`components[${index}].component`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    placeholder="7631-86-9"
+                    {...rowField(index, "identifier")}
+                  />
+                  <FieldError
+                    error={error}
+                    field={`components[${index}].identifier`}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    {...rowField(index, "amount")}
+                  />
+                  <FieldError
+                    error={error}
+                    field={`components[${index}].amount`}
+                  />
+                </td>
+                <td>
+                  <select {...rowField(index, "basis")}>
+                    <option value="percent">%</option>
+                    <option value="ppm">ppm</option>
+                  </select>
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    placeholder="XRF"
+                    {...rowField(index, "method")}
+                  />
+                </td>
+                <td>
+                  <input type="text" {...rowField(index, "lab_reference")} />
+                </td>
+                <td>
+                  <button
+                    type="button"
+                    className="icon-button"
+                    title="Remove component"
+                    onClick={() =>
+                      onChange(components.filter((_, i) => i !== index))
+                    }
+                  >
+                    ✕
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {unparsed.length > 0 && (
+        <div className="composition-unparsed">
+          Could not read: {unparsed.join(", ")}
         </div>
+      )}
+      <div className="composition-footer">
+        <button
+          type="button"
+          className="btn btn-small btn-ghost"
+          onClick={() => onChange([...components, { ...EMPTY_COMPONENT }])}
+        >
+          + Add component
+        </button>
+        {components.length > 0 && (
+          <span
+            className={
+              total > 100 ? "composition-total over" : "composition-total"
+            }
+          >
+            Total: {Math.round(total * 100) / 100}%
+          </span>
+        )}
       </div>
+      <FieldError error={error} field="components" />
     </div>
   );
 };
 
-const CompatibilityAssessment = ({ apiUrl, setLoading }) => {
-  const [assessments, setAssessments] = useState([]);
+const MATERIAL_FILTERS = {
+  status: "available",
+  industry_id: "",
+  sector: "",
+  material_type: "",
+  regulatory_status: "",
+  hazard: "",
+  waste_status: "",
+  composition: "",
+  min_quantity: "",
+  max_quantity: "",
+  id: "",
+  sort: "created_at",
+  order: "desc",
+};
+
+const MaterialsView = ({ apiUrl, setLoading, user, focus }) => {
   const [materials, setMaterials] = useState([]);
   const [industries, setIndustries] = useState([]);
-  const [newAssessment, setNewAssessment] = useState({
-    source_material_id: "",
-    target_industry_id: "",
-    chemical_similarity: 75,
-    mechanical_tolerance: 75,
-    thermodynamic_stability: 75,
-    regulatory_alignment: 75,
-    functional_viability: 75,
-    preprocessing_requirements: "",
-  });
+  const [newMaterial, setNewMaterial] = useState(EMPTY_MATERIAL);
+  const [editingId, setEditingId] = useState(null);
+  const [formError, setFormError] = useState(null);
   const [showForm, setShowForm] = useState(false);
+  const [filters, setFilters] = useState(MATERIAL_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  const [rulesId, setRulesId] = useState(null);
+  const [forecastId, setForecastId] = useState(null);
+  const [rulesMessage, setRulesMessage] = useState(null);
+  const [showImport, setShowImport] = useState(false);
 
-  const fetchAssessments = useCallback(async () => {
+  const fetchMaterials = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${apiUrl}/reuse-opportunities`);
+      const response = await apiFetch(
+        `${apiUrl}/materials?${toQueryString({ ...filters, page })}`,
+      );
       const data = await response.json();
-      setAssessments(data);
+      setMaterials(data.data || []);
+      setPagination(data.pagination);
     } catch (error) {
-      console.error("Error fetching assessments:", error);
+      console.error("Error fetching materials:", error);
     } finally {
       setLoading(false);
     }
-  }, [apiUrl, setLoading]);
+  }, [apiUrl, filters, page, setLoading]);
 
-  const fetchMaterials = useCallback(async () => {
-    try {
-      const response = await fetch(`${apiUrl}/materials?status=available`);
-      const data = await response.json();
-      setMaterials(data);
-    } catch (error) {
-      console.error("Error fetching materials:", error);
-    }
-  }, [apiUrl]);
+  // Any filter change starts again from the first page
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  // A search result narrows the list to that one material, whatever its status
+  useEffect(() => {
+    if (!focus) return;
+    setFilters({ ...MATERIAL_FILTERS, status: "", id: focus.id });
+    setPage(1);
+  }, [focus]);
 
   const fetchIndustries = useCallback(async () => {
     try {
-      const response = await fetch(`${apiUrl}/industries`);
+      const response = await apiFetch(`${apiUrl}/industries`);
       const data = await response.json();
       setIndustries(data);
     } catch (error) {
@@ -623,297 +2004,3337 @@ const CompatibilityAssessment = ({ apiUrl, setLoading }) => {
   }, [apiUrl]);
 
   useEffect(() => {
-    fetchAssessments();
     fetchMaterials();
     fetchIndustries();
-  }, [fetchAssessments, fetchMaterials, fetchIndustries]); // FIX: Added dependencies
+  }, [fetchMaterials, fetchIndustries]); // FIX: Added missing dependencies
 
-  const handleAssess = async (e) => {
+  const closeForm = () => {
+    setNewMaterial(EMPTY_MATERIAL);
+    setEditingId(null);
+    setFormError(null);
+    setShowForm(false);
+  };
+
+  const handleAddMaterial = async (e) => {
     e.preventDefault();
     try {
-      const response = await fetch(`${apiUrl}/reuse-opportunities`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          ...newAssessment,
-          source_material_id: parseInt(newAssessment.source_material_id),
-          target_industry_id: parseInt(newAssessment.target_industry_id),
-        }),
-      });
+      const payload = {
+        ...newMaterial,
+        quantity: parseFloat(newMaterial.quantity_available),
+        quantity_available: undefined,
+        density: newMaterial.density === "" ? null : newMaterial.density,
+        components: newMaterial.components.filter(
+          (row) => !isBlankComponent(row),
+        ),
+      };
+
+      const response = await apiFetch(
+        editingId ? `${apiUrl}/materials/${editingId}` : `${apiUrl}/materials`,
+        {
+          method: editingId ? "PUT" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(payload),
+        },
+      );
 
       if (response.ok) {
-        setNewAssessment({
-          source_material_id: "",
-          target_industry_id: "",
-          chemical_similarity: 75,
-          mechanical_tolerance: 75,
-          thermodynamic_stability: 75,
-          regulatory_alignment: 75,
-          functional_viability: 75,
-          preprocessing_requirements: "",
-        });
-        setShowForm(false);
-        fetchAssessments();
+        closeForm();
+        fetchMaterials();
+      } else {
+        setFormError(parseApiError(await response.json()));
       }
     } catch (error) {
-      console.error("Error creating assessment:", error);
+      console.error("Error saving material:", error);
     }
   };
 
-  const getFeasibilityColor = (value) => {
-    if (value >= 80) return "#10b981";
-    if (value >= 60) return "#f59e0b";
-    return "#ef4444";
+  const handleEditMaterial = (material) => {
+    setNewMaterial({
+      ...Object.fromEntries(
+        Object.keys(EMPTY_MATERIAL).map((key) => [key, material[key] ?? ""]),
+      ),
+      quantity_available: material.quantity ?? "",
+      industry_id: String(material.industry_id),
+      components: (material.components || []).map(toComponentRow),
+    });
+    setEditingId(material.id);
+    setShowForm(true);
+  };
+
+  const handleDeleteMaterial = async (material) => {
+    try {
+      if (
+        await deleteWithConfirm(
+          `${apiUrl}/materials/${material.id}`,
+          material.name,
+        )
+      )
+        fetchMaterials();
+    } catch (error) {
+      console.error("Error deleting material:", error);
+    }
+  };
+
+  // Re-reads the rule files on the server, which reclassifies every material
+  const handleReloadRules = async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(`${apiUrl}/rules/reload`, {
+        method: "POST",
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setRulesMessage(parseApiError(data).message);
+        return;
+      }
+      const problems = data.errors.map(
+        ({ file, message }) => `${file}: ${message}`,
+      );
+      setRulesMessage(
+        [
+          `Loaded ${data.rules} rules from ${data.rule_sets} rule sets; reclassified ${data.reclassified} materials.`,
+          ...problems,
+        ].join(" "),
+      );
+      fetchMaterials();
+    } catch (error) {
+      console.error("Error reloading rules:", error);
+    } finally {
+      setLoading(false);
+    }
   };
 
   return (
     <div className="view-container">
       <div className="view-header">
-        <h2>Compatibility Assessment</h2>
-        <button
-          className="btn btn-primary"
-          onClick={() => setShowForm(!showForm)}
-        >
-          {showForm ? "× Cancel" : "+ New Assessment"}
-        </button>
+        <h2>Material Inventory</h2>
+        <div className="header-controls">
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilters({ status: e.target.value })}
+            className="filter-select"
+          >
+            <option value="">All Statuses</option>
+            <option value="available">Available</option>
+            <option value="in_use">In Use</option>
+            <option value="archived">Archived</option>
+          </select>
+          {can(user, "rules:manage") && (
+            <button className="btn btn-secondary" onClick={handleReloadRules}>
+              ↻ Reload Rules
+            </button>
+          )}
+          {can(user, "materials:write") && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => setShowImport(!showImport)}
+            >
+              {showImport ? "× Close Import" : "📥 Import"}
+            </button>
+          )}
+          {can(user, "materials:write") && (
+            <button
+              className="btn btn-primary"
+              onClick={() => (showForm ? closeForm() : setShowForm(true))}
+            >
+              {showForm ? "× Cancel" : "+ Add Material"}
+            </button>
+          )}
+        </div>
       </div>
 
+      {showImport && (
+        <ImportPanel
+          apiUrl={apiUrl}
+          entity="materials"
+          setLoading={setLoading}
+          onImported={fetchMaterials}
+        />
+      )}
+
       {showForm && (
-        <form className="form-container" onSubmit={handleAssess}>
+        <form className="form-container" onSubmit={handleAddMaterial}>
           <div className="form-row">
             <div className="form-group">
-              <label>Source Material *</label>
-              <select
-                value={newAssessment.source_material_id}
+              <label>Material Name *</label>
+              <input
+                type="text"
+                value={newMaterial.name}
                 onChange={(e) =>
-                  setNewAssessment({
-                    ...newAssessment,
-                    source_material_id: e.target.value,
+                  setNewMaterial({ ...newMaterial, name: e.target.value })
+                }
+                placeholder="e.g., Recycled Steel Scrap"
+                required
+              />
+              <FieldError error={formError} field="name" />
+            </div>
+            <div className="form-group">
+              <label>Material Type *</label>
+              <input
+                type="text"
+                value={newMaterial.material_type}
+                onChange={(e) =>
+                  setNewMaterial({
+                    ...newMaterial,
+                    material_type: e.target.value,
                   })
                 }
+                placeholder="e.g., Metal, Plastic, Chemical"
                 required
-              >
-                <option value="">Select Material</option>
-                {materials.map((mat) => (
-                  <option key={mat.id} value={mat.id}>
-                    {mat.name}
-                  </option>
-                ))}
-              </select>
+              />
+              <FieldError error={formError} field="material_type" />
             </div>
+          </div>
+          <div className="form-row">
             <div className="form-group">
-              <label>Target Industry *</label>
+              <label>Source Industry *</label>
               <select
-                value={newAssessment.target_industry_id}
+                value={newMaterial.industry_id}
                 onChange={(e) =>
-                  setNewAssessment({
-                    ...newAssessment,
-                    target_industry_id: e.target.value,
+                  setNewMaterial({
+                    ...newMaterial,
+                    industry_id: e.target.value,
                   })
                 }
                 required
               >
                 <option value="">Select Industry</option>
-                {industries.map((ind) => (
-                  <option key={ind.id} value={ind.id}>
-                    {ind.name}
-                  </option>
-                ))}
+                {industries
+                  .filter((ind) => isMemberOf(user, ind.organization_id))
+                  .map((ind) => (
+                    <option key={ind.id} value={ind.id}>
+                      {ind.name}
+                    </option>
+                  ))}
               </select>
+              <FieldError error={formError} field="industry_id" />
+            </div>
+            <div className="form-group">
+              <label>Quantity</label>
+              <input
+                type="number"
+                value={newMaterial.quantity_available}
+                onChange={(e) =>
+                  setNewMaterial({
+                    ...newMaterial,
+                    quantity_available: e.target.value,
+                  })
+                }
+                placeholder="0"
+              />
+              <FieldError error={formError} field="quantity" />
+            </div>
+            <div className="form-group">
+              <label>Unit</label>
+              <select
+                value={newMaterial.unit}
+                onChange={(e) =>
+                  setNewMaterial({ ...newMaterial, unit: e.target.value })
+                }
+              >
+                <UnitOptions />
+              </select>
+              <FieldError error={formError} field="unit" />
+            </div>
+            <div className="form-group">
+              <label>Density (kg/m³)</label>
+              <input
+                type="number"
+                step="any"
+                value={newMaterial.density}
+                onChange={(e) =>
+                  setNewMaterial({ ...newMaterial, density: e.target.value })
+                }
+                placeholder="Converts volume to mass"
+              />
+              <FieldError error={formError} field="density" />
             </div>
           </div>
-
-          <div className="assessment-params">
-            <h4>Assessment Parameters</h4>
-            {[
-              "chemical_similarity",
-              "mechanical_tolerance",
-              "thermodynamic_stability",
-              "regulatory_alignment",
-              "functional_viability",
-            ].map((param) => (
-              <div key={param} className="param-slider">
-                <label>{param.replace(/_/g, " ")}</label>
-                <input
-                  type="range"
-                  min="0"
-                  max="100"
-                  value={newAssessment[param]}
-                  onChange={(e) =>
-                    setNewAssessment({
-                      ...newAssessment,
-                      [param]: parseInt(e.target.value),
-                    })
-                  }
-                />
-                <span className="param-value">{newAssessment[param]}%</span>
-              </div>
-            ))}
-          </div>
-
           <div className="form-group">
-            <label>Preprocessing Requirements</label>
+            <label>Chemical Composition</label>
+            <CompositionEditor
+              apiUrl={apiUrl}
+              components={newMaterial.components}
+              text={newMaterial.chemical_composition}
+              onChange={(components) =>
+                setNewMaterial({ ...newMaterial, components })
+              }
+              onTextChange={(chemical_composition) =>
+                setNewMaterial({ ...newMaterial, chemical_composition })
+              }
+              error={formError}
+            />
+            <FieldError error={formError} field="chemical_composition" />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Mechanical Tolerance</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                max="1"
+                value={newMaterial.mechanical_tolerance}
+                onChange={(e) =>
+                  setNewMaterial({
+                    ...newMaterial,
+                    mechanical_tolerance: e.target.value,
+                  })
+                }
+                placeholder="0–1"
+              />
+              <FieldError error={formError} field="mechanical_tolerance" />
+            </div>
+            <div className="form-group">
+              <label>Thermodynamic Stability</label>
+              <input
+                type="number"
+                step="0.01"
+                min="0"
+                max="1"
+                value={newMaterial.thermodynamic_stability}
+                onChange={(e) =>
+                  setNewMaterial({
+                    ...newMaterial,
+                    thermodynamic_stability: e.target.value,
+                  })
+                }
+                placeholder="0–1"
+              />
+              <FieldError error={formError} field="thermodynamic_stability" />
+            </div>
+            <div className="form-group">
+              <label>Regulatory Status</label>
+              <select
+                value={newMaterial.regulatory_status}
+                onChange={(e) =>
+                  setNewMaterial({
+                    ...newMaterial,
+                    regulatory_status: e.target.value,
+                  })
+                }
+                disabled={!can(user, "materials:regulatory_status")}
+                title={
+                  can(user, "materials:regulatory_status")
+                    ? undefined
+                    : "Set by compliance officers"
+                }
+              >
+                {REGULATORY_STATUSES.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <FieldError error={formError} field="regulatory_status" />
+            </div>
+            <div className="form-group">
+              <label>Availability</label>
+              <select
+                value={newMaterial.availability_status}
+                onChange={(e) =>
+                  setNewMaterial({
+                    ...newMaterial,
+                    availability_status: e.target.value,
+                  })
+                }
+              >
+                <option value="available">Available</option>
+                <option value="in_use">In Use</option>
+                <option value="archived">Archived</option>
+              </select>
+              <FieldError error={formError} field="availability_status" />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Description</label>
             <textarea
-              value={newAssessment.preprocessing_requirements}
+              value={newMaterial.description}
               onChange={(e) =>
-                setNewAssessment({
-                  ...newAssessment,
-                  preprocessing_requirements: e.target.value,
-                })
+                setNewMaterial({ ...newMaterial, description: e.target.value })
               }
-              placeholder="Describe any preprocessing needed..."
-              rows="3"
+              rows="2"
             />
           </div>
-
+          {formError && <div className="form-error">{formError.message}</div>}
           <button type="submit" className="btn btn-success">
-            Run Assessment
+            {editingId ? "Update Material" : "Add Material"}
           </button>
         </form>
       )}
 
-      <div className="assessments-list">
-        {assessments.length === 0 ? (
-          <div className="empty-state">
-            No assessments yet. Create one to get started.
-          </div>
+      <div className="filter-bar">
+        <select
+          value={filters.industry_id}
+          onChange={(e) => updateFilters({ industry_id: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">All Industries</option>
+          {industries.map((ind) => (
+            <option key={ind.id} value={ind.id}>
+              {ind.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.sector}
+          onChange={(e) => updateFilters({ sector: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">All Sectors</option>
+          {SECTORS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.regulatory_status}
+          onChange={(e) => updateFilters({ regulatory_status: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">Any Regulatory Status</option>
+          {REGULATORY_STATUSES.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.material_type}
+          onChange={(e) => updateFilters({ material_type: e.target.value })}
+          placeholder="Material type"
+          className="filter-input"
+        />
+        <select
+          value={filters.hazard}
+          onChange={(e) => updateFilters({ hazard: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">Any Hazard Class</option>
+          {HAZARD_LEVELS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filters.waste_status}
+          onChange={(e) => updateFilters({ waste_status: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">Any Waste Status</option>
+          {Object.entries(WASTE_STATUS_LABELS).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.composition}
+          onChange={(e) => updateFilters({ composition: e.target.value })}
+          placeholder="Composition, e.g. SiO2 > 30"
+          title='A component, optionally with a percentage bound: "Fe", "SiO2 > 30", "Pb <= 0.1", "CaO 20-60"'
+          className="filter-input"
+        />
+        <input
+          type="number"
+          min="0"
+          value={filters.min_quantity}
+          onChange={(e) => updateFilters({ min_quantity: e.target.value })}
+          placeholder="Min quantity"
+          className="filter-input"
+        />
+        <input
+          type="number"
+          min="0"
+          value={filters.max_quantity}
+          onChange={(e) => updateFilters({ max_quantity: e.target.value })}
+          placeholder="Max quantity"
+          className="filter-input"
+        />
+        <SortControl
+          options={MATERIAL_SORTS}
+          sort={filters.sort}
+          order={filters.order}
+          onChange={(sort, order) => updateFilters({ sort, order })}
+        />
+        {filters.id && (
+          <button
+            className="btn btn-secondary"
+            onClick={() => updateFilters({ id: "" })}
+          >
+            × Showing search result
+          </button>
+        )}
+      </div>
+
+      {rulesMessage && (
+        <div className="rules-message" onClick={() => setRulesMessage(null)}>
+          {rulesMessage}
+        </div>
+      )}
+
+      <div className="materials-list">
+        {materials.length === 0 ? (
+          <div className="empty-state">No materials found</div>
         ) : (
-          assessments.map((assessment) => (
-            <div key={assessment.id} className="assessment-card">
-              <div className="assessment-header">
-                <h4>
-                  {assessment.material_name} → {assessment.target_industry_name}
-                </h4>
-                <div
-                  className="feasibility-score"
-                  style={{
-                    backgroundColor: getFeasibilityColor(
-                      assessment.feasibility_index * 100,
-                    ),
-                  }}
-                >
-                  {Math.round(assessment.feasibility_index * 100)}%
-                </div>
+          materials.map((material) => (
+            <div key={material.id} className="material-row">
+              <div className="material-info">
+                <h4>{material.name}</h4>
+                <span className="material-type">{material.material_type}</span>
+                {material.hazard && material.hazard !== "unclassified" && (
+                  <span className={`hazard-badge ${material.hazard}`}>
+                    {HAZARD_LEVELS.find(
+                      ([value]) => value === material.hazard,
+                    )?.[1] ?? material.hazard}
+                  </span>
+                )}
+                {material.waste_status && (
+                  <span className={`waste-badge ${material.waste_status}`}>
+                    {WASTE_STATUS_LABELS[material.waste_status] ??
+                      material.waste_status}
+                  </span>
+                )}
+                {material.chemical_composition && (
+                  <div className="material-composition">
+                    🧪 {material.chemical_composition}
+                  </div>
+                )}
               </div>
-              <div className="assessment-params-display">
-                <span>
-                  🧪 Chemistry: {assessment.chemical_similarity || 75}%
-                </span>
-                <span>
-                  ⚙️ Mechanics: {assessment.mechanical_tolerance || 75}%
-                </span>
-                <span>
-                  🌡️ Thermodynamics: {assessment.thermodynamic_stability || 75}%
-                </span>
-                <span>
-                  ⚖️ Regulation: {assessment.regulatory_alignment || 75}%
+              <div className="material-details">
+                <span>Source: {material.industry_name}</span>
+                <span className="material-quantity">
+                  {material.quantity} {material.unit}
                 </span>
-                <span>
-                  🔧 Function: {assessment.functional_viability || 75}%
+              </div>
+              <div className="material-status">
+                <span
+                  className={`status-badge ${material.availability_status}`}
+                >
+                  {material.availability_status}
                 </span>
+                {isMemberOf(user, material.organization_id) &&
+                  can(user, "materials:write") && (
+                    <>
+                      <button
+                        className="icon-button"
+                        title="Edit material"
+                        onClick={() => handleEditMaterial(material)}
+                      >
+                        ✏️
+                      </button>
+                      <button
+                        className="icon-button"
+                        title="Delete material"
+                        onClick={() => handleDeleteMaterial(material)}
+                      >
+                        🗑️
+                      </button>
+                    </>
+                  )}
+                <button
+                  className="icon-button"
+                  title={
+                    historyId === material.id ? "Hide history" : "Show history"
+                  }
+                  onClick={() =>
+                    setHistoryId(historyId === material.id ? null : material.id)
+                  }
+                >
+                  🕘
+                </button>
+                <button
+                  className="icon-button"
+                  title={
+                    rulesId === material.id
+                      ? "Hide classification"
+                      : "Show classification rules"
+                  }
+                  onClick={() =>
+                    setRulesId(rulesId === material.id ? null : material.id)
+                  }
+                >
+                  📜
+                </button>
+                <button
+                  className="icon-button"
+                  title={
+                    forecastId === material.id
+                      ? "Hide forecast"
+                      : "Forecast generation"
+                  }
+                  onClick={() =>
+                    setForecastId(
+                      forecastId === material.id ? null : material.id,
+                    )
+                  }
+                >
+                  📈
+                </button>
               </div>
+              {rulesId === material.id && (
+                <MaterialClassification
+                  apiUrl={apiUrl}
+                  materialId={material.id}
+                />
+              )}
+              {forecastId === material.id && (
+                <MaterialForecast apiUrl={apiUrl} materialId={material.id} />
+              )}
+              {historyId === material.id && (
+                <div className="material-history">
+                  <AuditHistory
+                    apiUrl={apiUrl}
+                    entity="material"
+                    entityId={material.id}
+                  />
+                </div>
+              )}
             </div>
           ))
         )}
       </div>
+      <Pager pagination={pagination} onPageChange={setPage} />
+    </div>
+  );
+};
+
+const NETWORK_WIDTH = 800;
+const NETWORK_HEIGHT = 520;
+const NETWORK_MARGIN = 40;
+const MIN_NODE_RADIUS = 12;
+const MAX_NODE_RADIUS = 36;
+const LAYOUT_ITERATIONS = 300;
+// How strongly nodes are held near their sector's anchor
+const SECTOR_PULL = 0.02;
+const MIN_ZOOM = 0.3;
+const MAX_ZOOM = 4;
+const INITIAL_VIEW = { x: 0, y: 0, k: 1 };
+
+/**
+ * Force-directed positions for the network, keyed by node id. Each sector
+ * gets an anchor on a ring and its nodes start around it; nodes then repel
+ * each other, linked nodes attract and a weak pull keeps sectors together.
+ * Deterministic, so the picture does not change between visits.
+ */
+const layoutNetwork = (nodes, links) => {
+  const width = NETWORK_WIDTH - 2 * NETWORK_MARGIN;
+  const height = NETWORK_HEIGHT - 2 * NETWORK_MARGIN;
+  const sectors = [...new Set(nodes.map((node) => node.sector))];
+  const ring = sectors.length > 1 ? Math.min(width, height) * 0.35 : 0;
+  const anchors = new Map(
+    sectors.map((sector, i) => {
+      const angle = (2 * Math.PI * i) / sectors.length;
+      return [
+        sector,
+        {
+          x: NETWORK_WIDTH / 2 + ring * Math.cos(angle),
+          y: NETWORK_HEIGHT / 2 + ring * Math.sin(angle),
+        },
+      ];
+    }),
+  );
+
+  // Spiral each sector's nodes out from its anchor by the golden angle
+  const placed = new Map();
+  const positions = nodes.map((node) => {
+    const anchor = anchors.get(node.sector);
+    const index = placed.get(node.sector) || 0;
+    placed.set(node.sector, index + 1);
+    const angle = index * 2.39996;
+    const radius = 30 * Math.sqrt(index);
+    return {
+      id: node.id,
+      anchor,
+      x: anchor.x + radius * Math.cos(angle),
+      y: anchor.y + radius * Math.sin(angle),
+    };
+  });
+  const byId = new Map(positions.map((p) => [p.id, p]));
+  const edges = links.filter(
+    (link) => byId.has(link.source) && byId.has(link.target),
+  );
+
+  const k = Math.sqrt((width * height) / Math.max(nodes.length, 1)) * 0.75;
+  let temperature = width / 10;
+  for (let iteration = 0; iteration < LAYOUT_ITERATIONS; iteration++) {
+    const shift = new Map(positions.map((p) => [p.id, { x: 0, y: 0 }]));
+    for (let i = 0; i < positions.length; i++)
+      for (let j = i + 1; j < positions.length; j++) {
+        const a = positions[i];
+        const b = positions[j];
+        const dx = a.x - b.x;
+        const dy = a.y - b.y;
+        const distance = Math.max(Math.hypot(dx, dy), 0.01);
+        const force = (k * k) / distance;
+        shift.get(a.id).x += (dx / distance) * force;
+        shift.get(a.id).y += (dy / distance) * force;
+        shift.get(b.id).x -= (dx / distance) * force;
+        shift.get(b.id).y -= (dy / distance) * force;
+      }
+    for (const link of edges) {
+      const a = byId.get(link.source);
+      const b = byId.get(link.target);
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.max(Math.hypot(dx, dy), 0.01);
+      const force = (distance * distance) / k;
+      shift.get(a.id).x -= (dx / distance) * force;
+      shift.get(a.id).y -= (dy / distance) * force;
+      shift.get(b.id).x += (dx / distance) * force;
+      shift.get(b.id).y += (dy / distance) * force;
+    }
+    for (const p of positions) {
+      const move = shift.get(p.id);
+      move.x += (p.anchor.x - p.x) * SECTOR_PULL * k;
+      move.y += (p.anchor.y - p.y) * SECTOR_PULL * k;
+      const length = Math.max(Math.hypot(move.x, move.y), 0.01);
+      const step = Math.min(length, temperature);
+      p.x += (move.x / length) * step;
+      p.y += (move.y / length) * step;
+    }
+    temperature = Math.max(temperature * 0.97, 1);
+  }
+
+  // Fit the result into the canvas, keeping its proportions
+  const xs = positions.map((p) => p.x);
+  const ys = positions.map((p) => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = Math.max(...ys) - minY;
+  const scale = Math.min(
+    spanX > 0 ? width / spanX : Infinity,
+    spanY > 0 ? height / spanY : Infinity,
+    1.5,
+  );
+  const offsetX = NETWORK_MARGIN + (width - spanX * scale) / 2;
+  const offsetY = NETWORK_MARGIN + (height - spanY * scale) / 2;
+  return new Map(
+    positions.map(({ id, x, y }) => [
+      id,
+      { x: offsetX + (x - minX) * scale, y: offsetY + (y - minY) * scale },
+    ]),
+  );
+};
+
+// Opportunities between the same two industries in the same direction are
+// drawn as one link
+const groupLinks = (edges) => {
+  const links = new Map();
+  for (const edge of edges) {
+    const key = `${edge.source}-${edge.target}`;
+    const link = links.get(key) || {
+      key,
+      source: edge.source,
+      target: edge.target,
+      strength: 0,
+      transferred_t: 0,
+      opportunities: [],
+    };
+    link.strength = Math.max(link.strength, edge.strength || 0);
+    link.transferred_t += edge.transferred_t || 0;
+    link.opportunities.push(edge);
+    links.set(key, link);
+  }
+  return [...links.values()];
+};
+
+// Point `distance` along the line from `from` towards `to`
+const towards = (from, to, distance) => {
+  const length = Math.max(Math.hypot(to.x - from.x, to.y - from.y), 0.01);
+  return {
+    x: from.x + ((to.x - from.x) / length) * distance,
+    y: from.y + ((to.y - from.y) / length) * distance,
+  };
+};
+
+// Quadratic path between two circles' edges; `bend` curves it sideways so
+// links in both directions between a pair do not overlap
+const linkPath = (from, to, fromRadius, toRadius, bend) => {
+  const length = Math.max(Math.hypot(to.x - from.x, to.y - from.y), 0.01);
+  const control = {
+    x: (from.x + to.x) / 2 - ((to.y - from.y) / length) * bend,
+    y: (from.y + to.y) / 2 + ((to.x - from.x) / length) * bend,
+  };
+  const start = towards(from, control, fromRadius);
+  const end = towards(to, control, toRadius + 2);
+  return `M${start.x},${start.y} Q${control.x},${control.y} ${end.x},${end.y}`;
+};
+
+// Materials and opportunities of the selected industry
+const NetworkNodePanel = ({ apiUrl, node, links, nodeName }) => {
+  const [materials, setMaterials] = useState(null);
+
+  useEffect(() => {
+    setMaterials(null);
+    apiFetch(`${apiUrl}/materials?industry_id=${node.id}&limit=50`)
+      .then((response) => response.json())
+      .then((data) => setMaterials(data.data || []))
+      .catch((error) => console.error("Error fetching materials:", error));
+  }, [apiUrl, node.id]);
+
+  const outgoing = links.filter((link) => link.source === node.id);
+  const incoming = links.filter((link) => link.target === node.id);
+
+  return (
+    <div className="network-inspect">
+      <h4>{node.name}</h4>
+      <p className="network-inspect-meta">
+        {node.sector}
+        {node.location && ` · ${node.location}`} · {node.throughput_t} t
+        transferred
+      </p>
+      <h5>Materials ({node.materials})</h5>
+      {materials === null ? (
+        <p className="network-inspect-meta">Loading...</p>
+      ) : materials.length === 0 ? (
+        <p className="network-inspect-meta">None listed</p>
+      ) : (
+        <ul>
+          {materials.map((material) => (
+            <li key={material.id}>
+              {material.name}: {material.quantity} {material.unit}{" "}
+              <span className={`status-badge ${material.availability_status}`}>
+                {material.availability_status}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      <h5>Supplies ({outgoing.length})</h5>
+      <ul>
+        {outgoing.map((link) => (
+          <li key={link.key}>
+            → {nodeName(link.target)}:{" "}
+            {link.opportunities.map((o) => o.material_name).join(", ")}
+          </li>
+        ))}
+      </ul>
+      <h5>Receives ({incoming.length})</h5>
+      <ul>
+        {incoming.map((link) => (
+          <li key={link.key}>
+            ← {nodeName(link.source)}:{" "}
+            {link.opportunities.map((o) => o.material_name).join(", ")}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Opportunities behind the selected link
+const NetworkLinkPanel = ({ link, nodeName }) => (
+  <div className="network-inspect">
+    <h4>
+      {nodeName(link.source)} → {nodeName(link.target)}
+    </h4>
+    <p className="network-inspect-meta">
+      {link.opportunities.length} opportunities ·{" "}
+      {Math.round(link.transferred_t * 10) / 10} t transferred
+    </p>
+    <ul>
+      {link.opportunities.map((opportunity) => (
+        <li key={opportunity.id}>
+          <strong>{opportunity.material_name}</strong> (
+          {opportunity.material_type}){" "}
+          <span className={`status-badge ${opportunity.status}`}>
+            {opportunity.status}
+          </span>
+          <div className="network-inspect-meta">
+            Feasibility {formatScore(opportunity.strength)}, compatibility{" "}
+            {formatScore(opportunity.compatibility_score)},{" "}
+            {formatDistance(opportunity.distance_km)}
+            {opportunity.transferred_t > 0 &&
+              `, ${opportunity.transferred_t} t transferred`}
+          </div>
+        </li>
+      ))}
+    </ul>
+  </div>
+);
+
+const FEASIBILITY_THRESHOLDS = [
+  [0, "All opportunities"],
+  [0.3, "Feasibility ≥ 30%"],
+  [0.5, "Feasibility ≥ 50%"],
+  [0.7, "Feasibility ≥ 70%"],
+];
+
+// How many central industries the analysis lists
+const CENTRAL_INDUSTRIES = 5;
+
+// Industries and link keys along a loop or pathway, for highlighting
+const routeHighlight = (route) => ({
+  industries: new Set(route.industries),
+  links: new Set(route.steps.map((step) => `${step.source}-${step.target}`)),
+});
+
+// Structure of the network from /symbiosis/analysis: central industries,
+// hubs, closed loops, clusters and the pathways of a chosen material
+const NetworkAnalysis = ({
+  analysis,
+  filters,
+  onFiltersChange,
+  materials,
+  nodeName,
+  onSelectNode,
+  onHighlight,
+}) => {
+  const routeLabel = (route) =>
+    route.industries.map((id) => nodeName(id)).join(" → ");
+  const clusters = (analysis?.components || []).filter((c) => c.size > 1);
+  const isolated = (analysis?.components || []).length - clusters.length;
+
+  return (
+    <div className="network-analysis">
+      <h4>Network Analysis</h4>
+      <select
+        value={filters.min_feasibility}
+        onChange={(e) => onFiltersChange({ min_feasibility: e.target.value })}
+        className="filter-select"
+      >
+        {FEASIBILITY_THRESHOLDS.map(([value, label]) => (
+          <option key={value} value={value}>
+            {label}
+          </option>
+        ))}
+      </select>
+      {analysis?.summary && (
+        <>
+          <h5>Most central</h5>
+          <ul>
+            {analysis.industries.slice(0, CENTRAL_INDUSTRIES).map((node) => (
+              <li key={node.id}>
+                <button
+                  className="link-button"
+                  onClick={() => onSelectNode(node.id)}
+                >
+                  {node.name}
+                </button>{" "}
+                <span className="network-inspect-meta">
+                  betweenness {formatScore(node.betweenness)}, {node.in_degree}{" "}
+                  in / {node.out_degree} out
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <h5>Hubs ({analysis.hubs.length})</h5>
+          {analysis.hubs.length === 0 ? (
+            <p className="network-inspect-meta">
+              No single industry holds a cluster together.
+            </p>
+          ) : (
+            <ul>
+              {analysis.hubs.map((hub) => (
+                <li key={hub.id}>
+                  <button
+                    className="link-button"
+                    onClick={() => onSelectNode(hub.id)}
+                  >
+                    {hub.name}
+                  </button>{" "}
+                  <span className="network-inspect-meta">
+                    losing it splits its cluster in {hub.parts}, cutting off{" "}
+                    {hub.cut_off}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h5>
+            Closed loops ({analysis.loops.length}
+            {analysis.loops_truncated && "+"})
+          </h5>
+          {analysis.loops.length === 0 ? (
+            <p className="network-inspect-meta">No material flows back yet.</p>
+          ) : (
+            <ul>
+              {analysis.loops.map((loop) => (
+                <li key={loop.industries.join("-")}>
+                  <button
+                    className="link-button"
+                    onClick={() => onHighlight(routeHighlight(loop))}
+                  >
+                    {routeLabel(loop)} → {nodeName(loop.industries[0])}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <h5>Clusters ({clusters.length})</h5>
+          <ul>
+            {clusters.map((cluster) => (
+              <li key={cluster.id}>
+                {cluster.size} industries: {cluster.sectors.join(", ")}
+              </li>
+            ))}
+          </ul>
+          {isolated > 0 && (
+            <p className="network-inspect-meta">
+              {isolated} industries without connections
+            </p>
+          )}
+
+          <h5>Material pathways</h5>
+          <select
+            value={filters.material_id}
+            onChange={(e) => onFiltersChange({ material_id: e.target.value })}
+            className="filter-select"
+          >
+            <option value="">Choose a material</option>
+            {materials.map(([id, label]) => (
+              <option key={id} value={id}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {analysis.pathways?.length === 0 && (
+            <p className="network-inspect-meta">
+              No pathways at this feasibility.
+            </p>
+          )}
+          <ul>
+            {(analysis.pathways || []).map((pathway) => (
+              <li key={pathway.steps.map((s) => s.opportunity_id).join("-")}>
+                <button
+                  className="link-button"
+                  onClick={() => onHighlight(routeHighlight(pathway))}
+                >
+                  {routeLabel(pathway)}
+                </button>{" "}
+                <span className="network-inspect-meta">
+                  {formatScore(pathway.score)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+const EMPTY_ANALYSIS_FILTERS = { min_feasibility: 0, material_id: "" };
+
+const SymbiosisNetwork = ({ apiUrl, setLoading }) => {
+  const [analysis, setAnalysis] = useState(null);
+  const [analysisFilters, setAnalysisFilters] = useState(
+    EMPTY_ANALYSIS_FILTERS,
+  );
+  const [highlight, setHighlight] = useState(null);
+  const [network, setNetwork] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [view, setView] = useState(INITIAL_VIEW);
+  const svgRef = useRef(null);
+  const panRef = useRef(null);
+
+  const fetchNetwork = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(`${apiUrl}/symbiosis/network`);
+      const data = await response.json();
+      setNetwork(data);
+    } catch (error) {
+      console.error("Error fetching network:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiUrl, setLoading]);
+
+  useEffect(() => {
+    fetchNetwork();
+  }, [fetchNetwork]); // FIX: Added missing dependency
+
+  useEffect(() => {
+    apiFetch(`${apiUrl}/symbiosis/analysis?${toQueryString(analysisFilters)}`)
+      .then((response) => response.json())
+      .then(setAnalysis)
+      .catch((error) => console.error("Error analyzing network:", error));
+  }, [apiUrl, analysisFilters]);
+
+  const updateAnalysisFilters = (changes) => {
+    setAnalysisFilters({ ...analysisFilters, ...changes });
+    setHighlight(null);
+  };
+
+  const nodes = useMemo(() => network?.nodes || [], [network]);
+  const links = useMemo(() => groupLinks(network?.edges || []), [network]);
+  const positions = useMemo(() => layoutNetwork(nodes, links), [nodes, links]);
+
+  const maxThroughput = Math.max(0, ...nodes.map((n) => n.throughput_t));
+  const radius = (node) =>
+    maxThroughput > 0
+      ? MIN_NODE_RADIUS +
+        (MAX_NODE_RADIUS - MIN_NODE_RADIUS) *
+          Math.sqrt(node.throughput_t / maxThroughput)
+      : MIN_NODE_RADIUS;
+  const nodeById = new Map(nodes.map((node) => [node.id, node]));
+  const nodeName = (id) => nodeById.get(id)?.name || `#${id}`;
+  const linkKeys = new Set(links.map((link) => link.key));
+  const sectors = [...new Set(nodes.map((node) => node.sector))];
+  // Materials that have opportunities, for the pathway picker
+  const pathwayMaterials = [
+    ...new Map(
+      (network?.edges || []).map((edge) => [
+        edge.material_id,
+        `${edge.material_name} (${nodeName(edge.source)})`,
+      ]),
+    ),
+  ];
+  const dimmed = (included) => (highlight && !included ? "dimmed" : "");
+
+  // Screen pixels to viewBox units
+  const toViewBox = (clientX, clientY) => {
+    const box = svgRef.current.getBoundingClientRect();
+    return {
+      x: ((clientX - box.left) / box.width) * NETWORK_WIDTH,
+      y: ((clientY - box.top) / box.height) * NETWORK_HEIGHT,
+    };
+  };
+
+  const zoomAt = useCallback((point, factor) => {
+    setView((current) => {
+      const k = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current.k * factor));
+      return {
+        k,
+        x: point.x - (point.x - current.x) * (k / current.k),
+        y: point.y - (point.y - current.y) * (k / current.k),
+      };
+    });
+  }, []);
+
+  // React's wheel listener is passive, so the page would scroll as well
+  useEffect(() => {
+    const svg = svgRef.current;
+    if (!svg) return undefined;
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const box = svg.getBoundingClientRect();
+      zoomAt(
+        {
+          x: ((e.clientX - box.left) / box.width) * NETWORK_WIDTH,
+          y: ((e.clientY - box.top) / box.height) * NETWORK_HEIGHT,
+        },
+        e.deltaY < 0 ? 1.15 : 1 / 1.15,
+      );
+    };
+    svg.addEventListener("wheel", handleWheel, { passive: false });
+    return () => svg.removeEventListener("wheel", handleWheel);
+  }, [zoomAt]);
+
+  const handlePointerDown = (e) => {
+    panRef.current = { start: toViewBox(e.clientX, e.clientY), view };
+    e.currentTarget.setPointerCapture(e.pointerId);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!panRef.current) return;
+    const point = toViewBox(e.clientX, e.clientY);
+    const { start, view: origin } = panRef.current;
+    panRef.current.moved = true;
+    setView({
+      ...origin,
+      x: origin.x + point.x - start.x,
+      y: origin.y + point.y - start.y,
+    });
+  };
+
+  // A click on the background without dragging clears the selection
+  const handlePointerUp = () => {
+    if (!panRef.current?.moved) {
+      setSelected(null);
+      setHighlight(null);
+    }
+    panRef.current = null;
+  };
+
+  const center = { x: NETWORK_WIDTH / 2, y: NETWORK_HEIGHT / 2 };
+  const selectedNode =
+    selected?.type === "node" ? nodeById.get(selected.id) : null;
+  const selectedLink =
+    selected?.type === "link"
+      ? links.find((link) => link.key === selected.key)
+      : null;
+
+  return (
+    <div className="view-container">
+      <div className="view-header">
+        <h2>Industrial Symbiosis Network</h2>
+        <p>Visual representation of cross-industry material reuse pathways</p>
+      </div>
+
+      <div className="network-visualization">
+        <div className="network-canvas">
+          <div className="network-zoom">
+            <button
+              className="btn btn-small btn-ghost"
+              onClick={() => zoomAt(center, 1.25)}
+              title="Zoom in"
+            >
+              +
+            </button>
+            <button
+              className="btn btn-small btn-ghost"
+              onClick={() => zoomAt(center, 0.8)}
+              title="Zoom out"
+            >
+              −
+            </button>
+            <button
+              className="btn btn-small btn-ghost"
+              onClick={() => setView(INITIAL_VIEW)}
+              title="Reset view"
+            >
+              ⟲
+            </button>
+          </div>
+          <svg
+            ref={svgRef}
+            className="network-svg"
+            viewBox={`0 0 ${NETWORK_WIDTH} ${NETWORK_HEIGHT}`}
+          >
+            <defs>
+              <marker
+                id="network-arrow"
+                viewBox="0 0 10 10"
+                refX="9"
+                refY="5"
+                markerWidth="6"
+                markerHeight="6"
+                orient="auto-start-reverse"
+              >
+                <path d="M0,0 L10,5 L0,10 z" className="network-arrow" />
+              </marker>
+            </defs>
+            {/* Background catches drags for panning */}
+            <rect
+              className="network-background"
+              width={NETWORK_WIDTH}
+              height={NETWORK_HEIGHT}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+            />
+            <g transform={`translate(${view.x},${view.y}) scale(${view.k})`}>
+              {/* Network edges */}
+              {links.map((link) => {
+                const from = positions.get(link.source);
+                const to = positions.get(link.target);
+                if (!from || !to) return null;
+                const bend = linkKeys.has(`${link.target}-${link.source}`)
+                  ? 20
+                  : 0;
+                return (
+                  <g
+                    key={link.key}
+                    className={`network-edge ${
+                      selected?.key === link.key ? "selected" : ""
+                    } ${dimmed(highlight?.links.has(link.key))}`}
+                    onClick={() => setSelected({ type: "link", key: link.key })}
+                  >
+                    <path
+                      d={linkPath(
+                        from,
+                        to,
+                        radius(nodeById.get(link.source)),
+                        radius(nodeById.get(link.target)),
+                        bend,
+                      )}
+                      strokeWidth={Math.max(1, link.strength * 4)}
+                      stroke={`rgba(100, 150, 200, ${0.3 + 0.7 * link.strength})`}
+                      markerEnd="url(#network-arrow)"
+                    />
+                    <title>
+                      {`${nodeName(link.source)} → ${nodeName(link.target)}: ${link.opportunities
+                        .map((o) => o.material_name)
+                        .join(", ")}`}
+                    </title>
+                  </g>
+                );
+              })}
+
+              {/* Network nodes */}
+              {nodes.map((node) => {
+                const { x, y } = positions.get(node.id);
+                return (
+                  <g
+                    key={`node-${node.id}`}
+                    className={`network-node ${
+                      selected?.id === node.id ? "selected" : ""
+                    } ${dimmed(highlight?.industries.has(node.id))}`}
+                    onClick={() => setSelected({ type: "node", id: node.id })}
+                  >
+                    <circle
+                      cx={x}
+                      cy={y}
+                      r={radius(node)}
+                      fill={SECTOR_COLORS[node.sector] || SECTOR_COLORS.Other}
+                      className="node-circle"
+                    />
+                    <text
+                      x={x}
+                      y={y + radius(node) + 14}
+                      textAnchor="middle"
+                      className="node-label"
+                    >
+                      {node.name}
+                    </text>
+                    <title>
+                      {`${node.name} (${node.sector}), ${node.throughput_t} t transferred`}
+                    </title>
+                  </g>
+                );
+              })}
+            </g>
+          </svg>
+        </div>
+
+        <div className="network-legend">
+          <h4>Network Statistics</h4>
+          <div className="legend-item">
+            <span className="legend-color primary"></span>
+            <span>Nodes: {nodes.length} Industries</span>
+          </div>
+          <div className="legend-item">
+            <span className="legend-color secondary"></span>
+            <span>Edges: {network?.edges?.length || 0} Connections</span>
+          </div>
+          <div className="map-legend">
+            {sectors.map((sector) => (
+              <span key={sector}>
+                <span
+                  className="legend-dot"
+                  style={{
+                    backgroundColor:
+                      SECTOR_COLORS[sector] || SECTOR_COLORS.Other,
+                  }}
+                />
+                {sector}
+              </span>
+            ))}
+          </div>
+          <div className="legend-info">
+            <p>
+              Arrows run from the industry with the material to the one that can
+              reuse it; thicker, darker lines are more feasible. Node size shows
+              tonnes transferred. Drag to pan, scroll to zoom, click a node or
+              connection for details.
+            </p>
+          </div>
+          {selectedNode && (
+            <NetworkNodePanel
+              apiUrl={apiUrl}
+              node={selectedNode}
+              links={links}
+              nodeName={nodeName}
+            />
+          )}
+          {selectedLink && (
+            <NetworkLinkPanel link={selectedLink} nodeName={nodeName} />
+          )}
+          <NetworkAnalysis
+            analysis={analysis}
+            filters={analysisFilters}
+            onFiltersChange={updateAnalysisFilters}
+            materials={pathwayMaterials}
+            nodeName={nodeName}
+            onSelectNode={(id) => setSelected({ type: "node", id })}
+            onHighlight={setHighlight}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Per-dimension compatibility scores computed by the server (0–1 range)
+const SCORE_DIMENSIONS = [
+  { key: "chemical_similarity", label: "Chemistry", icon: "🧪" },
+  { key: "mechanical_tolerance", label: "Mechanics", icon: "⚙️" },
+  { key: "thermodynamic_stability", label: "Thermodynamics", icon: "🌡️" },
+  { key: "regulatory_alignment", label: "Regulation", icon: "⚖️" },
+  { key: "functional_viability", label: "Function", icon: "🔧" },
+];
+
+const formatScore = (value) =>
+  value === null || value === undefined ? "N/A" : `${Math.round(value * 100)}%`;
+
+const formatMoney = (value, currency) =>
+  value.toLocaleString(undefined, {
+    style: "currency",
+    currency,
+    maximumFractionDigits: 0,
+  });
+
+const EMPTY_LOGISTICS = {
+  transport_mode: "truck",
+  quantity: "",
+  unit: "",
+  distance_km: "",
+  disposal_cost_per_t: "",
+  virgin_cost_per_t: "",
+  virgin_co2e_kg_per_t: "",
+};
+
+// Material factor overrides offered in the estimate form
+const LOGISTICS_OVERRIDES = [
+  ["disposal_cost_per_t", "Disposal cost / t"],
+  ["virgin_cost_per_t", "Virgin material cost / t"],
+  ["virgin_co2e_kg_per_t", "Virgin material kg CO2e / t"],
+];
+
+// Net savings and emissions benefit of moving the material to the target,
+// from the server's logistics model, with a form to (re-)estimate them
+const LogisticsEstimate = ({
+  apiUrl,
+  opportunity,
+  config,
+  canEdit,
+  onSaved,
+}) => {
+  const estimate = opportunity.logistics_breakdown;
+  const [showDetails, setShowDetails] = useState(false);
+  const [form, setForm] = useState(null);
+  const [error, setError] = useState(null);
+
+  const openForm = () => {
+    const inputs = estimate?.inputs || {};
+    setForm(
+      Object.fromEntries(
+        Object.entries(EMPTY_LOGISTICS).map(([key, value]) => [
+          key,
+          inputs[key] ?? value,
+        ]),
+      ),
+    );
+    setError(null);
+  };
+
+  const handleEstimate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/reuse-opportunities/${opportunity.id}/logistics`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(form),
+        },
+      );
+      if (response.ok) {
+        setForm(null);
+        onSaved();
+      } else {
+        setError(parseApiError(await response.json()));
+      }
+    } catch (error) {
+      console.error("Error estimating logistics:", error);
+    }
+  };
+
+  const modes = Object.entries(config?.modes || {});
+  const modeLabel = (mode) => config?.modes[mode]?.label || mode;
+
+  return (
+    <div className="logistics-estimate">
+      {estimate && (
+        <div className="logistics-summary">
+          <span
+            className={estimate.net_savings < 0 ? "logistics-loss" : undefined}
+          >
+            💰 {formatMoney(estimate.net_savings, estimate.currency)} net
+          </span>
+          <span
+            className={
+              estimate.net_co2e_reduction_t < 0 ? "logistics-loss" : undefined
+            }
+          >
+            🌱 {estimate.net_co2e_reduction_t} t CO2e avoided
+          </span>
+          <span>
+            {modeLabel(estimate.transport_mode)}, {estimate.route_km} km,{" "}
+            {estimate.quantity_t} t
+          </span>
+          <button
+            className="btn btn-small btn-ghost"
+            onClick={() => setShowDetails(!showDetails)}
+          >
+            {showDetails ? "Hide Calculation" : "Calculation"}
+          </button>
+        </div>
+      )}
+      {estimate && showDetails && (
+        <ul className="logistics-details">
+          <li>
+            Haulage: {estimate.tonne_km} t·km →{" "}
+            {formatMoney(estimate.haulage_cost, estimate.currency)},{" "}
+            {estimate.haulage_co2e_t} t CO2e
+          </li>
+          <li>
+            Avoided disposal:{" "}
+            {formatMoney(estimate.avoided_disposal_cost, estimate.currency)}
+          </li>
+          <li>
+            Avoided virgin {estimate.factors.material.label.toLowerCase()}:{" "}
+            {formatMoney(estimate.avoided_virgin_cost, estimate.currency)}
+          </li>
+          <li>Avoided emissions: {estimate.avoided_co2e_t} t CO2e</li>
+          {estimate.preprocessing_co2e_t > 0 && (
+            <li>
+              Preprocessing energy: {estimate.preprocessing_co2e_t} t CO2e
+            </li>
+          )}
+          <li className="logistics-factors">
+            {estimate.factors.mode.cost_per_tkm} {estimate.currency}/t·km,{" "}
+            {estimate.factors.emissions.transport_co2e_kg_per_tkm} kg CO2e/t·km
+            {estimate.distance_km !== null &&
+              `, route ${estimate.factors.mode.route_factor} × ${estimate.distance_km} km straight line`}
+          </li>
+        </ul>
+      )}
+      {canEdit && !form && (
+        <button className="btn btn-small btn-secondary" onClick={openForm}>
+          🚚 {estimate ? "Re-estimate Transport" : "Estimate Transport"}
+        </button>
+      )}
+      {form && (
+        <form className="inline-edit" onSubmit={handleEstimate}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Transport Mode</label>
+              <select
+                value={form.transport_mode}
+                onChange={(e) =>
+                  setForm({ ...form, transport_mode: e.target.value })
+                }
+              >
+                {modes.map(([value, mode]) => (
+                  <option key={value} value={value}>
+                    {mode.label}
+                  </option>
+                ))}
+              </select>
+              <FieldError error={error} field="transport_mode" />
+            </div>
+            <div className="form-group">
+              <label>Quantity</label>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={form.quantity}
+                onChange={(e) => setForm({ ...form, quantity: e.target.value })}
+                placeholder="Material's quantity"
+              />
+              <FieldError error={error} field="quantity" />
+            </div>
+            <div className="form-group">
+              <label>Unit</label>
+              <select
+                value={form.unit}
+                onChange={(e) => setForm({ ...form, unit: e.target.value })}
+              >
+                <option value="">Material's unit</option>
+                <UnitOptions />
+              </select>
+              <FieldError error={error} field="unit" />
+            </div>
+            <div className="form-group">
+              <label>Route Distance (km)</label>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={form.distance_km}
+                onChange={(e) =>
+                  setForm({ ...form, distance_km: e.target.value })
+                }
+                placeholder="From coordinates"
+              />
+              <FieldError error={error} field="distance_km" />
+            </div>
+          </div>
+          <div className="form-row">
+            {LOGISTICS_OVERRIDES.map(([field, label]) => (
+              <div key={field} className="form-group">
+                <label>{label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={form[field]}
+                  onChange={(e) =>
+                    setForm({ ...form, [field]: e.target.value })
+                  }
+                  placeholder="Default for material type"
+                />
+                <FieldError error={error} field={field} />
+              </div>
+            ))}
+          </div>
+          {error && <div className="form-error">{error.message}</div>}
+          <div className="transaction-actions">
+            <button type="submit" className="btn btn-small btn-success">
+              Estimate
+            </button>
+            <button
+              type="button"
+              className="btn btn-small btn-ghost"
+              onClick={() => setForm(null)}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+const ASSESSMENT_SORTS = [
+  ["feasibility_index", "Feasibility"],
+  ["compatibility_score", "Compatibility"],
+  ["estimated_cost_savings", "Cost savings"],
+  ["created_at", "Date assessed"],
+  ["material_name", "Material"],
+  ["distance_km", "Distance"],
+];
+
+const ASSESSMENT_FILTERS = {
+  status: "",
+  sector: "",
+  material_type: "",
+  min_feasibility: "",
+  radius_km: "",
+  id: "",
+  sort: "feasibility_index",
+  order: "desc",
+};
+
+// Dropdowns list every option rather than a single page
+const OPTION_LIMIT = 500;
+
+const CompatibilityAssessment = ({ apiUrl, setLoading, user, focus }) => {
+  const [assessments, setAssessments] = useState([]);
+  const [materials, setMaterials] = useState([]);
+  const [industries, setIndustries] = useState([]);
+  const [newAssessment, setNewAssessment] = useState({
+    source_material_id: "",
+    target_industry_id: "",
+    preprocessing_required: "",
+  });
+  const [lastResult, setLastResult] = useState(null);
+  const [formError, setFormError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [discoveryThreshold, setDiscoveryThreshold] = useState(50);
+  const [discoveryRadius, setDiscoveryRadius] = useState("");
+  const [discoveryReport, setDiscoveryReport] = useState(null);
+  const [discoveryError, setDiscoveryError] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [editError, setEditError] = useState(null);
+  const [logisticsConfig, setLogisticsConfig] = useState(null);
+  const [historyId, setHistoryId] = useState(null);
+  const [filters, setFilters] = useState(ASSESSMENT_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+
+  const fetchAssessments = useCallback(async () => {
+    setLoading(true);
+    try {
+      const query = toQueryString({
+        ...filters,
+        // Entered as a percentage, sent as a 0–1 index
+        min_feasibility:
+          filters.min_feasibility === "" ? "" : filters.min_feasibility / 100,
+        page,
+      });
+      const response = await apiFetch(`${apiUrl}/reuse-opportunities?${query}`);
+      const data = await response.json();
+      setAssessments(data.data || []);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error("Error fetching assessments:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiUrl, filters, page, setLoading]);
+
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  useEffect(() => {
+    if (!focus) return;
+    setFilters({ ...ASSESSMENT_FILTERS, id: focus.id });
+    setPage(1);
+  }, [focus]);
+
+  const fetchMaterials = useCallback(async () => {
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/materials?status=available&limit=${OPTION_LIMIT}`,
+      );
+      const data = await response.json();
+      setMaterials(data.data || []);
+    } catch (error) {
+      console.error("Error fetching materials:", error);
+    }
+  }, [apiUrl]);
+
+  const fetchIndustries = useCallback(async () => {
+    try {
+      const response = await apiFetch(`${apiUrl}/industries`);
+      const data = await response.json();
+      setIndustries(data);
+    } catch (error) {
+      console.error("Error fetching industries:", error);
+    }
+  }, [apiUrl]);
+
+  useEffect(() => {
+    fetchAssessments();
+    fetchMaterials();
+    fetchIndustries();
+  }, [fetchAssessments, fetchMaterials, fetchIndustries]); // FIX: Added dependencies
+
+  useEffect(() => {
+    apiFetch(`${apiUrl}/logistics/factors`)
+      .then((response) => response.json())
+      .then(setLogisticsConfig)
+      .catch((error) =>
+        console.error("Error fetching logistics factors:", error),
+      );
+  }, [apiUrl]);
+
+  const handleAssess = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch(`${apiUrl}/reuse-opportunities`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...newAssessment,
+          source_material_id: parseInt(newAssessment.source_material_id),
+          target_industry_id: parseInt(newAssessment.target_industry_id),
+        }),
+      });
+
+      if (response.ok) {
+        setLastResult(await response.json());
+        setNewAssessment({
+          source_material_id: "",
+          target_industry_id: "",
+          preprocessing_required: "",
+        });
+        setFormError(null);
+        setShowForm(false);
+        fetchAssessments();
+      } else {
+        setFormError(parseApiError(await response.json()));
+      }
+    } catch (error) {
+      console.error("Error creating assessment:", error);
+    }
+  };
+
+  const handleDiscover = async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/reuse-opportunities/discover`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            threshold: discoveryThreshold / 100,
+            radius_km: discoveryRadius || undefined,
+          }),
+        },
+      );
+      const data = await response.json();
+      if (response.ok) {
+        setDiscoveryReport(data);
+        setDiscoveryError(null);
+        fetchAssessments();
+      } else {
+        setDiscoveryError(parseApiError(data));
+      }
+    } catch (error) {
+      console.error("Error running discovery:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/reuse-opportunities/${editing.id}`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            preprocessing_required: editing.preprocessing_required,
+            notes: editing.notes,
+          }),
+        },
+      );
+      if (response.ok) {
+        setEditing(null);
+        setEditError(null);
+        fetchAssessments();
+      } else {
+        setEditError(parseApiError(await response.json()));
+      }
+    } catch (error) {
+      console.error("Error updating assessment:", error);
+    }
+  };
+
+  const handleDeleteAssessment = async (assessment) => {
+    try {
+      if (
+        await deleteWithConfirm(
+          `${apiUrl}/reuse-opportunities/${assessment.id}`,
+          `${assessment.material_name} → ${assessment.target_industry_name}`,
+        )
+      )
+        fetchAssessments();
+    } catch (error) {
+      console.error("Error deleting assessment:", error);
+    }
+  };
+
+  const handleStatusChange = async (assessmentId, status) => {
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/reuse-opportunities/${assessmentId}/status`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ status }),
+        },
+      );
+      if (response.ok) fetchAssessments();
+    } catch (error) {
+      console.error("Error updating assessment status:", error);
+    }
+  };
+
+  const getFeasibilityColor = (value) => {
+    if (value >= 80) return "#10b981";
+    if (value >= 60) return "#f59e0b";
+    return "#ef4444";
+  };
+
+  return (
+    <div className="view-container">
+      <div className="view-header">
+        <h2>Compatibility Assessment</h2>
+        <div className="header-controls">
+          <label className="inline-label">
+            Min feasibility
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={discoveryThreshold}
+              onChange={(e) => setDiscoveryThreshold(e.target.value)}
+              className="threshold-input"
+            />
+            %
+          </label>
+          <FieldError error={discoveryError} field="threshold" />
+          <label className="inline-label">
+            Within
+            <input
+              type="number"
+              min="1"
+              value={discoveryRadius}
+              onChange={(e) => setDiscoveryRadius(e.target.value)}
+              placeholder="any"
+              className="threshold-input"
+            />
+            km
+          </label>
+          <FieldError error={discoveryError} field="radius_km" />
+          {can(user, "opportunities:review") && (
+            <button className="btn btn-secondary" onClick={handleDiscover}>
+              🔍 Run Discovery
+            </button>
+          )}
+          {can(user, "opportunities:write") && (
+            <button
+              className="btn btn-primary"
+              onClick={() => setShowForm(!showForm)}
+            >
+              {showForm ? "× Cancel" : "+ New Assessment"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {discoveryReport && (
+        <div className="assessment-result">
+          <h4>Discovery complete</h4>
+          <p>
+            Evaluated {discoveryReport.evaluated} material–industry pairs:{" "}
+            {discoveryReport.created} new opportunities created,{" "}
+            {discoveryReport.skipped} already known,{" "}
+            {discoveryReport.below_threshold} below{" "}
+            {Math.round(discoveryReport.threshold * 100)}% feasibility.
+            {discoveryReport.radius_km !== null &&
+              ` ${discoveryReport.out_of_range} pairs were farther than ${discoveryReport.radius_km} km apart or had no coordinates.`}
+          </p>
+        </div>
+      )}
+
+      {showForm && (
+        <form className="form-container" onSubmit={handleAssess}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Source Material *</label>
+              <select
+                value={newAssessment.source_material_id}
+                onChange={(e) =>
+                  setNewAssessment({
+                    ...newAssessment,
+                    source_material_id: e.target.value,
+                  })
+                }
+                required
+              >
+                <option value="">Select Material</option>
+                {materials.map((mat) => (
+                  <option key={mat.id} value={mat.id}>
+                    {mat.name}
+                  </option>
+                ))}
+              </select>
+              <FieldError error={formError} field="source_material_id" />
+            </div>
+            <div className="form-group">
+              <label>Target Industry *</label>
+              <select
+                value={newAssessment.target_industry_id}
+                onChange={(e) =>
+                  setNewAssessment({
+                    ...newAssessment,
+                    target_industry_id: e.target.value,
+                  })
+                }
+                required
+              >
+                <option value="">Select Industry</option>
+                {industries.map((ind) => (
+                  <option key={ind.id} value={ind.id}>
+                    {ind.name}
+                  </option>
+                ))}
+              </select>
+              <FieldError error={formError} field="target_industry_id" />
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Preprocessing Requirements</label>
+            <textarea
+              value={newAssessment.preprocessing_required}
+              onChange={(e) =>
+                setNewAssessment({
+                  ...newAssessment,
+                  preprocessing_required: e.target.value,
+                })
+              }
+              placeholder="Describe any preprocessing needed..."
+              rows="3"
+            />
+            <FieldError error={formError} field="preprocessing_required" />
+          </div>
+
+          <p className="form-hint">
+            Compatibility is scored by the engine from the material's
+            composition, mechanical tolerance, thermal stability and regulatory
+            status against the target industry's requirements.
+          </p>
+
+          {formError && <div className="form-error">{formError.message}</div>}
+          <button type="submit" className="btn btn-success">
+            Run Assessment
+          </button>
+        </form>
+      )}
+
+      {lastResult && (
+        <div className="assessment-result">
+          <h4>
+            Latest assessment: {Math.round(lastResult.feasibility_index * 100)}%
+            feasible ({Math.round(lastResult.compatibility_score * 100)}%
+            compatible, {formatDistance(lastResult.distance_km)})
+          </h4>
+          <ul>
+            {SCORE_DIMENSIONS.map(({ key, label }) => (
+              <li key={key}>
+                <strong>{label}:</strong>{" "}
+                {formatScore(lastResult.breakdown[key]?.score)} —{" "}
+                {lastResult.breakdown[key]?.reason}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="filter-bar">
+        <select
+          value={filters.status}
+          onChange={(e) => updateFilters({ status: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">All Statuses</option>
+          <option value="discovered">Discovered</option>
+          <option value="under_review">Under Review</option>
+          <option value="accepted">Accepted</option>
+          <option value="rejected">Rejected</option>
+        </select>
+        <select
+          value={filters.sector}
+          onChange={(e) => updateFilters({ sector: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">All Target Sectors</option>
+          {SECTORS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={filters.material_type}
+          onChange={(e) => updateFilters({ material_type: e.target.value })}
+          placeholder="Material type"
+          className="filter-input"
+        />
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={filters.min_feasibility}
+          onChange={(e) => updateFilters({ min_feasibility: e.target.value })}
+          placeholder="Min feasibility %"
+          className="filter-input"
+        />
+        <input
+          type="number"
+          min="1"
+          value={filters.radius_km}
+          onChange={(e) => updateFilters({ radius_km: e.target.value })}
+          placeholder="Within km"
+          title="Source and target at most this far apart"
+          className="filter-input"
+        />
+        <SortControl
+          options={ASSESSMENT_SORTS}
+          sort={filters.sort}
+          order={filters.order}
+          onChange={(sort, order) => updateFilters({ sort, order })}
+        />
+        {filters.id && (
+          <button
+            className="btn btn-secondary"
+            onClick={() => updateFilters({ id: "" })}
+          >
+            × Showing search result
+          </button>
+        )}
+      </div>
+
+      <div className="assessments-list">
+        {assessments.length === 0 ? (
+          <div className="empty-state">
+            No assessments yet. Create one to get started.
+          </div>
+        ) : (
+          assessments.map((assessment) => (
+            <div key={assessment.id} className="assessment-card">
+              <div className="assessment-header">
+                <h4>
+                  {assessment.material_name} → {assessment.target_industry_name}
+                </h4>
+                <div
+                  className="feasibility-score"
+                  style={{
+                    backgroundColor: getFeasibilityColor(
+                      assessment.feasibility_index * 100,
+                    ),
+                  }}
+                >
+                  {Math.round(assessment.feasibility_index * 100)}%
+                </div>
+              </div>
+              <div className="assessment-params-display">
+                {SCORE_DIMENSIONS.map(({ key, label, icon }) => (
+                  <span
+                    key={key}
+                    title={assessment.score_breakdown?.[key]?.reason || ""}
+                  >
+                    {icon} {label}: {formatScore(assessment[key])}
+                  </span>
+                ))}
+                <span title="Between the source and target industries">
+                  🚚 {formatDistance(assessment.distance_km)}
+                </span>
+              </div>
+              <LogisticsEstimate
+                apiUrl={apiUrl}
+                opportunity={assessment}
+                config={logisticsConfig}
+                canEdit={
+                  isMemberOf(user, assessment.target_organization_id) &&
+                  can(user, "opportunities:write")
+                }
+                onSaved={fetchAssessments}
+              />
+              {editing?.id === assessment.id ? (
+                <form className="inline-edit" onSubmit={handleSaveEdit}>
+                  <label>Preprocessing Requirements</label>
+                  <textarea
+                    value={editing.preprocessing_required}
+                    onChange={(e) =>
+                      setEditing({
+                        ...editing,
+                        preprocessing_required: e.target.value,
+                      })
+                    }
+                    rows="2"
+                  />
+                  <FieldError
+                    error={editError}
+                    field="preprocessing_required"
+                  />
+                  <label>Notes</label>
+                  <textarea
+                    value={editing.notes}
+                    onChange={(e) =>
+                      setEditing({ ...editing, notes: e.target.value })
+                    }
+                    rows="2"
+                  />
+                  <FieldError error={editError} field="notes" />
+                  <div className="transaction-actions">
+                    <button type="submit" className="btn btn-small btn-success">
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-small btn-ghost"
+                      onClick={() => {
+                        setEditing(null);
+                        setEditError(null);
+                      }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                (assessment.preprocessing_required || assessment.notes) && (
+                  <div className="assessment-notes">
+                    {assessment.preprocessing_required && (
+                      <p>🛠️ {assessment.preprocessing_required}</p>
+                    )}
+                    {assessment.notes && <p>📝 {assessment.notes}</p>}
+                  </div>
+                )
+              )}
+              <div className="assessment-footer">
+                <span className={`status-badge ${assessment.status}`}>
+                  {assessment.status?.replace(/_/g, " ")}
+                </span>
+                {isMemberOf(user, assessment.target_organization_id) && (
+                  <>
+                    {can(user, "opportunities:write") && (
+                      <div className="card-controls">
+                        <button
+                          className="icon-button"
+                          title="Edit assessment"
+                          onClick={() =>
+                            setEditing({
+                              id: assessment.id,
+                              preprocessing_required:
+                                assessment.preprocessing_required || "",
+                              notes: assessment.notes || "",
+                            })
+                          }
+                        >
+                          ✏️
+                        </button>
+                        <button
+                          className="icon-button"
+                          title="Delete assessment"
+                          onClick={() => handleDeleteAssessment(assessment)}
+                        >
+                          🗑️
+                        </button>
+                      </div>
+                    )}
+                    {can(user, "opportunities:review") &&
+                      (assessment.status === "discovered" ||
+                        assessment.status === "under_review") && (
+                        <div className="transaction-actions">
+                          <button
+                            className="btn btn-small btn-success"
+                            onClick={() =>
+                              handleStatusChange(assessment.id, "accepted")
+                            }
+                          >
+                            Accept
+                          </button>
+                          <button
+                            className="btn btn-small btn-danger"
+                            onClick={() =>
+                              handleStatusChange(assessment.id, "rejected")
+                            }
+                          >
+                            Reject
+                          </button>
+                        </div>
+                      )}
+                  </>
+                )}
+                <button
+                  className="btn btn-small btn-ghost"
+                  onClick={() =>
+                    setHistoryId(
+                      historyId === assessment.id ? null : assessment.id,
+                    )
+                  }
+                >
+                  {historyId === assessment.id ? "Hide History" : "History"}
+                </button>
+              </div>
+              {historyId === assessment.id && (
+                <div className="assessment-history">
+                  <AuditHistory
+                    apiUrl={apiUrl}
+                    entity="opportunity"
+                    entityId={assessment.id}
+                  />
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+      <Pager pagination={pagination} onPageChange={setPage} />
+    </div>
+  );
+};
+
+const TRANSACTION_ACTION_LABELS = {
+  approve: "Approve",
+  ship: "Mark Shipped",
+  receive: "Mark Received",
+  complete: "Complete",
+  fail: "Mark Failed",
+  cancel: "Cancel",
+};
+
+const EMPTY_TRANSACTION = {
+  opportunity_id: "",
+  material_id: "",
+  target_industry_id: "",
+  quantity_transferred: "",
+  unit: "",
+  notes: "",
+};
+
+const TransactionHistory = ({ apiUrl, transactionId }) => {
+  const [history, setHistory] = useState([]);
+
+  useEffect(() => {
+    apiFetch(`${apiUrl}/transactions/${transactionId}/history`)
+      .then((response) => response.json())
+      .then(setHistory)
+      .catch((error) => console.error("Error fetching history:", error));
+  }, [apiUrl, transactionId]);
+
+  return (
+    <ul className="transaction-history">
+      {history.map((entry) => (
+        <li key={entry.id}>
+          <span>{new Date(entry.created_at).toLocaleString()}</span>
+          <span>
+            {entry.from_status || "—"} → {entry.to_status}
+          </span>
+          <span>by {entry.actor}</span>
+          {entry.note && <span>“{entry.note}”</span>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const TRANSACTION_SORTS = [
+  ["transaction_date", "Date"],
+  ["updated_at", "Last update"],
+  ["quantity_transferred", "Quantity"],
+  ["cost_savings", "Cost savings"],
+];
+
+const TRANSACTION_FILTERS = {
+  status: "pending",
+  sector: "",
+  date_from: "",
+  date_to: "",
+  min_quantity: "",
+  max_quantity: "",
+  sort: "transaction_date",
+  order: "desc",
+};
+
+const TransactionsView = ({ apiUrl, setLoading, user }) => {
+  const [transactions, setTransactions] = useState([]);
+  const [filters, setFilters] = useState(TRANSACTION_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [opportunities, setOpportunities] = useState([]);
+  const [materials, setMaterials] = useState([]);
+  const [industries, setIndustries] = useState([]);
+  const [newTransaction, setNewTransaction] = useState(EMPTY_TRANSACTION);
+  const [showForm, setShowForm] = useState(false);
+  const [historyId, setHistoryId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchTransactions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/transactions?${toQueryString({ ...filters, page })}`,
+      );
+      const data = await response.json();
+      setTransactions(data.data || []);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error("Error fetching transactions:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiUrl, filters, page, setLoading]);
+
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
+
+  const fetchFormOptions = useCallback(async () => {
+    try {
+      const [oppResponse, matResponse, indResponse] = await Promise.all([
+        apiFetch(
+          `${apiUrl}/reuse-opportunities?status=accepted&limit=${OPTION_LIMIT}`,
+        ),
+        apiFetch(`${apiUrl}/materials?status=available&limit=${OPTION_LIMIT}`),
+        apiFetch(`${apiUrl}/industries`),
+      ]);
+      setOpportunities((await oppResponse.json()).data || []);
+      setMaterials((await matResponse.json()).data || []);
+      setIndustries(await indResponse.json());
+    } catch (error) {
+      console.error("Error fetching transaction options:", error);
+    }
+  }, [apiUrl]);
+
+  useEffect(() => {
+    fetchTransactions();
+  }, [fetchTransactions]); // FIX: Added missing dependency
+
+  useEffect(() => {
+    if (showForm) fetchFormOptions();
+  }, [showForm, fetchFormOptions]);
+
+  // Selecting an accepted opportunity prefills the material and target
+  const handleSelectOpportunity = (opportunityId) => {
+    const opportunity = opportunities.find(
+      (opp) => opp.id === parseInt(opportunityId),
+    );
+    setNewTransaction({
+      ...newTransaction,
+      opportunity_id: opportunityId,
+      material_id: opportunity ? String(opportunity.source_material_id) : "",
+      target_industry_id: opportunity
+        ? String(opportunity.target_industry_id)
+        : "",
+    });
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const response = await apiFetch(`${apiUrl}/transactions`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          ...newTransaction,
+          opportunity_id: newTransaction.opportunity_id || undefined,
+          material_id: parseInt(newTransaction.material_id),
+          target_industry_id: parseInt(newTransaction.target_industry_id),
+          quantity_transferred: parseFloat(newTransaction.quantity_transferred),
+        }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setNewTransaction(EMPTY_TRANSACTION);
+        setShowForm(false);
+        if (filters.status === "pending") fetchTransactions();
+        else updateFilters({ status: "pending" });
+      } else {
+        setError(parseApiError(data));
+      }
+    } catch (error) {
+      console.error("Error creating transaction:", error);
+    }
+  };
+
+  const handleAction = async (transactionId, action) => {
+    setError(null);
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/transactions/${transactionId}/${action}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({}),
+        },
+      );
+      const data = await response.json();
+      if (!response.ok) setError(parseApiError(data));
+      fetchTransactions();
+    } catch (error) {
+      console.error(`Error running ${action}:`, error);
+    }
+  };
+
+  const prefilled = Boolean(newTransaction.opportunity_id);
+
+  return (
+    <div className="view-container">
+      <div className="view-header">
+        <h2>Material Transactions</h2>
+        <div className="header-controls">
+          <select
+            value={filters.status}
+            onChange={(e) => updateFilters({ status: e.target.value })}
+            className="filter-select"
+          >
+            <option value="">All Statuses</option>
+            <option value="pending">Pending</option>
+            <option value="approved">Approved</option>
+            <option value="shipped">Shipped</option>
+            <option value="received">Received</option>
+            <option value="completed">Completed</option>
+            <option value="failed">Failed</option>
+            <option value="cancelled">Cancelled</option>
+          </select>
+          {can(user, "transactions:write") && (
+            <button
+              className="btn btn-primary"
+              onClick={() => setShowForm(!showForm)}
+            >
+              {showForm ? "× Cancel" : "+ New Transaction"}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <div className="form-error">{error.message}</div>}
+
+      {showForm && (
+        <form className="form-container" onSubmit={handleCreate}>
+          <div className="form-group">
+            <label>From Accepted Opportunity</label>
+            <select
+              value={newTransaction.opportunity_id}
+              onChange={(e) => handleSelectOpportunity(e.target.value)}
+            >
+              <option value="">None — enter manually</option>
+              {opportunities.map((opp) => (
+                <option key={opp.id} value={opp.id}>
+                  {opp.material_name} → {opp.target_industry_name} (
+                  {Math.round(opp.feasibility_index * 100)}%)
+                </option>
+              ))}
+            </select>
+            <FieldError error={error} field="opportunity_id" />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Material *</label>
+              <select
+                value={newTransaction.material_id}
+                onChange={(e) =>
+                  setNewTransaction({
+                    ...newTransaction,
+                    material_id: e.target.value,
+                  })
+                }
+                disabled={prefilled}
+                required
+              >
+                <option value="">Select Material</option>
+                {materials.map((mat) => (
+                  <option key={mat.id} value={mat.id}>
+                    {mat.name} ({mat.industry_name})
+                  </option>
+                ))}
+              </select>
+              <FieldError error={error} field="material_id" />
+            </div>
+            <div className="form-group">
+              <label>Target Industry *</label>
+              <select
+                value={newTransaction.target_industry_id}
+                onChange={(e) =>
+                  setNewTransaction({
+                    ...newTransaction,
+                    target_industry_id: e.target.value,
+                  })
+                }
+                disabled={prefilled}
+                required
+              >
+                <option value="">Select Industry</option>
+                {industries.map((ind) => (
+                  <option key={ind.id} value={ind.id}>
+                    {ind.name}
+                  </option>
+                ))}
+              </select>
+              <FieldError error={error} field="target_industry_id" />
+            </div>
+            <div className="form-group">
+              <label>Quantity *</label>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={newTransaction.quantity_transferred}
+                onChange={(e) =>
+                  setNewTransaction({
+                    ...newTransaction,
+                    quantity_transferred: e.target.value,
+                  })
+                }
+                required
+              />
+              <FieldError error={error} field="quantity_transferred" />
+            </div>
+            <div className="form-group">
+              <label>Unit</label>
+              <select
+                value={newTransaction.unit}
+                onChange={(e) =>
+                  setNewTransaction({ ...newTransaction, unit: e.target.value })
+                }
+              >
+                <option value="">Material's unit</option>
+                <UnitOptions />
+              </select>
+              <FieldError error={error} field="unit" />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea
+              value={newTransaction.notes}
+              onChange={(e) =>
+                setNewTransaction({ ...newTransaction, notes: e.target.value })
+              }
+              rows="2"
+            />
+            <FieldError error={error} field="notes" />
+          </div>
+          <button type="submit" className="btn btn-success">
+            Create Transaction
+          </button>
+        </form>
+      )}
+
+      <div className="filter-bar">
+        <select
+          value={filters.sector}
+          onChange={(e) => updateFilters({ sector: e.target.value })}
+          className="filter-select"
+        >
+          <option value="">All Source Sectors</option>
+          {SECTORS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.date_from}
+          onChange={(e) => updateFilters({ date_from: e.target.value })}
+          title="From date"
+          className="filter-input"
+        />
+        <input
+          type="date"
+          value={filters.date_to}
+          onChange={(e) => updateFilters({ date_to: e.target.value })}
+          title="To date"
+          className="filter-input"
+        />
+        <input
+          type="number"
+          min="0"
+          value={filters.min_quantity}
+          onChange={(e) => updateFilters({ min_quantity: e.target.value })}
+          placeholder="Min quantity"
+          className="filter-input"
+        />
+        <input
+          type="number"
+          min="0"
+          value={filters.max_quantity}
+          onChange={(e) => updateFilters({ max_quantity: e.target.value })}
+          placeholder="Max quantity"
+          className="filter-input"
+        />
+        <SortControl
+          options={TRANSACTION_SORTS}
+          sort={filters.sort}
+          order={filters.order}
+          onChange={(sort, order) => updateFilters({ sort, order })}
+        />
+      </div>
+
+      <div className="transactions-timeline">
+        {transactions.length === 0 ? (
+          <div className="empty-state">No transactions found</div>
+        ) : (
+          transactions.map((transaction) => (
+            <div key={transaction.id} className="transaction-item">
+              <div className="transaction-timeline-marker"></div>
+              <div className="transaction-content">
+                <div className="transaction-header">
+                  <h4>{transaction.material_name}</h4>
+                  <span className={`status-badge ${transaction.status}`}>
+                    {transaction.status}
+                  </span>
+                </div>
+                <p className="transaction-route">
+                  {transaction.source_industry} → {transaction.target_industry}
+                </p>
+                <div className="transaction-details">
+                  <span>
+                    📦 {transaction.quantity_transferred} {transaction.unit}
+                  </span>
+                  <span>
+                    📅{" "}
+                    {new Date(
+                      transaction.transaction_date,
+                    ).toLocaleDateString()}
+                  </span>
+                  {transaction.carbon_breakdown && (
+                    <span
+                      title={`Landfill ${transaction.carbon_breakdown.landfill_avoided_co2e_t} + virgin ${transaction.carbon_breakdown.virgin_displaced_co2e_t} − preprocessing ${transaction.carbon_breakdown.preprocessing_co2e_t} − transport ${transaction.carbon_breakdown.transport_co2e_t} t CO2e`}
+                    >
+                      🌱 {formatCo2e(transaction.environmental_benefit)} avoided
+                    </span>
+                  )}
+                </div>
+                <div className="transaction-actions">
+                  {(transaction.allowed_actions || []).map((action) => (
+                    <button
+                      key={action}
+                      className={`btn btn-small ${
+                        action === "fail" || action === "cancel"
+                          ? "btn-danger"
+                          : "btn-secondary"
+                      }`}
+                      onClick={() => handleAction(transaction.id, action)}
+                    >
+                      {TRANSACTION_ACTION_LABELS[action]}
+                    </button>
+                  ))}
+                  <button
+                    className="btn btn-small btn-ghost"
+                    onClick={() =>
+                      setHistoryId(
+                        historyId === transaction.id ? null : transaction.id,
+                      )
+                    }
+                  >
+                    {historyId === transaction.id ? "Hide History" : "History"}
+                  </button>
+                </div>
+                {historyId === transaction.id && (
+                  <>
+                    <TransactionHistory
+                      apiUrl={apiUrl}
+                      transactionId={transaction.id}
+                    />
+                    <h4 className="audit-heading">Record changes</h4>
+                    <AuditHistory
+                      apiUrl={apiUrl}
+                      entity="transaction"
+                      entityId={transaction.id}
+                    />
+                  </>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+      <Pager pagination={pagination} onPageChange={setPage} />
+    </div>
+  );
+};
+
+const METRIC_SORTS = [
+  ["measured_at", "Measured"],
+  ["material_name", "Material"],
+  ["days_to_reabsorption", "Days to reabsorption"],
+  ["circulation_cycles", "Cycles"],
+  ["reabsorption_rate", "Reabsorption rate"],
+];
+
+const METRIC_FILTERS = {
+  snapshot: "latest",
+  sector: "",
+  material_name: "",
+  measured_from: "",
+  measured_to: "",
+  sort: "measured_at",
+  order: "desc",
+  limit: 10,
+};
+
+const STOCK_GROUPS = [
+  ["sector", "Sector"],
+  ["material_type", "Material type"],
+];
+
+// Material stock per sector or type, converted to one display unit
+const OPTIMIZE_OBJECTIVES = [
+  ["net_savings", "Net savings"],
+  ["co2e_avoided", "CO2e avoided"],
+];
+
+const EMPTY_OPTIMIZATION = {
+  objective: "net_savings",
+  transport_mode: "truck",
+  max_distance_km: "",
+  min_lot_t: "",
+  min_feasibility: "",
+  material_type: "",
+};
+
+// Proposes how to split available materials between the industries that
+// declare a demand for them, and turns the proposals the user is a party to
+// into pending transactions in one go
+const OptimizeView = ({ apiUrl, setLoading, user }) => {
+  const [form, setForm] = useState(EMPTY_OPTIMIZATION);
+  const [config, setConfig] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    apiFetch(`${apiUrl}/logistics/factors`)
+      .then((response) => response.json())
+      .then(setConfig)
+      .catch((error) => console.error("Error fetching factors:", error));
+  }, [apiUrl]);
+
+  const handleOptimize = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setMessage(null);
+    setLoading(true);
+    try {
+      const response = await apiFetch(`${apiUrl}/optimize`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(form),
+      });
+      const data = await response.json();
+      if (response.ok) setResult(data);
+      else setError(parseApiError(data));
+    } catch (error) {
+      console.error("Error optimizing allocation:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const acceptable = (result?.proposals || []).filter(
+    (proposal) =>
+      isMemberOf(user, proposal.source_organization_id) ||
+      isMemberOf(user, proposal.target_organization_id),
+  );
+
+  const handleAccept = async () => {
+    setError(null);
+    try {
+      const response = await apiFetch(`${apiUrl}/optimize/accept`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          proposals: acceptable,
+          transport_mode: result.transport_mode,
+        }),
+      });
+      const data = await response.json();
+      if (response.ok) {
+        setResult(null);
+        setMessage(`${data.message}; they are pending under Transactions.`);
+      } else {
+        setError(parseApiError(data));
+      }
+    } catch (error) {
+      console.error("Error accepting proposals:", error);
+    }
+  };
+
+  const currency = result?.currency || config?.currency || "USD";
+
+  return (
+    <div className="view-container">
+      <div className="view-header">
+        <h2>Allocation Optimizer</h2>
+      </div>
+
+      <form className="form-container" onSubmit={handleOptimize}>
+        <div className="form-row">
+          <div className="form-group">
+            <label>Maximize</label>
+            <select
+              value={form.objective}
+              onChange={(e) => setForm({ ...form, objective: e.target.value })}
+            >
+              {OPTIMIZE_OBJECTIVES.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Transport Mode</label>
+            <select
+              value={form.transport_mode}
+              onChange={(e) =>
+                setForm({ ...form, transport_mode: e.target.value })
+              }
+            >
+              {Object.entries(config?.modes || {}).map(([value, mode]) => (
+                <option key={value} value={value}>
+                  {mode.label}
+                </option>
+              ))}
+            </select>
+            <FieldError error={error} field="transport_mode" />
+          </div>
+          <div className="form-group">
+            <label>Material Type</label>
+            <input
+              type="text"
+              value={form.material_type}
+              onChange={(e) =>
+                setForm({ ...form, material_type: e.target.value })
+              }
+              placeholder="e.g. fly ash"
+            />
+            <FieldError error={error} field="material_type" />
+          </div>
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label>Max Distance (km)</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.max_distance_km}
+              onChange={(e) =>
+                setForm({ ...form, max_distance_km: e.target.value })
+              }
+              placeholder="No limit"
+            />
+            <FieldError error={error} field="max_distance_km" />
+          </div>
+          <div className="form-group">
+            <label>Minimum Lot (t)</label>
+            <input
+              type="number"
+              min="0"
+              step="any"
+              value={form.min_lot_t}
+              onChange={(e) => setForm({ ...form, min_lot_t: e.target.value })}
+              placeholder="None"
+            />
+            <FieldError error={error} field="min_lot_t" />
+          </div>
+          <div className="form-group">
+            <label>Min Feasibility</label>
+            <select
+              value={form.min_feasibility}
+              onChange={(e) =>
+                setForm({ ...form, min_feasibility: e.target.value })
+              }
+            >
+              <option value="">Discovery threshold</option>
+              {FEASIBILITY_THRESHOLDS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <FieldError error={error} field="min_feasibility" />
+          </div>
+        </div>
+        <button type="submit" className="btn btn-primary">
+          ⚖️ Optimize
+        </button>
+      </form>
+
+      {error && (
+        <div className="form-error">
+          {error.message}
+          {Object.entries(error.fields)
+            .filter(([field]) => field.startsWith("proposals"))
+            .map(([field, text]) => (
+              <div key={field}>
+                {field}: {text}
+              </div>
+            ))}
+        </div>
+      )}
+      {message && <div className="rules-message">{message}</div>}
+
+      {result && (
+        <>
+          <div className="metrics-table">
+            <h3>Proposed Transfers</h3>
+            <p className="carbon-total">
+              {result.totals.quantity_t.toFixed(1)} t moved ·{" "}
+              {formatMoney(result.totals.net_savings, currency)} net savings ·{" "}
+              {formatCo2e(result.totals.net_co2e_reduction_t)} avoided
+            </p>
+            {result.proposals.length === 0 ? (
+              <div className="empty-state">
+                No allocation meets the constraints
+              </div>
+            ) : (
+              <table>
+                <thead>
+                  <tr>
+                    <th>Material</th>
+                    <th>From</th>
+                    <th>To</th>
+                    <th>Quantity (t)</th>
+                    <th>Distance</th>
+                    <th>Feasibility</th>
+                    <th>Net savings</th>
+                    <th>CO2e avoided</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {result.proposals.map((proposal) => (
+                    <tr
+                      key={`${proposal.material_id}:${proposal.requirement_id}`}
+                    >
+                      <td>{proposal.material_name}</td>
+                      <td>{proposal.source_industry}</td>
+                      <td>
+                        {proposal.target_industry} ({proposal.requirement_name})
+                      </td>
+                      <td>{proposal.quantity_t.toFixed(1)}</td>
+                      <td>{formatDistance(proposal.distance_km)}</td>
+                      <td>{formatScore(proposal.feasibility_index)}</td>
+                      <td>{formatMoney(proposal.net_savings, currency)}</td>
+                      <td>{formatCo2e(proposal.net_co2e_reduction_t)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {result.proposals.length > 0 && can(user, "transactions:write") && (
+              <button
+                className="btn btn-success"
+                onClick={handleAccept}
+                disabled={acceptable.length === 0}
+                title={
+                  acceptable.length < result.proposals.length
+                    ? "Only transfers to or from your organization's industries are accepted"
+                    : undefined
+                }
+              >
+                ✓ Accept {acceptable.length} of {result.proposals.length}{" "}
+                proposals
+              </button>
+            )}
+            <div className="metric-note">
+              {result.links} candidate links
+              {result.truncated && " (only the most valuable considered)"}. Left
+              out: {result.excluded.below_feasibility} below feasibility,{" "}
+              {result.excluded.out_of_range} out of range,{" "}
+              {result.excluded.forbidden} forbidden by rules,{" "}
+              {result.excluded.no_distance} without coordinates,{" "}
+              {result.excluded.unconverted} quantities not in tonnes.
+            </div>
+          </div>
+
+          <div className="metrics-table">
+            <h3>Demand Coverage</h3>
+            <table>
+              <thead>
+                <tr>
+                  <th>Industry</th>
+                  <th>Requirement</th>
+                  <th>Monthly demand (t)</th>
+                  <th>Allocated (t)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.demands.map((demand) => (
+                  <tr key={demand.requirement_id}>
+                    <td>{demand.industry}</td>
+                    <td>{demand.requirement_name}</td>
+                    <td>{demand.demand_t.toFixed(1)}</td>
+                    <td>{demand.allocated_t.toFixed(1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const StockTotals = ({ apiUrl }) => {
+  const [stock, setStock] = useState(null);
+  const [unit, setUnit] = useState("t");
+  const [groupBy, setGroupBy] = useState("sector");
+
+  useEffect(() => {
+    apiFetch(`${apiUrl}/analytics/stock?unit=${unit}&group_by=${groupBy}`)
+      .then((response) => response.json())
+      .then(setStock)
+      .catch((error) => console.error("Error fetching stock totals:", error));
+  }, [apiUrl, unit, groupBy]);
+
+  return (
+    <div className="metrics-table">
+      <h3>Material Stock</h3>
+      <div className="filter-bar">
+        <select
+          value={groupBy}
+          onChange={(e) => setGroupBy(e.target.value)}
+          className="filter-select"
+        >
+          {STOCK_GROUPS.map(([value, label]) => (
+            <option key={value} value={value}>
+              By {label.toLowerCase()}
+            </option>
+          ))}
+        </select>
+        <select
+          value={unit}
+          onChange={(e) => setUnit(e.target.value)}
+          className="filter-select"
+        >
+          {DISPLAY_UNITS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      {stock && (
+        <table>
+          <thead>
+            <tr>
+              <th>{STOCK_GROUPS.find(([value]) => value === groupBy)[1]}</th>
+              <th>Total ({UNIT_LABELS[stock.unit]})</th>
+              <th>Materials</th>
+              <th>Not included</th>
+            </tr>
+          </thead>
+          <tbody>
+            {(stock.data || []).map((group) => (
+              <tr key={group.key}>
+                <td>{group.key}</td>
+                <td>{group.total.toFixed(2)}</td>
+                <td>{group.materials}</td>
+                <td>{describeUnconverted(group.unconverted) || "—"}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const CARBON_GROUPS = [
+  ["period", "Period"],
+  ["source_industry", "Source industry"],
+  ["target_industry", "Receiving industry"],
+  ["source_sector", "Source sector"],
+  ["target_sector", "Receiving sector"],
+  ["material_type", "Material type"],
+];
+
+const CARBON_PERIODS = [
+  ["week", "Weekly"],
+  ["month", "Monthly"],
+  ["quarter", "Quarterly"],
+  ["year", "Yearly"],
+];
+
+const EMPTY_CARBON_FILTERS = {
+  group_by: "period",
+  period: "month",
+  completed_from: "",
+  completed_to: "",
+};
+
+// Tonnes CO2e, to one decimal place above a tonne and three below
+const formatCo2e = (tonnes) =>
+  `${(tonnes || 0).toFixed(Math.abs(tonnes || 0) >= 1 ? 1 : 3)} t CO2e`;
+
+// CO2e avoided by completed transactions, from the server's carbon
+// accounting, per period, industry, sector or material type
+const CarbonAccounting = ({ apiUrl }) => {
+  const [carbon, setCarbon] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_CARBON_FILTERS);
+
+  useEffect(() => {
+    apiFetch(`${apiUrl}/analytics/carbon?${toQueryString(filters)}`)
+      .then((response) => response.json())
+      .then(setCarbon)
+      .catch((error) => console.error("Error fetching carbon totals:", error));
+  }, [apiUrl, filters]);
+
+  const updateFilters = (changes) => setFilters({ ...filters, ...changes });
+
+  return (
+    <div className="metrics-table">
+      <h3>Carbon Accounting</h3>
+      <div className="filter-bar">
+        <select
+          value={filters.group_by}
+          onChange={(e) => updateFilters({ group_by: e.target.value })}
+          className="filter-select"
+        >
+          {CARBON_GROUPS.map(([value, label]) => (
+            <option key={value} value={value}>
+              By {label.toLowerCase()}
+            </option>
+          ))}
+        </select>
+        {filters.group_by === "period" && (
+          <select
+            value={filters.period}
+            onChange={(e) => updateFilters({ period: e.target.value })}
+            className="filter-select"
+          >
+            {CARBON_PERIODS.map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        )}
+        <input
+          type="date"
+          value={filters.completed_from}
+          onChange={(e) => updateFilters({ completed_from: e.target.value })}
+          title="Completed from"
+          className="filter-input"
+        />
+        <input
+          type="date"
+          value={filters.completed_to}
+          onChange={(e) => updateFilters({ completed_to: e.target.value })}
+          title="Completed to"
+          className="filter-input"
+        />
+      </div>
+      {carbon?.total && (
+        <table>
+          <thead>
+            <tr>
+              <th>
+                {CARBON_GROUPS.find(([value]) => value === carbon.group_by)[1]}
+              </th>
+              <th>Transfers</th>
+              <th>Quantity (t)</th>
+              <th>Landfill Avoided</th>
+              <th>Virgin Displaced</th>
+              <th>Preprocessing</th>
+              <th>Transport</th>
+              <th>Net Avoided (t CO2e)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {carbon.data.map((group) => (
+              <tr key={group.key}>
+                <td>{group.label}</td>
+                <td>{group.transactions}</td>
+                <td>{group.quantity_t.toFixed(1)}</td>
+                <td>{group.landfill_avoided_co2e_t.toFixed(2)}</td>
+                <td>{group.virgin_displaced_co2e_t.toFixed(2)}</td>
+                <td>−{group.preprocessing_co2e_t.toFixed(2)}</td>
+                <td>−{group.transport_co2e_t.toFixed(2)}</td>
+                <td>{group.net_co2e_avoided_t.toFixed(2)}</td>
+              </tr>
+            ))}
+          </tbody>
+          <tfoot>
+            <tr className="carbon-total">
+              <td>Total</td>
+              <td>{carbon.total.transactions}</td>
+              <td>{carbon.total.quantity_t.toFixed(1)}</td>
+              <td>{carbon.total.landfill_avoided_co2e_t.toFixed(2)}</td>
+              <td>{carbon.total.virgin_displaced_co2e_t.toFixed(2)}</td>
+              <td>−{carbon.total.preprocessing_co2e_t.toFixed(2)}</td>
+              <td>−{carbon.total.transport_co2e_t.toFixed(2)}</td>
+              <td>{carbon.total.net_co2e_avoided_t.toFixed(2)}</td>
+            </tr>
+          </tfoot>
+        </table>
+      )}
+      {carbon?.unaccounted > 0 && (
+        <p className="metric-note">
+          {carbon.unaccounted} completed transactions are not included: their
+          quantity cannot be converted to tonnes.
+        </p>
+      )}
     </div>
   );
 };
 
-const TransactionsView = ({ apiUrl, setLoading }) => {
-  const [transactions, setTransactions] = useState([]);
-  const [filterStatus, setFilterStatus] = useState("pending");
-
-  const fetchTransactions = useCallback(async () => {
-    setLoading(true);
-    try {
-      const response = await fetch(
-        `${apiUrl}/transactions?status=${filterStatus}`,
-      );
-      const data = await response.json();
-      setTransactions(data);
-    } catch (error) {
-      console.error("Error fetching transactions:", error);
-    } finally {
-      setLoading(false);
-    }
-  }, [apiUrl, filterStatus, setLoading]);
+// Reabsorption per circulation snapshot, oldest first, as bars
+const CirculationTrend = ({ apiUrl, refreshKey }) => {
+  const [trend, setTrend] = useState(null);
 
   useEffect(() => {
-    fetchTransactions();
-  }, [fetchTransactions]); // FIX: Added missing dependency
+    apiFetch(`${apiUrl}/analytics/circulation/trend`)
+      .then((response) => response.json())
+      .then(setTrend)
+      .catch((error) => console.error("Error fetching trend:", error));
+  }, [apiUrl, refreshKey]);
 
-  return (
-    <div className="view-container">
-      <div className="view-header">
-        <h2>Material Transactions</h2>
-        <select
-          value={filterStatus}
-          onChange={(e) => setFilterStatus(e.target.value)}
-          className="filter-select"
-        >
-          <option value="pending">Pending</option>
-          <option value="completed">Completed</option>
-          <option value="failed">Failed</option>
-        </select>
+  const points = trend?.data || [];
+  if (points.length === 0)
+    return (
+      <div className="placeholder-chart">
+        <p>No circulation snapshots yet.</p>
       </div>
+    );
 
-      <div className="transactions-timeline">
-        {transactions.length === 0 ? (
-          <div className="empty-state">No transactions found</div>
-        ) : (
-          transactions.map((transaction) => (
-            <div key={transaction.id} className="transaction-item">
-              <div className="transaction-timeline-marker"></div>
-              <div className="transaction-content">
-                <div className="transaction-header">
-                  <h4>{transaction.material_name}</h4>
-                  <span className={`status-badge ${transaction.status}`}>
-                    {transaction.status}
-                  </span>
-                </div>
-                <p className="transaction-route">
-                  {transaction.source_industry} → {transaction.target_industry}
-                </p>
-                <div className="transaction-details">
-                  <span>
-                    📦 {transaction.quantity_transferred} {transaction.unit}
-                  </span>
-                  <span>
-                    📅{" "}
-                    {new Date(
-                      transaction.transaction_date,
-                    ).toLocaleDateString()}
-                  </span>
-                </div>
-              </div>
-            </div>
-          ))
-        )}
+  // Tonnage-weighted where quantities convert to tonnes, else the plain mean
+  const rateOf = (point) =>
+    point.reabsorption_rate ?? point.mean_reabsorption_rate ?? 0;
+  const latest = points[points.length - 1];
+  const previous = points[points.length - 2];
+  const change = previous ? rateOf(latest) - rateOf(previous) : null;
+
+  return (
+    <div className="placeholder-chart">
+      <p>
+        {formatScore(rateOf(latest))} of generated material reabsorbed
+        {change !== null &&
+          ` (${change >= 0 ? "+" : "−"}${Math.abs(change * 100).toFixed(1)} pts)`}
+        , {latest.circulation_cycles} cycles
+        {latest.days_to_reabsorption !== null &&
+          `, ${latest.days_to_reabsorption} days to reabsorption on average`}
+      </p>
+      <div className="chart-bars">
+        {points.map((point) => (
+          <div key={point.measured_at} className="chart-column">
+            <div
+              className="chart-bar"
+              style={{ height: `${Math.max(rateOf(point) * 100, 2)}%` }}
+              title={`${point.measured_at}: ${formatScore(rateOf(point))} reabsorbed, ${point.circulation_cycles} cycles, ${point.materials} materials`}
+            ></div>
+            <span className="chart-label">
+              {new Date(`${point.measured_at}Z`).toLocaleDateString()}
+            </span>
+          </div>
+        ))}
       </div>
     </div>
   );
 };
 
-const Analytics = ({ apiUrl, setLoading }) => {
+const Analytics = ({ apiUrl, setLoading, user }) => {
   const [metrics, setMetrics] = useState([]);
+  const [filters, setFilters] = useState(METRIC_FILTERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [snapshots, setSnapshots] = useState(0);
 
   const fetchMetrics = useCallback(async () => {
     setLoading(true);
     try {
-      const response = await fetch(`${apiUrl}/analytics/circulation`);
+      const response = await apiFetch(
+        `${apiUrl}/analytics/circulation?${toQueryString({ ...filters, page })}`,
+      );
       const data = await response.json();
-      setMetrics(data);
+      setMetrics(data.data || []);
+      setPagination(data.pagination);
     } catch (error) {
       console.error("Error fetching metrics:", error);
     } finally {
       setLoading(false);
     }
-  }, [apiUrl, setLoading]);
+  }, [apiUrl, filters, page, setLoading]);
+
+  const updateFilters = (changes) => {
+    setFilters({ ...filters, ...changes });
+    setPage(1);
+  };
 
   useEffect(() => {
     fetchMetrics();
-  }, [fetchMetrics]); // FIX: Added missing dependency
+  }, [fetchMetrics, snapshots]); // FIX: Added missing dependency
+
+  const handleSnapshot = async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/analytics/circulation/snapshot`,
+        { method: "POST" },
+      );
+      if (response.ok) setSnapshots(snapshots + 1);
+      else alert((await response.json()).error);
+    } catch (error) {
+      console.error("Error taking snapshot:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
 
   return (
     <div className="view-container">
@@ -924,23 +5345,75 @@ const Analytics = ({ apiUrl, setLoading }) => {
 
       <div className="analytics-section">
         <div className="chart-container">
-          <h3>Circulation Velocity Trends</h3>
-          <div className="placeholder-chart">
-            <p>Material reabsorption rates trending upward</p>
-            <div className="chart-bars">
-              {[...Array(7)].map((_, i) => (
-                <div
-                  key={i}
-                  className="chart-bar"
-                  style={{ height: `${40 + Math.random() * 50}%` }}
-                ></div>
-              ))}
-            </div>
+          <div className="chart-header">
+            <h3>Circulation Velocity Trends</h3>
+            {can(user, "analytics:snapshot") && (
+              <button
+                className="btn btn-small btn-secondary"
+                onClick={handleSnapshot}
+              >
+                📸 Take Snapshot
+              </button>
+            )}
           </div>
+          <CirculationTrend apiUrl={apiUrl} refreshKey={snapshots} />
         </div>
 
+        <StockTotals apiUrl={apiUrl} />
+
+        <CarbonAccounting apiUrl={apiUrl} />
+
         <div className="metrics-table">
           <h3>Material Circulation Metrics</h3>
+          <div className="filter-bar">
+            <select
+              value={filters.snapshot}
+              onChange={(e) => updateFilters({ snapshot: e.target.value })}
+              className="filter-select"
+            >
+              <option value="latest">Latest snapshot</option>
+              <option value="">All snapshots</option>
+            </select>
+            <select
+              value={filters.sector}
+              onChange={(e) => updateFilters({ sector: e.target.value })}
+              className="filter-select"
+            >
+              <option value="">All Sectors</option>
+              {SECTORS.map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="text"
+              value={filters.material_name}
+              onChange={(e) => updateFilters({ material_name: e.target.value })}
+              placeholder="Material"
+              className="filter-input"
+            />
+            <input
+              type="date"
+              value={filters.measured_from}
+              onChange={(e) => updateFilters({ measured_from: e.target.value })}
+              title="Measured from"
+              className="filter-input"
+            />
+            <input
+              type="date"
+              value={filters.measured_to}
+              onChange={(e) => updateFilters({ measured_to: e.target.value })}
+              title="Measured to"
+              className="filter-input"
+            />
+            <SortControl
+              options={METRIC_SORTS}
+              sort={filters.sort}
+              order={filters.order}
+              onChange={(sort, order) => updateFilters({ sort, order })}
+            />
+          </div>
           <table>
             <thead>
               <tr>
@@ -952,7 +5425,7 @@ const Analytics = ({ apiUrl, setLoading }) => {
               </tr>
             </thead>
             <tbody>
-              {metrics.slice(0, 10).map((metric) => (
+              {metrics.map((metric) => (
                 <tr key={metric.id}>
                   <td>{metric.material_name || "N/A"}</td>
                   <td>{metric.industry_name}</td>
@@ -963,16 +5436,435 @@ const Analytics = ({ apiUrl, setLoading }) => {
               ))}
             </tbody>
           </table>
+          <Pager pagination={pagination} onPageChange={setPage} />
         </div>
       </div>
     </div>
   );
 };
 
+const ROLES = [
+  ["viewer", "Viewer"],
+  ["plant_operator", "Plant operator"],
+  ["assessor", "Assessor"],
+  ["compliance_officer", "Compliance officer"],
+  ["admin", "Admin"],
+];
+
+const EMPTY_MEMBER = { name: "", email: "", password: "", role: "viewer" };
+
+// Members of the user's organization; admins add colleagues and assign roles
+const OrganizationView = ({ apiUrl, setLoading, user }) => {
+  const [members, setMembers] = useState([]);
+  const [newMember, setNewMember] = useState(EMPTY_MEMBER);
+  const [showForm, setShowForm] = useState(false);
+  const [error, setError] = useState(null);
+  const canManage = can(user, "members:manage");
+
+  const fetchMembers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await apiFetch(`${apiUrl}/organization/members`);
+      setMembers(await response.json());
+    } catch (err) {
+      console.error("Error fetching members:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [apiUrl, setLoading]);
+
+  useEffect(() => {
+    fetchMembers();
+  }, [fetchMembers]);
+
+  const handleAddMember = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const response = await apiFetch(`${apiUrl}/organization/members`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(newMember),
+      });
+      if (response.ok) {
+        setNewMember(EMPTY_MEMBER);
+        setShowForm(false);
+        fetchMembers();
+      } else {
+        setError(parseApiError(await response.json()));
+      }
+    } catch (err) {
+      console.error("Error adding member:", err);
+    }
+  };
+
+  const handleRoleChange = async (memberId, role) => {
+    setError(null);
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/organization/members/${memberId}`,
+        {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ role }),
+        },
+      );
+      if (!response.ok) setError(parseApiError(await response.json()));
+      fetchMembers();
+    } catch (err) {
+      console.error("Error updating role:", err);
+    }
+  };
+
+  const field = (key) => ({
+    value: newMember[key],
+    onChange: (e) => setNewMember({ ...newMember, [key]: e.target.value }),
+  });
+
+  return (
+    <div className="view-container">
+      <div className="view-header">
+        <h2>{user.organization_name}</h2>
+        {canManage && (
+          <button
+            className="btn btn-primary"
+            onClick={() => setShowForm(!showForm)}
+          >
+            {showForm ? "× Cancel" : "+ Add Member"}
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form className="form-container" onSubmit={handleAddMember}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Name *</label>
+              <input type="text" {...field("name")} required />
+              <FieldError error={error} field="name" />
+            </div>
+            <div className="form-group">
+              <label>Email *</label>
+              <input type="email" {...field("email")} required />
+              <FieldError error={error} field="email" />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Initial Password *</label>
+              <input
+                type="password"
+                {...field("password")}
+                minLength={8}
+                required
+              />
+              <FieldError error={error} field="password" />
+            </div>
+            <div className="form-group">
+              <label>Role</label>
+              <select {...field("role")}>
+                {ROLES.map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <FieldError error={error} field="role" />
+            </div>
+          </div>
+          <button type="submit" className="btn btn-success">
+            Add Member
+          </button>
+        </form>
+      )}
+
+      {error && !showForm && <div className="form-error">{error.message}</div>}
+
+      <div className="metrics-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Email</th>
+              <th>Role</th>
+            </tr>
+          </thead>
+          <tbody>
+            {members.map((member) => (
+              <tr key={member.id}>
+                <td>{member.name}</td>
+                <td>{member.email}</td>
+                <td>
+                  {canManage && member.id !== user.id ? (
+                    <select
+                      value={member.role}
+                      onChange={(e) =>
+                        handleRoleChange(member.id, e.target.value)
+                      }
+                      className="filter-select"
+                    >
+                      {ROLES.map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  ) : (
+                    ROLES.find(([value]) => value === member.role)?.[1]
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// ==================== SIGN IN ====================
+
+const EMPTY_CREDENTIALS = {
+  organization_name: "",
+  name: "",
+  email: "",
+  password: "",
+};
+
+// Sign-in form; registering creates a new organization with the user as its
+// first member
+const SignIn = ({ apiUrl, onSignIn }) => {
+  const [registering, setRegistering] = useState(false);
+  const [form, setForm] = useState(EMPTY_CREDENTIALS);
+  const [error, setError] = useState(null);
+
+  const field = (key) => ({
+    value: form[key],
+    onChange: (e) => setForm({ ...form, [key]: e.target.value }),
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    try {
+      const response = await apiFetch(
+        `${apiUrl}/auth/${registering ? "register" : "login"}`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(
+            registering ? form : { email: form.email, password: form.password },
+          ),
+        },
+      );
+      const data = await response.json();
+      if (response.ok) onSignIn(data);
+      else setError(parseApiError(data));
+    } catch (err) {
+      console.error("Error signing in:", err);
+    }
+  };
+
+  return (
+    <div className="sign-in">
+      <form onSubmit={handleSubmit} className="form-container sign-in-form">
+        <h2>{registering ? "Register Organization" : "Sign In"}</h2>
+        {registering && (
+          <>
+            <div className="form-group">
+              <label>Organization *</label>
+              <input type="text" {...field("organization_name")} required />
+              <FieldError error={error} field="organization_name" />
+            </div>
+            <div className="form-group">
+              <label>Your Name *</label>
+              <input type="text" {...field("name")} required />
+              <FieldError error={error} field="name" />
+            </div>
+          </>
+        )}
+        <div className="form-group">
+          <label>Email *</label>
+          <input type="email" {...field("email")} required />
+          <FieldError error={error} field="email" />
+        </div>
+        <div className="form-group">
+          <label>Password *</label>
+          <input
+            type="password"
+            {...field("password")}
+            minLength={registering ? 8 : undefined}
+            required
+          />
+          <FieldError error={error} field="password" />
+        </div>
+        {error && <div className="form-error">{error.message}</div>}
+        <button type="submit" className="btn btn-success">
+          {registering ? "Create Account" : "Sign In"}
+        </button>
+        <button
+          type="button"
+          className="btn btn-ghost"
+          onClick={() => {
+            setRegistering(!registering);
+            setError(null);
+          }}
+        >
+          {registering
+            ? "Already have an account? Sign in"
+            : "New organization? Register"}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// ==================== GLOBAL SEARCH ====================
+
+const SEARCH_TYPE_LABELS = {
+  industry: "🏭 Industry",
+  material: "📦 Material",
+  opportunity: "🔬 Opportunity",
+};
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const GlobalSearch = ({ apiUrl, onSelect }) => {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  // Wait for a pause in typing before querying the index
+  useEffect(() => {
+    const text = query.trim();
+    if (!text) {
+      setResults(null);
+      return undefined;
+    }
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiFetch(
+          `${apiUrl}/search?${toQueryString({ q: text, limit: 10 })}`,
+        );
+        const data = await response.json();
+        setResults(response.ok ? data.results : []);
+      } catch (error) {
+        console.error("Error searching:", error);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [apiUrl, query]);
+
+  const handleSelect = (result) => {
+    setOpen(false);
+    setQuery("");
+    onSelect(result);
+  };
+
+  return (
+    <div className="global-search">
+      <input
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={(e) => e.key === "Escape" && setOpen(false)}
+        placeholder="Search industries, materials, opportunities..."
+        className="search-input"
+      />
+      {open && results && (
+        <ul className="search-results">
+          {results.length === 0 ? (
+            <li className="search-empty">No matches for "{query.trim()}"</li>
+          ) : (
+            results.map((result) => (
+              <li key={`${result.type}-${result.id}`}>
+                {/* mousedown fires before the input's blur closes the list */}
+                <button
+                  className="search-result"
+                  onMouseDown={(e) => {
+                    e.preventDefault();
+                    handleSelect(result);
+                  }}
+                >
+                  <span className="search-result-type">
+                    {SEARCH_TYPE_LABELS[result.type]}
+                  </span>
+                  <span className="search-result-title">{result.title}</span>
+                  {result.subtitle && (
+                    <span className="search-result-subtitle">
+                      {result.subtitle}
+                    </span>
+                  )}
+                  {/* The server HTML-escapes snippets and adds only <mark> */}
+                  <span
+                    className="search-result-snippet"
+                    dangerouslySetInnerHTML={{ __html: result.snippet }}
+                  />
+                </button>
+              </li>
+            ))
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+// View that shows each kind of search result
+const SEARCH_RESULT_VIEWS = {
+  industry: "industries",
+  material: "materials",
+  opportunity: "compatibility",
+};
+
 export default function App() {
   const [currentView, setCurrentView] = useState("dashboard");
   const [loading, setLoading] = useState(false);
   const [apiUrl] = useState("https://industrial-engine.vercel.app/api");
+  const [focus, setFocus] = useState(null);
+  const [user, setUser] = useState(null);
+  const [checkingSession, setCheckingSession] = useState(Boolean(authToken));
+
+  const signOut = useCallback(() => {
+    setAuthToken(null);
+    setUser(null);
+    setFocus(null);
+  }, []);
+
+  // Restore the session saved by a previous visit
+  useEffect(() => {
+    onUnauthorized = signOut;
+    if (!authToken) return;
+    apiFetch(`${apiUrl}/auth/me`)
+      .then((response) => (response.ok ? response.json() : null))
+      .then((profile) => profile && setUser(profile))
+      .catch((error) => console.error("Error restoring session:", error))
+      .finally(() => setCheckingSession(false));
+  }, [apiUrl, signOut]);
+
+  const handleSignIn = ({ token, user: profile }) => {
+    setAuthToken(token);
+    setUser(profile);
+  };
+
+  const handleSignOut = async () => {
+    try {
+      await apiFetch(`${apiUrl}/auth/logout`, { method: "POST" });
+    } catch (error) {
+      console.error("Error signing out:", error);
+    }
+    signOut();
+  };
+
+  const handleSearchSelect = ({ type, id }) => {
+    setFocus({ type, id });
+    setCurrentView(SEARCH_RESULT_VIEWS[type]);
+  };
 
   const navigationItems = [
     { id: "dashboard", label: "Dashboard", icon: "📊" },
@@ -981,11 +5873,14 @@ export default function App() {
     { id: "materials", label: "Materials", icon: "📦" },
     { id: "compatibility", label: "Compatibility", icon: "🔬" },
     { id: "transactions", label: "Transactions", icon: "💱" },
+    { id: "optimize", label: "Optimize", icon: "⚖️" },
     { id: "analytics", label: "Analytics", icon: "📈" },
+    { id: "organization", label: "Organization", icon: "👥" },
   ];
 
   const renderView = () => {
-    const props = { apiUrl, setLoading };
+    const props = { apiUrl, setLoading, user };
+    const focusFor = (type) => (focus?.type === type ? focus : null);
 
     switch (currentView) {
       case "dashboard":
@@ -993,15 +5888,21 @@ export default function App() {
       case "network":
         return <SymbiosisNetwork {...props} />;
       case "industries":
-        return <IndustriesView {...props} />;
+        return <IndustriesView {...props} focus={focusFor("industry")} />;
       case "materials":
-        return <MaterialsView {...props} />;
+        return <MaterialsView {...props} focus={focusFor("material")} />;
       case "compatibility":
-        return <CompatibilityAssessment {...props} />;
+        return (
+          <CompatibilityAssessment {...props} focus={focusFor("opportunity")} />
+        );
       case "transactions":
         return <TransactionsView {...props} />;
+      case "optimize":
+        return <OptimizeView {...props} />;
       case "analytics":
         return <Analytics {...props} />;
+      case "organization":
+        return <OrganizationView {...props} />;
       default:
         return <Dashboard {...props} />;
     }
@@ -1018,31 +5919,60 @@ export default function App() {
             Predictive Material Reuse Discovery System
           </p>
         </div>
+        {user && (
+          <div className="header-tools">
+            <GlobalSearch apiUrl={apiUrl} onSelect={handleSearchSelect} />
+            <div className="user-menu">
+              <span className="user-name">{user.name}</span>
+              <span className="user-organization">
+                {ROLES.find(([value]) => value === user.role)?.[1]} ·{" "}
+                {user.organization_name}
+              </span>
+              <button
+                className="btn btn-small btn-ghost"
+                onClick={handleSignOut}
+              >
+                Sign out
+              </button>
+            </div>
+          </div>
+        )}
       </header>
 
-      <div className="app-container">
-        <nav className="sidebar">
-          <div className="nav-header">Navigation</div>
-          <ul className="nav-list">
-            {navigationItems.map((item) => (
-              <li key={item.id}>
-                <button
-                  className={`nav-button ${currentView === item.id ? "active" : ""}`}
-                  onClick={() => setCurrentView(item.id)}
-                >
-                  <span className="nav-icon">{item.icon}</span>
-                  <span className="nav-label">{item.label}</span>
-                </button>
-              </li>
-            ))}
-          </ul>
-        </nav>
+      {!user ? (
+        checkingSession ? (
+          <div className="loading-overlay">Restoring session...</div>
+        ) : (
+          <SignIn apiUrl={apiUrl} onSignIn={handleSignIn} />
+        )
+      ) : (
+        <div className="app-container">
+          <nav className="sidebar">
+            <div className="nav-header">Navigation</div>
+            <ul className="nav-list">
+              {navigationItems.map((item) => (
+                <li key={item.id}>
+                  <button
+                    className={`nav-button ${currentView === item.id ? "active" : ""}`}
+                    onClick={() => {
+                      setFocus(null);
+                      setCurrentView(item.id);
+                    }}
+                  >
+                    <span className="nav-icon">{item.icon}</span>
+                    <span className="nav-label">{item.label}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </nav>
 
-        <main className="main-content">
-          {loading && <div className="loading-overlay">Processing...</div>}
-          {renderView()}
-        </main>
-      </div>
+          <main className="main-content">
+            {loading && <div className="loading-overlay">Processing...</div>}
+            {renderView()}
+          </main>
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,167 @@
+// db.js - SQLite connection and query helpers
+// Shared by the Express server and the migration and import CLIs
+
+const sqlite3 = require("sqlite3").verbose();
+const { AsyncLocalStorage } = require("async_hooks");
+const path = require("path");
+const fs = require("fs");
+
+// ==================== DATABASE CONFIGURATION ====================
+
+const dbPath =
+  process.env.DB_PATH || path.join(__dirname, "data", "symbiosis.db");
+const dbDir = path.dirname(dbPath);
+
+// Create data directory if it doesn't exist
+if (!fs.existsSync(dbDir)) {
+  fs.mkdirSync(dbDir, { recursive: true });
+  console.log("✅ Created data directory:", dbDir);
+}
+
+console.log("\n" + "=".repeat(70));
+console.log("🗄️  INDUSTRIAL SYMBIOSIS INTELLIGENCE ENGINE - DATABASE SETUP");
+console.log("=".repeat(70));
+console.log(`📍 Database location: ${dbPath}\n`);
+
+// Initialize SQLite Database
+const db = new sqlite3.Database(dbPath, (err) => {
+  if (err) {
+    console.error("❌ Database connection error:", err.message);
+    process.exit(1);
+  } else {
+    console.log("✅ Connected to local SQLite database");
+  }
+});
+
+// Enable foreign keys for referential integrity (queued until the connection opens)
+db.run("PRAGMA foreign_keys = ON", (err) => {
+  if (err) {
+    console.error("❌ Error enabling foreign keys:", err);
+  } else {
+    console.log("✅ Foreign key constraints enabled");
+  }
+});
+
+// Database error handler
+db.on("error", (err) => {
+  console.error("❌ Database error:", err);
+});
+
+// Scripts close the connection when done; it cannot be closed from a process
+// "exit" handler, where sqlite3's close callback aborts the process
+let closed = false;
+
+const closeDatabase = () =>
+  new Promise((resolve) => {
+    if (closed) return resolve();
+    closed = true;
+    db.close((err) => {
+      if (err) console.error("Error closing database:", err);
+      else console.log("\n✅ Database connection closed");
+      resolve();
+    });
+  });
+
+// ==================== SERIALIZATION ====================
+
+// Every request shares the one connection, so a transaction would otherwise
+// take in the statements of whatever else runs while it is open. Statements
+// and transactions therefore take turns: each waits for the ones queued
+// before it to settle. Statements issued from within a transaction (tracked
+// through its async context) run straight away as part of it.
+const transactionContext = new AsyncLocalStorage();
+let queueTail = Promise.resolve();
+
+const inTransaction = () => transactionContext.getStore() === true;
+
+const enqueue = (task) => {
+  const result = queueTail.then(task);
+  queueTail = result.catch(() => {});
+  return result;
+};
+
+const serialized = (task) => (inTransaction() ? task() : enqueue(task));
+
+// ==================== HELPER FUNCTIONS ====================
+
+const runQuery = (sql, params = []) =>
+  serialized(
+    () =>
+      new Promise((resolve, reject) => {
+        db.run(sql, params, function (err) {
+          if (err) {
+            console.error("❌ Query error:", sql);
+            console.error("   Error:", err.message);
+            reject(err);
+          } else {
+            resolve({
+              id: this.lastID,
+              changes: this.changes,
+              success: true,
+            });
+          }
+        });
+      }),
+  );
+
+const getAllQuery = (sql, params = []) =>
+  serialized(
+    () =>
+      new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+          if (err) {
+            console.error("❌ Query error:", sql);
+            console.error("   Error:", err.message);
+            reject(err);
+          } else {
+            resolve(rows || []);
+          }
+        });
+      }),
+  );
+
+const getQuery = (sql, params = []) =>
+  serialized(
+    () =>
+      new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+          if (err) {
+            console.error("❌ Query error:", sql);
+            console.error("   Error:", err.message);
+            reject(err);
+          } else {
+            resolve(row || null);
+          }
+        });
+      }),
+  );
+
+// Runs fn inside a SQLite transaction, rolling back if it throws. Other
+// statements wait until it is over; called within a transaction, fn simply
+// joins it.
+const withTransaction = (fn) => {
+  if (inTransaction()) return fn();
+  return enqueue(() =>
+    transactionContext.run(true, async () => {
+      await runQuery("BEGIN TRANSACTION");
+      try {
+        const result = await fn();
+        await runQuery("COMMIT");
+        return result;
+      } catch (err) {
+        await runQuery("ROLLBACK").catch(() => {});
+        throw err;
+      }
+    }),
+  );
+};
+
+module.exports = {
+  db,
+  dbPath,
+  closeDatabase,
+  runQuery,
+  getAllQuery,
+  getQuery,
+  withTransaction,
+};
@@ -0,0 +1,139 @@
+// import.js - Bulk import of industries and materials
+// Usage: node import.js <industries|materials> <file> [options]
+//   --sheet NAME            worksheet of an .xlsx file (default: the first)
+//   --map FIELD=COLUMN      reads FIELD from COLUMN; repeatable. Fields not
+//                           mapped are matched to columns by name, and
+//                           --map FIELD= leaves one out.
+//   --organization ID|NAME  organization owning imported industries
+//   --dry-run               checks every row without writing anything
+//
+// Rows are checked as POST /api/import/<entity>/commit checks them, but as a
+// trusted caller: ownership and role permissions do not apply. Nothing is
+// written unless every row is valid.
+
+const fs = require("fs");
+const path = require("path");
+const { getQuery, closeDatabase } = require("./db");
+const { migrate } = require("./migrate");
+const { reloadRules } = require("./lib/rules");
+const {
+  IMPORT_TYPES,
+  readTable,
+  suggestMapping,
+  previewImport,
+  commitImport,
+} = require("./lib/import");
+
+// ==================== HELPERS ====================
+
+const parseArgs = (args) => {
+  const options = { positional: [], map: {}, dryRun: false };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === "--dry-run") options.dryRun = true;
+    else if (arg === "--sheet") options.sheet = args[++i];
+    else if (arg === "--organization") options.organization = args[++i];
+    else if (arg === "--map") {
+      const [field, ...column] = String(args[++i]).split("=");
+      options.map[field.trim()] = column.join("=").trim() || null;
+    } else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}`);
+    else options.positional.push(arg);
+  }
+  return options;
+};
+
+const findOrganization = async (idOrName) => {
+  const organization = await getQuery(
+    "SELECT id, name FROM organizations WHERE id = ? OR name = ?",
+    [idOrName, idOrName],
+  );
+  if (!organization) throw new Error(`No organization "${idOrName}"`);
+  return organization;
+};
+
+const printErrors = (fields) => {
+  for (const { field, message } of fields)
+    console.log(`  ❌ ${field}: ${message}`);
+};
+
+const printReport = (report) => {
+  printErrors(report.mapping_errors);
+  for (const { row, errors } of report.rows)
+    for (const { field, message } of errors)
+      console.log(`  ❌ Row ${row}: ${field}: ${message}`);
+};
+
+// ==================== CLI ====================
+
+if (require.main === module) {
+  const run = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    const [entity, file] = options.positional;
+    if (!IMPORT_TYPES.includes(entity) || !file)
+      throw new Error(
+        `Usage: node import.js <${IMPORT_TYPES.join("|")}> <file> [--sheet NAME] [--map FIELD=COLUMN] [--organization ID|NAME] [--dry-run]`,
+      );
+
+    await migrate();
+    const organization = options.organization
+      ? await findOrganization(options.organization)
+      : null;
+
+    const { table, fields } = await readTable({
+      filename: path.basename(file),
+      content: fs.readFileSync(file),
+      sheet: options.sheet,
+    });
+    if (fields.length > 0) {
+      printErrors(fields);
+      throw new Error(`Cannot read ${file}`);
+    }
+
+    const mapping = {
+      ...suggestMapping(entity, table.columns),
+      ...options.map,
+    };
+    console.log(
+      `\n📥 ${table.rows.length} rows in ${table.filename}${table.sheet ? ` (sheet ${table.sheet})` : ""}`,
+    );
+    for (const [field, column] of Object.entries(mapping))
+      if (column) console.log(`  ${field} ← "${column}"`);
+
+    if (options.dryRun) {
+      const report = await previewImport({ entity, table, mapping });
+      printReport(report);
+      console.log(
+        `\nℹ️  ${report.valid} of ${report.total} rows are valid (dry run, nothing written)`,
+      );
+      if (report.valid < report.total || report.mapping_errors.length > 0)
+        process.exitCode = 1;
+      return;
+    }
+
+    reloadRules();
+    const { report, fields: errors } = await commitImport({
+      entity,
+      table,
+      mapping,
+      organization_id: organization?.id ?? null,
+    });
+    if (errors.length > 0) {
+      printReport(report);
+      throw new Error(
+        report.total === 0
+          ? "The file has no rows below its header"
+          : "Nothing was imported",
+      );
+    }
+    console.log(
+      `\n✅ Imported ${report.created} ${entity}${organization ? ` for ${organization.name}` : ""}`,
+    );
+  };
+
+  run()
+    .catch((err) => {
+      console.error("❌ Import failed:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(closeDatabase);
+}
@@ -3,233 +3,469 @@
 
 const express = require("express");
 const cors = require("cors");
-const sqlite3 = require("sqlite3").verbose();
-const path = require("path");
-const fs = require("fs");
+const { runQuery, getAllQuery, getQuery, withTransaction } = require("./db");
+const { migrate } = require("./migrate");
+const { scoreCompatibility, getSectorProfile } = require("./lib/scoring");
+const {
+  clientError,
+  isClientError,
+  sendError,
+  sendValidationError,
+  validate,
+  validateInput,
+  validateIdParam,
+} = require("./lib/validation");
+const { listSchema, fetchPage } = require("./lib/listing");
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  toMatchQuery,
+  formatSnippet,
+} = require("./lib/search");
+const {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  deleteSession,
+  bearerToken,
+  findUser,
+  authenticate,
+  requireAuth,
+  isMember,
+  isIndustryMember,
+  isSystemAdmin,
+  sendForbidden,
+  requireOwner,
+  requireSystemAdmin,
+} = require("./lib/auth");
+const {
+  ROLES,
+  can,
+  permissionsFor,
+  sendPermissionDenied,
+  requirePermission,
+} = require("./lib/permissions");
+const {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  audited,
+  auditDeletes,
+  formatAuditEntry,
+} = require("./lib/audit");
+const { convertQuantity, canConvert, sumQuantities } = require("./lib/units");
+const {
+  formatComposition,
+  parseComposition,
+  validateComponents,
+  compositionCondition,
+  attachComponents,
+  saveComponents,
+} = require("./lib/composition");
+const {
+  HAZARD_LEVELS,
+  WASTE_STATUSES,
+  reloadRules,
+  getRuleSets,
+  classifyMaterial,
+  transferBlockers,
+  findClassification,
+  classifyAndStore,
+  classifyAll,
+} = require("./lib/rules");
+const { distanceKm, distanceSql, geocode } = require("./lib/geo");
+const {
+  TRANSPORT_MODES,
+  MATERIAL_FACTORS,
+  estimateLogistics,
+  getLogisticsConfig,
+} = require("./lib/logistics");
+const { carbonFootprint, getCarbonFactors } = require("./lib/carbon");
+const {
+  buildGraph,
+  degreeCentrality,
+  betweennessCentrality,
+  connectedComponents,
+  articulationPoints,
+  findLoops,
+  findPathways,
+} = require("./lib/graph");
+const {
+  parseTimestamp,
+  takeCirculationSnapshot,
+  latestSnapshotAt,
+} = require("./lib/circulation");
+const {
+  BUCKETS,
+  MAX_BUCKETS,
+  formatDate,
+  bucketKey,
+  countBuckets,
+  bucketRange,
+  bucketsBefore,
+} = require("./lib/timeseries");
+const { METHODS, forecastGeneration } = require("./lib/forecast");
+const { allocate } = require("./lib/allocation");
+const {
+  REGULATORY_STATUSES,
+  AVAILABILITY_STATUSES,
+  INDUSTRY_SCHEMA,
+  MATERIAL_SCHEMA,
+  coordinateErrors,
+  placeIndustry,
+  insertIndustry,
+  insertMaterial,
+} = require("./lib/records");
+const {
+  IMPORT_TYPES,
+  MAX_IMPORT_BYTES,
+  readTable,
+  previewImport,
+  commitImport,
+} = require("./lib/import");
 
 const app = express();
 
+// Setting CORS_ORIGINS (comma-separated) limits browsers to calling the API
+// from those client origins; unset, any origin may, as sessions travel in
+// the Authorization header rather than cookies
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((origin) => origin.trim())
+  .filter(Boolean);
+
 // Middleware
-app.use(cors());
+app.use(cors(CORS_ORIGINS.length > 0 ? { origin: CORS_ORIGINS } : {}));
+// Imported files arrive base64-encoded, a third larger than the file itself
+app.use(
+  "/api/import",
+  express.json({ limit: Math.ceil((MAX_IMPORT_BYTES * 4) / 3) + 64 * 1024 }),
+);
 app.use(express.json());
+app.use(authenticate);
 
-// ==================== DATABASE CONFIGURATION ====================
-
-const dbDir = path.join(__dirname, "data");
-const dbPath = path.join(dbDir, "symbiosis.db");
+// Anyone may read; every change needs a signed-in user, apart from creating
+// an account and signing in
+const PUBLIC_WRITES = new Set(["/api/auth/register", "/api/auth/login"]);
+app.use((req, res, next) =>
+  req.method === "GET" || req.method === "HEAD" || PUBLIC_WRITES.has(req.path)
+    ? next()
+    : requireAuth(req, res, next),
+);
 
-// Create data directory if it doesn't exist
-if (!fs.existsSync(dbDir)) {
-  fs.mkdirSync(dbDir, { recursive: true });
-  console.log("✅ Created data directory:", dbDir);
-}
+// Reject malformed ids before they reach a handler
+app.param("id", validateIdParam);
+app.param("requirementId", validateIdParam);
 
-console.log("\n" + "=".repeat(70));
-console.log("🗄️  INDUSTRIAL SYMBIOSIS INTELLIGENCE ENGINE - DATABASE SETUP");
-console.log("=".repeat(70));
-console.log(`📍 Database location: ${dbPath}\n`);
+// ==================== DATABASE INITIALIZATION ====================
 
-// Initialize SQLite Database
-const db = new sqlite3.Database(dbPath, (err) => {
-  if (err) {
-    console.error("❌ Database connection error:", err.message);
+// Bring the schema up to date before serving requests
+console.log("\n📋 Running schema migrations...\n");
+migrate()
+  .then(() => console.log("\n✅ Database initialization complete!\n"))
+  // Rule files may have changed since the last run
+  .then(() => {
+    const { ruleSets } = reloadRules();
+    return classifyAll().then((count) =>
+      console.log(
+        `📜 Classified ${count} materials against ${ruleSets.length} rule sets\n`,
+      ),
+    );
+  })
+  // Completions from before carbon accounting, or whose accounting failed
+  .then(() =>
+    accountCompletedTransactions().then(
+      (count) =>
+        count > 0 &&
+        console.log(
+          `🌱 Accounted carbon for ${count} completed transactions\n`,
+        ),
+    ),
+  )
+  .then(() => scheduleCirculationSnapshots())
+  .catch((err) => {
+    console.error("❌ Failed to migrate database:", err);
     process.exit(1);
-  } else {
-    console.log("✅ Connected to local SQLite database");
-
-    // Enable foreign keys for referential integrity
-    db.run("PRAGMA foreign_keys = ON", (err) => {
-      if (err) {
-        console.error("❌ Error enabling foreign keys:", err);
-      } else {
-        console.log("✅ Foreign key constraints enabled");
-      }
-    });
+  });
 
-    // Initialize tables
-    initDatabase().catch((err) => {
-      console.error("❌ Failed to initialize database:", err);
-      process.exit(1);
-    });
+// ==================== HELPER FUNCTIONS ====================
+
+// Builds "column = ?" assignments for the whitelisted fields present in body
+const buildUpdate = (body, fields) => {
+  const assignments = [];
+  const params = [];
+  for (const field of fields) {
+    if (body[field] !== undefined) {
+      assignments.push(`${field} = ?`);
+      params.push(body[field] === "" ? null : body[field]);
+    }
   }
-});
+  return { assignments, params };
+};
 
-// Database error handler
-db.on("error", (err) => {
-  console.error("❌ Database error:", err);
-});
+const isUniqueViolation = (err) =>
+  err.code === "SQLITE_CONSTRAINT" && /UNIQUE/.test(err.message);
 
-// Process exit handler
-process.on("exit", () => {
-  db.close((err) => {
-    if (err) console.error("Error closing database:", err);
-    else console.log("\n✅ Database connection closed");
-  });
+const isGiven = (value) =>
+  value !== undefined && value !== null && value !== "";
+
+// Middleware letting only holders of `permission` change `field` of the
+// record in `table` named by req.params.id (or set it on create). Others may
+// resubmit the stored value, as full-record PUT forms do.
+const guardField =
+  ({ field, table, defaultValue, permission, message }) =>
+  async (req, res, next) => {
+    if (req.body[field] === undefined || can(req.user, permission))
+      return next();
+    try {
+      const row = req.params.id
+        ? await getQuery(`SELECT ${field} FROM ${table} WHERE id = ?`, [
+            req.params.id,
+          ])
+        : null;
+      if ((req.body[field] ?? defaultValue) === (row?.[field] ?? defaultValue))
+        return next();
+      sendPermissionDenied(res, req.user, permission, [{ field, message }]);
+    } catch (err) {
+      next(err);
+    }
+  };
+
+// ==================== COMPATIBILITY SCORING ====================
+
+// Minimum feasibility for the discovery job to record an opportunity
+const DEFAULT_DISCOVERY_THRESHOLD =
+  parseFloat(process.env.DISCOVERY_THRESHOLD) || 0.5;
+
+// Parses the JSON columns of an industry_requirements row
+const parseRequirement = (row) => ({
+  ...row,
+  accepted_material_types: row.accepted_material_types
+    ? JSON.parse(row.accepted_material_types)
+    : [],
+  composition_limits: row.composition_limits
+    ? JSON.parse(row.composition_limits)
+    : [],
 });
 
-// ==================== HELPER FUNCTIONS ====================
+const loadRequirements = async (industryId) => {
+  const rows = await getAllQuery(
+    "SELECT * FROM industry_requirements WHERE industry_id = ? ORDER BY id",
+    [industryId],
+  );
+  return rows.map(parseRequirement);
+};
 
-const runQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.run(sql, params, function (err) {
-      if (err) {
-        console.error("❌ Query error:", sql);
-        console.error("   Error:", err.message);
-        reject(err);
-      } else {
-        resolve({
-          id: this.lastID,
-          changes: this.changes,
-          success: true,
-        });
-      }
-    });
-  });
+// Scores an already-loaded material against an industry. Declared input
+// requirements take precedence; the best-matching one is used. Industries
+// without declared requirements fall back to their sector profile.
+const scorePair = (material, industry, requirements = [], options = {}) => {
+  if (requirements.length === 0) {
+    return {
+      ...scoreCompatibility(
+        material,
+        getSectorProfile(industry.sector),
+        options,
+      ),
+      requirements_source: `sector:${industry.sector}`,
+    };
+  }
+
+  let best = null;
+  for (const requirement of requirements) {
+    const result = scoreCompatibility(material, requirement, options);
+    if (!best || result.feasibility_index > best.feasibility_index) {
+      best = {
+        ...result,
+        requirements_source: `requirement:${requirement.id}`,
+      };
+    }
+  }
+  return best;
 };
 
-const getAllQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.all(sql, params, (err, rows) => {
-      if (err) {
-        console.error("❌ Query error:", sql);
-        console.error("   Error:", err.message);
-        reject(err);
-      } else {
-        resolve(rows || []);
-      }
-    });
-  });
+// Loads the material and target industry and scores them against the
+// industry's requirements, over the distance from the material's source
+// industry. Returns null if either record does not exist.
+const assessCompatibility = async (materialId, industryId, options = {}) => {
+  const material = await getQuery("SELECT * FROM materials WHERE id = ?", [
+    materialId,
+  ]);
+  const industry = await getQuery("SELECT * FROM industries WHERE id = ?", [
+    industryId,
+  ]);
+  if (!material || !industry) return null;
+
+  const source = await getQuery(
+    "SELECT latitude, longitude FROM industries WHERE id = ?",
+    [material.industry_id],
+  );
+  await attachComponents([material]);
+  const requirements = await loadRequirements(industry.id);
+  return {
+    ...scorePair(material, industry, requirements, {
+      ...options,
+      distance_km: distanceKm(source, industry),
+    }),
+    material,
+    industry,
+  };
 };
 
-const getQuery = (sql, params = []) => {
-  return new Promise((resolve, reject) => {
-    db.get(sql, params, (err, row) => {
-      if (err) {
-        console.error("❌ Query error:", sql);
-        console.error("   Error:", err.message);
-        reject(err);
-      } else {
-        resolve(row || null);
-      }
+// Stores a scored material → industry pair as a reuse opportunity
+const insertOpportunity = (assessment, fields = {}) => {
+  const { breakdown } = assessment;
+  return runQuery(
+    `INSERT INTO reuse_opportunities 
+    (source_material_id, target_industry_id, compatibility_score, feasibility_index,
+     chemical_similarity, mechanical_tolerance, thermodynamic_stability,
+     regulatory_alignment, functional_viability, requirements_source, score_breakdown,
+     preprocessing_required, estimated_cost_savings, environmental_impact_reduction,
+     reliability_rating, status, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      assessment.material.id,
+      assessment.industry.id,
+      assessment.compatibility_score,
+      assessment.feasibility_index,
+      breakdown.chemical_similarity.score,
+      breakdown.mechanical_tolerance.score,
+      breakdown.thermodynamic_stability.score,
+      breakdown.regulatory_alignment.score,
+      breakdown.functional_viability.score,
+      assessment.requirements_source,
+      JSON.stringify(breakdown),
+      fields.preprocessing_required || null,
+      fields.estimated_cost_savings || 0,
+      fields.environmental_impact_reduction || 0,
+      fields.reliability_rating || 0,
+      fields.status || "discovered",
+      fields.notes || null,
+    ],
+  );
+};
+
+// Estimates transport and avoided costs/emissions for an opportunity.
+// `inputs` are the caller's choices: transport_mode, and optionally a
+// quantity and unit (default: the material's), a route distance_km (default:
+// from the industries' coordinates) and material factor overrides. Returns
+// { estimate } or { fields } naming what is missing, or null if the
+// opportunity does not exist.
+const estimateOpportunityLogistics = async (opportunityId, inputs) => {
+  const row = await getQuery(
+    `SELECT m.quantity, m.unit, m.density, m.material_type,
+            ro.preprocessing_required,
+            si.latitude as source_latitude, si.longitude as source_longitude,
+            ti.latitude, ti.longitude
+     FROM reuse_opportunities ro
+     JOIN materials m ON ro.source_material_id = m.id
+     JOIN industries si ON m.industry_id = si.id
+     JOIN industries ti ON ro.target_industry_id = ti.id
+     WHERE ro.id = ?`,
+    [opportunityId],
+  );
+  if (!row) return null;
+
+  const fields = [];
+  const quantity = inputs.quantity ?? row.quantity;
+  const unit =
+    inputs.quantity === undefined ? row.unit : inputs.unit || row.unit;
+  const quantityT = convertQuantity(quantity, unit, "t", row.density);
+  if (quantityT === null)
+    fields.push({
+      field: "quantity",
+      message: `Cannot convert ${unit || "the material's unit"} to tonnes; give a quantity in t`,
+    });
+
+  const distance = distanceKm(
+    { latitude: row.source_latitude, longitude: row.source_longitude },
+    row,
+  );
+  if (inputs.distance_km === undefined && distance === null)
+    fields.push({
+      field: "distance_km",
+      message: "The industries have no coordinates; give the route distance",
     });
+  if (fields.length > 0) return { fields };
+
+  const estimate = estimateLogistics({
+    transport_mode: inputs.transport_mode,
+    quantity_t: quantityT,
+    distance_km: distance,
+    route_km: inputs.distance_km,
+    material_type: row.material_type,
+    preprocessing: Boolean(row.preprocessing_required),
+    overrides: inputs,
   });
+  return { estimate: { ...estimate, inputs } };
 };
 
-// ==================== DATABASE INITIALIZATION ====================
-
-const initDatabase = async () => {
-  console.log("\n📋 Initializing database tables...\n");
-
-  const tables = [
-    {
-      name: "industries",
-      sql: `CREATE TABLE IF NOT EXISTS industries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        sector TEXT NOT NULL,
-        location TEXT,
-        description TEXT,
-        annual_output REAL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )`,
-    },
-    {
-      name: "materials",
-      sql: `CREATE TABLE IF NOT EXISTS materials (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        industry_id INTEGER NOT NULL,
-        name TEXT NOT NULL,
-        material_type TEXT NOT NULL,
-        quantity REAL,
-        unit TEXT,
-        chemical_composition TEXT,
-        mechanical_tolerance REAL,
-        thermodynamic_stability REAL,
-        regulatory_status TEXT,
-        availability_status TEXT,
-        description TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (industry_id) REFERENCES industries(id) ON DELETE CASCADE
-      )`,
-    },
-    {
-      name: "reuse_opportunities",
-      sql: `CREATE TABLE IF NOT EXISTS reuse_opportunities (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        source_material_id INTEGER NOT NULL,
-        target_industry_id INTEGER NOT NULL,
-        compatibility_score REAL,
-        feasibility_index REAL,
-        preprocessing_required TEXT,
-        estimated_cost_savings REAL,
-        environmental_impact_reduction REAL,
-        reliability_rating REAL,
-        status TEXT DEFAULT 'discovered',
-        notes TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (source_material_id) REFERENCES materials(id) ON DELETE CASCADE,
-        FOREIGN KEY (target_industry_id) REFERENCES industries(id) ON DELETE CASCADE
-      )`,
-    },
-    {
-      name: "transactions",
-      sql: `CREATE TABLE IF NOT EXISTS transactions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        source_industry_id INTEGER NOT NULL,
-        target_industry_id INTEGER NOT NULL,
-        material_id INTEGER NOT NULL,
-        quantity_transferred REAL,
-        unit TEXT,
-        transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        status TEXT DEFAULT 'pending',
-        cost_savings REAL,
-        environmental_benefit REAL,
-        FOREIGN KEY (source_industry_id) REFERENCES industries(id) ON DELETE CASCADE,
-        FOREIGN KEY (target_industry_id) REFERENCES industries(id) ON DELETE CASCADE,
-        FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE
-      )`,
-    },
-    {
-      name: "circulation_metrics",
-      sql: `CREATE TABLE IF NOT EXISTS circulation_metrics (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        industry_id INTEGER NOT NULL,
-        material_name TEXT,
-        days_to_reabsorption REAL,
-        circulation_cycles INTEGER,
-        reabsorption_rate REAL,
-        measured_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (industry_id) REFERENCES industries(id) ON DELETE CASCADE
-      )`,
-    },
-  ];
+const saveLogistics = (opportunityId, estimate) =>
+  runQuery(
+    `UPDATE reuse_opportunities SET
+     estimated_cost_savings = ?, environmental_impact_reduction = ?,
+     transport_mode = ?, logistics_breakdown = ?
+    WHERE id = ?`,
+    [
+      estimate.net_savings,
+      estimate.net_co2e_reduction_t,
+      estimate.transport_mode,
+      JSON.stringify(estimate),
+      opportunityId,
+    ],
+  );
 
-  for (const table of tables) {
-    try {
-      await runQuery(table.sql);
-      console.log(`  ✅ Table "${table.name}" checked/initialized`);
-    } catch (err) {
-      console.error(`  ❌ Error creating table "${table.name}":`, err.message);
-    }
-  }
+// Recomputes and stores the scores of an existing opportunity, e.g. after
+// the source material or the opportunity's preprocessing changed. A stored
+// logistics estimate is repeated with the same inputs, as the quantity or
+// distance it used may have changed too.
+const rescoreOpportunity = async (opportunity) => {
+  const assessment = await assessCompatibility(
+    opportunity.source_material_id,
+    opportunity.target_industry_id,
+    { preprocessing_required: opportunity.preprocessing_required },
+  );
+  if (!assessment) return null;
 
-  // Create indexes...
-  const indexes = [
-    {
-      name: "idx_materials_industry",
-      sql: "CREATE INDEX IF NOT EXISTS idx_materials_industry ON materials(industry_id)",
-    },
-  ];
+  const { breakdown } = assessment;
+  await runQuery(
+    `UPDATE reuse_opportunities SET
+     compatibility_score = ?, feasibility_index = ?, chemical_similarity = ?,
+     mechanical_tolerance = ?, thermodynamic_stability = ?,
+     regulatory_alignment = ?, functional_viability = ?,
+     requirements_source = ?, score_breakdown = ?
+    WHERE id = ?`,
+    [
+      assessment.compatibility_score,
+      assessment.feasibility_index,
+      breakdown.chemical_similarity.score,
+      breakdown.mechanical_tolerance.score,
+      breakdown.thermodynamic_stability.score,
+      breakdown.regulatory_alignment.score,
+      breakdown.functional_viability.score,
+      assessment.requirements_source,
+      JSON.stringify(breakdown),
+      opportunity.id,
+    ],
+  );
 
-  for (const index of indexes) {
-    try {
-      await runQuery(index.sql);
-    } catch (err) {}
+  if (opportunity.logistics_breakdown) {
+    const { inputs } = JSON.parse(opportunity.logistics_breakdown);
+    const { estimate } =
+      (await estimateOpportunityLogistics(opportunity.id, inputs)) || {};
+    if (estimate) await saveLogistics(opportunity.id, estimate);
   }
-
-  console.log("\n✅ Database initialization complete!\n");
+  return assessment;
 };
 
+// Parses the stored JSON breakdowns on opportunity rows
+const withBreakdown = (row) => ({
+  ...row,
+  score_breakdown: row.score_breakdown ? JSON.parse(row.score_breakdown) : null,
+  logistics_breakdown: row.logistics_breakdown
+    ? JSON.parse(row.logistics_breakdown)
+    : null,
+});
+
 // ==================== API ENDPOINTS ====================
 
 // Health Check
@@ -247,294 +483,3672 @@ app.get("/api/health", async (req, res) => {
   }
 });
 
-// ==================== INDUSTRIES ====================
+// ==================== ACCOUNTS ====================
+
+const PASSWORD_RULE = {
+  type: "string",
+  required: true,
+  minLength: 8,
+  maxLength: 200,
+  trim: false,
+};
+
+const ACCOUNT_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 200 },
+  email: { type: "email", required: true, maxLength: 200 },
+  password: PASSWORD_RULE,
+};
+
+const REGISTER_SCHEMA = {
+  organization_name: { type: "string", required: true, maxLength: 200 },
+  ...ACCOUNT_SCHEMA,
+};
+
+const ROLE_RULE = { type: "enum", values: Object.keys(ROLES) };
+
+const MEMBER_SCHEMA = { ...ACCOUNT_SCHEMA, role: ROLE_RULE };
+
+const LOGIN_SCHEMA = {
+  email: { type: "email", required: true },
+  password: { type: "string", required: true, trim: false },
+};
+
+const sendDuplicateEmail = (res) =>
+  sendError(res, 409, "An account with this email already exists", {
+    code: "DUPLICATE",
+    fields: [{ field: "email", message: "This email is already registered" }],
+  });
+
+const insertUser = async (organizationId, { name, email, password, role }) =>
+  runQuery(
+    "INSERT INTO users (organization_id, email, name, password_hash, role) VALUES (?, ?, ?, ?, ?)",
+    [
+      organizationId,
+      email,
+      name,
+      await hashPassword(password),
+      role || "plant_operator",
+    ],
+  );
+
+// The signed-in user's profile with the permissions their role grants
+const loadProfile = async (userId) => {
+  const user = await findUser(userId);
+  return {
+    ...user,
+    permissions: permissionsFor(user.role),
+    system_admin: isSystemAdmin(user),
+  };
+};
+
+// Signs up a new organization together with its first member, who becomes
+// its admin
+app.post("/api/auth/register", validate(REGISTER_SCHEMA), async (req, res) => {
+  const { organization_name } = req.body;
 
-app.get("/api/industries", async (req, res) => {
   try {
-    const industries = await getAllQuery(
-      "SELECT * FROM industries ORDER BY created_at DESC",
-    );
-    res.json(industries);
+    const userId = await withTransaction(async () => {
+      const organization = await runQuery(
+        "INSERT INTO organizations (name) VALUES (?)",
+        [organization_name],
+      );
+      return (await insertUser(organization.id, { ...req.body, role: "admin" }))
+        .id;
+    });
+    const session = await createSession(userId);
+    res.status(201).json({
+      ...session,
+      user: await loadProfile(userId),
+      success: true,
+    });
   } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to fetch industries", message: err.message });
+    if (isUniqueViolation(err) && /organizations\.name/.test(err.message))
+      return sendError(res, 409, "This organization is already registered", {
+        code: "DUPLICATE",
+        fields: [
+          {
+            field: "organization_name",
+            message: "Ask a member of this organization to add you",
+          },
+        ],
+      });
+    if (isUniqueViolation(err)) return sendDuplicateEmail(res);
+    res.status(500).json({ error: "Failed to register", message: err.message });
   }
 });
 
-app.post("/api/industries", async (req, res) => {
-  const { name, sector, location, description, annual_output } = req.body;
-  if (!name || !sector)
-    return res.status(400).json({ error: "Name and sector are required" });
+app.post("/api/auth/login", validate(LOGIN_SCHEMA), async (req, res) => {
+  const { email, password } = req.body;
 
   try {
-    const result = await runQuery(
-      "INSERT INTO industries (name, sector, location, description, annual_output) VALUES (?, ?, ?, ?, ?)",
-      [name, sector, location || null, description || null, annual_output || 0],
+    const user = await getQuery(
+      "SELECT id, password_hash FROM users WHERE email = ?",
+      [email],
     );
-    res
-      .status(201)
-      .json({ id: result.id, message: "Industry created", success: true });
+    // Unknown emails and wrong passwords get the same answer
+    if (!user || !(await verifyPassword(password, user.password_hash)))
+      return sendError(res, 401, "Email or password is incorrect", {
+        code: "INVALID_CREDENTIALS",
+      });
+
+    const session = await createSession(user.id);
+    res.json({ ...session, user: await loadProfile(user.id), success: true });
   } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to create industry", message: err.message });
+    res.status(500).json({ error: "Failed to sign in", message: err.message });
   }
 });
 
-// ==================== MATERIALS ====================
-
-app.get("/api/materials", async (req, res) => {
-  const { status } = req.query;
+app.post("/api/auth/logout", async (req, res) => {
   try {
-    let sql = `
-      SELECT m.*, i.name as industry_name, i.sector
-      FROM materials m
-      JOIN industries i ON m.industry_id = i.id
-    `;
-    const params = [];
+    await deleteSession(bearerToken(req));
+    res.json({ message: "Signed out", success: true });
+  } catch (err) {
+    res.status(500).json({ error: "Failed to sign out", message: err.message });
+  }
+});
 
-    if (status) {
-      sql += ` WHERE m.availability_status = ?`;
-      params.push(status);
-    }
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  res.json({
+    ...req.user,
+    permissions: permissionsFor(req.user.role),
+    system_admin: isSystemAdmin(req.user),
+  });
+});
 
-    sql += ` ORDER BY m.created_at DESC`;
-    const materials = await getAllQuery(sql, params);
-    res.json(materials);
+app.get("/api/organization/members", requireAuth, async (req, res) => {
+  try {
+    const members = await getAllQuery(
+      "SELECT id, email, name, role, created_at FROM users WHERE organization_id = ? ORDER BY name",
+      [req.user.organization_id],
+    );
+    res.json(members);
   } catch (err) {
     res
       .status(500)
-      .json({ error: "Failed to fetch materials", message: err.message });
+      .json({ error: "Failed to fetch members", message: err.message });
   }
 });
 
-app.post("/api/materials", async (req, res) => {
-  const {
-    industry_id,
-    name,
-    material_type,
-    quantity,
-    unit,
-    chemical_composition,
-    mechanical_tolerance,
-    thermodynamic_stability,
-    regulatory_status,
-    availability_status,
-    description,
-  } = req.body;
+// Admins add colleagues to their own organization; there is no self-service
+// way to join an existing one
+app.post(
+  "/api/organization/members",
+  requirePermission("members:manage"),
+  validate(MEMBER_SCHEMA),
+  async (req, res) => {
+    try {
+      const result = await insertUser(req.user.organization_id, req.body);
+      res
+        .status(201)
+        .json({ id: result.id, message: "Member added", success: true });
+    } catch (err) {
+      if (isUniqueViolation(err)) return sendDuplicateEmail(res);
+      res
+        .status(500)
+        .json({ error: "Failed to add member", message: err.message });
+    }
+  },
+);
+
+app.patch(
+  "/api/organization/members/:id",
+  requirePermission("members:manage"),
+  validate({ role: { ...ROLE_RULE, required: true } }),
+  async (req, res) => {
+    const { role } = req.body;
+    // Admins cannot demote themselves, so an organization keeps an admin
+    if (Number(req.params.id) === req.user.id)
+      return sendError(res, 409, "You cannot change your own role", {
+        fields: [{ field: "role", message: "Ask another admin" }],
+      });
+
+    try {
+      const result = await runQuery(
+        "UPDATE users SET role = ? WHERE id = ? AND organization_id = ?",
+        [role, req.params.id, req.user.organization_id],
+      );
+      if (result.changes === 0) return sendError(res, 404, "Member not found");
+
+      res.json({ message: "Role updated", role, success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to update member", message: err.message });
+    }
+  },
+);
 
-  if (!industry_id || !name)
-    return res.status(400).json({ error: "Industry ID and name required" });
+// ==================== INDUSTRIES ====================
+
+const INDUSTRY_SELECT = `SELECT i.*, o.name as organization_name
+  FROM industries i
+  LEFT JOIN organizations o ON i.organization_id = o.id`;
 
+const requireIndustryOwner = requireOwner(
+  "SELECT organization_id FROM industries WHERE id = ?",
+  "Only members of the industry's organization can change it",
+);
+
+app.get("/api/industries", async (req, res) => {
   try {
-    const result = await runQuery(
-      `INSERT INTO materials 
-      (industry_id, name, material_type, quantity, unit, chemical_composition, 
-       mechanical_tolerance, thermodynamic_stability, regulatory_status, 
-       availability_status, description)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        industry_id,
-        name,
-        material_type,
-        quantity || 0,
-        unit || "kg",
-        chemical_composition,
-        mechanical_tolerance,
-        thermodynamic_stability,
-        regulatory_status || "unknown",
-        availability_status || "available",
-        description,
-      ],
+    const industries = await getAllQuery(
+      `${INDUSTRY_SELECT} ORDER BY i.created_at DESC`,
     );
-    res
-      .status(201)
-      .json({ id: result.id, message: "Material registered", success: true });
+    res.json(industries);
   } catch (err) {
     res
       .status(500)
-      .json({ error: "Failed to create material", message: err.message });
+      .json({ error: "Failed to fetch industries", message: err.message });
   }
 });
 
-// ==================== OPPORTUNITIES ====================
+// location_source is set by placeIndustry, never taken from the request
+const INDUSTRY_FIELDS = [...Object.keys(INDUSTRY_SCHEMA), "location_source"];
+
+// Places the industry from its location and coordinates (see placeIndustry);
+// res.locals.moved tells whether the coordinates change
+const locateIndustry = async (req, res, next) => {
+  const errors = coordinateErrors(req.body);
+  if (errors.length > 0) return sendValidationError(res, errors);
 
-app.get("/api/reuse-opportunities", async (req, res) => {
   try {
-    // FIX: Aliased target_industry_name to match client expectation
-    const opportunities = await getAllQuery(`
-      SELECT ro.*, 
-             m.name as material_name, m.material_type,
-             si.name as source_industry, si.sector as source_sector,
-             ti.name as target_industry_name, ti.sector as target_sector
-      FROM reuse_opportunities ro
-      JOIN materials m ON ro.source_material_id = m.id
-      JOIN industries si ON m.industry_id = si.id
-      JOIN industries ti ON ro.target_industry_id = ti.id
-      ORDER BY ro.feasibility_index DESC
-    `);
-    res.json(opportunities);
+    const stored = req.params.id
+      ? await getQuery(
+          "SELECT location, latitude, longitude, location_source FROM industries WHERE id = ?",
+          [req.params.id],
+        )
+      : null;
+    res.locals.moved = placeIndustry(req.body, stored);
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const sendDuplicateIndustry = (res) =>
+  sendError(res, 409, "An industry with this name already exists", {
+    code: "DUPLICATE",
+    fields: [{ field: "name", message: "This name is already in use" }],
+  });
+
+app.post(
+  "/api/industries",
+  requirePermission("industries:write"),
+  validate(INDUSTRY_SCHEMA),
+  locateIndustry,
+  async (req, res) => {
+    const { latitude, longitude, location_source } = req.body;
+
+    try {
+      const result = await insertIndustry(req.body, req.user.organization_id);
+      res.status(201).json({
+        id: result.id,
+        latitude: latitude ?? null,
+        longitude: longitude ?? null,
+        location_source: location_source || null,
+        message: "Industry created",
+        success: true,
+      });
+    } catch (err) {
+      if (isUniqueViolation(err)) return sendDuplicateIndustry(res);
+      res
+        .status(500)
+        .json({ error: "Failed to create industry", message: err.message });
+    }
+  },
+);
+
+app.get("/api/industries/:id", async (req, res) => {
+  try {
+    const industry = await getQuery(`${INDUSTRY_SELECT} WHERE i.id = ?`, [
+      req.params.id,
+    ]);
+    if (!industry) return sendError(res, 404, "Industry not found");
+    res.json(industry);
   } catch (err) {
     res
       .status(500)
-      .json({ error: "Failed to fetch opportunities", message: err.message });
+      .json({ error: "Failed to fetch industry", message: err.message });
   }
 });
 
-app.post("/api/reuse-opportunities", async (req, res) => {
-  const {
-    source_material_id,
-    target_industry_id,
-    compatibility_score,
-    feasibility_index,
-    preprocessing_required,
-    estimated_cost_savings,
-    environmental_impact_reduction,
-    reliability_rating,
-    notes,
-  } = req.body;
+// PUT replaces the editable fields (name and sector required), PATCH applies
+// only the fields supplied
+const updateIndustry = async (req, res) => {
+  const { assignments, params } = buildUpdate(req.body, INDUSTRY_FIELDS);
+  if (assignments.length === 0)
+    return sendError(res, 400, "No updatable fields supplied");
 
   try {
     const result = await runQuery(
-      `INSERT INTO reuse_opportunities 
-      (source_material_id, target_industry_id, compatibility_score, feasibility_index,
-       preprocessing_required, estimated_cost_savings, environmental_impact_reduction,
-       reliability_rating, notes)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        source_material_id,
-        target_industry_id,
-        compatibility_score || 0,
-        feasibility_index || 0,
-        preprocessing_required,
-        estimated_cost_savings || 0,
-        environmental_impact_reduction || 0,
-        reliability_rating || 0,
-        notes,
-      ],
+      `UPDATE industries SET ${assignments.join(", ")} WHERE id = ?`,
+      [...params, req.params.id],
     );
-    res
-      .status(201)
-      .json({ id: result.id, message: "Opportunity created", success: true });
+    if (result.changes === 0) return sendError(res, 404, "Industry not found");
+
+    // Feasibility depends on the distance between source and target
+    const opportunities = !res.locals.moved
+      ? []
+      : await getAllQuery(
+          `SELECT ro.* FROM reuse_opportunities ro
+             JOIN materials m ON ro.source_material_id = m.id
+             WHERE ro.target_industry_id = ? OR m.industry_id = ?`,
+          [req.params.id, req.params.id],
+        );
+    for (const opportunity of opportunities) {
+      await audited(req.user, "opportunity", opportunity.id, "update", () =>
+        rescoreOpportunity(opportunity),
+      );
+    }
+
+    res.json({
+      message: "Industry updated",
+      latitude: req.body.latitude,
+      longitude: req.body.longitude,
+      location_source: req.body.location_source,
+      rescored_opportunities: opportunities.length,
+      success: true,
+    });
   } catch (err) {
+    if (isUniqueViolation(err)) return sendDuplicateIndustry(res);
     res
       .status(500)
-      .json({ error: "Failed to create opportunity", message: err.message });
+      .json({ error: "Failed to update industry", message: err.message });
   }
-});
+};
 
-// ==================== TRANSACTIONS ====================
+app.put(
+  "/api/industries/:id",
+  requirePermission("industries:write"),
+  requireIndustryOwner,
+  validate(INDUSTRY_SCHEMA),
+  locateIndustry,
+  updateIndustry,
+);
+app.patch(
+  "/api/industries/:id",
+  requirePermission("industries:write"),
+  requireIndustryOwner,
+  validate(INDUSTRY_SCHEMA, { partial: true }),
+  locateIndustry,
+  updateIndustry,
+);
 
-app.get("/api/transactions", async (req, res) => {
-  const { status } = req.query;
-  try {
-    let sql = `
-      SELECT t.*, 
-             m.name as material_name,
-             si.name as source_industry,
-             ti.name as target_industry
-      FROM transactions t
-      JOIN materials m ON t.material_id = m.id
-      JOIN industries si ON t.source_industry_id = si.id
-      JOIN industries ti ON t.target_industry_id = ti.id
-    `;
-    const params = [];
-    if (status) {
-      sql += ` WHERE t.status = ?`;
-      params.push(status);
+// Looks a location up in the bundled gazetteer, e.g. to fill in a form
+app.get(
+  "/api/geocode",
+  validate(
+    { q: { type: "string", required: true, maxLength: 200 } },
+    { source: "query" },
+  ),
+  (req, res) => {
+    const found = geocode(res.locals.query.q);
+    if (!found)
+      return sendError(res, 404, "Location not found in the gazetteer", {
+        fields: [{ field: "q", message: "Enter the coordinates by hand" }],
+      });
+    res.json(found);
+  },
+);
+
+// Industries registered before accounts existed have no owner. A system
+// administrator assigns one to the organization that runs it (their own
+// unless organization_id is given), after which only its members can change
+// it; anyone can register an organization, so members cannot claim one.
+app.post(
+  "/api/industries/:id/claim",
+  requireSystemAdmin,
+  validate({
+    organization_id: { type: "integer", references: "organizations" },
+  }),
+  async (req, res) => {
+    const organization_id =
+      req.body.organization_id ?? req.user.organization_id;
+
+    try {
+      const industry = await getQuery(
+        "SELECT id, organization_id FROM industries WHERE id = ?",
+        [req.params.id],
+      );
+      if (!industry) return sendError(res, 404, "Industry not found");
+
+      // Only an unowned row is updated, so two claims cannot both succeed
+      const result = await runQuery(
+        "UPDATE industries SET organization_id = ? WHERE id = ? AND organization_id IS NULL",
+        [organization_id, industry.id],
+      );
+      if (result.changes === 0 && industry.organization_id !== organization_id)
+        return sendError(
+          res,
+          409,
+          "Industry already belongs to another organization",
+        );
+
+      res.json({ message: "Industry claimed", organization_id, success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to claim industry", message: err.message });
+    }
+  },
+);
+
+// Deleting an industry cascades to its materials, their opportunities and
+// every transaction it takes part in. Unless ?force=true is given, a delete
+// that would remove dependent rows is refused with a summary of them.
+app.delete(
+  "/api/industries/:id",
+  requirePermission("industries:write"),
+  requireIndustryOwner,
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const industry = await getQuery(
+        "SELECT id FROM industries WHERE id = ?",
+        [id],
+      );
+      if (!industry) return sendError(res, 404, "Industry not found");
+
+      const dependents = await getQuery(
+        `SELECT
+        (SELECT COUNT(*) FROM materials WHERE industry_id = ?) as materials,
+        (SELECT COUNT(*) FROM reuse_opportunities
+           WHERE target_industry_id = ?
+              OR source_material_id IN (SELECT id FROM materials WHERE industry_id = ?)) as opportunities,
+        (SELECT COUNT(*) FROM transactions
+           WHERE source_industry_id = ? OR target_industry_id = ?) as transactions`,
+        [id, id, id, id, id],
+      );
+      const hasDependents = Object.values(dependents).some(
+        (count) => count > 0,
+      );
+
+      if (hasDependents && req.query.force !== "true")
+        return sendError(
+          res,
+          409,
+          "Industry has dependent records; repeat with ?force=true to delete them too",
+          { code: "HAS_DEPENDENTS", dependents },
+        );
+
+      // The cascade removes audited records, so log each of them first
+      await withTransaction(async () => {
+        await auditDeletes(
+          req.user,
+          "transaction",
+          "source_industry_id = ? OR target_industry_id = ?",
+          [id, id],
+        );
+        await auditDeletes(
+          req.user,
+          "opportunity",
+          `target_industry_id = ?
+           OR source_material_id IN (SELECT id FROM materials WHERE industry_id = ?)`,
+          [id, id],
+        );
+        await auditDeletes(req.user, "material", "industry_id = ?", [id]);
+        await runQuery("DELETE FROM industries WHERE id = ?", [id]);
+      });
+      res.json({
+        message: "Industry deleted",
+        deleted: hasDependents ? dependents : null,
+        success: true,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to delete industry", message: err.message });
+    }
+  },
+);
+
+// ==================== INDUSTRY REQUIREMENTS ====================
+
+const REQUIREMENT_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 200 },
+  composition_limits: { type: "array" },
+  min_mechanical_tolerance: { type: "number", min: 0, max: 1 },
+  min_thermal_stability: { type: "number", min: 0, max: 1 },
+  max_thermal_stability: { type: "number", min: 0, max: 1 },
+  required_regulatory_status: { type: "enum", values: REGULATORY_STATUSES },
+  monthly_demand_quantity: { type: "number", min: 0 },
+  demand_unit: { type: "unit" },
+  notes: { type: "string", maxLength: 2000 },
+};
+
+// Normalises a requirement payload that already passed REQUIREMENT_SCHEMA.
+// Accepts accepted_material_types as an array or comma-separated string and
+// composition_limits as an array of { component, min, max } objects
+// (percentages). Returns field errors for the checks a schema cannot express.
+const normalizeRequirement = (body) => {
+  const errors = [];
+  const values = {
+    name: body.name,
+    min_mechanical_tolerance: body.min_mechanical_tolerance ?? null,
+    min_thermal_stability: body.min_thermal_stability ?? null,
+    max_thermal_stability: body.max_thermal_stability ?? null,
+    required_regulatory_status: body.required_regulatory_status || null,
+    monthly_demand_quantity: body.monthly_demand_quantity ?? null,
+    demand_unit: body.demand_unit || "t",
+    notes: body.notes || null,
+    composition_limits: [],
+  };
+
+  let types = body.accepted_material_types || [];
+  if (typeof types === "string") types = types.split(",");
+  if (!Array.isArray(types)) {
+    errors.push({
+      field: "accepted_material_types",
+      message: "Must be a list or comma-separated text",
+    });
+    types = [];
+  }
+  values.accepted_material_types = types
+    .map((t) => String(t).trim())
+    .filter(Boolean);
+
+  for (const limit of body.composition_limits || []) {
+    const component = String(limit?.component || "").trim();
+    const min =
+      limit?.min === "" || limit?.min == null ? null : Number(limit.min);
+    const max =
+      limit?.max === "" || limit?.max == null ? null : Number(limit.max);
+    let message = null;
+    if (!component) {
+      message = "Each composition limit needs a component";
+    } else if (
+      [min, max].some(
+        (v) => v !== null && (Number.isNaN(v) || v < 0 || v > 100),
+      )
+    ) {
+      message = `Limits for ${component} must be percentages between 0 and 100`;
+    } else if (min !== null && max !== null && min > max) {
+      message = `Minimum for ${component} exceeds its maximum`;
     }
-    sql += ` ORDER BY t.transaction_date DESC`;
+    if (message) errors.push({ field: "composition_limits", message });
+    else values.composition_limits.push({ component, min, max });
+  }
+
+  if (
+    values.min_thermal_stability !== null &&
+    values.max_thermal_stability !== null &&
+    values.min_thermal_stability > values.max_thermal_stability
+  ) {
+    errors.push({
+      field: "max_thermal_stability",
+      message: "Must not be lower than the minimum",
+    });
+  }
+
+  return { values, errors };
+};
+
+const requirementParams = (values) => [
+  values.name,
+  JSON.stringify(values.accepted_material_types),
+  JSON.stringify(values.composition_limits),
+  values.min_mechanical_tolerance,
+  values.min_thermal_stability,
+  values.max_thermal_stability,
+  values.required_regulatory_status,
+  values.monthly_demand_quantity,
+  values.demand_unit,
+  values.notes,
+];
+
+app.get("/api/industries/:id/requirements", async (req, res) => {
+  try {
+    const industry = await getQuery("SELECT id FROM industries WHERE id = ?", [
+      req.params.id,
+    ]);
+    if (!industry) return sendError(res, 404, "Industry not found");
 
-    const transactions = await getAllQuery(sql, params);
-    res.json(transactions);
+    res.json(await loadRequirements(industry.id));
   } catch (err) {
     res
       .status(500)
-      .json({ error: "Failed to fetch transactions", message: err.message });
+      .json({ error: "Failed to fetch requirements", message: err.message });
   }
 });
 
-// ==================== SYMBIOSIS NETWORK ====================
+app.post(
+  "/api/industries/:id/requirements",
+  requirePermission("industries:write"),
+  requireIndustryOwner,
+  validate(REQUIREMENT_SCHEMA),
+  async (req, res) => {
+    const { values, errors } = normalizeRequirement(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
 
-app.get("/api/symbiosis/network", async (req, res) => {
+    try {
+      const industry = await getQuery(
+        "SELECT id FROM industries WHERE id = ?",
+        [req.params.id],
+      );
+      if (!industry) return sendError(res, 404, "Industry not found");
+
+      const result = await runQuery(
+        `INSERT INTO industry_requirements
+      (name, accepted_material_types, composition_limits, min_mechanical_tolerance,
+       min_thermal_stability, max_thermal_stability, required_regulatory_status,
+       monthly_demand_quantity, demand_unit, notes, industry_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [...requirementParams(values), industry.id],
+      );
+      res
+        .status(201)
+        .json({ id: result.id, message: "Requirement created", success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to create requirement", message: err.message });
+    }
+  },
+);
+
+app.put(
+  "/api/industries/:id/requirements/:requirementId",
+  requirePermission("industries:write"),
+  requireIndustryOwner,
+  validate(REQUIREMENT_SCHEMA),
+  async (req, res) => {
+    const { values, errors } = normalizeRequirement(req.body);
+    if (errors.length > 0) return sendValidationError(res, errors);
+
+    try {
+      const result = await runQuery(
+        `UPDATE industry_requirements SET
+       name = ?, accepted_material_types = ?, composition_limits = ?,
+       min_mechanical_tolerance = ?, min_thermal_stability = ?,
+       max_thermal_stability = ?, required_regulatory_status = ?,
+       monthly_demand_quantity = ?, demand_unit = ?, notes = ?
+      WHERE industry_id = ? AND id = ?`,
+        [...requirementParams(values), req.params.id, req.params.requirementId],
+      );
+      if (result.changes === 0)
+        return sendError(res, 404, "Requirement not found");
+
+      res.json({ message: "Requirement updated", success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to update requirement", message: err.message });
+    }
+  },
+);
+
+app.delete(
+  "/api/industries/:id/requirements/:requirementId",
+  requirePermission("industries:write"),
+  requireIndustryOwner,
+  async (req, res) => {
+    try {
+      const result = await runQuery(
+        "DELETE FROM industry_requirements WHERE industry_id = ? AND id = ?",
+        [req.params.id, req.params.requirementId],
+      );
+      if (result.changes === 0)
+        return sendError(res, 404, "Requirement not found");
+
+      res.json({ message: "Requirement deleted", success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to delete requirement", message: err.message });
+    }
+  },
+);
+
+// ==================== MATERIALS ====================
+
+// Components are stored in their own table rather than as a column
+const MATERIAL_FIELDS = Object.keys(MATERIAL_SCHEMA).filter(
+  (field) => field !== "components",
+);
+
+const guardRegulatoryStatus = guardField({
+  field: "regulatory_status",
+  table: "materials",
+  defaultValue: "unknown",
+  permission: "materials:regulatory_status",
+  message: "Only compliance officers can change this",
+});
+
+const requireMaterialOwner = requireOwner(
+  `SELECT i.organization_id FROM materials m
+   JOIN industries i ON m.industry_id = i.id WHERE m.id = ?`,
+  "Only members of the producing industry's organization can change this material",
+);
+
+// Materials may only be registered under, or moved to, an industry of the
+// caller's own organization
+const requireOwnIndustryField = async (req, res, next) => {
+  const { industry_id } = req.body;
+  if (industry_id === undefined || industry_id === null) return next();
   try {
-    const nodes = await getAllQuery("SELECT id, name, sector FROM industries");
-    // Edges from reuse opportunities (potential connections)
-    const edges = await getAllQuery(`
-      SELECT ro.id, 
-             m.industry_id as source, 
-             ro.target_industry_id as target, 
-             ro.feasibility_index as strength
-      FROM reuse_opportunities ro
-      JOIN materials m ON ro.source_material_id = m.id
-    `);
-    res.json({ nodes, edges });
+    if (await isIndustryMember(req.user, industry_id)) return next();
+    sendError(
+      res,
+      403,
+      "Materials can only be registered for your organization's industries",
+      {
+        code: "FORBIDDEN",
+        fields: [
+          { field: "industry_id", message: "Belongs to another organization" },
+        ],
+      },
+    );
   } catch (err) {
-    res
-      .status(500)
-      .json({ error: "Failed to fetch network", message: err.message });
+    next(err);
   }
-});
+};
 
-// ==================== ANALYTICS ====================
+// Validates structured components and, when there are any, replaces the
+// free-text chemical_composition with their summary
+const checkComponents = (req, res, next) => {
+  if (req.body.components === undefined || req.body.components === null) {
+    delete req.body.components;
+    return next();
+  }
+  const { components, fields } = validateComponents(req.body.components);
+  if (fields.length > 0) return sendValidationError(res, fields);
+
+  req.body.components = components;
+  if (components.length > 0)
+    req.body.chemical_composition = formatComposition(components);
+  next();
+};
+
+const MATERIAL_LISTING = {
+  select: `m.*, i.name as industry_name, i.sector, i.organization_id,
+    mcl.hazard, mcl.waste_status`,
+  from: `FROM materials m JOIN industries i ON m.industry_id = i.id
+    LEFT JOIN material_classifications mcl ON mcl.material_id = m.id`,
+  idColumn: "m.id",
+  filters: {
+    id: { column: "m.id", type: "integer" },
+    status: {
+      column: "m.availability_status",
+      type: "enum",
+      values: AVAILABILITY_STATUSES,
+    },
+    industry_id: { column: "m.industry_id", type: "integer" },
+    sector: { column: "i.sector", type: "string" },
+    material_type: {
+      column: "m.material_type",
+      op: "contains",
+      type: "string",
+    },
+    regulatory_status: {
+      column: "m.regulatory_status",
+      type: "enum",
+      values: REGULATORY_STATUSES,
+    },
+    hazard: { column: "mcl.hazard", type: "enum", values: HAZARD_LEVELS },
+    waste_status: {
+      column: "mcl.waste_status",
+      type: "enum",
+      values: WASTE_STATUSES,
+    },
+    min_quantity: { column: "m.quantity", op: ">=", type: "number" },
+    max_quantity: { column: "m.quantity", op: "<=", type: "number" },
+    // e.g. "SiO2 > 30", "Pb <= 0.1", "CaO 20-60" or "Fe"
+    composition: {
+      type: "string",
+      maxLength: 200,
+      where: compositionCondition,
+    },
+    created_from: { column: "m.created_at", op: "date>=", type: "date" },
+    created_to: { column: "m.created_at", op: "date<=", type: "date" },
+  },
+  sortable: {
+    created_at: "m.created_at",
+    name: "m.name",
+    material_type: "m.material_type",
+    quantity: "m.quantity",
+    industry: "i.name",
+  },
+  defaultSort: "created_at",
+};
+
+app.get(
+  "/api/materials",
+  validate(listSchema(MATERIAL_LISTING), { source: "query" }),
+  async (req, res) => {
+    try {
+      const page = await fetchPage(MATERIAL_LISTING, res.locals.query);
+      await attachComponents(page.data);
+      res.json(page);
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch materials", message: err.message });
+    }
+  },
+);
 
-app.get("/api/analytics/circulation", async (req, res) => {
+app.post(
+  "/api/materials",
+  requirePermission("materials:write"),
+  validate(MATERIAL_SCHEMA),
+  requireOwnIndustryField,
+  guardRegulatoryStatus,
+  checkComponents,
+  async (req, res) => {
+    try {
+      const id = await withTransaction(() =>
+        insertMaterial(req.user, req.body),
+      );
+      const classification = await classifyAndStore(id);
+      res.status(201).json({
+        id,
+        classification,
+        message: "Material registered",
+        success: true,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to create material", message: err.message });
+    }
+  },
+);
+
+// Turns free-text composition into components for the editor to review;
+// parts it cannot read are returned as unparsed
+app.post(
+  "/api/materials/composition/parse",
+  validate({ text: { type: "string", required: true, maxLength: 2000 } }),
+  (req, res) => {
+    res.json(parseComposition(req.body.text));
+  },
+);
+
+app.get("/api/materials/:id", async (req, res) => {
   try {
-    const metrics = await getAllQuery(`
-      SELECT cm.*, i.name as industry_name 
-      FROM circulation_metrics cm
-      JOIN industries i ON cm.industry_id = i.id
-      ORDER BY cm.measured_at DESC
-    `);
-    res.json(metrics);
+    const material = await getQuery(
+      `SELECT m.*, i.name as industry_name, i.sector, i.organization_id
+       FROM materials m
+       JOIN industries i ON m.industry_id = i.id
+       WHERE m.id = ?`,
+      [req.params.id],
+    );
+    if (!material) return sendError(res, 404, "Material not found");
+    await attachComponents([material]);
+    material.classification = await findClassification(material.id);
+    res.json(material);
   } catch (err) {
     res
       .status(500)
-      .json({ error: "Failed to fetch metrics", message: err.message });
+      .json({ error: "Failed to fetch material", message: err.message });
   }
 });
 
-// ==================== DASHBOARD ====================
+const updateMaterial = async (req, res) => {
+  const { components } = req.body;
+  const { assignments, params } = buildUpdate(req.body, MATERIAL_FIELDS);
+  if (assignments.length === 0 && !components)
+    return sendError(res, 400, "No updatable fields supplied");
 
-app.get("/api/dashboard-stats", async (req, res) => {
   try {
-    const industriesCount = await getQuery(
-      "SELECT COUNT(*) as count FROM industries",
-    );
-    const materialsCount = await getQuery(
-      "SELECT COUNT(*) as count FROM materials",
-    );
-    const transactionsCount = await getQuery(
-      "SELECT COUNT(*) as count FROM transactions",
-    );
-    const materialStock = await getQuery(
-      "SELECT COALESCE(SUM(quantity), 0) as total FROM materials",
+    const found = await withTransaction(() =>
+      audited(req.user, "material", req.params.id, "update", async () => {
+        if (assignments.length > 0) {
+          const result = await runQuery(
+            `UPDATE materials SET ${assignments.join(", ")} WHERE id = ?`,
+            [...params, req.params.id],
+          );
+          if (result.changes === 0) return false;
+        } else if (
+          !(await getQuery("SELECT id FROM materials WHERE id = ?", [
+            req.params.id,
+          ]))
+        ) {
+          return false;
+        }
+        if (components) await saveComponents(req.params.id, components);
+        return true;
+      }),
     );
+    if (!found) return sendError(res, 404, "Material not found");
 
-    // Derived metrics for UI
-    const avgFeasibility = await getQuery(
-      "SELECT AVG(feasibility_index) as val FROM reuse_opportunities",
-    );
-    const activeConnections = await getQuery(
-      "SELECT COUNT(*) as count FROM reuse_opportunities WHERE feasibility_index > 0.5",
+    // Scores of existing opportunities depend on the material's properties
+    const opportunities = await getAllQuery(
+      "SELECT * FROM reuse_opportunities WHERE source_material_id = ?",
+      [req.params.id],
     );
+    for (const opportunity of opportunities) {
+      await audited(req.user, "opportunity", opportunity.id, "update", () =>
+        rescoreOpportunity(opportunity),
+      );
+    }
+    const classification = await classifyAndStore(req.params.id);
 
-    // FIX: Keys match frontend expectations
     res.json({
-      total_industries: industriesCount?.count || 0,
-      available_materials: materialsCount?.count || 0,
-      completed_transactions: transactionsCount?.count || 0,
-      avg_feasibility: avgFeasibility?.val || 0,
-      total_material_quantity: materialStock?.total || 0,
-      active_connections: activeConnections?.count || 0,
-      timestamp: new Date().toISOString(),
+      message: "Material updated",
+      classification,
+      rescored_opportunities: opportunities.length,
+      success: true,
     });
   } catch (err) {
     res
       .status(500)
-      .json({ error: "Failed to fetch statistics", message: err.message });
+      .json({ error: "Failed to update material", message: err.message });
   }
+};
+
+app.put(
+  "/api/materials/:id",
+  requirePermission("materials:write"),
+  requireMaterialOwner,
+  validate(MATERIAL_SCHEMA),
+  requireOwnIndustryField,
+  guardRegulatoryStatus,
+  checkComponents,
+  updateMaterial,
+);
+app.patch(
+  "/api/materials/:id",
+  requirePermission("materials:write"),
+  requireMaterialOwner,
+  validate(MATERIAL_SCHEMA, { partial: true }),
+  requireOwnIndustryField,
+  guardRegulatoryStatus,
+  checkComponents,
+  updateMaterial,
+);
+
+app.delete(
+  "/api/materials/:id",
+  requirePermission("materials:write"),
+  requireMaterialOwner,
+  async (req, res) => {
+    const { id } = req.params;
+    try {
+      const material = await getQuery("SELECT id FROM materials WHERE id = ?", [
+        id,
+      ]);
+      if (!material) return sendError(res, 404, "Material not found");
+
+      const dependents = await getQuery(
+        `SELECT
+        (SELECT COUNT(*) FROM reuse_opportunities WHERE source_material_id = ?) as opportunities,
+        (SELECT COUNT(*) FROM transactions WHERE material_id = ?) as transactions`,
+        [id, id],
+      );
+      const hasDependents = Object.values(dependents).some(
+        (count) => count > 0,
+      );
+
+      if (hasDependents && req.query.force !== "true")
+        return sendError(
+          res,
+          409,
+          "Material has dependent records; repeat with ?force=true to delete them too",
+          { code: "HAS_DEPENDENTS", dependents },
+        );
+
+      await withTransaction(async () => {
+        await auditDeletes(req.user, "transaction", "material_id = ?", [id]);
+        await auditDeletes(req.user, "opportunity", "source_material_id = ?", [
+          id,
+        ]);
+        await audited(req.user, "material", id, "delete", () =>
+          runQuery("DELETE FROM materials WHERE id = ?", [id]),
+        );
+      });
+      res.json({
+        message: "Material deleted",
+        deleted: hasDependents ? dependents : null,
+        success: true,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to delete material", message: err.message });
+    }
+  },
+);
+
+// ==================== IMPORT ====================
+
+// A CSV or Excel file of industries or materials is sent base64-encoded as
+// { filename, content, sheet, mapping }. Preview checks every row and
+// suggests a mapping when none is given; commit creates all rows or none.
+const IMPORT_PERMISSIONS = {
+  industries: "industries:write",
+  materials: "materials:write",
+};
+
+const IMPORT_SCHEMA = {
+  filename: { type: "string", required: true, maxLength: 255 },
+  content: { type: "string", required: true, trim: false },
+  sheet: { type: "string", maxLength: 100 },
+};
+
+// Reads the uploaded file into res.locals.table
+const readImportFile = async (req, res, next) => {
+  const { filename, content, sheet } = req.body;
+  try {
+    const { table, fields } = await readTable({
+      filename,
+      content: Buffer.from(content, "base64"),
+      sheet,
+    });
+    if (fields.length > 0) return sendValidationError(res, fields);
+    res.locals.table = table;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+for (const entity of IMPORT_TYPES) {
+  const permission = IMPORT_PERMISSIONS[entity];
+
+  app.post(
+    `/api/import/${entity}/preview`,
+    requirePermission(permission),
+    validate(IMPORT_SCHEMA),
+    readImportFile,
+    async (req, res) => {
+      try {
+        res.json(
+          await previewImport({
+            entity,
+            table: res.locals.table,
+            mapping: req.body.mapping,
+            user: req.user,
+          }),
+        );
+      } catch (err) {
+        res
+          .status(500)
+          .json({ error: "Failed to preview import", message: err.message });
+      }
+    },
+  );
+
+  app.post(
+    `/api/import/${entity}/commit`,
+    requirePermission(permission),
+    validate(IMPORT_SCHEMA),
+    readImportFile,
+    async (req, res) => {
+      try {
+        const { report, fields } = await commitImport({
+          entity,
+          table: res.locals.table,
+          mapping: req.body.mapping,
+          user: req.user,
+          organization_id: req.user.organization_id,
+        });
+        if (fields.length > 0) {
+          let reason = "the file has no rows";
+          if (report.mapping_errors.length > 0)
+            reason = "the column mapping is incomplete";
+          else if (report.invalid > 0)
+            reason = `${report.invalid} of ${report.total} rows have errors`;
+          return sendError(res, 400, `Nothing was imported: ${reason}`, {
+            fields,
+            report,
+          });
+        }
+        res.status(201).json({
+          ...report,
+          message: `Imported ${report.created} ${entity}`,
+          success: true,
+        });
+      } catch (err) {
+        if (isUniqueViolation(err)) return sendDuplicateIndustry(res);
+        res
+          .status(500)
+          .json({ error: "Failed to import file", message: err.message });
+      }
+    },
+  );
+}
+
+// ==================== OPPORTUNITIES ====================
+
+const OPPORTUNITY_STATUSES = [
+  "discovered",
+  "under_review",
+  "accepted",
+  "rejected",
+];
+
+// Scores are computed by the engine and cannot be edited directly
+const OPPORTUNITY_SCHEMA = {
+  preprocessing_required: { type: "string", maxLength: 2000 },
+  estimated_cost_savings: { type: "number", min: 0 },
+  environmental_impact_reduction: { type: "number", min: 0 },
+  reliability_rating: { type: "number", min: 0, max: 1 },
+  status: { type: "enum", values: OPPORTUNITY_STATUSES },
+  notes: { type: "string", maxLength: 2000 },
+};
+
+const OPPORTUNITY_FIELDS = Object.keys(OPPORTUNITY_SCHEMA);
+
+const NEW_OPPORTUNITY_SCHEMA = {
+  source_material_id: {
+    type: "integer",
+    required: true,
+    references: "materials",
+  },
+  target_industry_id: {
+    type: "integer",
+    required: true,
+    references: "industries",
+  },
+  ...OPPORTUNITY_SCHEMA,
+};
+
+// Accepting or rejecting a match is up to the industry that would take the
+// material in
+const requireOpportunityOwner = requireOwner(
+  `SELECT i.organization_id FROM reuse_opportunities ro
+   JOIN industries i ON ro.target_industry_id = i.id WHERE ro.id = ?`,
+  "Only members of the target industry's organization can review this opportunity",
+);
+
+// Moving an opportunity past "discovered" is an assessor's decision
+const guardOpportunityStatus = guardField({
+  field: "status",
+  table: "reuse_opportunities",
+  defaultValue: "discovered",
+  permission: "opportunities:review",
+  message: "Only assessors can change the status",
+});
+
+// Current distance in km between the source (si) and target (ti) industries
+const OPPORTUNITY_DISTANCE = distanceSql("si", "ti");
+
+const OPPORTUNITY_LISTING = {
+  select: `ro.*,
+    m.name as material_name, m.material_type,
+    si.name as source_industry, si.sector as source_sector,
+    ti.name as target_industry_name, ti.sector as target_sector,
+    ti.organization_id as target_organization_id,
+    round(${OPPORTUNITY_DISTANCE}, 1) as distance_km`,
+  from: `FROM reuse_opportunities ro
+    JOIN materials m ON ro.source_material_id = m.id
+    JOIN industries si ON m.industry_id = si.id
+    JOIN industries ti ON ro.target_industry_id = ti.id`,
+  idColumn: "ro.id",
+  filters: {
+    id: { column: "ro.id", type: "integer" },
+    status: { column: "ro.status", type: "enum", values: OPPORTUNITY_STATUSES },
+    material_id: { column: "ro.source_material_id", type: "integer" },
+    industry_id: { column: "m.industry_id", type: "integer" },
+    target_industry_id: { column: "ro.target_industry_id", type: "integer" },
+    sector: { column: "ti.sector", type: "string" },
+    source_sector: { column: "si.sector", type: "string" },
+    material_type: {
+      column: "m.material_type",
+      op: "contains",
+      type: "string",
+    },
+    min_feasibility: {
+      column: "ro.feasibility_index",
+      op: ">=",
+      type: "number",
+      min: 0,
+      max: 1,
+    },
+    max_feasibility: {
+      column: "ro.feasibility_index",
+      op: "<=",
+      type: "number",
+      min: 0,
+      max: 1,
+    },
+    min_compatibility: {
+      column: "ro.compatibility_score",
+      op: ">=",
+      type: "number",
+      min: 0,
+      max: 1,
+    },
+    created_from: { column: "ro.created_at", op: "date>=", type: "date" },
+    created_to: { column: "ro.created_at", op: "date<=", type: "date" },
+    // Pairs without coordinates on both sides have no distance and are left out
+    radius_km: {
+      type: "number",
+      exclusiveMin: 0,
+      where: (value) => ({
+        condition: `${OPPORTUNITY_DISTANCE} <= ?`,
+        params: [value],
+      }),
+    },
+  },
+  sortable: {
+    feasibility_index: "ro.feasibility_index",
+    compatibility_score: "ro.compatibility_score",
+    estimated_cost_savings: "ro.estimated_cost_savings",
+    created_at: "ro.created_at",
+    material_name: "m.name",
+    // Pairs without a distance last, in either order
+    distance_km: `${OPPORTUNITY_DISTANCE} IS NULL, ${OPPORTUNITY_DISTANCE}`,
+  },
+  defaultSort: "feasibility_index",
+};
+
+app.get(
+  "/api/reuse-opportunities",
+  validate(listSchema(OPPORTUNITY_LISTING), { source: "query" }),
+  async (req, res) => {
+    try {
+      const page = await fetchPage(OPPORTUNITY_LISTING, res.locals.query);
+      res.json({ ...page, data: page.data.map(withBreakdown) });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch opportunities", message: err.message });
+    }
+  },
+);
+
+app.post(
+  "/api/reuse-opportunities",
+  requirePermission("opportunities:write"),
+  validate(NEW_OPPORTUNITY_SCHEMA),
+  async (req, res) => {
+    const {
+      source_material_id,
+      target_industry_id,
+      preprocessing_required,
+      estimated_cost_savings,
+      environmental_impact_reduction,
+      reliability_rating,
+      notes,
+    } = req.body;
+
+    try {
+      // Scores are always computed server-side; client-supplied values are ignored
+      const assessment = await assessCompatibility(
+        source_material_id,
+        target_industry_id,
+        { preprocessing_required },
+      );
+      if (!assessment)
+        return sendError(
+          res,
+          404,
+          "Source material or target industry not found",
+        );
+
+      const result = await audited(
+        req.user,
+        "opportunity",
+        null,
+        "create",
+        () =>
+          insertOpportunity(assessment, {
+            preprocessing_required,
+            estimated_cost_savings,
+            environmental_impact_reduction,
+            reliability_rating,
+            notes,
+          }),
+      );
+      res.status(201).json({
+        id: result.id,
+        message: "Opportunity created",
+        success: true,
+        compatibility_score: assessment.compatibility_score,
+        feasibility_index: assessment.feasibility_index,
+        distance_km: assessment.distance_km,
+        requirements_source: assessment.requirements_source,
+        breakdown: assessment.breakdown,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to create opportunity", message: err.message });
+    }
+  },
+);
+
+app.patch(
+  "/api/reuse-opportunities/:id/status",
+  requirePermission("opportunities:write"),
+  requireOpportunityOwner,
+  validate({ status: { ...OPPORTUNITY_SCHEMA.status, required: true } }),
+  guardOpportunityStatus,
+  async (req, res) => {
+    const { status } = req.body;
+
+    try {
+      const result = await audited(
+        req.user,
+        "opportunity",
+        req.params.id,
+        "update",
+        () =>
+          runQuery("UPDATE reuse_opportunities SET status = ? WHERE id = ?", [
+            status,
+            req.params.id,
+          ]),
+      );
+      if (result.changes === 0)
+        return sendError(res, 404, "Opportunity not found");
+
+      res.json({
+        message: "Opportunity status updated",
+        status,
+        success: true,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to update opportunity", message: err.message });
+    }
+  },
+);
+
+app.get("/api/reuse-opportunities/:id", async (req, res) => {
+  try {
+    const opportunity = await getQuery(
+      `SELECT ro.*,
+              m.name as material_name, m.material_type,
+              si.name as source_industry, si.sector as source_sector,
+              ti.name as target_industry_name, ti.sector as target_sector,
+              ti.organization_id as target_organization_id,
+              round(${OPPORTUNITY_DISTANCE}, 1) as distance_km
+       FROM reuse_opportunities ro
+       JOIN materials m ON ro.source_material_id = m.id
+       JOIN industries si ON m.industry_id = si.id
+       JOIN industries ti ON ro.target_industry_id = ti.id
+       WHERE ro.id = ?`,
+      [req.params.id],
+    );
+    if (!opportunity) return sendError(res, 404, "Opportunity not found");
+    res.json(withBreakdown(opportunity));
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Failed to fetch opportunity", message: err.message });
+  }
+});
+
+const updateOpportunity = async (req, res) => {
+  const { assignments, params } = buildUpdate(req.body, OPPORTUNITY_FIELDS);
+  if (assignments.length === 0)
+    return sendError(res, 400, "No updatable fields supplied");
+  // Figures typed in by hand replace a logistics estimate
+  if (
+    req.body.estimated_cost_savings !== undefined ||
+    req.body.environmental_impact_reduction !== undefined
+  )
+    assignments.push("transport_mode = NULL", "logistics_breakdown = NULL");
+
+  try {
+    // The edit and the rescore it triggers are logged as one change
+    const { result, assessment } = await audited(
+      req.user,
+      "opportunity",
+      req.params.id,
+      "update",
+      async () => {
+        const result = await runQuery(
+          `UPDATE reuse_opportunities SET ${assignments.join(", ")} WHERE id = ?`,
+          [...params, req.params.id],
+        );
+        if (result.changes === 0) return { result };
+
+        // Preprocessing affects feasibility, so refresh the stored scores
+        const opportunity = await getQuery(
+          "SELECT * FROM reuse_opportunities WHERE id = ?",
+          [req.params.id],
+        );
+        return { result, assessment: await rescoreOpportunity(opportunity) };
+      },
+    );
+    if (result.changes === 0)
+      return sendError(res, 404, "Opportunity not found");
+
+    res.json({
+      message: "Opportunity updated",
+      feasibility_index: assessment?.feasibility_index,
+      success: true,
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Failed to update opportunity", message: err.message });
+  }
+};
+
+app.put(
+  "/api/reuse-opportunities/:id",
+  requirePermission("opportunities:write"),
+  requireOpportunityOwner,
+  validate(OPPORTUNITY_SCHEMA),
+  guardOpportunityStatus,
+  updateOpportunity,
+);
+app.patch(
+  "/api/reuse-opportunities/:id",
+  requirePermission("opportunities:write"),
+  requireOpportunityOwner,
+  validate(OPPORTUNITY_SCHEMA, { partial: true }),
+  guardOpportunityStatus,
+  updateOpportunity,
+);
+
+app.delete(
+  "/api/reuse-opportunities/:id",
+  requirePermission("opportunities:write"),
+  requireOpportunityOwner,
+  async (req, res) => {
+    try {
+      const result = await audited(
+        req.user,
+        "opportunity",
+        req.params.id,
+        "delete",
+        () =>
+          runQuery("DELETE FROM reuse_opportunities WHERE id = ?", [
+            req.params.id,
+          ]),
+      );
+      if (result.changes === 0)
+        return sendError(res, 404, "Opportunity not found");
+
+      res.json({ message: "Opportunity deleted", success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to delete opportunity", message: err.message });
+    }
+  },
+);
+
+// Scans every available material against every other industry (within
+// radius_km of the material's source, if given) and records new
+// opportunities whose feasibility reaches the threshold
+app.post(
+  "/api/reuse-opportunities/discover",
+  requirePermission("opportunities:review"),
+  validate({
+    threshold: { type: "number", min: 0, max: 1 },
+    radius_km: { type: "number", exclusiveMin: 0 },
+  }),
+  async (req, res) => {
+    const threshold = req.body.threshold ?? DEFAULT_DISCOVERY_THRESHOLD;
+    const radius = req.body.radius_km ?? null;
+
+    try {
+      const materials = await attachComponents(
+        await getAllQuery(
+          "SELECT * FROM materials WHERE availability_status = 'available'",
+        ),
+      );
+      const industries = await getAllQuery("SELECT * FROM industries");
+      const industriesById = Object.fromEntries(
+        industries.map((industry) => [industry.id, industry]),
+      );
+      const existing = await getAllQuery(
+        "SELECT source_material_id, target_industry_id FROM reuse_opportunities",
+      );
+      const requirementsByIndustry = {};
+      const requirementRows = await getAllQuery(
+        "SELECT * FROM industry_requirements ORDER BY id",
+      );
+      for (const row of requirementRows) {
+        (requirementsByIndustry[row.industry_id] ||= []).push(
+          parseRequirement(row),
+        );
+      }
+      const existingPairs = new Set(
+        existing.map(
+          (row) => `${row.source_material_id}:${row.target_industry_id}`,
+        ),
+      );
+
+      const report = {
+        threshold,
+        radius_km: radius,
+        materials_scanned: materials.length,
+        industries_scanned: industries.length,
+        evaluated: 0,
+        created: 0,
+        skipped: 0,
+        out_of_range: 0,
+        below_threshold: 0,
+        opportunities: [],
+      };
+
+      await withTransaction(async () => {
+        for (const material of materials) {
+          for (const industry of industries) {
+            // A material is never matched back to the industry that produced it
+            if (material.industry_id === industry.id) continue;
+
+            // Unknown distances are out of range when a radius is given
+            const distance = distanceKm(
+              industriesById[material.industry_id],
+              industry,
+            );
+            if (radius !== null && (distance === null || distance > radius)) {
+              report.out_of_range += 1;
+              continue;
+            }
+
+            report.evaluated += 1;
+            if (existingPairs.has(`${material.id}:${industry.id}`)) {
+              report.skipped += 1;
+              continue;
+            }
+
+            const assessment = {
+              ...scorePair(
+                material,
+                industry,
+                requirementsByIndustry[industry.id] || [],
+                { distance_km: distance },
+              ),
+              material,
+              industry,
+            };
+            if (assessment.feasibility_index < threshold) {
+              report.below_threshold += 1;
+              continue;
+            }
+
+            const result = await audited(
+              req.user,
+              "opportunity",
+              null,
+              "create",
+              () =>
+                insertOpportunity(assessment, {
+                  notes: "Identified by automatic discovery",
+                }),
+            );
+            report.created += 1;
+            report.opportunities.push({
+              id: result.id,
+              source_material_id: material.id,
+              target_industry_id: industry.id,
+              feasibility_index: assessment.feasibility_index,
+              distance_km: assessment.distance_km,
+            });
+          }
+        }
+      });
+
+      console.log(
+        `🔍 Discovery: ${report.evaluated} evaluated, ${report.created} created, ${report.skipped} skipped`,
+      );
+      res.json({ ...report, success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to run discovery", message: err.message });
+    }
+  },
+);
+
+// ==================== LOGISTICS ====================
+
+const LOGISTICS_SCHEMA = {
+  transport_mode: { type: "enum", values: TRANSPORT_MODES, required: true },
+  quantity: { type: "number", exclusiveMin: 0 },
+  unit: { type: "unit" },
+  distance_km: { type: "number", exclusiveMin: 0 },
+  ...Object.fromEntries(
+    MATERIAL_FACTORS.map((factor) => [factor, { type: "number", min: 0 }]),
+  ),
+};
+
+app.get("/api/logistics/factors", (req, res) => {
+  res.json(getLogisticsConfig());
+});
+
+// Estimates haulage against avoided disposal and virgin material, and
+// stores the net savings and net emissions benefit on the opportunity
+app.post(
+  "/api/reuse-opportunities/:id/logistics",
+  requirePermission("opportunities:write"),
+  requireOpportunityOwner,
+  validate(LOGISTICS_SCHEMA),
+  async (req, res) => {
+    const inputs = Object.fromEntries(
+      Object.keys(LOGISTICS_SCHEMA)
+        .filter((field) => isGiven(req.body[field]))
+        .map((field) => [field, req.body[field]]),
+    );
+
+    try {
+      const result = await estimateOpportunityLogistics(req.params.id, inputs);
+      if (!result) return sendError(res, 404, "Opportunity not found");
+      if (result.fields) return sendValidationError(res, result.fields);
+
+      await audited(req.user, "opportunity", req.params.id, "update", () =>
+        saveLogistics(req.params.id, result.estimate),
+      );
+      res.json({ logistics: result.estimate, success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to estimate logistics", message: err.message });
+    }
+  },
+);
+
+// ==================== TRANSACTIONS ====================
+
+// Lifecycle: pending → approved → shipped → received → completed, with
+// cancellation before shipping and failure at any point after approval.
+// `by` names the parties whose organization members may take each step: the
+// receiving (target) industry accepts and confirms, the source ships.
+const TRANSACTION_TRANSITIONS = {
+  approve: { from: ["pending"], to: "approved", by: ["target"] },
+  ship: { from: ["approved"], to: "shipped", by: ["source"] },
+  receive: { from: ["shipped"], to: "received", by: ["target"] },
+  complete: { from: ["received"], to: "completed", by: ["target"] },
+  fail: {
+    from: ["approved", "shipped", "received"],
+    to: "failed",
+    by: ["source", "target"],
+  },
+  cancel: {
+    from: ["pending", "approved"],
+    to: "cancelled",
+    by: ["source", "target"],
+  },
+};
+
+const TRANSACTION_STATUSES = [
+  "pending",
+  "approved",
+  "shipped",
+  "received",
+  "completed",
+  "failed",
+  "cancelled",
+];
+
+const TRANSACTION_SCHEMA = {
+  opportunity_id: { type: "integer", references: "reuse_opportunities" },
+  material_id: { type: "integer", references: "materials" },
+  target_industry_id: { type: "integer", references: "industries" },
+  quantity_transferred: { type: "number", required: true, exclusiveMin: 0 },
+  unit: { type: "unit" },
+  cost_savings: { type: "number", min: 0 },
+  notes: { type: "string", maxLength: 2000 },
+};
+
+const TRANSITION_SCHEMA = {
+  note: { type: "string", maxLength: 2000 },
+};
+
+const TRANSACTION_LISTING = {
+  select: `t.*,
+    m.name as material_name,
+    si.name as source_industry,
+    ti.name as target_industry,
+    si.organization_id as source_organization_id,
+    ti.organization_id as target_organization_id`,
+  from: `FROM transactions t
+    JOIN materials m ON t.material_id = m.id
+    JOIN industries si ON t.source_industry_id = si.id
+    JOIN industries ti ON t.target_industry_id = ti.id`,
+  idColumn: "t.id",
+  filters: {
+    status: { column: "t.status", type: "enum", values: TRANSACTION_STATUSES },
+    material_id: { column: "t.material_id", type: "integer" },
+    source_industry_id: { column: "t.source_industry_id", type: "integer" },
+    target_industry_id: { column: "t.target_industry_id", type: "integer" },
+    sector: { column: "si.sector", type: "string" },
+    material_type: {
+      column: "m.material_type",
+      op: "contains",
+      type: "string",
+    },
+    min_quantity: {
+      column: "t.quantity_transferred",
+      op: ">=",
+      type: "number",
+    },
+    max_quantity: {
+      column: "t.quantity_transferred",
+      op: "<=",
+      type: "number",
+    },
+    date_from: { column: "t.transaction_date", op: "date>=", type: "date" },
+    date_to: { column: "t.transaction_date", op: "date<=", type: "date" },
+  },
+  sortable: {
+    transaction_date: "t.transaction_date",
+    updated_at: "t.updated_at",
+    quantity_transferred: "t.quantity_transferred",
+    cost_savings: "t.cost_savings",
+    status: "t.status",
+  },
+  defaultSort: "transaction_date",
+};
+
+// The sides of a transaction ("source", "target") the user acts for
+const transactionParties = (user, transaction) =>
+  [
+    isMember(user, transaction.source_organization_id) && "source",
+    isMember(user, transaction.target_organization_id) && "target",
+  ].filter(Boolean);
+
+// Actions the user may take on the transaction in its current status
+const allowedActions = (user, transaction) => {
+  if (!can(user, "transactions:write")) return [];
+  const parties = transactionParties(user, transaction);
+  return Object.keys(TRANSACTION_TRANSITIONS).filter((action) => {
+    const { from, by } = TRANSACTION_TRANSITIONS[action];
+    return (
+      from.includes(transaction.status) &&
+      by.some((party) => parties.includes(party))
+    );
+  });
+};
+
+const recordTransition = (transactionId, action, from, to, user, note) =>
+  runQuery(
+    `INSERT INTO transaction_history
+    (transaction_id, action, from_status, to_status, actor, note)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+    [transactionId, action, from, to, user.name, note || null],
+  );
+
+// Records a proposed transfer of the material to the target industry as a
+// pending transaction, with its first history entry; returns its id. Callers
+// check the transfer is allowed and wrap this in a database transaction.
+const insertTransaction = async (
+  user,
+  {
+    material,
+    target,
+    opportunity_id,
+    quantity_transferred,
+    unit,
+    cost_savings,
+    notes,
+  },
+) => {
+  const result = await audited(user, "transaction", null, "create", () =>
+    runQuery(
+      `INSERT INTO transactions
+      (source_industry_id, target_industry_id, material_id, opportunity_id,
+       quantity_transferred, unit, status, cost_savings, notes, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', ?, ?, CURRENT_TIMESTAMP)`,
+      [
+        material.industry_id,
+        target.id,
+        material.id,
+        opportunity_id || null,
+        quantity_transferred,
+        unit,
+        cost_savings || 0,
+        notes || null,
+      ],
+    ),
+  );
+  await recordTransition(result.id, "create", null, "pending", user);
+  return result.id;
+};
+
+// Accounts the CO2e avoided by a completed transaction: its quantity in
+// tonnes, moved over the route of the opportunity's logistics estimate if
+// there is one, else over the straight-line distance between the industries
+// by the default transport mode. The net is stored in environmental_benefit
+// with the breakdown beside it; the factors are those at completion time.
+// Returns the breakdown, or null when the quantity is not convertible to t.
+const accountTransaction = async (transactionId) => {
+  const row = await getQuery(
+    `SELECT t.quantity_transferred, t.unit,
+            m.unit as material_unit, m.density, m.material_type,
+            ro.preprocessing_required, ro.logistics_breakdown,
+            si.latitude as source_latitude, si.longitude as source_longitude,
+            ti.latitude, ti.longitude
+     FROM transactions t
+     JOIN materials m ON t.material_id = m.id
+     JOIN industries si ON t.source_industry_id = si.id
+     JOIN industries ti ON t.target_industry_id = ti.id
+     LEFT JOIN reuse_opportunities ro ON t.opportunity_id = ro.id
+     WHERE t.id = ?`,
+    [transactionId],
+  );
+  if (!row) return null;
+
+  const quantityT = convertQuantity(
+    row.quantity_transferred,
+    row.unit || row.material_unit,
+    "t",
+    row.density,
+  );
+  if (quantityT === null) return null;
+
+  const planned = row.logistics_breakdown
+    ? JSON.parse(row.logistics_breakdown)
+    : null;
+  const transportMode =
+    planned?.transport_mode || getCarbonFactors().default_transport_mode;
+  const distance = distanceKm(
+    { latitude: row.source_latitude, longitude: row.source_longitude },
+    row,
+  );
+  const routeFactor =
+    getLogisticsConfig().modes[transportMode]?.route_factor ?? 1;
+
+  const breakdown = carbonFootprint({
+    material_type: row.material_type,
+    quantity_t: quantityT,
+    transport_mode: transportMode,
+    route_km:
+      planned?.route_km ?? (distance === null ? null : distance * routeFactor),
+    preprocessing: Boolean(row.preprocessing_required),
+  });
+  await runQuery(
+    `UPDATE transactions SET environmental_benefit = ?, carbon_breakdown = ?
+     WHERE id = ?`,
+    [breakdown.net_co2e_avoided_t, JSON.stringify(breakdown), transactionId],
+  );
+  return breakdown;
+};
+
+// Accounts completed transactions that have no carbon breakdown yet
+const accountCompletedTransactions = async () => {
+  const pending = await getAllQuery(
+    `SELECT id FROM transactions
+     WHERE status = 'completed' AND carbon_breakdown IS NULL`,
+  );
+  let accounted = 0;
+  for (const { id } of pending) if (await accountTransaction(id)) accounted++;
+  return accounted;
+};
+
+app.get(
+  "/api/transactions",
+  validate(listSchema(TRANSACTION_LISTING), { source: "query" }),
+  async (req, res) => {
+    try {
+      const page = await fetchPage(TRANSACTION_LISTING, res.locals.query);
+      res.json({
+        ...page,
+        data: page.data.map((t) => ({
+          ...t,
+          carbon_breakdown: t.carbon_breakdown
+            ? JSON.parse(t.carbon_breakdown)
+            : null,
+          allowed_actions: allowedActions(req.user, t),
+        })),
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch transactions", message: err.message });
+    }
+  },
+);
+
+app.post(
+  "/api/transactions",
+  requirePermission("transactions:write"),
+  validate(TRANSACTION_SCHEMA),
+  async (req, res) => {
+    const { opportunity_id, quantity_transferred, notes } = req.body;
+    let { material_id, target_industry_id, unit, cost_savings } = req.body;
+
+    try {
+      // An accepted opportunity prefills material, target and expected savings
+      if (opportunity_id) {
+        const opportunity = await getQuery(
+          "SELECT * FROM reuse_opportunities WHERE id = ?",
+          [opportunity_id],
+        );
+        if (opportunity.status !== "accepted")
+          return sendError(
+            res,
+            409,
+            "Only accepted opportunities can be turned into transactions",
+            {
+              code: "INVALID_STATE",
+              fields: [
+                {
+                  field: "opportunity_id",
+                  message: "Opportunity is not accepted",
+                },
+              ],
+            },
+          );
+
+        material_id = opportunity.source_material_id;
+        target_industry_id = opportunity.target_industry_id;
+        cost_savings = cost_savings ?? opportunity.estimated_cost_savings;
+      }
+
+      // Without an opportunity both ends must be given explicitly
+      const missing = Object.entries({ material_id, target_industry_id })
+        .filter(([, value]) => !value)
+        .map(([field]) => ({ field, message: "This field is required" }));
+      if (missing.length > 0) return sendValidationError(res, missing);
+
+      const material = await getQuery("SELECT * FROM materials WHERE id = ?", [
+        material_id,
+      ]);
+      if (!material) return sendError(res, 404, "Material not found");
+
+      const target = await getQuery(
+        "SELECT id, organization_id, sector FROM industries WHERE id = ?",
+        [target_industry_id],
+      );
+      if (!target) return sendError(res, 404, "Target industry not found");
+      if (
+        !isMember(req.user, target.organization_id) &&
+        !(await isIndustryMember(req.user, material.industry_id))
+      )
+        return sendForbidden(
+          res,
+          "Only members of the source or target industry's organization can propose a transfer",
+        );
+      if (target.id === material.industry_id)
+        return sendValidationError(res, [
+          {
+            field: "target_industry_id",
+            message: "Must differ from the material's source industry",
+          },
+        ]);
+
+      // Completing the transfer draws the quantity from the material's stock,
+      // so it must be expressible in the material's unit
+      unit = unit || material.unit || "kg";
+      if (
+        unit !== material.unit &&
+        !canConvert(unit, material.unit, material.density)
+      )
+        return sendValidationError(res, [
+          {
+            field: "unit",
+            message: material.density
+              ? `Cannot be converted to ${material.unit}`
+              : `Cannot be converted to ${material.unit} without the material's density`,
+          },
+        ]);
+
+      // Classified with the current rules, which may be newer than the
+      // stored classification
+      await attachComponents([material]);
+      const blockers = transferBlockers(
+        classifyMaterial(material),
+        target.sector,
+      );
+      if (blockers.length > 0)
+        return sendError(
+          res,
+          409,
+          `${material.name} may not be transferred to the ${target.sector} sector`,
+          {
+            code: "TRANSFER_FORBIDDEN",
+            fields: [
+              {
+                field: "target_industry_id",
+                message: blockers
+                  .map((b) => `${b.rule}: ${b.description || b.rule_set}`)
+                  .join("; "),
+              },
+            ],
+            rules: blockers,
+          },
+        );
+
+      const id = await withTransaction(() =>
+        insertTransaction(req.user, {
+          material,
+          target,
+          opportunity_id,
+          quantity_transferred,
+          unit,
+          cost_savings,
+          notes,
+        }),
+      );
+
+      res.status(201).json({
+        id,
+        status: "pending",
+        message: "Transaction created",
+        success: true,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to create transaction", message: err.message });
+    }
+  },
+);
+
+app.get("/api/transactions/:id/history", async (req, res) => {
+  try {
+    const history = await getAllQuery(
+      "SELECT * FROM transaction_history WHERE transaction_id = ? ORDER BY created_at, id",
+      [req.params.id],
+    );
+    res.json(history);
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Failed to fetch history", message: err.message });
+  }
+});
+
+app.post(
+  "/api/transactions/:id/:action",
+  requirePermission("transactions:write"),
+  validate(TRANSITION_SCHEMA),
+  async (req, res) => {
+    const { id, action } = req.params;
+    const { note } = req.body;
+    const transition = TRANSACTION_TRANSITIONS[action];
+    if (!transition) return sendError(res, 404, `Unknown action "${action}"`);
+
+    try {
+      const transaction = await getQuery(
+        `SELECT t.*,
+           si.organization_id as source_organization_id,
+           ti.organization_id as target_organization_id
+         FROM transactions t
+         JOIN industries si ON t.source_industry_id = si.id
+         JOIN industries ti ON t.target_industry_id = ti.id
+         WHERE t.id = ?`,
+        [id],
+      );
+      if (!transaction) return sendError(res, 404, "Transaction not found");
+
+      const parties = transactionParties(req.user, transaction);
+      if (!transition.by.some((party) => parties.includes(party)))
+        return sendForbidden(
+          res,
+          `Only the ${transition.by.join(" or ")} industry's organization can ${action} this transaction`,
+        );
+
+      if (!transition.from.includes(transaction.status))
+        return sendError(
+          res,
+          409,
+          `Cannot ${action} a ${transaction.status} transaction`,
+          {
+            code: "INVALID_TRANSITION",
+            allowed_actions: allowedActions(req.user, transaction),
+          },
+        );
+
+      await withTransaction(async () => {
+        // Guard on the current status so concurrent transitions cannot both apply
+        await audited(req.user, "transaction", id, "update", async () => {
+          const updated = await runQuery(
+            "UPDATE transactions SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = ?",
+            [transition.to, id, transaction.status],
+          );
+          if (updated.changes === 0) {
+            const current = await getQuery(
+              "SELECT status FROM transactions WHERE id = ?",
+              [id],
+            );
+            throw clientError(
+              409,
+              `Cannot ${action} a ${current.status} transaction`,
+              {
+                code: "INVALID_TRANSITION",
+                allowed_actions: allowedActions(req.user, {
+                  ...transaction,
+                  status: current.status,
+                }),
+              },
+            );
+          }
+
+          if (action === "complete") {
+            await runQuery(
+              "UPDATE transactions SET completed_at = CURRENT_TIMESTAMP WHERE id = ?",
+              [id],
+            );
+            await accountTransaction(id);
+          }
+        });
+
+        // The stock is read inside the transaction, so transfers of the same
+        // material completed together are checked against each other's draws
+        if (action === "complete") {
+          const material = await getQuery(
+            "SELECT quantity, unit, density FROM materials WHERE id = ?",
+            [transaction.material_id],
+          );
+          // Transactions without a unit of their own are in the material's
+          const unit = transaction.unit || material?.unit;
+          // The transferred amount in the material's own unit
+          const drawn = convertQuantity(
+            transaction.quantity_transferred,
+            unit,
+            material?.unit,
+            material?.density,
+          );
+          // e.g. a volume transferred from a material since left without density
+          if (drawn === null)
+            throw clientError(
+              409,
+              `Cannot draw ${unit} from stock kept in ${material?.unit}; set the material's density or correct the transaction's unit`,
+              { code: "INCOMPATIBLE_UNITS" },
+            );
+          if ((material?.quantity || 0) < drawn)
+            throw clientError(
+              409,
+              "Source material quantity is lower than the transferred amount",
+              { code: "INSUFFICIENT_QUANTITY" },
+            );
+
+          await audited(
+            req.user,
+            "material",
+            transaction.material_id,
+            "update",
+            () =>
+              runQuery(
+                "UPDATE materials SET quantity = quantity - ? WHERE id = ?",
+                [drawn, transaction.material_id],
+              ),
+          );
+        }
+        await recordTransition(
+          id,
+          action,
+          transaction.status,
+          transition.to,
+          req.user,
+          note,
+        );
+      });
+
+      res.json({
+        id: transaction.id,
+        status: transition.to,
+        allowed_actions: allowedActions(req.user, {
+          ...transaction,
+          status: transition.to,
+        }),
+        message: `Transaction ${transition.to}`,
+        success: true,
+      });
+    } catch (err) {
+      if (isClientError(err))
+        return sendError(res, err.status, err.message, err.details);
+      res
+        .status(500)
+        .json({ error: "Failed to update transaction", message: err.message });
+    }
+  },
+);
+
+// ==================== OPTIMIZER ====================
+
+// What an allocation maximizes, read from the logistics estimate of a tonne
+const OPTIMIZE_OBJECTIVES = {
+  net_savings: (estimate) => estimate.net_savings,
+  co2e_avoided: (estimate) => estimate.net_co2e_reduction_t,
+};
+
+// Transactions still drawing on a material's stock
+const OPEN_TRANSACTION_STATUSES = [
+  "pending",
+  "approved",
+  "shipped",
+  "received",
+];
+
+// Most candidate links one run considers, the most valuable kept
+const MAX_OPTIMIZE_LINKS = 5000;
+
+const OPTIMIZE_SCHEMA = {
+  objective: { type: "enum", values: Object.keys(OPTIMIZE_OBJECTIVES) },
+  transport_mode: { type: "enum", values: TRANSPORT_MODES },
+  max_distance_km: { type: "number", exclusiveMin: 0 },
+  min_lot_t: { type: "number", min: 0 },
+  min_feasibility: { type: "number", min: 0, max: 1 },
+  material_type: { type: "string", maxLength: 100 },
+};
+
+/**
+ * Proposes how to split available materials between the industries that
+ * declare a monthly demand for them. Supply is each available material's
+ * stock less what open transactions already claim; demand is each
+ * requirement's monthly quantity. A material may go to a requirement of
+ * another industry within max_distance_km (distances must be known) when the
+ * rules allow the transfer and the requirement scores at least
+ * min_feasibility. Quantities are in tonnes; materials and demands that do
+ * not convert are left out. Nothing is stored.
+ */
+app.post("/api/optimize", validate(OPTIMIZE_SCHEMA), async (req, res) => {
+  const {
+    objective = "net_savings",
+    transport_mode = getCarbonFactors().default_transport_mode,
+    max_distance_km = null,
+    min_lot_t = 0,
+    min_feasibility = DEFAULT_DISCOVERY_THRESHOLD,
+    material_type,
+  } = req.body;
+
+  try {
+    const materials = await attachComponents(
+      await getAllQuery(
+        `SELECT m.*, i.name as industry_name,
+                i.organization_id, i.latitude, i.longitude
+         FROM materials m JOIN industries i ON m.industry_id = i.id
+         WHERE m.availability_status = 'available'
+           ${material_type ? "AND m.material_type LIKE ?" : ""}`,
+        material_type ? [`%${material_type}%`] : [],
+      ),
+    );
+    const claims = await getAllQuery(
+      `SELECT t.material_id, t.quantity_transferred, t.unit
+       FROM transactions t
+       WHERE t.status IN (${OPEN_TRANSACTION_STATUSES.map(() => "?").join(", ")})`,
+      OPEN_TRANSACTION_STATUSES,
+    );
+    const requirements = (
+      await getAllQuery(
+        `SELECT r.*, i.name as industry_name, i.sector, i.organization_id,
+                i.latitude, i.longitude
+         FROM industry_requirements r JOIN industries i ON r.industry_id = i.id
+         WHERE r.monthly_demand_quantity > 0`,
+      )
+    ).map(parseRequirement);
+    const opportunities = await getAllQuery(
+      `SELECT id, source_material_id, target_industry_id, status,
+              preprocessing_required
+       FROM reuse_opportunities WHERE status != 'rejected'`,
+    );
+    const opportunityOf = new Map(
+      opportunities.map((o) => [
+        `${o.source_material_id}:${o.target_industry_id}`,
+        o,
+      ]),
+    );
+
+    const claimed = new Map();
+    for (const claim of claims) {
+      const material = materials.find((m) => m.id === claim.material_id);
+      if (!material) continue;
+      const tonnes = convertQuantity(
+        claim.quantity_transferred,
+        claim.unit || material.unit,
+        "t",
+        material.density,
+      );
+      claimed.set(material.id, (claimed.get(material.id) || 0) + (tonnes ?? 0));
+    }
+
+    const report = {
+      no_distance: 0,
+      out_of_range: 0,
+      forbidden: 0,
+      below_feasibility: 0,
+      unconverted: 0,
+    };
+    const supplies = [];
+    for (const material of materials) {
+      const stock = convertQuantity(
+        material.quantity,
+        material.unit,
+        "t",
+        material.density,
+      );
+      if (stock === null) {
+        report.unconverted++;
+        continue;
+      }
+      const quantity = stock - (claimed.get(material.id) || 0);
+      if (quantity > 0)
+        supplies.push({
+          id: material.id,
+          material,
+          quantity_t: quantity,
+          classification: classifyMaterial(material),
+        });
+    }
+    const demands = [];
+    for (const requirement of requirements) {
+      const quantity = convertQuantity(
+        requirement.monthly_demand_quantity,
+        requirement.demand_unit || "t",
+        "t",
+      );
+      if (quantity === null) report.unconverted++;
+      else
+        demands.push({ id: requirement.id, requirement, quantity_t: quantity });
+    }
+
+    let links = [];
+    for (const supply of supplies) {
+      const { material } = supply;
+      for (const demand of demands) {
+        const { requirement } = demand;
+        if (requirement.industry_id === material.industry_id) continue;
+
+        const distance = distanceKm(material, requirement);
+        if (distance === null) {
+          report.no_distance++;
+          continue;
+        }
+        if (max_distance_km !== null && distance > max_distance_km) {
+          report.out_of_range++;
+          continue;
+        }
+        if (
+          transferBlockers(supply.classification, requirement.sector).length > 0
+        ) {
+          report.forbidden++;
+          continue;
+        }
+        const { feasibility_index } = scoreCompatibility(
+          material,
+          requirement,
+          {
+            distance_km: distance,
+          },
+        );
+        if (feasibility_index < min_feasibility) {
+          report.below_feasibility++;
+          continue;
+        }
+
+        const opportunity = opportunityOf.get(
+          `${material.id}:${requirement.industry_id}`,
+        );
+        const perTonne = estimateLogistics({
+          transport_mode,
+          quantity_t: 1,
+          distance_km: distance,
+          material_type: material.material_type,
+          preprocessing: Boolean(opportunity?.preprocessing_required),
+        });
+        links.push({
+          supply: supply.id,
+          demand: demand.id,
+          value: OPTIMIZE_OBJECTIVES[objective](perTonne),
+          distance_km: distance,
+          feasibility_index,
+          opportunity,
+        });
+      }
+    }
+    const truncated = links.length > MAX_OPTIMIZE_LINKS;
+    if (truncated)
+      links = links
+        .sort((a, b) => b.value - a.value)
+        .slice(0, MAX_OPTIMIZE_LINKS);
+
+    const allocations = allocate({ supplies, demands, links, min_lot_t });
+    const supplyOf = new Map(supplies.map((supply) => [supply.id, supply]));
+    const demandOf = new Map(demands.map((demand) => [demand.id, demand]));
+    const allocated = { supplies: new Map(), demands: new Map() };
+    const add = (map, key, tonnes) =>
+      map.set(key, (map.get(key) || 0) + tonnes);
+
+    const proposals = allocations.map(({ link, quantity_t }) => {
+      const { material } = supplyOf.get(link.supply);
+      const { requirement } = demandOf.get(link.demand);
+      add(allocated.supplies, link.supply, quantity_t);
+      add(allocated.demands, link.demand, quantity_t);
+      const estimate = estimateLogistics({
+        transport_mode,
+        quantity_t,
+        distance_km: link.distance_km,
+        material_type: material.material_type,
+        preprocessing: Boolean(link.opportunity?.preprocessing_required),
+      });
+      return {
+        material_id: material.id,
+        material_name: material.name,
+        material_type: material.material_type,
+        source_industry_id: material.industry_id,
+        source_industry: material.industry_name,
+        source_organization_id: material.organization_id,
+        target_industry_id: requirement.industry_id,
+        target_industry: requirement.industry_name,
+        target_organization_id: requirement.organization_id,
+        requirement_id: requirement.id,
+        requirement_name: requirement.name,
+        opportunity_id:
+          link.opportunity?.status === "accepted" ? link.opportunity.id : null,
+        quantity_t: Math.round(quantity_t * 1000) / 1000,
+        distance_km: estimate.distance_km,
+        feasibility_index: link.feasibility_index,
+        net_savings: estimate.net_savings,
+        net_co2e_reduction_t: estimate.net_co2e_reduction_t,
+      };
+    });
+
+    const total = (field) =>
+      Math.round(proposals.reduce((sum, p) => sum + p[field], 0) * 1000) / 1000;
+    res.json({
+      objective,
+      transport_mode,
+      currency: getLogisticsConfig().currency,
+      max_distance_km,
+      min_lot_t,
+      min_feasibility,
+      links: links.length,
+      truncated,
+      excluded: report,
+      totals: {
+        quantity_t: total("quantity_t"),
+        net_savings: total("net_savings"),
+        net_co2e_reduction_t: total("net_co2e_reduction_t"),
+      },
+      supplies: supplies.map(({ id, material, quantity_t }) => ({
+        material_id: id,
+        material_name: material.name,
+        industry: material.industry_name,
+        available_t: Math.round(quantity_t * 1000) / 1000,
+        allocated_t:
+          Math.round((allocated.supplies.get(id) || 0) * 1000) / 1000,
+      })),
+      demands: demands.map(({ id, requirement, quantity_t }) => ({
+        requirement_id: id,
+        requirement_name: requirement.name,
+        industry: requirement.industry_name,
+        demand_t: Math.round(quantity_t * 1000) / 1000,
+        allocated_t: Math.round((allocated.demands.get(id) || 0) * 1000) / 1000,
+      })),
+      proposals,
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Failed to optimize allocation", message: err.message });
+  }
+});
+
+// Most proposals accepted at once
+const MAX_ACCEPTED_PROPOSALS = 100;
+
+const PROPOSAL_SCHEMA = {
+  material_id: { type: "integer", required: true },
+  target_industry_id: { type: "integer", required: true },
+  opportunity_id: { type: "integer" },
+  quantity_t: { type: "number", required: true, exclusiveMin: 0 },
+};
+
+// Turns proposals from /api/optimize into pending transactions, all or none.
+// Each is checked again as a new transaction would be: the user must belong
+// to the source or target industry's organization, the rules must allow the
+// transfer and the material's stock must still cover it. The savings stored
+// with each are estimated again here for the given transport_mode, as
+// /api/optimize estimates them, never taken from the proposal.
+app.post(
+  "/api/optimize/accept",
+  requirePermission("transactions:write"),
+  validate({
+    proposals: { type: "array", required: true },
+    transport_mode: { type: "enum", values: TRANSPORT_MODES },
+    notes: { type: "string", maxLength: 2000 },
+  }),
+  async (req, res) => {
+    const {
+      proposals,
+      transport_mode = getCarbonFactors().default_transport_mode,
+      notes,
+    } = req.body;
+    if (proposals.length === 0 || proposals.length > MAX_ACCEPTED_PROPOSALS)
+      return sendValidationError(res, [
+        {
+          field: "proposals",
+          message: `Must have between 1 and ${MAX_ACCEPTED_PROPOSALS} proposals`,
+        },
+      ]);
+
+    const fields = [];
+    const accepted = [];
+    proposals.forEach((item, index) => {
+      const { values, fields: errors } = validateInput(
+        PROPOSAL_SCHEMA,
+        item && typeof item === "object" ? item : {},
+      );
+      for (const { field, message } of errors)
+        fields.push({ field: `proposals[${index}].${field}`, message });
+      accepted.push(values);
+    });
+    if (fields.length > 0) return sendValidationError(res, fields);
+
+    try {
+      // Quantities drawn from each material by this batch, in tonnes
+      const drawn = new Map();
+      const transfers = [];
+      for (const [index, proposal] of accepted.entries()) {
+        const prefix = `proposals[${index}]`;
+        const material = await getQuery(
+          `SELECT m.*, i.latitude, i.longitude
+           FROM materials m JOIN industries i ON m.industry_id = i.id
+           WHERE m.id = ?`,
+          [proposal.material_id],
+        );
+        const target = await getQuery(
+          `SELECT id, organization_id, sector, latitude, longitude
+           FROM industries WHERE id = ?`,
+          [proposal.target_industry_id],
+        );
+        if (!material || !target) {
+          fields.push({
+            field: `${prefix}.${material ? "target_industry_id" : "material_id"}`,
+            message: material
+              ? "Industry does not exist"
+              : "Material does not exist",
+          });
+          continue;
+        }
+        if (
+          !isMember(req.user, target.organization_id) &&
+          !(await isIndustryMember(req.user, material.industry_id))
+        )
+          return sendForbidden(
+            res,
+            "Only members of the source or target industry's organization can propose a transfer",
+          );
+        if (target.id === material.industry_id) {
+          fields.push({
+            field: `${prefix}.target_industry_id`,
+            message: "Must differ from the material's source industry",
+          });
+          continue;
+        }
+
+        await attachComponents([material]);
+        const blockers = transferBlockers(
+          classifyMaterial(material),
+          target.sector,
+        );
+        if (blockers.length > 0) {
+          fields.push({
+            field: `${prefix}.target_industry_id`,
+            message: `${material.name} may not be transferred to the ${target.sector} sector`,
+          });
+          continue;
+        }
+
+        const distance = distanceKm(material, target);
+        if (distance === null) {
+          fields.push({
+            field: `${prefix}.target_industry_id`,
+            message:
+              "The industries have no coordinates; the transfer cannot be costed",
+          });
+          continue;
+        }
+
+        const quantity = convertQuantity(
+          proposal.quantity_t,
+          "t",
+          material.unit,
+          material.density,
+        );
+        if (quantity === null) {
+          fields.push({
+            field: `${prefix}.quantity_t`,
+            message: `Cannot be converted to ${material.unit}`,
+          });
+          continue;
+        }
+        const claimed = await getAllQuery(
+          `SELECT quantity_transferred, unit FROM transactions
+           WHERE material_id = ?
+             AND status IN (${OPEN_TRANSACTION_STATUSES.map(() => "?").join(", ")})`,
+          [material.id, ...OPEN_TRANSACTION_STATUSES],
+        );
+        const open = claimed.reduce(
+          (sum, t) =>
+            sum +
+            (convertQuantity(
+              t.quantity_transferred,
+              t.unit || material.unit,
+              material.unit,
+              material.density,
+            ) ?? 0),
+          0,
+        );
+        drawn.set(material.id, (drawn.get(material.id) || 0) + quantity);
+        if (open + drawn.get(material.id) > material.quantity + 1e-6) {
+          fields.push({
+            field: `${prefix}.quantity_t`,
+            message: `Exceeds the ${Math.max(material.quantity - open, 0)} ${material.unit} of ${material.name} not yet claimed`,
+          });
+          continue;
+        }
+
+        let opportunityId = null;
+        if (proposal.opportunity_id) {
+          const opportunity = await getQuery(
+            `SELECT id FROM reuse_opportunities
+             WHERE id = ? AND source_material_id = ? AND target_industry_id = ?
+               AND status = 'accepted'`,
+            [proposal.opportunity_id, material.id, target.id],
+          );
+          opportunityId = opportunity?.id ?? null;
+        }
+        // The opportunity /api/optimize costs the pair by: the latest not rejected
+        const opportunity = await getQuery(
+          `SELECT preprocessing_required FROM reuse_opportunities
+           WHERE source_material_id = ? AND target_industry_id = ?
+             AND status != 'rejected'
+           ORDER BY id DESC LIMIT 1`,
+          [material.id, target.id],
+        );
+        const estimate = estimateLogistics({
+          transport_mode,
+          quantity_t: proposal.quantity_t,
+          distance_km: distance,
+          material_type: material.material_type,
+          preprocessing: Boolean(opportunity?.preprocessing_required),
+        });
+        transfers.push({
+          material,
+          target,
+          opportunity_id: opportunityId,
+          quantity_transferred: Math.round(quantity * 1000) / 1000,
+          unit: material.unit,
+          cost_savings: Math.max(estimate.net_savings, 0),
+          notes: notes || "Proposed by the allocation optimizer",
+        });
+      }
+      if (fields.length > 0)
+        return sendError(res, 409, "Some proposals can no longer be accepted", {
+          code: "INVALID_STATE",
+          fields,
+        });
+
+      const ids = await withTransaction(async () => {
+        const created = [];
+        for (const transfer of transfers)
+          created.push(await insertTransaction(req.user, transfer));
+        return created;
+      });
+      res.status(201).json({
+        ids,
+        message: `${ids.length} transactions created`,
+        success: true,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to accept proposals", message: err.message });
+    }
+  },
+);
+
+// ==================== REGULATORY RULES ====================
+
+app.get("/api/rules", (req, res) => {
+  const { ruleSets, errors } = getRuleSets();
+  res.json({ rule_sets: ruleSets, errors });
+});
+
+// Re-reads the rule files and reclassifies every material
+app.post(
+  "/api/rules/reload",
+  requirePermission("rules:manage"),
+  async (req, res) => {
+    try {
+      const { ruleSets, errors } = reloadRules();
+      const reclassified = await classifyAll();
+      res.json({
+        rule_sets: ruleSets.length,
+        rules: ruleSets.reduce((sum, set) => sum + set.rules.length, 0),
+        errors,
+        reclassified,
+        success: true,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to reload rules", message: err.message });
+    }
+  },
+);
+
+// ==================== AUDIT LOG ====================
+
+const AUDIT_LISTING = {
+  select: "a.*",
+  from: "FROM audit_log a",
+  idColumn: "a.id",
+  filters: {
+    entity: { column: "a.entity", type: "enum", values: AUDIT_ENTITIES },
+    entity_id: { column: "a.entity_id", type: "integer" },
+    action: { column: "a.action", type: "enum", values: AUDIT_ACTIONS },
+    actor_id: { column: "a.actor_id", type: "integer" },
+    date_from: { column: "a.created_at", op: "date>=", type: "date" },
+    date_to: { column: "a.created_at", op: "date<=", type: "date" },
+  },
+  sortable: { created_at: "a.created_at" },
+  defaultSort: "created_at",
+};
+
+// Entries carry full before/after snapshots, so only signed-in users may read
+// them
+app.get(
+  "/api/audit",
+  requireAuth,
+  validate(listSchema(AUDIT_LISTING), { source: "query" }),
+  async (req, res) => {
+    try {
+      const page = await fetchPage(AUDIT_LISTING, res.locals.query);
+      res.json({ ...page, data: page.data.map(formatAuditEntry) });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch audit log", message: err.message });
+    }
+  },
+);
+
+// ==================== SEARCH ====================
+
+const SEARCH_TYPES = ["industry", "material", "opportunity"];
+
+const SEARCH_SCHEMA = {
+  q: { type: "string", required: true, maxLength: 200 },
+  type: { type: "enum", values: SEARCH_TYPES },
+  limit: { type: "integer", min: 1, max: 50 },
+};
+
+// Ranked full-text search. Titles weigh more than descriptions, which weigh
+// more than locations, compositions and preprocessing notes.
+app.get(
+  "/api/search",
+  validate(SEARCH_SCHEMA, { source: "query" }),
+  async (req, res) => {
+    const { q, type, limit } = res.locals.query;
+    const match = toMatchQuery(q);
+    if (!match) return res.json({ query: q, results: [] });
+
+    try {
+      const rows = await getAllQuery(
+        `WITH hits AS (
+          SELECT kind, ref_id,
+                 snippet(search_index, -1, ?, ?, '…', 12) as snippet,
+                 bm25(search_index, 0, 0, 10.0, 4.0, 2.0) as rank
+          FROM search_index
+          WHERE search_index MATCH ? ${type ? "AND kind = ?" : ""}
+          ORDER BY rank
+          LIMIT ?
+        )
+        SELECT h.kind as type, h.ref_id as id, h.snippet, h.rank,
+               CASE h.kind
+                 WHEN 'industry' THEN i.name
+                 WHEN 'material' THEN m.name
+                 ELSE om.name || ' → ' || ot.name
+               END as title,
+               CASE h.kind
+                 WHEN 'industry' THEN i.sector
+                 WHEN 'material' THEN mi.name
+                 ELSE o.status
+               END as subtitle
+        FROM hits h
+        LEFT JOIN industries i ON h.kind = 'industry' AND i.id = h.ref_id
+        LEFT JOIN materials m ON h.kind = 'material' AND m.id = h.ref_id
+        LEFT JOIN industries mi ON mi.id = m.industry_id
+        LEFT JOIN reuse_opportunities o ON h.kind = 'opportunity' AND o.id = h.ref_id
+        LEFT JOIN materials om ON om.id = o.source_material_id
+        LEFT JOIN industries ot ON ot.id = o.target_industry_id
+        ORDER BY h.rank`,
+        [
+          HIGHLIGHT_START,
+          HIGHLIGHT_END,
+          match,
+          ...(type ? [type] : []),
+          limit || 10,
+        ],
+      );
+
+      res.json({
+        query: q,
+        results: rows.map((row) => ({
+          ...row,
+          snippet: formatSnippet(row.snippet),
+        })),
+      });
+    } catch (err) {
+      res.status(500).json({ error: "Search failed", message: err.message });
+    }
+  },
+);
+
+// ==================== SYMBIOSIS NETWORK ====================
+
+// Reuse opportunities as directed edges from the material's industry to the
+// target industry (potential connections)
+const NETWORK_EDGES_SELECT = `SELECT ro.id,
+    m.industry_id as source,
+    ro.target_industry_id as target,
+    ro.feasibility_index as strength,
+    ro.compatibility_score, ro.status,
+    m.id as material_id, m.name as material_name, m.material_type,
+    round(${OPPORTUNITY_DISTANCE}, 1) as distance_km
+  FROM reuse_opportunities ro
+  JOIN materials m ON ro.source_material_id = m.id
+  JOIN industries si ON m.industry_id = si.id
+  JOIN industries ti ON ro.target_industry_id = ti.id`;
+
+// Industries as nodes and reuse opportunities as directed edges from the
+// material's industry to the target. Throughput is the tonnage an industry
+// sent or received in completed transactions; edges carry what was
+// transferred through the opportunity.
+app.get("/api/symbiosis/network", async (req, res) => {
+  try {
+    const nodes = await getAllQuery(
+      `SELECT i.id, i.name, i.sector, i.location,
+              (SELECT COUNT(*) FROM materials m WHERE m.industry_id = i.id)
+                as materials
+       FROM industries i`,
+    );
+    const edges = await getAllQuery(NETWORK_EDGES_SELECT);
+    const transfers = await getAllQuery(
+      `SELECT t.opportunity_id, t.source_industry_id, t.target_industry_id,
+              t.quantity_transferred, t.unit, m.unit as material_unit, m.density
+       FROM transactions t JOIN materials m ON t.material_id = m.id
+       WHERE t.status = 'completed'`,
+    );
+
+    const throughput = new Map();
+    const transferred = new Map();
+    const add = (map, key, tonnes) =>
+      map.set(key, (map.get(key) || 0) + tonnes);
+    for (const transfer of transfers) {
+      const tonnes = convertQuantity(
+        transfer.quantity_transferred,
+        transfer.unit || transfer.material_unit,
+        "t",
+        transfer.density,
+      );
+      if (tonnes === null) continue;
+      add(throughput, transfer.source_industry_id, tonnes);
+      add(throughput, transfer.target_industry_id, tonnes);
+      if (transfer.opportunity_id)
+        add(transferred, transfer.opportunity_id, tonnes);
+    }
+    const tonnesOf = (map, key) => Math.round((map.get(key) || 0) * 10) / 10;
+
+    res.json({
+      nodes: nodes.map((node) => ({
+        ...node,
+        throughput_t: tonnesOf(throughput, node.id),
+      })),
+      edges: edges.map((edge) => ({
+        ...edge,
+        transferred_t: tonnesOf(transferred, edge.id),
+      })),
+    });
+  } catch (err) {
+    res
+      .status(500)
+      .json({ error: "Failed to fetch network", message: err.message });
+  }
+});
+
+const MAX_PATHWAY_HOPS = 5;
+
+const NETWORK_ANALYSIS_SCHEMA = {
+  min_feasibility: { type: "number", min: 0, max: 1 },
+  material_id: { type: "integer", references: "materials" },
+  max_hops: { type: "integer", min: 1, max: MAX_PATHWAY_HOPS },
+};
+
+const roundScore = (value) => Math.round(value * 1000) / 1000;
+
+// Structure of the network: centrality per industry, clusters, closed
+// loops, hubs whose loss splits a cluster and, for a material, the multi-hop
+// pathways it could travel. Rejected opportunities and those below
+// min_feasibility are left out.
+app.get(
+  "/api/symbiosis/analysis",
+  validate(NETWORK_ANALYSIS_SCHEMA, { source: "query" }),
+  async (req, res) => {
+    const { min_feasibility = 0, material_id, max_hops = 3 } = res.locals.query;
+    try {
+      const nodes = await getAllQuery(
+        "SELECT id, name, sector FROM industries",
+      );
+      const edges = (
+        await getAllQuery(
+          `${NETWORK_EDGES_SELECT}
+           WHERE ro.status IS NOT 'rejected'
+             AND COALESCE(ro.feasibility_index, 0) >= ?`,
+          [min_feasibility],
+        )
+      ).map((edge) => ({ ...edge, weight: edge.strength || 0 }));
+
+      const graph = buildGraph(nodes, edges);
+      const degrees = degreeCentrality(graph);
+      const betweenness = betweennessCentrality(graph);
+      const components = connectedComponents(graph);
+      const { loops, truncated } = findLoops(graph);
+      const nodeById = new Map(nodes.map((node) => [node.id, node]));
+
+      // The strongest opportunity along each step of a loop
+      const strongest = (from, to) =>
+        graph.outgoing
+          .get(from)
+          .filter((edge) => edge.target === to)
+          .sort((a, b) => b.weight - a.weight)[0];
+      const describeStep = (edge) => ({
+        opportunity_id: edge.id,
+        source: edge.source,
+        target: edge.target,
+        material_id: edge.material_id,
+        material_name: edge.material_name,
+        feasibility_index: edge.strength,
+      });
+
+      res.json({
+        summary: {
+          industries: graph.ids.length,
+          connections: [...graph.successors.values()].reduce(
+            (sum, targets) => sum + targets.size,
+            0,
+          ),
+          opportunities: graph.edges.length,
+          components: components.length,
+          loops: loops.length,
+          min_feasibility,
+        },
+        industries: nodes
+          .map((node) => ({
+            ...node,
+            ...degrees.get(node.id),
+            degree_centrality: roundScore(
+              degrees.get(node.id).degree_centrality,
+            ),
+            betweenness: roundScore(betweenness.get(node.id)),
+          }))
+          .sort((a, b) => b.betweenness - a.betweenness || b.degree - a.degree),
+        components: components.map((members, index) => ({
+          id: index + 1,
+          size: members.length,
+          industries: members,
+          sectors: [...new Set(members.map((id) => nodeById.get(id).sector))],
+        })),
+        loops: loops.map((industries) => ({
+          industries,
+          steps: industries.map((from, i) =>
+            describeStep(
+              strongest(from, industries[(i + 1) % industries.length]),
+            ),
+          ),
+        })),
+        loops_truncated: truncated,
+        hubs: articulationPoints(graph)
+          .map((hub) => ({ ...hub, name: nodeById.get(hub.id).name }))
+          .sort((a, b) => b.cut_off - a.cut_off),
+        pathways: material_id
+          ? findPathways(
+              graph,
+              graph.edges.filter((edge) => edge.material_id === material_id),
+              max_hops,
+            ).map(({ steps, score }) => ({
+              industries: [steps[0].source, ...steps.map((e) => e.target)],
+              steps: steps.map(describeStep),
+              score: roundScore(score),
+            }))
+          : undefined,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to analyze network", message: err.message });
+    }
+  },
+);
+
+// ==================== ANALYTICS ====================
+
+const CIRCULATION_LISTING = {
+  select: "cm.*, i.name as industry_name, i.sector",
+  from: "FROM circulation_metrics cm JOIN industries i ON cm.industry_id = i.id",
+  idColumn: "cm.id",
+  filters: {
+    industry_id: { column: "cm.industry_id", type: "integer" },
+    sector: { column: "i.sector", type: "string" },
+    material_name: {
+      column: "cm.material_name",
+      op: "contains",
+      type: "string",
+    },
+    min_reabsorption_rate: {
+      column: "cm.reabsorption_rate",
+      op: ">=",
+      type: "number",
+      min: 0,
+      max: 1,
+    },
+    measured_from: { column: "cm.measured_at", op: "date>=", type: "date" },
+    measured_to: { column: "cm.measured_at", op: "date<=", type: "date" },
+    snapshot: {
+      type: "enum",
+      values: ["latest"],
+      where: () => ({
+        condition: `cm.measured_at = (SELECT MAX(measured_at)
+          FROM circulation_metrics WHERE material_id IS NOT NULL)`,
+        params: [],
+      }),
+    },
+  },
+  sortable: {
+    measured_at: "cm.measured_at",
+    material_name: "cm.material_name",
+    days_to_reabsorption: "cm.days_to_reabsorption",
+    circulation_cycles: "cm.circulation_cycles",
+    reabsorption_rate: "cm.reabsorption_rate",
+  },
+  defaultSort: "measured_at",
+};
+
+app.get(
+  "/api/analytics/circulation",
+  validate(listSchema(CIRCULATION_LISTING), { source: "query" }),
+  async (req, res) => {
+    try {
+      res.json(await fetchPage(CIRCULATION_LISTING, res.locals.query));
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch metrics", message: err.message });
+    }
+  },
+);
+
+// Snapshots are taken this often, and at startup when the last one is older
+const CIRCULATION_SNAPSHOT_HOURS =
+  Number(process.env.CIRCULATION_SNAPSHOT_HOURS) || 24;
+const MS_PER_HOUR = 60 * 60 * 1000;
+
+const snapshotCirculation = () =>
+  takeCirculationSnapshot()
+    .then(({ materials }) =>
+      console.log(`🔄 Circulation snapshot of ${materials} materials`),
+    )
+    .catch((err) => console.error("❌ Circulation snapshot failed:", err));
+
+const scheduleCirculationSnapshots = async () => {
+  const interval = CIRCULATION_SNAPSHOT_HOURS * MS_PER_HOUR;
+  const last = parseTimestamp(await latestSnapshotAt());
+  if (!(Date.now() - last < interval)) await snapshotCirculation();
+  setInterval(snapshotCirculation, interval).unref();
+};
+
+app.post(
+  "/api/analytics/circulation/snapshot",
+  requirePermission("analytics:snapshot"),
+  async (req, res) => {
+    try {
+      res.json({ ...(await takeCirculationSnapshot()), success: true });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to take snapshot", message: err.message });
+    }
+  },
+);
+
+const TREND_SCHEMA = {
+  industry_id: { type: "integer" },
+  sector: { type: "string", maxLength: 100 },
+  limit: { type: "integer", min: 1, max: 100 },
+};
+
+// One point per snapshot, oldest first: materials covered, mean days to
+// reabsorption of those transferred, cycles, and the reabsorption rate by
+// tonnage (materials whose unit converts to t) and as a plain mean
+app.get(
+  "/api/analytics/circulation/trend",
+  validate(TREND_SCHEMA, { source: "query" }),
+  async (req, res) => {
+    const { industry_id, sector, limit = 12 } = res.locals.query;
+    const conditions = ["cm.material_id IS NOT NULL"];
+    const params = [];
+    if (industry_id) {
+      conditions.push("cm.industry_id = ?");
+      params.push(industry_id);
+    }
+    if (sector) {
+      conditions.push("i.sector = ?");
+      params.push(sector);
+    }
+
+    try {
+      const points = await getAllQuery(
+        `SELECT cm.measured_at,
+                COUNT(*) as materials,
+                round(AVG(cm.days_to_reabsorption), 1) as days_to_reabsorption,
+                SUM(cm.circulation_cycles) as circulation_cycles,
+                round(SUM(cm.reabsorbed_t) / NULLIF(SUM(cm.generated_t), 0), 4)
+                  as reabsorption_rate,
+                round(AVG(cm.reabsorption_rate), 4) as mean_reabsorption_rate,
+                round(SUM(cm.reabsorbed_t), 3) as reabsorbed_t
+         FROM circulation_metrics cm
+         JOIN industries i ON cm.industry_id = i.id
+         WHERE ${conditions.join(" AND ")}
+         GROUP BY cm.measured_at
+         ORDER BY cm.measured_at DESC
+         LIMIT ?`,
+        [...params, limit],
+      );
+      res.json({
+        interval_hours: CIRCULATION_SNAPSHOT_HOURS,
+        data: points.reverse(),
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch trend", message: err.message });
+    }
+  },
+);
+
+// Stock totals are reported in tonnes unless another unit is requested
+const DEFAULT_DISPLAY_UNIT = "t";
+
+const MATERIAL_STOCK_SELECT = `SELECT m.quantity, m.unit, m.density,
+    m.material_type, i.sector
+  FROM materials m JOIN industries i ON m.industry_id = i.id`;
+
+const STOCK_GROUPS = ["sector", "material_type"];
+
+const STOCK_SCHEMA = {
+  unit: { type: "unit" },
+  group_by: { type: "enum", values: STOCK_GROUPS },
+};
+
+// Material stock per sector or material type, in one display unit
+app.get(
+  "/api/analytics/stock",
+  validate(STOCK_SCHEMA, { source: "query" }),
+  async (req, res) => {
+    const { unit = DEFAULT_DISPLAY_UNIT, group_by = "sector" } =
+      res.locals.query;
+    try {
+      const rows = await getAllQuery(MATERIAL_STOCK_SELECT);
+      const groups = {};
+      for (const row of rows) {
+        const key = row[group_by] || "unspecified";
+        (groups[key] = groups[key] || []).push(row);
+      }
+
+      const data = Object.entries(groups)
+        .map(([key, members]) => {
+          const { total, included, unconverted } = sumQuantities(members, unit);
+          return { key, total, materials: included, unconverted };
+        })
+        .sort((a, b) => b.total - a.total);
+
+      res.json({ ...sumQuantities(rows, unit), group_by, data });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch stock totals", message: err.message });
+    }
+  },
+);
+
+// Components of a carbon breakdown that are summed per group
+const CARBON_TOTALS = [
+  "quantity_t",
+  "landfill_avoided_co2e_t",
+  "virgin_displaced_co2e_t",
+  "preprocessing_co2e_t",
+  "transport_co2e_t",
+  "net_co2e_avoided_t",
+];
+
+// Group key and label of an accounted transaction
+const CARBON_GROUPS = {
+  period: (row, period) => {
+    const key = bucketKey(row.completed_at, period);
+    return [key, key];
+  },
+  source_industry: (row) => [row.source_industry_id, row.source_industry],
+  target_industry: (row) => [row.target_industry_id, row.target_industry],
+  source_sector: (row) => [row.source_sector, row.source_sector],
+  target_sector: (row) => [row.target_sector, row.target_sector],
+  material_type: (row) => [row.material_type, row.material_type],
+};
+
+const CARBON_SCHEMA = {
+  group_by: { type: "enum", values: Object.keys(CARBON_GROUPS) },
+  period: { type: "enum", values: BUCKETS },
+  industry_id: { type: "integer" },
+  sector: { type: "string", maxLength: 100 },
+  completed_from: { type: "date" },
+  completed_to: { type: "date" },
+};
+
+const sumCarbon = (rows) => {
+  const totals = { transactions: rows.length };
+  for (const field of CARBON_TOTALS)
+    totals[field] =
+      Math.round(rows.reduce((sum, row) => sum + row[field], 0) * 1000) / 1000;
+  return totals;
+};
+
+// CO2e avoided by completed transactions, in tonnes, per period, industry,
+// sector or material type. Industry and sector filters match either party.
+app.get(
+  "/api/analytics/carbon",
+  validate(CARBON_SCHEMA, { source: "query" }),
+  async (req, res) => {
+    const {
+      group_by = "period",
+      period = "month",
+      industry_id,
+      sector,
+      completed_from,
+      completed_to,
+    } = res.locals.query;
+
+    const conditions = ["t.status = 'completed'"];
+    const params = [];
+    if (industry_id) {
+      conditions.push("(t.source_industry_id = ? OR t.target_industry_id = ?)");
+      params.push(industry_id, industry_id);
+    }
+    if (sector) {
+      conditions.push("(si.sector = ? OR ti.sector = ?)");
+      params.push(sector, sector);
+    }
+    if (completed_from) {
+      conditions.push("date(t.completed_at) >= date(?)");
+      params.push(completed_from);
+    }
+    if (completed_to) {
+      conditions.push("date(t.completed_at) <= date(?)");
+      params.push(completed_to);
+    }
+
+    try {
+      const transactions = await getAllQuery(
+        `SELECT t.id, t.completed_at, t.carbon_breakdown,
+                t.source_industry_id, t.target_industry_id,
+                si.name as source_industry, ti.name as target_industry,
+                si.sector as source_sector, ti.sector as target_sector,
+                m.material_type
+         FROM transactions t
+         JOIN materials m ON t.material_id = m.id
+         JOIN industries si ON t.source_industry_id = si.id
+         JOIN industries ti ON t.target_industry_id = ti.id
+         WHERE ${conditions.join(" AND ")}
+         ORDER BY t.completed_at`,
+        params,
+      );
+      const accounted = transactions
+        .filter((row) => row.carbon_breakdown)
+        .map((row) => ({ ...row, ...JSON.parse(row.carbon_breakdown) }));
+
+      const groups = new Map();
+      for (const row of accounted) {
+        const [value, label] = CARBON_GROUPS[group_by](row, period);
+        const key = value ?? "unspecified";
+        const group = groups.get(key) || { key, label, rows: [] };
+        group.rows.push(row);
+        groups.set(key, group);
+      }
+
+      const data = [...groups.values()].map(({ key, label, rows }) => ({
+        key,
+        label: label || "Unspecified",
+        ...sumCarbon(rows),
+      }));
+      // Periods read in order; other groups by benefit
+      if (group_by !== "period")
+        data.sort((a, b) => b.net_co2e_avoided_t - a.net_co2e_avoided_t);
+
+      res.json({
+        group_by,
+        period: group_by === "period" ? period : undefined,
+        total: sumCarbon(accounted),
+        unaccounted: transactions.length - accounted.length,
+        data,
+      });
+    } catch (err) {
+      res.status(500).json({
+        error: "Failed to fetch carbon accounting",
+        message: err.message,
+      });
+    }
+  },
+);
+
+// Where time-series rows come from; `i` is the industry a row counts for
+const TIMESERIES_SOURCES = {
+  industries: { from: "FROM industries i", date: "i.created_at" },
+  materials: {
+    from: "FROM materials m JOIN industries i ON m.industry_id = i.id",
+    date: "m.created_at",
+  },
+  // Opportunities count for the industry offering the material
+  opportunities: {
+    from: `FROM reuse_opportunities ro
+      JOIN materials m ON ro.source_material_id = m.id
+      JOIN industries i ON m.industry_id = i.id`,
+    date: "ro.created_at",
+  },
+  // Completed transactions count for the source industry, when completed
+  transfers: {
+    from: `FROM transactions t
+      JOIN materials m ON t.material_id = m.id
+      JOIN industries i ON t.source_industry_id = i.id`,
+    date: "COALESCE(t.completed_at, t.updated_at, t.transaction_date)",
+    where: "t.status = 'completed'",
+  },
+};
+
+// Metrics over time: the source rows, the columns a row's value is read from
+// (`value` unless the metric converts it) and how a bucket's values combine.
+// Rows without a value are left out of sums and averages.
+const TIMESERIES_METRICS = {
+  industries_registered: {
+    source: "industries",
+    aggregate: "count",
+    columns: "1 as value",
+  },
+  materials_registered: {
+    source: "materials",
+    aggregate: "count",
+    columns: "1 as value",
+  },
+  new_opportunities: {
+    source: "opportunities",
+    aggregate: "count",
+    columns: "1 as value",
+  },
+  avg_feasibility: {
+    source: "opportunities",
+    aggregate: "avg",
+    columns: "ro.feasibility_index as value",
+  },
+  transactions_completed: {
+    source: "transfers",
+    aggregate: "count",
+    columns: "1 as value",
+  },
+  quantity_transferred: {
+    source: "transfers",
+    aggregate: "sum",
+    unit: "t",
+    columns: `t.quantity_transferred, COALESCE(t.unit, m.unit) as unit,
+      m.density`,
+    value: (row) =>
+      convertQuantity(row.quantity_transferred, row.unit, "t", row.density),
+  },
+  cost_savings: {
+    source: "transfers",
+    aggregate: "sum",
+    columns: "t.cost_savings as value",
+  },
+  co2e_avoided: {
+    source: "transfers",
+    aggregate: "sum",
+    unit: "t CO2e",
+    columns: "t.environmental_benefit as value",
+  },
+};
+
+const TIMESERIES_GROUPS = {
+  industry: (row) => [row.industry_id, row.industry_name],
+  sector: (row) => [row.sector, row.sector],
+};
+
+// Series cover this many buckets when no start date is given
+const DEFAULT_TIMESERIES_BUCKETS = 12;
+
+const TIMESERIES_SCHEMA = {
+  metrics: { type: "string", maxLength: 500 },
+  bucket: { type: "enum", values: BUCKETS },
+  date_from: { type: "date" },
+  date_to: { type: "date" },
+  group_by: { type: "enum", values: Object.keys(TIMESERIES_GROUPS) },
+  industry_id: { type: "integer" },
+  sector: { type: "string", maxLength: 100 },
+};
+
+const aggregateValues = (values, aggregate) => {
+  if (aggregate === "count") return values.length;
+  const present = values.filter((value) => value !== null);
+  if (aggregate === "avg" && present.length === 0) return null;
+  const sum = present.reduce((total, value) => total + value, 0);
+  const result = aggregate === "avg" ? sum / present.length : sum;
+  return Math.round(result * 1000) / 1000;
+};
+
+// A metric's values per bucket (empty buckets are 0, or null for averages)
+// and the change from the previous bucket to the latest one
+const buildSeries = (rows, buckets, aggregate) => {
+  const byBucket = new Map(buckets.map(({ key }) => [key, []]));
+  for (const row of rows) byBucket.get(row.bucket)?.push(row.value);
+  const values = buckets.map(({ key }) =>
+    aggregateValues(byBucket.get(key), aggregate),
+  );
+  const current = values[values.length - 1] ?? null;
+  const previous = values.length > 1 ? values[values.length - 2] : null;
+  const change =
+    current === null || previous === null
+      ? null
+      : Math.round((current - previous) * 1000) / 1000;
+  return {
+    values,
+    current,
+    previous,
+    change,
+    change_pct:
+      change === null || previous === 0
+        ? null
+        : Math.round((change / Math.abs(previous)) * 1000) / 10,
+  };
+};
+
+// Metrics bucketed by day, week, month, quarter or year over a date range
+// (by default the last 12 buckets up to today), in total and optionally per
+// sector or industry. Each series ends with its change over the last bucket,
+// which is still filling up when the range runs to today.
+app.get(
+  "/api/analytics/timeseries",
+  validate(TIMESERIES_SCHEMA, { source: "query" }),
+  async (req, res) => {
+    const {
+      bucket = "month",
+      group_by,
+      industry_id,
+      sector,
+    } = res.locals.query;
+    const names = res.locals.query.metrics
+      ? res.locals.query.metrics.split(",").map((name) => name.trim())
+      : Object.keys(TIMESERIES_METRICS);
+    const unknown = names.filter((name) => !TIMESERIES_METRICS[name]);
+    if (unknown.length > 0)
+      return sendValidationError(res, [
+        {
+          field: "metrics",
+          message: `Unknown metrics: ${unknown.join(", ")}. Must be among: ${Object.keys(TIMESERIES_METRICS).join(", ")}`,
+        },
+      ]);
+
+    const dateTo = res.locals.query.date_to || formatDate(new Date());
+    const dateFrom =
+      res.locals.query.date_from ||
+      bucketsBefore(dateTo, bucket, DEFAULT_TIMESERIES_BUCKETS);
+    if (dateFrom > dateTo)
+      return sendValidationError(res, [
+        { field: "date_from", message: "Must not be after date_to" },
+      ]);
+    if (countBuckets(dateFrom, dateTo, bucket) > MAX_BUCKETS)
+      return sendValidationError(res, [
+        {
+          field: "date_from",
+          message: `The range may span at most ${MAX_BUCKETS} ${bucket} buckets`,
+        },
+      ]);
+    const buckets = bucketRange(dateFrom, dateTo, bucket);
+
+    try {
+      const metrics = {};
+      for (const name of names) {
+        const metric = TIMESERIES_METRICS[name];
+        const source = TIMESERIES_SOURCES[metric.source];
+        const conditions = [
+          `date(${source.date}) >= date(?)`,
+          `date(${source.date}) <= date(?)`,
+        ];
+        const params = [dateFrom, dateTo];
+        if (source.where) conditions.push(source.where);
+        if (industry_id) {
+          conditions.push("i.id = ?");
+          params.push(industry_id);
+        }
+        if (sector) {
+          conditions.push("i.sector = ?");
+          params.push(sector);
+        }
+
+        const rows = (
+          await getAllQuery(
+            `SELECT ${source.date} as date, i.id as industry_id,
+                    i.name as industry_name, i.sector, ${metric.columns}
+             ${source.from}
+             WHERE ${conditions.join(" AND ")}`,
+            params,
+          )
+        ).map((row) => ({
+          bucket: bucketKey(row.date, bucket),
+          value: metric.value ? metric.value(row) : row.value,
+          group: group_by ? TIMESERIES_GROUPS[group_by](row) : null,
+        }));
+
+        const series = {
+          aggregate: metric.aggregate,
+          unit: metric.unit || null,
+          ...buildSeries(rows, buckets, metric.aggregate),
+        };
+        if (group_by) {
+          const groups = new Map();
+          for (const row of rows) {
+            const [value, label] = row.group;
+            const key = value ?? "unspecified";
+            const group = groups.get(key) || { key, label, rows: [] };
+            group.rows.push(row);
+            groups.set(key, group);
+          }
+          series.groups = [...groups.values()].map(({ key, label, rows }) => ({
+            key,
+            label: label || "Unspecified",
+            ...buildSeries(rows, buckets, metric.aggregate),
+          }));
+        }
+        metrics[name] = series;
+      }
+
+      res.json({
+        bucket,
+        date_from: dateFrom,
+        date_to: dateTo,
+        group_by: group_by || null,
+        buckets,
+        metrics,
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch time series", message: err.message });
+    }
+  },
+);
+
+// ==================== FORECAST ====================
+
+const FORECAST_SCHEMA = {
+  industry_id: { type: "integer", references: "industries" },
+  material_id: { type: "integer", references: "materials" },
+  material_type: { type: "string", maxLength: 100 },
+  horizon: { type: "integer", min: 1, max: 24 },
+  history: { type: "integer", min: 1, max: 120 },
+  method: { type: "enum", values: METHODS },
+};
+
+// Monthly generation forecast per industry and material type, by default for
+// the next quarter. A material_id forecasts the stream that material is part
+// of, i.e. its industry's generation of its type.
+app.get(
+  "/api/forecast",
+  validate(FORECAST_SCHEMA, { source: "query" }),
+  async (req, res) => {
+    const {
+      material_id,
+      horizon = 3,
+      history = 24,
+      method = "auto",
+    } = res.locals.query;
+    let { industry_id, material_type } = res.locals.query;
+    try {
+      if (material_id) {
+        const material = await getQuery(
+          "SELECT industry_id, material_type FROM materials WHERE id = ?",
+          [material_id],
+        );
+        industry_id = material.industry_id;
+        material_type = material.material_type || "unspecified";
+      }
+      res.json(
+        await forecastGeneration({
+          industry_id,
+          material_type,
+          horizon,
+          history,
+          method,
+        }),
+      );
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to forecast generation", message: err.message });
+    }
+  },
+);
+
+// ==================== DASHBOARD ====================
+
+const DASHBOARD_SCHEMA = {
+  unit: { type: "unit" },
+};
+
+app.get(
+  "/api/dashboard-stats",
+  validate(DASHBOARD_SCHEMA, { source: "query" }),
+  async (req, res) => {
+    try {
+      const industriesCount = await getQuery(
+        "SELECT COUNT(*) as count FROM industries",
+      );
+      const materialsCount = await getQuery(
+        "SELECT COUNT(*) as count FROM materials",
+      );
+      const transactionsCount = await getQuery(
+        "SELECT COUNT(*) as count FROM transactions WHERE status = 'completed'",
+      );
+      // Quantities are summed in one unit; materials that cannot be converted
+      // (other dimensions, or volumes without a density) are reported apart
+      const materialStock = sumQuantities(
+        await getAllQuery(MATERIAL_STOCK_SELECT),
+        res.locals.query.unit || DEFAULT_DISPLAY_UNIT,
+      );
+
+      // Derived metrics for UI
+      const avgFeasibility = await getQuery(
+        "SELECT AVG(feasibility_index) as val FROM reuse_opportunities",
+      );
+      const activeConnections = await getQuery(
+        "SELECT COUNT(*) as count FROM reuse_opportunities WHERE feasibility_index > 0.5",
+      );
+
+      // FIX: Keys match frontend expectations
+      res.json({
+        total_industries: industriesCount?.count || 0,
+        available_materials: materialsCount?.count || 0,
+        completed_transactions: transactionsCount?.count || 0,
+        avg_feasibility: avgFeasibility?.val || 0,
+        total_material_quantity: materialStock.total,
+        material_quantity_unit: materialStock.unit,
+        unconverted_materials: materialStock.unconverted,
+        active_connections: activeConnections?.count || 0,
+        timestamp: new Date().toISOString(),
+      });
+    } catch (err) {
+      res
+        .status(500)
+        .json({ error: "Failed to fetch statistics", message: err.message });
+    }
+  },
+);
+
+// ==================== ERROR HANDLING ====================
+
+// Malformed or oversized JSON bodies are client errors; anything else is
+// unexpected
+app.use((err, req, res, next) => {
+  if (err.type === "entity.parse.failed")
+    return sendError(res, 400, "Request body is not valid JSON", {
+      code: "INVALID_JSON",
+    });
+  if (err.type === "entity.too.large")
+    return sendError(res, 413, "Request body is too large", {
+      code: "TOO_LARGE",
+    });
+  res
+    .status(500)
+    .json({ error: "Unexpected server error", message: err.message });
 });
 
 const PORT = process.env.PORT || 5000;
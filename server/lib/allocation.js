@@ -0,0 +1,147 @@
+// lib/allocation.js - Supply–demand allocation
+// Splits material supplies between competing demands to maximize a total
+// value (e.g. net savings or CO2e avoided), as a transportation problem:
+// supplies and demands are capacities in tonnes and each candidate link from
+// a supply to a demand earns its value per tonne moved. It is solved as a
+// maximum-profit flow, augmenting along the most valuable remaining path until
+// none adds value. Minimum lot sizes make the problem combinatorial; they are
+// met by dropping the smallest undersized allocation and solving again, which
+// is a heuristic, not a guaranteed optimum.
+
+// Quantities below this are treated as zero
+const EPSILON = 1e-9;
+
+// Bound on the solve–drop rounds for minimum lots
+const MAX_LOT_ROUNDS = 200;
+
+// Residual network: node 0 is the source, supplies follow, then demands, and
+// the last node is the sink. Each edge has a twin for undoing flow.
+const buildNetwork = (supplies, demands, links) => {
+  const nodeCount = supplies.length + demands.length + 2;
+  const sink = nodeCount - 1;
+  const edges = [];
+  const outgoing = Array.from({ length: nodeCount }, () => []);
+  const addEdge = (from, to, capacity, cost) => {
+    outgoing[from].push(edges.length);
+    edges.push({ from, to, capacity, cost, flow: 0 });
+    outgoing[to].push(edges.length);
+    edges.push({ from: to, to: from, capacity: 0, cost: -cost, flow: 0 });
+    return edges.length - 2;
+  };
+
+  const supplyNode = new Map(supplies.map((s, i) => [s.id, i + 1]));
+  const demandNode = new Map(
+    demands.map((d, i) => [d.id, supplies.length + i + 1]),
+  );
+  supplies.forEach((s) => addEdge(0, supplyNode.get(s.id), s.quantity_t, 0));
+  demands.forEach((d) => addEdge(demandNode.get(d.id), sink, d.quantity_t, 0));
+  const linkEdges = links.map((link) =>
+    addEdge(
+      supplyNode.get(link.supply),
+      demandNode.get(link.demand),
+      Infinity,
+      -link.value,
+    ),
+  );
+  return { edges, outgoing, sink, linkEdges };
+};
+
+// Cheapest (most valuable) path from the source to the sink over edges with
+// spare capacity (Bellman–Ford, as link costs are negative); returns the edge
+// indices along it, or null when no path lowers the total cost
+const cheapestPath = ({ edges, outgoing, sink }) => {
+  const cost = new Array(outgoing.length).fill(Infinity);
+  const via = new Array(outgoing.length).fill(-1);
+  cost[0] = 0;
+  for (let round = 0; round < outgoing.length - 1; round++) {
+    let changed = false;
+    edges.forEach((edge, index) => {
+      if (edge.capacity - edge.flow <= EPSILON || cost[edge.from] === Infinity)
+        return;
+      if (cost[edge.from] + edge.cost < cost[edge.to] - EPSILON) {
+        cost[edge.to] = cost[edge.from] + edge.cost;
+        via[edge.to] = index;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+  }
+  if (!(cost[sink] < -EPSILON)) return null;
+
+  const path = [];
+  for (let node = sink; node !== 0; node = edges[via[node]].from)
+    path.push(via[node]);
+  return path.reverse();
+};
+
+// Maximum-profit flow; returns the tonnes allocated per link
+const solve = (supplies, demands, links) => {
+  const network = buildNetwork(supplies, demands, links);
+  const { edges } = network;
+  for (let path = cheapestPath(network); path; path = cheapestPath(network)) {
+    const amount = Math.min(
+      ...path.map((index) => edges[index].capacity - edges[index].flow),
+    );
+    for (const index of path) {
+      edges[index].flow += amount;
+      edges[index ^ 1].flow -= amount;
+    }
+  }
+  return network.linkEdges.map((index) => Math.max(edges[index].flow, 0));
+};
+
+/**
+ * Allocates supplies ({ id, quantity_t }) to demands ({ id, quantity_t })
+ * over links ({ supply, demand, value }) where value is earned per tonne.
+ * Links worth nothing are ignored. Every allocation is at least `min_lot_t`
+ * tonnes. Returns [{ link, quantity_t, value }] for the links used, most
+ * valuable first.
+ */
+const allocate = ({ supplies, demands, links, min_lot_t = 0 }) => {
+  const minLot = Math.max(min_lot_t, EPSILON);
+  const supplyOf = new Map(supplies.map((s) => [s.id, s.quantity_t]));
+  const demandOf = new Map(demands.map((d) => [d.id, d.quantity_t]));
+  // A link that could never carry a full lot is left out from the start
+  let candidates = links.filter(
+    (link) =>
+      link.value > 0 &&
+      Math.min(
+        supplyOf.get(link.supply) ?? 0,
+        demandOf.get(link.demand) ?? 0,
+      ) >=
+        minLot - EPSILON,
+  );
+
+  let flows = solve(supplies, demands, candidates);
+  for (let round = 0; round < MAX_LOT_ROUNDS; round++) {
+    let smallest = -1;
+    flows.forEach((flow, index) => {
+      if (
+        flow > EPSILON &&
+        flow < minLot - EPSILON &&
+        (smallest < 0 || flow < flows[smallest])
+      )
+        smallest = index;
+    });
+    if (smallest < 0) break;
+    candidates = candidates.filter((_, index) => index !== smallest);
+    flows = solve(supplies, demands, candidates);
+  }
+
+  return candidates
+    .map((link, index) => ({
+      link,
+      quantity_t: flows[index],
+      value: flows[index] * link.value,
+    }))
+    .filter(
+      (allocation) =>
+        allocation.quantity_t > EPSILON &&
+        allocation.quantity_t >= minLot - EPSILON,
+    )
+    .sort((a, b) => b.value - a.value);
+};
+
+module.exports = {
+  allocate,
+};
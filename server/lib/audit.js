@@ -0,0 +1,122 @@
+// lib/audit.js - Append-only audit log
+// Every insert, update and delete the API makes to materials, opportunities
+// and transactions is logged with the acting user and snapshots of the row
+// before and after the change. The table itself refuses updates and deletes.
+
+const { runQuery, getQuery, getAllQuery, withTransaction } = require("../db");
+
+const AUDITED_TABLES = {
+  material: "materials",
+  opportunity: "reuse_opportunities",
+  transaction: "transactions",
+};
+
+const AUDIT_ENTITIES = Object.keys(AUDITED_TABLES);
+const AUDIT_ACTIONS = ["create", "update", "delete"];
+
+// Derived columns left out of snapshots; the stored score breakdown is a
+// large JSON blob whose parts already appear as separate score columns
+const OMITTED_COLUMNS = ["score_breakdown"];
+
+const toSnapshot = (row) => {
+  if (!row) return null;
+  const snapshot = { ...row };
+  for (const column of OMITTED_COLUMNS) delete snapshot[column];
+  return snapshot;
+};
+
+const snapshot = async (entity, id) =>
+  toSnapshot(
+    await getQuery(`SELECT * FROM ${AUDITED_TABLES[entity]} WHERE id = ?`, [
+      id,
+    ]),
+  );
+
+// Fields whose value differs between two snapshots, as
+// [{ field, before, after }]
+const changedFields = (before, after) =>
+  [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])]
+    .filter((field) => before?.[field] !== after?.[field])
+    .map((field) => ({
+      field,
+      before: before?.[field] ?? null,
+      after: after?.[field] ?? null,
+    }));
+
+// Appends one entry; updates that changed nothing are not logged
+const recordAudit = ({ entity, entityId, action, user, before, after }) => {
+  if (action === "update" && changedFields(before, after).length === 0)
+    return null;
+  return runQuery(
+    `INSERT INTO audit_log
+    (entity, entity_id, action, actor_id, actor, before_data, after_data)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entity,
+      entityId,
+      action,
+      user?.id ?? null,
+      user?.name || "system",
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null,
+    ],
+  );
+};
+
+/**
+ * Runs change() and logs what it did to one record. For "create" the id is
+ * taken from change()'s result (a runQuery result); otherwise pass the id.
+ * Returns change()'s result. The snapshots, the change and the entry are one
+ * transaction (the caller's, if it has opened one), so no change goes
+ * unlogged and no other write falls between them.
+ */
+const audited = (user, entity, id, action, change) =>
+  withTransaction(async () => {
+    const before = action === "create" ? null : await snapshot(entity, id);
+    const result = await change();
+    const entityId = action === "create" ? result.id : id;
+    const after = action === "delete" ? null : await snapshot(entity, entityId);
+    await recordAudit({ entity, entityId, action, user, before, after });
+    return result;
+  });
+
+// Logs the deletion of every `entity` row matching `where`; call it just
+// before a delete that removes them, usually by cascade
+const auditDeletes = async (user, entity, where, params = []) => {
+  const rows = await getAllQuery(
+    `SELECT * FROM ${AUDITED_TABLES[entity]} WHERE ${where}`,
+    params,
+  );
+  for (const row of rows) {
+    await recordAudit({
+      entity,
+      entityId: row.id,
+      action: "delete",
+      user,
+      before: toSnapshot(row),
+      after: null,
+    });
+  }
+  return rows.length;
+};
+
+// Shapes a stored entry for API responses
+const formatAuditEntry = ({ before_data, after_data, ...entry }) => {
+  const before = before_data ? JSON.parse(before_data) : null;
+  const after = after_data ? JSON.parse(after_data) : null;
+  return {
+    ...entry,
+    before,
+    after,
+    changes: entry.action === "update" ? changedFields(before, after) : [],
+  };
+};
+
+module.exports = {
+  AUDIT_ENTITIES,
+  AUDIT_ACTIONS,
+  changedFields,
+  audited,
+  auditDeletes,
+  formatAuditEntry,
+};
@@ -0,0 +1,163 @@
+// lib/auth.js - Accounts, sessions and ownership checks
+// Passwords are stored as salted scrypt hashes. Signing in issues a random
+// bearer token; the sessions table keeps only its SHA-256 hash. Industries
+// belong to an organization, and only that organization's members may change
+// them or the records attached to them.
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { runQuery, getQuery } = require("../db");
+const { sendError } = require("./validation");
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 168;
+// Accounts administering the platform itself rather than one organization,
+// as a comma-separated list of emails
+const SYSTEM_ADMIN_EMAILS = (process.env.SYSTEM_ADMIN_EMAILS || "")
+  .split(",")
+  .map((email) => email.trim().toLowerCase())
+  .filter(Boolean);
+const KEY_LENGTH = 64;
+
+// ==================== PASSWORDS ====================
+
+// Returns "scrypt$<salt>$<hash>", both hex encoded
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [scheme, salt, expected] = String(stored).split("$");
+  if (scheme !== "scrypt" || !salt || !expected) return false;
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return crypto.timingSafeEqual(hash, Buffer.from(expected, "hex"));
+};
+
+// ==================== SESSIONS ====================
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// SQLite's DATETIME text format, so expiry compares with datetime('now')
+const toSqlDate = (date) => date.toISOString().replace("T", " ").slice(0, 19);
+
+// Issues a new token for the user; expired sessions are purged on the way
+const createSession = async (userId) => {
+  await runQuery("DELETE FROM sessions WHERE expires_at <= datetime('now')");
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = toSqlDate(
+    new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000),
+  );
+  await runQuery(
+    "INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)",
+    [hashToken(token), userId, expiresAt],
+  );
+  return { token, expires_at: expiresAt };
+};
+
+const deleteSession = (token) =>
+  runQuery("DELETE FROM sessions WHERE token_hash = ?", [hashToken(token)]);
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+};
+
+// Public profile of a user, as returned to clients and set on req.user
+const USER_SELECT = `SELECT u.id, u.email, u.name, u.role, u.organization_id,
+    o.name as organization_name
+  FROM users u JOIN organizations o ON u.organization_id = o.id`;
+
+const findUser = (id) => getQuery(`${USER_SELECT} WHERE u.id = ?`, [id]);
+
+// ==================== MIDDLEWARE ====================
+
+// Resolves the bearer token, if any, to req.user (null when anonymous or the
+// session has expired)
+const authenticate = async (req, res, next) => {
+  req.user = null;
+  const token = bearerToken(req);
+  if (!token) return next();
+
+  try {
+    req.user = await getQuery(
+      `${USER_SELECT}
+       JOIN sessions s ON s.user_id = u.id
+       WHERE s.token_hash = ? AND s.expires_at > datetime('now')`,
+      [hashToken(token)],
+    );
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const requireAuth = (req, res, next) => {
+  if (req.user) return next();
+  sendError(res, 401, "Sign in to continue", { code: "UNAUTHENTICATED" });
+};
+
+// ==================== OWNERSHIP ====================
+
+// Industries without an organization are owned by nobody, so no one may
+// change them until they are claimed
+const isMember = (user, organizationId) =>
+  Boolean(user) &&
+  organizationId !== null &&
+  organizationId !== undefined &&
+  user.organization_id === organizationId;
+
+const isIndustryMember = async (user, industryId) => {
+  const industry = await getQuery(
+    "SELECT organization_id FROM industries WHERE id = ?",
+    [industryId],
+  );
+  return isMember(user, industry?.organization_id);
+};
+
+// System administrators assign unowned industries to their organizations
+const isSystemAdmin = (user) =>
+  Boolean(user) && SYSTEM_ADMIN_EMAILS.includes(user.email.toLowerCase());
+
+const sendForbidden = (res, message) =>
+  sendError(res, 403, message, { code: "FORBIDDEN" });
+
+// Middleware allowing only members of the organization returned by `sql`
+// (selecting organization_id for the record named by req.params.id). Missing
+// records fall through so the handler can answer 404.
+const requireOwner = (sql, message) => async (req, res, next) => {
+  try {
+    const row = await getQuery(sql, [req.params.id]);
+    if (!row || isMember(req.user, row.organization_id)) return next();
+    sendForbidden(res, message);
+  } catch (err) {
+    next(err);
+  }
+};
+
+const requireSystemAdmin = (req, res, next) => {
+  if (!req.user) return requireAuth(req, res, next);
+  if (isSystemAdmin(req.user)) return next();
+  sendForbidden(res, "Only a system administrator can do this");
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  deleteSession,
+  bearerToken,
+  findUser,
+  authenticate,
+  requireAuth,
+  isMember,
+  isIndustryMember,
+  isSystemAdmin,
+  sendForbidden,
+  requireOwner,
+  requireSystemAdmin,
+};
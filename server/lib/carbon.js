@@ -0,0 +1,100 @@
+// lib/carbon.js - Carbon accounting for material reuse
+// Reusing a quantity of material avoids the emissions of landfilling it and
+// of producing the virgin material it displaces. Preprocessing it (electricity)
+// and moving it (fuel per tonne-km) emit CO2e, which is deducted. Factors come
+// from CARBON_FACTORS (default data/emission-factors.json), keyed by material
+// type the same way as the logistics factors.
+
+const path = require("path");
+
+const CARBON_FACTORS =
+  process.env.CARBON_FACTORS ||
+  path.join(__dirname, "..", "data", "emission-factors.json");
+
+// Per-material factors a caller may override
+const EMISSION_FACTORS = [
+  "landfill_co2e_kg_per_t",
+  "virgin_co2e_kg_per_t",
+  "preprocessing_kwh_per_t",
+];
+
+const KG_PER_TONNE = 1000;
+
+const config = require(CARBON_FACTORS);
+
+const roundTo = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// First entry whose `match` words appear in the material type, if any
+const matchMaterialType = (entries, materialType) => {
+  const type = String(materialType || "").toLowerCase();
+  return entries.find(({ match }) => match.some((word) => type.includes(word)));
+};
+
+const emissionFactors = (materialType) =>
+  matchMaterialType(config.materials, materialType) || config.default_material;
+
+/**
+ * CO2e avoided by reusing `quantity_t` tonnes of a material type. Transport
+ * is counted over `route_km` by `transport_mode`; without a route it is left
+ * out and `route_km` stays null. Preprocessing energy is counted only when
+ * `preprocessing` is set. Returns the breakdown in tonnes CO2e with the
+ * factors used.
+ */
+const carbonFootprint = ({
+  material_type,
+  quantity_t,
+  transport_mode = config.default_transport_mode,
+  route_km = null,
+  preprocessing = false,
+  overrides = {},
+}) => {
+  const { label, match, ...defaults } = emissionFactors(material_type);
+  const material = { ...defaults };
+  for (const factor of EMISSION_FACTORS)
+    if (overrides[factor] !== undefined) material[factor] = overrides[factor];
+
+  const transportFactor = config.transport_co2e_kg_per_tkm[transport_mode];
+  const landfill = quantity_t * material.landfill_co2e_kg_per_t;
+  const virgin = quantity_t * material.virgin_co2e_kg_per_t;
+  const preprocessingEnergy = preprocessing
+    ? quantity_t *
+      material.preprocessing_kwh_per_t *
+      config.electricity_co2e_kg_per_kwh
+    : 0;
+  const transport = quantity_t * (route_km || 0) * transportFactor;
+
+  return {
+    material_label: label,
+    quantity_t: roundTo(quantity_t, 3),
+    transport_mode,
+    route_km: route_km === null ? null : roundTo(route_km, 1),
+    preprocessing: Boolean(preprocessing),
+    landfill_avoided_co2e_t: roundTo(landfill / KG_PER_TONNE, 3),
+    virgin_displaced_co2e_t: roundTo(virgin / KG_PER_TONNE, 3),
+    preprocessing_co2e_t: roundTo(preprocessingEnergy / KG_PER_TONNE, 3),
+    transport_co2e_t: roundTo(transport / KG_PER_TONNE, 3),
+    net_co2e_avoided_t: roundTo(
+      (landfill + virgin - preprocessingEnergy - transport) / KG_PER_TONNE,
+      3,
+    ),
+    factors: {
+      ...material,
+      electricity_co2e_kg_per_kwh: config.electricity_co2e_kg_per_kwh,
+      transport_co2e_kg_per_tkm: transportFactor,
+    },
+  };
+};
+
+// The factor library, e.g. for showing where figures come from
+const getCarbonFactors = () => config;
+
+module.exports = {
+  EMISSION_FACTORS,
+  matchMaterialType,
+  emissionFactors,
+  carbonFootprint,
+  getCarbonFactors,
+};
@@ -0,0 +1,142 @@
+// lib/circulation.js - Circulation metrics derived from transactions
+// For each material stream (one material of one industry):
+// - days_to_reabsorption: mean days from the material's registration to the
+//   completion of each transfer of it
+// - circulation_cycles: how many times the stream re-entered the loop, i.e.
+//   its completed transfers
+// - reabsorption_rate: the share of the generated quantity that was
+//   reabsorbed; generated is what is left in stock plus what was transferred,
+//   as completing a transfer draws it from stock
+// Snapshots of these metrics are stored in circulation_metrics so their trend
+// can be followed over time.
+
+const { runQuery, getQuery, getAllQuery, withTransaction } = require("../db");
+const { convertQuantity } = require("./units");
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// SQLite timestamps ("YYYY-MM-DD HH:MM:SS") are UTC
+const parseTimestamp = (value) =>
+  value ? Date.parse(`${String(value).replace(" ", "T")}Z`) : NaN;
+
+const roundTo = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Metrics per material from materials ({ id, industry_id, name, quantity,
+ * unit, density, created_at }) and their completed transfers
+ * ({ material_id, quantity_transferred, unit, completed_at }). Transfer
+ * quantities are converted to the material's unit; those that cannot be are
+ * counted as cycles but left out of the quantities.
+ */
+const computeCirculation = (materials, transfers) => {
+  const byMaterial = new Map();
+  for (const transfer of transfers) {
+    if (!byMaterial.has(transfer.material_id))
+      byMaterial.set(transfer.material_id, []);
+    byMaterial.get(transfer.material_id).push(transfer);
+  }
+
+  return materials.map((material) => {
+    const streams = byMaterial.get(material.id) || [];
+    const registered = parseTimestamp(material.created_at);
+    const days = streams
+      .map((t) => (parseTimestamp(t.completed_at) - registered) / MS_PER_DAY)
+      .filter((d) => Number.isFinite(d))
+      .map((d) => Math.max(d, 0));
+    const reabsorbed = streams.reduce(
+      (sum, t) =>
+        sum +
+        (convertQuantity(
+          t.quantity_transferred,
+          t.unit || material.unit,
+          material.unit,
+          material.density,
+        ) ?? 0),
+      0,
+    );
+    const generated = (material.quantity || 0) + reabsorbed;
+    const inTonnes = (quantity) =>
+      convertQuantity(quantity, material.unit, "t", material.density);
+
+    return {
+      material_id: material.id,
+      industry_id: material.industry_id,
+      material_name: material.name,
+      days_to_reabsorption:
+        days.length > 0
+          ? roundTo(days.reduce((sum, d) => sum + d, 0) / days.length, 1)
+          : null,
+      circulation_cycles: streams.length,
+      reabsorption_rate:
+        generated > 0 ? roundTo(Math.min(reabsorbed / generated, 1), 4) : 0,
+      quantity_generated: roundTo(generated, 3),
+      quantity_reabsorbed: roundTo(reabsorbed, 3),
+      unit: material.unit,
+      generated_t: inTonnes(generated),
+      reabsorbed_t: inTonnes(reabsorbed),
+    };
+  });
+};
+
+/**
+ * Computes the metrics of every material and stores them as one snapshot,
+ * all rows sharing a measured_at. Returns { measured_at, materials }.
+ */
+const takeCirculationSnapshot = async () => {
+  const materials = await getAllQuery(
+    `SELECT id, industry_id, name, quantity, unit, density, created_at
+     FROM materials`,
+  );
+  const transfers = await getAllQuery(
+    `SELECT material_id, quantity_transferred, unit,
+            COALESCE(completed_at, updated_at, transaction_date) as completed_at
+     FROM transactions WHERE status = 'completed'`,
+  );
+  const metrics = computeCirculation(materials, transfers);
+  const measuredAt = new Date().toISOString().slice(0, 19).replace("T", " ");
+
+  await withTransaction(async () => {
+    for (const m of metrics)
+      await runQuery(
+        `INSERT INTO circulation_metrics
+         (industry_id, material_id, material_name, days_to_reabsorption,
+          circulation_cycles, reabsorption_rate, quantity_generated,
+          quantity_reabsorbed, unit, generated_t, reabsorbed_t, measured_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          m.industry_id,
+          m.material_id,
+          m.material_name,
+          m.days_to_reabsorption,
+          m.circulation_cycles,
+          m.reabsorption_rate,
+          m.quantity_generated,
+          m.quantity_reabsorbed,
+          m.unit,
+          m.generated_t,
+          m.reabsorbed_t,
+          measuredAt,
+        ],
+      );
+  });
+  return { measured_at: measuredAt, materials: metrics.length };
+};
+
+// Time of the latest computed snapshot, or null
+const latestSnapshotAt = async () => {
+  const row = await getQuery(
+    `SELECT MAX(measured_at) as measured_at FROM circulation_metrics
+     WHERE material_id IS NOT NULL`,
+  );
+  return row?.measured_at || null;
+};
+
+module.exports = {
+  parseTimestamp,
+  computeCirculation,
+  takeCirculationSnapshot,
+  latestSnapshotAt,
+};
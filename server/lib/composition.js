@@ -0,0 +1,332 @@
+// lib/composition.js - Structured chemical composition
+// A material's composition is a list of components, each with an optional
+// CAS number or formula, an amount in percent or ppm, the measurement method
+// and a lab reference. Components live in material_components; the
+// materials.chemical_composition text is kept as a readable summary of them.
+
+const { runQuery, getAllQuery } = require("../db");
+const { validateInput } = require("./validation");
+
+const COMPOSITION_BASES = ["percent", "ppm"];
+
+const PPM_PER_PERCENT = 10000;
+
+// Rounding and lab error let a full analysis add up to slightly over 100%
+const SUM_TOLERANCE = 1;
+
+const MAX_COMPONENTS = 50;
+
+const COMPONENT_SCHEMA = {
+  component: { type: "string", required: true, maxLength: 100 },
+  identifier: { type: "string", maxLength: 100 },
+  amount: { type: "number", min: 0 },
+  basis: { type: "enum", values: COMPOSITION_BASES },
+  method: { type: "string", maxLength: 200 },
+  lab_reference: { type: "string", maxLength: 100 },
+};
+
+// ==================== IDENTIFIERS ====================
+
+const CAS_PATTERN = /^(\d{2,7})-(\d{2})-(\d)$/;
+const FORMULA_PATTERN = /^[A-Za-z0-9()[\]·.+-]+$/;
+
+// The last digit of a CAS registry number is a checksum over the others
+const isValidCas = (text) => {
+  const match = CAS_PATTERN.exec(text);
+  if (!match) return false;
+  const digits = (match[1] + match[2]).split("").reverse();
+  const sum = digits.reduce((acc, digit, i) => acc + (i + 1) * digit, 0);
+  return sum % 10 === Number(match[3]);
+};
+
+const checkIdentifier = (identifier) => {
+  if (CAS_PATTERN.test(identifier))
+    return isValidCas(identifier) ? null : "CAS number checksum does not match";
+  if (!FORMULA_PATTERN.test(identifier))
+    return "Must be a CAS number (e.g. 7631-86-9) or a formula";
+  return null;
+};
+
+// ==================== AMOUNTS ====================
+
+const toPercent = ({ amount, basis }) => {
+  if (amount === null || amount === undefined) return null;
+  return basis === "ppm" ? amount / PPM_PER_PERCENT : amount;
+};
+
+const formatAmount = ({ amount, basis }) => {
+  if (amount === null || amount === undefined) return "";
+  return basis === "ppm" ? ` ${amount} ppm` : ` ${amount}%`;
+};
+
+// Readable one-line summary, e.g. "SiO2 45%, CaO 30%, Pb 200 ppm"
+const formatComposition = (components = []) =>
+  components.map((c) => `${c.component}${formatAmount(c)}`).join(", ");
+
+// Sum of the components given as percentages or ppm, in percent
+const totalPercent = (components = []) =>
+  components.reduce((sum, c) => sum + (toPercent(c) || 0), 0);
+
+// ==================== PARSING ====================
+
+const NAME = "[A-Za-z][A-Za-z0-9()[\\]·\\- ]*?";
+const NUMBER = "(\\d+(?:\\.\\d+)?)";
+const UNIT = "(%|wt%|ppm|mg/kg)";
+
+const AMOUNT_AFTER = new RegExp(
+  `^(${NAME})\\s*[:=]?\\s*${NUMBER}\\s*${UNIT}$`,
+  "i",
+);
+const AMOUNT_BEFORE = new RegExp(
+  `^${NUMBER}\\s*${UNIT}\\s*(?:of\\s+)?(${NAME})$`,
+  "i",
+);
+// Up to three words without figures, e.g. "Fe" or "iron oxide"
+const NAME_ONLY =
+  /^[A-Za-z][A-Za-z0-9()[\]·-]*(?: [A-Za-z][A-Za-z0-9()[\]·-]*){0,2}$/;
+
+const toBasis = (unit) => (/ppm|mg\/kg/i.test(unit) ? "ppm" : "percent");
+
+const parsePart = (part) => {
+  let match = AMOUNT_AFTER.exec(part);
+  if (match)
+    return {
+      component: match[1].trim(),
+      amount: parseFloat(match[2]),
+      basis: toBasis(match[3]),
+    };
+  match = AMOUNT_BEFORE.exec(part);
+  if (match)
+    return {
+      component: match[3].trim(),
+      amount: parseFloat(match[1]),
+      basis: toBasis(match[2]),
+    };
+  if (NAME_ONLY.test(part) && part.length <= 40)
+    return { component: part, amount: null, basis: "percent" };
+  return null;
+};
+
+/**
+ * Reads free-text composition such as "SiO2 45%, CaO: 30 %, 200 ppm Pb".
+ * Returns { components, unparsed } where unparsed lists the parts that did
+ * not look like a component with an optional amount.
+ */
+const parseComposition = (text) => {
+  const components = [];
+  const unparsed = [];
+  for (const part of String(text || "").split(/[,;\n]+/)) {
+    const trimmed = part.trim();
+    if (!trimmed) continue;
+    const component = parsePart(trimmed);
+    if (component) components.push(component);
+    else unparsed.push(trimmed);
+  }
+  return { components, unparsed };
+};
+
+// ==================== VALIDATION ====================
+
+/**
+ * Checks a list of components. Returns { components, fields } with the
+ * normalised components, or field errors named like "components[2].amount".
+ */
+const validateComponents = (list) => {
+  if (!Array.isArray(list))
+    return {
+      components: [],
+      fields: [{ field: "components", message: "Must be a list" }],
+    };
+  if (list.length > MAX_COMPONENTS)
+    return {
+      components: [],
+      fields: [
+        {
+          field: "components",
+          message: `Must have at most ${MAX_COMPONENTS} components`,
+        },
+      ],
+    };
+
+  const components = [];
+  const fields = [];
+  const seen = new Set();
+
+  list.forEach((item, index) => {
+    const prefix = `components[${index}]`;
+    const { values, fields: errors } = validateInput(
+      COMPONENT_SCHEMA,
+      item && typeof item === "object" ? item : {},
+    );
+    for (const { field, message } of errors)
+      fields.push({ field: `${prefix}.${field}`, message });
+    if (errors.length > 0) return;
+
+    const component = {
+      component: values.component,
+      identifier: values.identifier ?? null,
+      amount: values.amount ?? null,
+      basis: values.basis || "percent",
+      method: values.method ?? null,
+      lab_reference: values.lab_reference ?? null,
+    };
+
+    const key = component.component.toLowerCase();
+    if (seen.has(key))
+      fields.push({
+        field: `${prefix}.component`,
+        message: `${component.component} is listed more than once`,
+      });
+    seen.add(key);
+
+    if (component.identifier) {
+      const message = checkIdentifier(component.identifier);
+      if (message) fields.push({ field: `${prefix}.identifier`, message });
+    }
+    if (component.basis === "percent" && component.amount > 100)
+      fields.push({
+        field: `${prefix}.amount`,
+        message: "Must be at most 100",
+      });
+    if (component.basis === "ppm" && component.amount > 100 * PPM_PER_PERCENT)
+      fields.push({
+        field: `${prefix}.amount`,
+        message: `Must be at most ${100 * PPM_PER_PERCENT}`,
+      });
+
+    components.push(component);
+  });
+
+  const total = totalPercent(components);
+  if (fields.length === 0 && total > 100 + SUM_TOLERANCE)
+    fields.push({
+      field: "components",
+      message: `Amounts add up to ${Math.round(total * 100) / 100}%, more than 100%`,
+    });
+
+  return { components, fields };
+};
+
+// ==================== LOOKUP ====================
+
+/**
+ * Finds a component by name or identifier (case-insensitive) and returns
+ * { present, percent } where percent may be null.
+ */
+const findComponent = (components, name) => {
+  const key = String(name).toLowerCase();
+  const match = components.find(
+    (c) =>
+      c.component.toLowerCase() === key ||
+      (c.identifier && c.identifier.toLowerCase() === key),
+  );
+  if (!match) return { present: false, percent: null };
+  return { present: true, percent: toPercent(match) };
+};
+
+// ==================== QUERYING ====================
+
+const PERCENT_SQL =
+  "CASE mc.basis WHEN 'ppm' THEN mc.amount / 10000.0 ELSE mc.amount END";
+
+const CRITERION = /^(.+?)\s*(>=|<=|>|<)\s*(\d+(?:\.\d+)?)\s*%?$/;
+const RANGE = /^(.+?)\s+(\d+(?:\.\d+)?)\s*-\s*(\d+(?:\.\d+)?)\s*%?$/;
+
+/**
+ * SQL condition on materials (aliased m) for a composition query such as
+ * "SiO2 > 30", "Pb <= 0.1", "CaO 20-60" or just "Fe" (present at all).
+ * Amounts are percentages. Returns { condition, params }.
+ */
+const compositionCondition = (text) => {
+  const conditions = [];
+  const params = [];
+  let name = text.trim();
+
+  const range = RANGE.exec(name);
+  const criterion = CRITERION.exec(name);
+  if (range) {
+    name = range[1];
+    conditions.push(`${PERCENT_SQL} >= ?`, `${PERCENT_SQL} <= ?`);
+    params.push(parseFloat(range[2]), parseFloat(range[3]));
+  } else if (criterion) {
+    name = criterion[1];
+    conditions.push(`${PERCENT_SQL} ${criterion[2]} ?`);
+    params.push(parseFloat(criterion[3]));
+  }
+
+  return {
+    condition: `EXISTS (SELECT 1 FROM material_components mc
+      WHERE mc.material_id = m.id
+      AND (mc.component = ? COLLATE NOCASE OR mc.identifier = ? COLLATE NOCASE)
+      ${conditions.map((c) => `AND ${c}`).join(" ")})`,
+    params: [name.trim(), name.trim(), ...params],
+  };
+};
+
+// ==================== STORAGE ====================
+
+const COMPONENT_COLUMNS = [
+  "component",
+  "identifier",
+  "amount",
+  "basis",
+  "method",
+  "lab_reference",
+];
+
+// Components per material id, in their stored order
+const loadComponents = async (materialIds) => {
+  const byMaterial = {};
+  if (materialIds.length === 0) return byMaterial;
+  const rows = await getAllQuery(
+    `SELECT * FROM material_components
+     WHERE material_id IN (${materialIds.map(() => "?").join(", ")})
+     ORDER BY material_id, position, id`,
+    materialIds,
+  );
+  for (const row of rows) {
+    (byMaterial[row.material_id] ||= []).push(
+      Object.fromEntries(COMPONENT_COLUMNS.map((c) => [c, row[c]])),
+    );
+  }
+  return byMaterial;
+};
+
+// Sets `components` on each material row; returns the same rows
+const attachComponents = async (materials) => {
+  const byMaterial = await loadComponents(materials.map((m) => m.id));
+  for (const material of materials)
+    material.components = byMaterial[material.id] || [];
+  return materials;
+};
+
+// Replaces a material's components with the given, already validated list
+const saveComponents = async (materialId, components) => {
+  await runQuery("DELETE FROM material_components WHERE material_id = ?", [
+    materialId,
+  ]);
+  for (const [position, component] of components.entries()) {
+    await runQuery(
+      `INSERT INTO material_components
+      (material_id, position, ${COMPONENT_COLUMNS.join(", ")})
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [materialId, position, ...COMPONENT_COLUMNS.map((c) => component[c])],
+    );
+  }
+};
+
+module.exports = {
+  COMPOSITION_BASES,
+  PPM_PER_PERCENT,
+  isValidCas,
+  toPercent,
+  totalPercent,
+  formatComposition,
+  parseComposition,
+  validateComponents,
+  findComponent,
+  compositionCondition,
+  loadComponents,
+  attachComponents,
+  saveComponents,
+};
@@ -0,0 +1,323 @@
+// lib/forecast.js - By-product generation forecasts
+// A stream is one industry's generation of one material type. Its history is
+// the tonnage registered each month, counting what has since been transferred
+// as generated too (completing a transfer draws it from stock). Streams are
+// projected month by month with one of two local methods:
+// - seasonal naive: each month repeats the same month a year earlier; chosen
+//   automatically once two years of history show it beats smoothing
+// - simple exponential smoothing, with the smoothing factor fitted to the
+//   history
+// Streams with less than a year of history lean on a prior from the
+// industry's annual_output: that output times the tonnes of the material type
+// generated per tonne of output by all industries that report one.
+// Intervals assume normally distributed one-step errors.
+
+const { getAllQuery } = require("../db");
+const { convertQuantity } = require("./units");
+const {
+  formatDate,
+  bucketKey,
+  bucketRange,
+  bucketsBefore,
+  bucketsAfter,
+} = require("./timeseries");
+
+const METHODS = ["auto", "seasonal_naive", "exponential_smoothing"];
+
+const SEASON_MONTHS = 12;
+
+// History over which the annual_output prior fades out
+const PRIOR_MONTHS = 12;
+
+// With fewer one-step errors than this the spread is taken as the level itself
+const MIN_ERRORS = 3;
+
+const SMOOTHING_FACTORS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+
+// Two-sided normal quantiles
+const Z_80 = 1.2816;
+const Z_95 = 1.96;
+
+const roundTo = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const rootMeanSquare = (errors) =>
+  Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / errors.length);
+
+// Simple exponential smoothing with the factor that minimizes the squared
+// one-step errors; returns that factor, the final level and the errors
+const fitSmoothing = (series) => {
+  let best = null;
+  for (const alpha of SMOOTHING_FACTORS) {
+    let level = series[0];
+    const errors = [];
+    for (const value of series.slice(1)) {
+      errors.push(value - level);
+      level += alpha * (value - level);
+    }
+    const sse = errors.reduce((sum, e) => sum + e * e, 0);
+    if (!best || sse < best.sse) best = { alpha, level, errors, sse };
+  }
+  return best;
+};
+
+/**
+ * Projects `horizon` values after `series` (at least one value) by
+ * exponential smoothing. A `prior` level is blended in while the series is
+ * shorter than PRIOR_MONTHS. Returns { method, alpha, prior_weight, points }
+ * with a value and standard error per point.
+ */
+const exponentialSmoothing = (series, horizon, prior = null) => {
+  const { alpha, level, errors } = fitSmoothing(series);
+  const priorWeight =
+    prior === null ? 0 : Math.max(0, 1 - series.length / PRIOR_MONTHS);
+  const value = priorWeight * prior + (1 - priorWeight) * level;
+  const sigma =
+    errors.length >= MIN_ERRORS ? rootMeanSquare(errors) : Math.abs(value);
+  return {
+    method: "exponential_smoothing",
+    alpha,
+    prior_weight: roundTo(priorWeight, 2),
+    points: Array.from({ length: horizon }, (_, h) => ({
+      value,
+      sigma: sigma * Math.sqrt(1 + h * alpha * alpha),
+    })),
+  };
+};
+
+/**
+ * Projects `horizon` values after `series` (more than a season long) by
+ * repeating the last season; the error grows with each season ahead.
+ */
+const seasonalNaive = (series, horizon) => {
+  const errors = series
+    .slice(SEASON_MONTHS)
+    .map((value, i) => value - series[i]);
+  const sigma = rootMeanSquare(errors);
+  const lastSeason = series.slice(-SEASON_MONTHS);
+  return {
+    method: "seasonal_naive",
+    points: Array.from({ length: horizon }, (_, h) => ({
+      value: lastSeason[h % SEASON_MONTHS],
+      sigma: sigma * Math.sqrt(Math.floor(h / SEASON_MONTHS) + 1),
+    })),
+  };
+};
+
+/**
+ * Forecast of a monthly series by `method`. Seasonal naive needs more than a
+ * season of history and falls back to smoothing without it; "auto" picks it
+ * only with two seasons and a lower one-step error than smoothing.
+ */
+const forecastSeries = (series, horizon, { method = "auto", prior } = {}) => {
+  const smoothing = exponentialSmoothing(series, horizon, prior);
+  if (method === "exponential_smoothing" || series.length <= SEASON_MONTHS)
+    return smoothing;
+  const seasonal = seasonalNaive(series, horizon);
+  if (method === "seasonal_naive") return seasonal;
+  if (series.length < 2 * SEASON_MONTHS) return smoothing;
+  return seasonal.points[0].sigma < smoothing.points[0].sigma
+    ? seasonal
+    : smoothing;
+};
+
+// Rounded point with its 80% and 95% intervals, never below zero
+const withIntervals = ({ value, sigma }) => ({
+  generated_t: roundTo(value, 3),
+  lower_80: roundTo(Math.max(value - Z_80 * sigma, 0), 3),
+  upper_80: roundTo(value + Z_80 * sigma, 3),
+  lower_95: roundTo(Math.max(value - Z_95 * sigma, 0), 3),
+  upper_95: roundTo(value + Z_95 * sigma, 3),
+});
+
+// Material types are matched case-insensitively; a blank one is "unspecified"
+const UNSPECIFIED_TYPE = "unspecified";
+
+const streamKey = (industryId, materialType) =>
+  `${industryId}|${String(materialType || UNSPECIFIED_TYPE)
+    .trim()
+    .toLowerCase()}`;
+
+/**
+ * Forecasts monthly generation in tonnes for the next `horizon` months of
+ * each stream, optionally only those of one industry and/or material type.
+ * History covers up to `history` months to the current one. Materials whose
+ * unit does not convert to tonnes are left out and counted as unconverted.
+ */
+const forecastGeneration = async ({
+  industry_id,
+  material_type,
+  horizon,
+  history,
+  method,
+}) => {
+  const today = formatDate(new Date());
+  const months = bucketRange(
+    bucketsBefore(today, "month", history),
+    today,
+    "month",
+  );
+  const future = bucketsAfter(today, "month", horizon);
+
+  const materials = await getAllQuery(
+    `SELECT m.id, m.industry_id, i.name as industry_name, i.sector,
+            i.annual_output, m.material_type, m.quantity, m.unit, m.density,
+            m.created_at
+     FROM materials m JOIN industries i ON m.industry_id = i.id
+     WHERE date(m.created_at) >= date(?)`,
+    [months[0].start],
+  );
+  const transfers = await getAllQuery(
+    `SELECT t.material_id, t.quantity_transferred,
+            COALESCE(t.unit, m.unit) as unit, m.density,
+            COALESCE(t.completed_at, t.updated_at, t.transaction_date)
+              as completed_at
+     FROM transactions t JOIN materials m ON t.material_id = m.id
+     WHERE t.status = 'completed'`,
+  );
+
+  const transfersOf = new Map();
+  for (const transfer of transfers) {
+    const tonnes = convertQuantity(
+      transfer.quantity_transferred,
+      transfer.unit,
+      "t",
+      transfer.density,
+    );
+    if (tonnes === null) continue;
+    if (!transfersOf.has(transfer.material_id))
+      transfersOf.set(transfer.material_id, []);
+    transfersOf
+      .get(transfer.material_id)
+      .push({ month: bucketKey(transfer.completed_at, "month"), tonnes });
+  }
+
+  const streams = new Map();
+  for (const material of materials) {
+    const key = streamKey(material.industry_id, material.material_type);
+    if (!streams.has(key))
+      streams.set(key, {
+        industry_id: material.industry_id,
+        industry_name: material.industry_name,
+        sector: material.sector,
+        annual_output: material.annual_output || null,
+        material_type: material.material_type || UNSPECIFIED_TYPE,
+        materials: [],
+        unconverted: 0,
+        generated: new Map(),
+        transferred: new Map(),
+      });
+    const stream = streams.get(key);
+    stream.materials.push(material.id);
+
+    const stock = convertQuantity(
+      material.quantity || 0,
+      material.unit,
+      "t",
+      material.density,
+    );
+    if (stock === null) {
+      stream.unconverted++;
+      continue;
+    }
+    const moved = transfersOf.get(material.id) || [];
+    const registered = bucketKey(material.created_at, "month");
+    const add = (map, month, tonnes) =>
+      map.set(month, (map.get(month) || 0) + tonnes);
+    add(
+      stream.generated,
+      registered,
+      moved.reduce((sum, t) => sum + t.tonnes, stock),
+    );
+    for (const { month, tonnes } of moved)
+      add(stream.transferred, month, tonnes);
+  }
+
+  // Each stream's history runs from the month of its first registration
+  for (const stream of streams.values()) {
+    const first = months.findIndex(({ key }) => stream.generated.has(key));
+    stream.months = first < 0 ? [] : months.slice(first).map(({ key }) => key);
+    stream.series = stream.months.map((key) => stream.generated.get(key) || 0);
+  }
+
+  // Tonnes of each material type generated a year per tonne of output, over
+  // the industries that report their output
+  const yields = new Map();
+  for (const stream of streams.values()) {
+    if (!stream.annual_output || stream.series.length === 0) continue;
+    const type = streamKey("", stream.material_type);
+    const pool = yields.get(type) || { generated: 0, output: 0 };
+    pool.generated +=
+      (stream.series.reduce((sum, t) => sum + t, 0) / stream.series.length) *
+      SEASON_MONTHS;
+    pool.output += stream.annual_output;
+    yields.set(type, pool);
+  }
+
+  const selected = [...streams.values()].filter(
+    (stream) =>
+      (!industry_id || stream.industry_id === industry_id) &&
+      (!material_type ||
+        streamKey("", stream.material_type) === streamKey("", material_type)),
+  );
+
+  const data = selected.map(
+    ({ generated, transferred, months: observed, series, ...stream }) => {
+      const pool = yields.get(streamKey("", stream.material_type));
+      const prior =
+        stream.annual_output && pool
+          ? (stream.annual_output * (pool.generated / pool.output)) /
+            SEASON_MONTHS
+          : null;
+      const forecast =
+        series.length > 0
+          ? forecastSeries(series, horizon, { method, prior })
+          : null;
+      const total = forecast?.points.reduce(
+        (sum, point) => ({
+          value: sum.value + point.value,
+          sigma: Math.sqrt(sum.sigma ** 2 + point.sigma ** 2),
+        }),
+        { value: 0, sigma: 0 },
+      );
+
+      return {
+        ...stream,
+        unit: "t",
+        method: forecast?.method ?? null,
+        alpha: forecast?.alpha,
+        prior_t: prior === null ? null : roundTo(prior, 3),
+        prior_weight: forecast?.prior_weight,
+        history: observed.map((month) => ({
+          month,
+          generated_t: roundTo(generated.get(month) || 0, 3),
+          transferred_t: roundTo(transferred.get(month) || 0, 3),
+        })),
+        forecast: (forecast?.points || []).map((point, i) => ({
+          month: future[i].key,
+          ...withIntervals(point),
+        })),
+        total: total ? withIntervals(total) : null,
+      };
+    },
+  );
+
+  return {
+    horizon,
+    history,
+    months: future.map(({ key }) => key),
+    data: data.sort(
+      (a, b) => (b.total?.generated_t ?? 0) - (a.total?.generated_t ?? 0),
+    ),
+  };
+};
+
+module.exports = {
+  METHODS,
+  exponentialSmoothing,
+  seasonalNaive,
+  forecastSeries,
+  forecastGeneration,
+};
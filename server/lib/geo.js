@@ -0,0 +1,107 @@
+// lib/geo.js - Coordinates, distances and offline geocoding
+// Industries carry a latitude/longitude in decimal degrees, entered by hand or
+// looked up from their free-text location in the bundled gazetteer
+// (data/gazetteer.json). Distances are great-circle distances in km.
+
+const path = require("path");
+
+const EARTH_RADIUS_KM = 6371;
+
+const GAZETTEER_PATH =
+  process.env.GAZETTEER_PATH ||
+  path.join(__dirname, "..", "data", "gazetteer.json");
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const hasCoordinates = (point) =>
+  point != null &&
+  typeof point.latitude === "number" &&
+  typeof point.longitude === "number";
+
+/**
+ * Great-circle (haversine) distance in km between two { latitude, longitude }
+ * points, or null if either has no coordinates.
+ */
+const distanceKm = (from, to) => {
+  if (!hasCoordinates(from) || !hasCoordinates(to)) return null;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(Math.min(1, a)));
+};
+
+/**
+ * SQL expression for the distance in km between two joined tables (aliases)
+ * that have latitude and longitude columns. NULL when either has none.
+ */
+const distanceSql = (from, to) => `(2 * ${EARTH_RADIUS_KM} * asin(sqrt(min(1,
+    pow(sin(radians(${to}.latitude - ${from}.latitude) / 2), 2) +
+    cos(radians(${from}.latitude)) * cos(radians(${to}.latitude)) *
+    pow(sin(radians(${to}.longitude - ${from}.longitude) / 2), 2)))))`;
+
+// ==================== GAZETTEER ====================
+
+const normalizeName = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+let gazetteer = null;
+
+// Places by normalized name and alias, loaded on first use
+const loadGazetteer = () => {
+  if (gazetteer) return gazetteer;
+  const { places } = require(GAZETTEER_PATH);
+  gazetteer = new Map();
+  for (const place of places) {
+    for (const name of [place.name, ...(place.aliases || [])]) {
+      const key = normalizeName(name);
+      if (!gazetteer.has(key)) gazetteer.set(key, []);
+      gazetteer.get(key).push(place);
+    }
+  }
+  return gazetteer;
+};
+
+/**
+ * Looks up a free-text location such as "Chennai", "Ennore, Tamil Nadu" or
+ * "Birmingham, United States". Each comma-separated part is tried in turn;
+ * the other parts pick between places that share a name. Returns
+ * { latitude, longitude, place } or null when nothing matches.
+ */
+const geocode = (location) => {
+  const places = loadGazetteer();
+  const parts = String(location || "")
+    .split(/[,;/]+/)
+    .map(normalizeName)
+    .filter(Boolean);
+
+  for (const part of parts) {
+    const candidates = places.get(part);
+    if (!candidates) continue;
+    const place =
+      candidates.find((c) => parts.includes(normalizeName(c.country))) ||
+      candidates[0];
+    return {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      place: `${place.name}, ${place.country}`,
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  hasCoordinates,
+  distanceKm,
+  distanceSql,
+  geocode,
+};
@@ -0,0 +1,274 @@
+// lib/graph.js - Graph analytics for the symbiosis network
+// Industries are nodes and reuse opportunities directed edges from the
+// industry with the material to the one that can reuse it. Several
+// opportunities between the same pair count as one connection for the
+// structural measures; pathways keep the individual opportunities.
+
+// Bounds for the searches that grow combinatorially with network size
+const MAX_LOOP_LENGTH = 6;
+const MAX_LOOPS = 50;
+const MAX_PATHWAYS = 20;
+const MAX_EXPLORED_PATHWAYS = 10000;
+// Paths the loop search may extend before it gives up; dense networks have
+// far too many to walk them all
+const MAX_EXPLORED_LOOP_PATHS = 100000;
+
+/**
+ * Builds adjacency from nodes ({ id }) and edges ({ id, source, target,
+ * weight }). Edges whose endpoints are not nodes are ignored.
+ */
+const buildGraph = (nodes, edges) => {
+  const ids = nodes.map((node) => node.id).sort((a, b) => a - b);
+  const successors = new Map(ids.map((id) => [id, new Set()]));
+  const predecessors = new Map(ids.map((id) => [id, new Set()]));
+  const neighbours = new Map(ids.map((id) => [id, new Set()]));
+  const outgoing = new Map(ids.map((id) => [id, []]));
+  const valid = edges.filter(
+    (edge) =>
+      successors.has(edge.source) &&
+      successors.has(edge.target) &&
+      edge.source !== edge.target,
+  );
+  for (const edge of valid) {
+    successors.get(edge.source).add(edge.target);
+    predecessors.get(edge.target).add(edge.source);
+    neighbours.get(edge.source).add(edge.target);
+    neighbours.get(edge.target).add(edge.source);
+    outgoing.get(edge.source).push(edge);
+  }
+  return { ids, edges: valid, successors, predecessors, neighbours, outgoing };
+};
+
+// In, out and total degree per node; centrality is the total over the most
+// connections a node could have
+const degreeCentrality = (graph) => {
+  const possible = Math.max(graph.ids.length - 1, 1);
+  return new Map(
+    graph.ids.map((id) => {
+      const inDegree = graph.predecessors.get(id).size;
+      const outDegree = graph.successors.get(id).size;
+      return [
+        id,
+        {
+          in_degree: inDegree,
+          out_degree: outDegree,
+          degree: graph.neighbours.get(id).size,
+          degree_centrality: graph.neighbours.get(id).size / possible,
+        },
+      ];
+    }),
+  );
+};
+
+/**
+ * Betweenness centrality (Brandes) on the directed graph: the share of
+ * shortest paths between other industries that pass through each one,
+ * normalized to 0..1.
+ */
+const betweennessCentrality = (graph) => {
+  const { ids, successors } = graph;
+  const centrality = new Map(ids.map((id) => [id, 0]));
+
+  for (const source of ids) {
+    const stack = [];
+    const predecessors = new Map(ids.map((id) => [id, []]));
+    const paths = new Map(ids.map((id) => [id, 0]));
+    const distance = new Map(ids.map((id) => [id, -1]));
+    paths.set(source, 1);
+    distance.set(source, 0);
+    const queue = [source];
+    while (queue.length > 0) {
+      const v = queue.shift();
+      stack.push(v);
+      for (const w of successors.get(v)) {
+        if (distance.get(w) < 0) {
+          distance.set(w, distance.get(v) + 1);
+          queue.push(w);
+        }
+        if (distance.get(w) === distance.get(v) + 1) {
+          paths.set(w, paths.get(w) + paths.get(v));
+          predecessors.get(w).push(v);
+        }
+      }
+    }
+
+    const dependency = new Map(ids.map((id) => [id, 0]));
+    while (stack.length > 0) {
+      const w = stack.pop();
+      for (const v of predecessors.get(w))
+        dependency.set(
+          v,
+          dependency.get(v) +
+            (paths.get(v) / paths.get(w)) * (1 + dependency.get(w)),
+        );
+      if (w !== source)
+        centrality.set(w, centrality.get(w) + dependency.get(w));
+    }
+  }
+
+  const n = ids.length;
+  const scale = n > 2 ? 1 / ((n - 1) * (n - 2)) : 0;
+  for (const id of ids) centrality.set(id, centrality.get(id) * scale);
+  return centrality;
+};
+
+// Nodes reachable from `start` ignoring direction, optionally without one node
+const reachable = (graph, start, without = null) => {
+  const seen = new Set([start]);
+  const queue = [start];
+  while (queue.length > 0) {
+    const v = queue.shift();
+    for (const w of graph.neighbours.get(v))
+      if (w !== without && !seen.has(w)) {
+        seen.add(w);
+        queue.push(w);
+      }
+  }
+  return seen;
+};
+
+// Weakly connected components (clusters), largest first, as sorted id lists
+const connectedComponents = (graph) => {
+  const assigned = new Set();
+  const components = [];
+  for (const id of graph.ids) {
+    if (assigned.has(id)) continue;
+    const members = [...reachable(graph, id)].sort((a, b) => a - b);
+    members.forEach((member) => assigned.add(member));
+    components.push(members);
+  }
+  return components.sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Articulation points: industries whose removal splits their cluster, with
+ * the number of parts it falls into. These are the hubs the network relies on.
+ */
+const articulationPoints = (graph) => {
+  const { ids, neighbours } = graph;
+  const order = new Map();
+  const low = new Map();
+  const points = new Set();
+  let counter = 0;
+
+  const visit = (v, parent) => {
+    order.set(v, counter);
+    low.set(v, counter);
+    counter++;
+    let children = 0;
+    for (const w of neighbours.get(v)) {
+      if (!order.has(w)) {
+        children++;
+        visit(w, v);
+        low.set(v, Math.min(low.get(v), low.get(w)));
+        if (parent !== null && low.get(w) >= order.get(v)) points.add(v);
+      } else if (w !== parent) {
+        low.set(v, Math.min(low.get(v), order.get(w)));
+      }
+    }
+    if (parent === null && children > 1) points.add(v);
+  };
+  for (const id of ids) if (!order.has(id)) visit(id, null);
+
+  return [...points]
+    .sort((a, b) => a - b)
+    .map((id) => {
+      const rest = [...neighbours.get(id)];
+      const parts = [];
+      for (const start of rest) {
+        if (parts.some((part) => part.has(start))) continue;
+        parts.push(reachable(graph, start, id));
+      }
+      return {
+        id,
+        parts: parts.length,
+        cut_off: parts.length > 1 ? Math.min(...parts.map((p) => p.size)) : 0,
+      };
+    });
+};
+
+/**
+ * Closed material loops: directed cycles A → B → … → A of up to
+ * MAX_LOOP_LENGTH industries, each listed once starting from its lowest id.
+ * Stops after MAX_LOOPS, or after extending MAX_EXPLORED_LOOP_PATHS paths;
+ * `truncated` says whether more may exist.
+ */
+const findLoops = (graph) => {
+  const loops = [];
+  let truncated = false;
+  let explored = 0;
+
+  for (const start of graph.ids) {
+    const path = [start];
+    const onPath = new Set(path);
+    const extend = (v) => {
+      for (const w of graph.successors.get(v)) {
+        if (loops.length >= MAX_LOOPS || explored >= MAX_EXPLORED_LOOP_PATHS) {
+          truncated = true;
+          return;
+        }
+        if (w === start && path.length > 1) loops.push([...path]);
+        else if (w > start && !onPath.has(w) && path.length < MAX_LOOP_LENGTH) {
+          explored++;
+          path.push(w);
+          onPath.add(w);
+          extend(w);
+          path.pop();
+          onPath.delete(w);
+        }
+      }
+    };
+    extend(start);
+    if (truncated) break;
+  }
+  return { loops, truncated };
+};
+
+/**
+ * Multi-hop pathways that start with one of `firstEdges` (e.g. the
+ * opportunities for one material) and continue along any opportunity out of
+ * the industry reached, without revisiting an industry. Each pathway is the
+ * list of edges taken and its score, the product of their weights; the
+ * MAX_PATHWAYS best of the first MAX_EXPLORED_PATHWAYS found are returned.
+ */
+const findPathways = (graph, firstEdges, maxHops) => {
+  const pathways = [];
+  const walk = (steps, visited) => {
+    if (pathways.length >= MAX_EXPLORED_PATHWAYS) return;
+    pathways.push({
+      steps: [...steps],
+      score: steps.reduce((score, edge) => score * (edge.weight || 0), 1),
+    });
+    if (steps.length >= maxHops) return;
+    const at = steps[steps.length - 1].target;
+    for (const edge of graph.outgoing.get(at) || []) {
+      if (visited.has(edge.target)) continue;
+      visited.add(edge.target);
+      steps.push(edge);
+      walk(steps, visited);
+      steps.pop();
+      visited.delete(edge.target);
+    }
+  };
+  for (const edge of firstEdges) {
+    if (!graph.successors.has(edge.source) || edge.source === edge.target)
+      continue;
+    walk([edge], new Set([edge.source, edge.target]));
+  }
+  return pathways
+    .sort((a, b) => b.score - a.score || a.steps.length - b.steps.length)
+    .slice(0, MAX_PATHWAYS);
+};
+
+module.exports = {
+  MAX_LOOP_LENGTH,
+  MAX_LOOPS,
+  MAX_PATHWAYS,
+  buildGraph,
+  degreeCentrality,
+  betweennessCentrality,
+  connectedComponents,
+  articulationPoints,
+  findLoops,
+  findPathways,
+};
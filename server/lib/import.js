@@ -0,0 +1,547 @@
+// lib/import.js - Bulk import of industries and materials
+// A CSV or Excel (.xlsx) file is read as a table whose first non-blank row
+// holds the column names. A mapping of { field: column } turns each further
+// row into an industry or material, which is checked against the same
+// schemas as the API's forms. Materials name their industry, which is
+// resolved by name (or given by industry_id). Nothing is written unless every
+// row is valid; then all rows are created in one transaction.
+
+const ExcelJS = require("exceljs");
+const { withTransaction, getAllQuery } = require("../db");
+const { validateInput, isBlank } = require("./validation");
+const { isMember } = require("./auth");
+const { can } = require("./permissions");
+const { classifyAndStore } = require("./rules");
+const { formatDate } = require("./timeseries");
+const {
+  INDUSTRY_SCHEMA,
+  MATERIAL_SCHEMA,
+  coordinateErrors,
+  placeIndustry,
+  insertIndustry,
+  insertMaterial,
+} = require("./records");
+
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+
+const CSV_DELIMITERS = [",", ";", "\t"];
+
+// ==================== READING FILES ====================
+
+// Splits CSV text into records of cells. Quoted cells may hold delimiters,
+// line breaks and doubled quotes. Returns null when a quote is left open.
+const parseCsv = (text, delimiter) => {
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char !== '"') cell += char;
+      else if (text[i + 1] === '"') cell += text[i++];
+      else quoted = false;
+    } else if (char === '"' && cell === "") {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(cell);
+      records.push(record);
+      record = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) return null;
+  if (cell !== "" || record.length > 0) records.push([...record, cell]);
+  return records;
+};
+
+// The delimiter used most often on the first line
+const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const counts = CSV_DELIMITERS.map(
+    (delimiter) => firstLine.split(delimiter).length,
+  );
+  return CSV_DELIMITERS[counts.indexOf(Math.max(...counts))];
+};
+
+const readCsv = (content, filename) => {
+  const text = content.toString("utf8").replace(/^\uFEFF/, "");
+  const delimiter = /\.tsv$/i.test(filename) ? "\t" : detectDelimiter(text);
+  const records = parseCsv(text, delimiter);
+  if (!records)
+    return {
+      fields: [{ field: "content", message: "A quoted cell is never closed" }],
+    };
+  return {
+    sheets: [],
+    sheet: null,
+    records: records.map((cells, index) => ({ row: index + 1, cells })),
+  };
+};
+
+// Plain value of an Excel cell: formulas give their result, rich text and
+// hyperlinks their text, dates YYYY-MM-DD and errors nothing
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return formatDate(value);
+  if (typeof value === "boolean") return String(value);
+  if (typeof value !== "object") return value;
+  if ("result" in value) return cellValue(value.result);
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if ("text" in value) return cellValue(value.text);
+  return null;
+};
+
+const readWorkbook = async (content, sheetName) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(content);
+  } catch {
+    return {
+      fields: [
+        { field: "content", message: "Not a readable Excel (.xlsx) file" },
+      ],
+    };
+  }
+  const sheets = workbook.worksheets.map((worksheet) => worksheet.name);
+  const worksheet = isBlank(sheetName)
+    ? workbook.worksheets[0]
+    : workbook.getWorksheet(sheetName);
+  if (!worksheet)
+    return {
+      fields: [
+        isBlank(sheetName)
+          ? { field: "content", message: "The workbook has no sheets" }
+          : { field: "sheet", message: `There is no sheet "${sheetName}"` },
+      ],
+    };
+
+  const records = [];
+  worksheet.eachRow((row, number) =>
+    records.push({
+      row: number,
+      cells: Array.from(row.values.slice(1), cellValue),
+    }),
+  );
+  return { sheets, sheet: worksheet.name, records };
+};
+
+// Column names from the header cells; blank ones are named by position and
+// repeated ones numbered
+const columnNames = (cells) => {
+  const seen = new Map();
+  return cells.map((cell, index) => {
+    const name = isBlank(cell) ? `Column ${index + 1}` : String(cell).trim();
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    return count === 1 ? name : `${name} (${count})`;
+  });
+};
+
+const trimCell = (value) => {
+  if (typeof value !== "string") return value ?? null;
+  return value.trim() || null;
+};
+
+/**
+ * Reads a CSV (.csv, .tsv, .txt) or Excel (.xlsx) file from a buffer; for a
+ * workbook, the named sheet or else the first. Returns { table, fields }
+ * with field errors when the file cannot be read. The table holds the
+ * column names and the non-blank rows below the header, each with its
+ * row number in the file and its cells by column.
+ */
+const readTable = async ({ filename, content, sheet }) => {
+  if (content.length === 0)
+    return { fields: [{ field: "content", message: "The file is empty" }] };
+  if (content.length > MAX_IMPORT_BYTES)
+    return {
+      fields: [
+        {
+          field: "content",
+          message: `Must be at most ${MAX_IMPORT_BYTES / 1024 / 1024} MB`,
+        },
+      ],
+    };
+
+  let read;
+  if (/\.(csv|tsv|txt)$/i.test(filename)) read = readCsv(content, filename);
+  else if (/\.xlsx$/i.test(filename)) read = await readWorkbook(content, sheet);
+  else
+    return {
+      fields: [
+        {
+          field: "filename",
+          message: "Must be a .csv, .tsv, .txt or .xlsx file",
+        },
+      ],
+    };
+  if (read.fields) return { fields: read.fields };
+
+  const filled = read.records
+    .map(({ row, cells }) => ({ row, cells: cells.map(trimCell) }))
+    .filter(({ cells }) => cells.some((cell) => cell !== null));
+  if (filled.length === 0)
+    return { fields: [{ field: "content", message: "The file has no rows" }] };
+  if (filled.length - 1 > MAX_IMPORT_ROWS)
+    return {
+      fields: [
+        {
+          field: "content",
+          message: `Must have at most ${MAX_IMPORT_ROWS} rows`,
+        },
+      ],
+    };
+
+  const [header, ...rows] = filled;
+  const columns = columnNames(header.cells);
+  return {
+    table: {
+      filename,
+      sheets: read.sheets,
+      sheet: read.sheet,
+      columns,
+      rows: rows.map(({ row, cells }) => ({
+        row,
+        cells: Object.fromEntries(
+          columns.map((column, index) => [column, cells[index] ?? null]),
+        ),
+      })),
+    },
+    fields: [],
+  };
+};
+
+// ==================== ENTITIES ====================
+
+// Existing industries, to resolve materials' industries and spot repeated
+// industry names
+const loadIndustries = async () => {
+  const industries = await getAllQuery(
+    "SELECT id, name, organization_id FROM industries",
+  );
+  const byName = new Map();
+  for (const industry of industries) {
+    const key = industry.name.toLowerCase();
+    byName.set(key, [...(byName.get(key) || []), industry]);
+  }
+  return {
+    byId: new Map(industries.map((industry) => [industry.id, industry])),
+    byName,
+    names: new Set(industries.map((industry) => industry.name)),
+    imported: new Map(),
+  };
+};
+
+// Names are matched case-insensitively; an exact match settles a tie
+const findIndustry = (industries, name) => {
+  const matches = industries.byName.get(name.toLowerCase()) || [];
+  if (matches.length <= 1) return { industry: matches[0] };
+  const exact = matches.find((industry) => industry.name === name);
+  if (exact) return { industry: exact };
+  return {
+    message: `Several industries are named like "${name}"; give the exact name or industry_id`,
+  };
+};
+
+const checkIndustry = (values, { row, industries }) => {
+  const errors = coordinateErrors(values);
+  if (industries.names.has(values.name))
+    errors.push({
+      field: "name",
+      message: "An industry with this name already exists",
+    });
+  else if (industries.imported.has(values.name))
+    errors.push({
+      field: "name",
+      message: `Repeats the name in row ${industries.imported.get(values.name)}`,
+    });
+  else industries.imported.set(values.name, row);
+  if (errors.length === 0) placeIndustry(values);
+  return errors;
+};
+
+const checkMaterial = (values, { industries, user }) => {
+  let field = "industry_id";
+  let industry = null;
+  if (values.industry_id !== undefined && values.industry_id !== null) {
+    industry = industries.byId.get(values.industry_id);
+    if (!industry)
+      return [
+        { field, message: `Industry ${values.industry_id} does not exist` },
+      ];
+  } else if (values.industry) {
+    field = "industry";
+    const found = findIndustry(industries, values.industry);
+    if (found.message) return [{ field, message: found.message }];
+    if (!found.industry)
+      return [
+        { field, message: `There is no industry named "${values.industry}"` },
+      ];
+    industry = found.industry;
+  } else {
+    return [{ field: "industry", message: "Give the industry's name or id" }];
+  }
+
+  const errors = [];
+  if (user && !isMember(user, industry.organization_id))
+    errors.push({ field, message: "Belongs to another organization" });
+  if (
+    user &&
+    (values.regulatory_status ?? "unknown") !== "unknown" &&
+    !can(user, "materials:regulatory_status")
+  )
+    errors.push({
+      field: "regulatory_status",
+      message: "Only compliance officers can set this",
+    });
+  values.industry_id = industry.id;
+  values.industry = industry.name;
+  return errors;
+};
+
+// Materials are imported without structured components; free-text
+// composition is kept as it is. Their industry is given by name or id.
+const MATERIAL_IMPORT_SCHEMA = {
+  industry: { type: "string", maxLength: 200 },
+  ...Object.fromEntries(
+    Object.entries(MATERIAL_SCHEMA).filter(([field]) => field !== "components"),
+  ),
+  industry_id: { type: "integer" },
+};
+
+/**
+ * What can be imported. Per entity: the schema rows are checked against,
+ * the fields that must be mapped (any one of each group), header aliases
+ * used to suggest a mapping, a check(values, context) returning further
+ * field errors, an insert(values, options) returning the new id and what
+ * to do with each new record once committed.
+ */
+const IMPORT_ENTITIES = {
+  industries: {
+    schema: INDUSTRY_SCHEMA,
+    required: [["name"], ["sector"]],
+    aliases: {
+      name: ["industry", "industry_name", "company", "facility", "plant"],
+      sector: ["industry_sector", "category"],
+      location: ["city", "address", "site", "place"],
+      latitude: ["lat"],
+      longitude: ["lon", "lng", "long"],
+      description: ["notes", "details"],
+      annual_output: ["output", "production", "annual_production", "capacity"],
+    },
+    check: checkIndustry,
+    insert: async (values, { organization_id }) =>
+      (await insertIndustry(values, organization_id ?? null)).id,
+  },
+  materials: {
+    schema: MATERIAL_IMPORT_SCHEMA,
+    required: [["industry", "industry_id"], ["name"], ["material_type"]],
+    aliases: {
+      industry: ["industry_name", "producer", "generator", "company", "plant"],
+      name: ["material", "material_name", "waste", "waste_stream", "stream"],
+      material_type: ["type", "waste_type", "category"],
+      quantity: ["qty", "amount", "volume"],
+      unit: ["units", "uom"],
+      chemical_composition: ["composition", "chemistry", "analysis"],
+      mechanical_tolerance: ["tolerance"],
+      thermodynamic_stability: ["stability"],
+      regulatory_status: ["regulatory"],
+      availability_status: ["availability", "status"],
+      description: ["notes", "details"],
+    },
+    check: checkMaterial,
+    insert: (values, { user }) => insertMaterial(user, values),
+    created: classifyAndStore,
+  },
+};
+
+const IMPORT_TYPES = Object.keys(IMPORT_ENTITIES);
+
+// ==================== MAPPING ====================
+
+const headerKey = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+
+/**
+ * Suggests a column for each field whose name or an alias matches a column
+ * name, ignoring case, spacing and punctuation.
+ */
+const suggestMapping = (entity, columns) => {
+  const { schema, aliases } = IMPORT_ENTITIES[entity];
+  const byKey = new Map();
+  for (const column of columns) {
+    const key = headerKey(column);
+    if (!byKey.has(key)) byKey.set(key, column);
+  }
+  const mapping = {};
+  const used = new Set();
+  for (const field of Object.keys(schema)) {
+    const column = [field, ...(aliases[field] || [])]
+      .map((name) => byKey.get(name))
+      .find((candidate) => candidate && !used.has(candidate));
+    if (column) {
+      mapping[field] = column;
+      used.add(column);
+    }
+  }
+  return mapping;
+};
+
+// Field errors named like "mapping.sector" for a mapping that names unknown
+// fields or columns or leaves a required field out
+const checkMapping = (entity, mapping, columns) => {
+  const { schema, required } = IMPORT_ENTITIES[entity];
+  if (!mapping || typeof mapping !== "object" || Array.isArray(mapping))
+    return [{ field: "mapping", message: "Must map fields to columns" }];
+
+  const fields = [];
+  for (const [field, column] of Object.entries(mapping)) {
+    if (!(field in schema))
+      fields.push({
+        field: `mapping.${field}`,
+        message: "Not a field that can be imported",
+      });
+    else if (!isBlank(column) && !columns.includes(column))
+      fields.push({
+        field: `mapping.${field}`,
+        message: `The file has no column "${column}"`,
+      });
+  }
+  for (const group of required) {
+    if (group.some((field) => !isBlank(mapping[field]))) continue;
+    fields.push({
+      field: `mapping.${group[0]}`,
+      message:
+        group.length > 1
+          ? `Map a column to ${group.join(" or ")}`
+          : "Map a column to this field",
+    });
+  }
+  return fields;
+};
+
+// ==================== IMPORTING ====================
+
+/**
+ * Checks every row of `table` as an `entity` under `mapping` (suggested when
+ * not given), on behalf of `user` (null for trusted callers such as the
+ * CLI, which skip ownership and permission checks). Returns a report with
+ * the mapping, its errors and, per row, the values to store and any field
+ * errors.
+ */
+const previewImport = async ({ entity, table, mapping, user = null }) => {
+  const definition = IMPORT_ENTITIES[entity];
+  const used = mapping ?? suggestMapping(entity, table.columns);
+  const mappingErrors = checkMapping(entity, used, table.columns);
+  const mapped = mappingErrors.some(({ field }) => field === "mapping")
+    ? []
+    : Object.entries(used).filter(
+        ([field, column]) => field in definition.schema && !isBlank(column),
+      );
+
+  const industries = await loadIndustries();
+  const rows = table.rows.map(({ row, cells }) => {
+    const input = Object.fromEntries(
+      mapped.map(([field, column]) => [field, cells[column]]),
+    );
+    const { values, fields } = validateInput(definition.schema, input);
+    const errors =
+      fields.length > 0
+        ? fields
+        : definition.check(values, { row, industries, user });
+    return { row, values, errors };
+  });
+
+  const invalid = rows.filter((row) => row.errors.length > 0).length;
+  return {
+    entity,
+    filename: table.filename,
+    sheet: table.sheet,
+    sheets: table.sheets,
+    columns: table.columns,
+    targets: Object.keys(definition.schema).map((field) => ({
+      field,
+      required: definition.required.some((group) => group[0] === field),
+    })),
+    mapping: used,
+    mapping_errors: mappingErrors,
+    total: rows.length,
+    valid: rows.length - invalid,
+    invalid,
+    rows,
+  };
+};
+
+// Every problem in a preview as field errors, rows named like "rows[12].name"
+// by their row number in the file
+const importErrors = (preview) => [
+  ...preview.mapping_errors,
+  ...preview.rows.flatMap(({ row, errors }) =>
+    errors.map(({ field, message }) => ({
+      field: `rows[${row}].${field}`,
+      message,
+    })),
+  ),
+];
+
+/**
+ * Imports every row of `table` as previewImport would check it, all or
+ * nothing. New industries belong to `organization_id`. Returns
+ * { report, fields }: with field errors nothing is written; otherwise each
+ * row of the report carries the id created for it.
+ */
+const commitImport = async ({
+  entity,
+  table,
+  mapping,
+  user = null,
+  organization_id = null,
+}) => {
+  const definition = IMPORT_ENTITIES[entity];
+  const report = await previewImport({ entity, table, mapping, user });
+  const fields = importErrors(report);
+  if (fields.length > 0 || report.total === 0)
+    return {
+      report: { ...report, created: 0 },
+      fields:
+        fields.length > 0
+          ? fields
+          : [{ field: "content", message: "The file has no rows to import" }],
+    };
+
+  const ids = await withTransaction(async () => {
+    const created = [];
+    for (const { values } of report.rows)
+      created.push(await definition.insert(values, { user, organization_id }));
+    return created;
+  });
+  if (definition.created) for (const id of ids) await definition.created(id);
+
+  return {
+    report: {
+      ...report,
+      created: ids.length,
+      rows: report.rows.map((row, index) => ({ ...row, id: ids[index] })),
+    },
+    fields: [],
+  };
+};
+
+module.exports = {
+  IMPORT_TYPES,
+  MAX_IMPORT_BYTES,
+  readTable,
+  suggestMapping,
+  previewImport,
+  commitImport,
+};
@@ -0,0 +1,106 @@
+// lib/listing.js - Pagination, sorting and filtering for list endpoints
+// Each list endpoint declares a listing: the FROM clause, selected columns,
+// the filters it accepts and the fields it can be sorted by. A filter maps to
+// a column and operator, or to a `where(value)` function returning
+// { condition, params } for conditions a single column cannot express. The same
+// declaration yields the query-string schema and the SQL for one page.
+
+const { getQuery, getAllQuery } = require("../db");
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 500;
+
+// SQL for each filter operator; "contains" wraps the value in wildcards
+const OPERATORS = {
+  "=": (column) => `${column} = ?`,
+  ">=": (column) => `${column} >= ?`,
+  "<=": (column) => `${column} <= ?`,
+  contains: (column) => `${column} LIKE ?`,
+  "date>=": (column) => `date(${column}) >= date(?)`,
+  "date<=": (column) => `date(${column}) <= date(?)`,
+};
+
+/**
+ * Builds the validation schema for a listing's query string: page, limit,
+ * sort and order plus one rule per filter (the filter minus column and op).
+ */
+const listSchema = ({ filters = {}, sortable }) => {
+  const schema = {
+    page: { type: "integer", min: 1 },
+    limit: { type: "integer", min: 1, max: MAX_LIMIT },
+    sort: { type: "enum", values: Object.keys(sortable) },
+    order: { type: "enum", values: ["asc", "desc"] },
+  };
+  for (const [param, filter] of Object.entries(filters)) {
+    const { column, op, where, ...rule } = filter;
+    schema[param] = rule;
+  }
+  return schema;
+};
+
+// Translates validated query values into WHERE, ORDER BY and paging parts
+const buildListQuery = (values, listing) => {
+  const conditions = [];
+  const params = [];
+  for (const [param, { column, op = "=", where }] of Object.entries(
+    listing.filters || {},
+  )) {
+    const value = values[param];
+    if (value === undefined || value === null) continue;
+    if (where) {
+      const custom = where(value);
+      conditions.push(custom.condition);
+      params.push(...custom.params);
+      continue;
+    }
+    conditions.push(OPERATORS[op](column));
+    params.push(op === "contains" ? `%${value}%` : value);
+  }
+
+  const sort = values.sort || listing.defaultSort;
+  const order = values.order || listing.defaultOrder || "desc";
+  const page = values.page || 1;
+  const limit = values.limit || DEFAULT_LIMIT;
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+    // Ties are broken by the primary key so pages never overlap
+    orderBy: `ORDER BY ${listing.sortable[sort]} ${order.toUpperCase()}, ${listing.idColumn} ${order.toUpperCase()}`,
+    sort,
+    order,
+    page,
+    limit,
+    offset: (page - 1) * limit,
+  };
+};
+
+/**
+ * Counts the rows matching the filters and fetches the requested page.
+ * Returns { data, pagination: { total, page, limit, pages }, sort }.
+ */
+const fetchPage = async (listing, values) => {
+  const query = buildListQuery(values, listing);
+  const count = await getQuery(
+    `SELECT COUNT(*) as total ${listing.from} ${query.where}`,
+    query.params,
+  );
+  const rows = await getAllQuery(
+    `SELECT ${listing.select} ${listing.from} ${query.where} ${query.orderBy} LIMIT ? OFFSET ?`,
+    [...query.params, query.limit, query.offset],
+  );
+
+  const total = count?.total || 0;
+  return {
+    data: rows,
+    pagination: {
+      total,
+      page: query.page,
+      limit: query.limit,
+      pages: Math.ceil(total / query.limit),
+    },
+    sort: { field: query.sort, order: query.order },
+  };
+};
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, listSchema, fetchPage };
@@ -0,0 +1,111 @@
+// lib/logistics.js - Transport cost and emissions model
+// Moving a quantity of material from source to target costs haulage (per
+// tonne-km for the transport mode, plus handling per tonne). Reuse avoids the
+// source's disposal cost and the target's purchase of virgin material. Net
+// savings are the avoided costs minus haulage; the net emissions benefit is
+// the carbon footprint of the same shipment (lib/carbon). Cost factors come
+// from LOGISTICS_CONFIG (default data/logistics.json).
+
+const path = require("path");
+const {
+  EMISSION_FACTORS,
+  matchMaterialType,
+  carbonFootprint,
+} = require("./carbon");
+
+const LOGISTICS_CONFIG =
+  process.env.LOGISTICS_CONFIG ||
+  path.join(__dirname, "..", "data", "logistics.json");
+
+const COST_FACTORS = ["disposal_cost_per_t", "virgin_cost_per_t"];
+
+// Material factors a caller may override, costs and emissions alike
+const MATERIAL_FACTORS = [...COST_FACTORS, ...EMISSION_FACTORS];
+
+const config = require(LOGISTICS_CONFIG);
+
+const TRANSPORT_MODES = Object.keys(config.modes);
+
+const roundTo = (value, digits) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// Factors of the first material entry matching the material type
+const materialFactors = (materialType) =>
+  matchMaterialType(config.materials, materialType) || config.default_material;
+
+/**
+ * Estimates one shipment. `distance_km` is the great-circle distance, turned
+ * into a route distance by the mode's route factor unless `route_km` is
+ * given. Preprocessing energy counts against the emissions benefit when
+ * `preprocessing` is set. `overrides` may replace any of the material
+ * factors. Returns the calculation breakdown; money in the configured
+ * currency, emissions in tonnes CO2e.
+ */
+const estimateLogistics = ({
+  transport_mode,
+  quantity_t,
+  distance_km = null,
+  route_km = null,
+  material_type,
+  preprocessing = false,
+  overrides = {},
+}) => {
+  const mode = config.modes[transport_mode];
+  const { label, match, ...defaults } = materialFactors(material_type);
+  const material = { ...defaults };
+  for (const factor of COST_FACTORS)
+    if (overrides[factor] !== undefined) material[factor] = overrides[factor];
+
+  const route = route_km ?? distance_km * mode.route_factor;
+  const tonneKm = quantity_t * route;
+  const haulageCost =
+    quantity_t * mode.handling_cost_per_t + tonneKm * mode.cost_per_tkm;
+  const avoidedDisposal = quantity_t * material.disposal_cost_per_t;
+  const avoidedVirgin = quantity_t * material.virgin_cost_per_t;
+  const carbon = carbonFootprint({
+    material_type,
+    quantity_t,
+    transport_mode,
+    route_km: route,
+    preprocessing,
+    overrides,
+  });
+
+  return {
+    transport_mode,
+    currency: config.currency,
+    quantity_t: roundTo(quantity_t, 3),
+    distance_km: distance_km === null ? null : roundTo(distance_km, 1),
+    route_km: roundTo(route, 1),
+    tonne_km: roundTo(tonneKm, 1),
+    haulage_cost: roundTo(haulageCost, 2),
+    haulage_co2e_t: carbon.transport_co2e_t,
+    avoided_disposal_cost: roundTo(avoidedDisposal, 2),
+    avoided_virgin_cost: roundTo(avoidedVirgin, 2),
+    avoided_co2e_t: roundTo(
+      carbon.landfill_avoided_co2e_t + carbon.virgin_displaced_co2e_t,
+      3,
+    ),
+    preprocessing_co2e_t: carbon.preprocessing_co2e_t,
+    net_savings: roundTo(avoidedDisposal + avoidedVirgin - haulageCost, 2),
+    net_co2e_reduction_t: carbon.net_co2e_avoided_t,
+    factors: {
+      mode: { ...mode },
+      material: { label, ...material },
+      emissions: carbon.factors,
+    },
+  };
+};
+
+// The configured modes and factors, e.g. for a mode picker
+const getLogisticsConfig = () => config;
+
+module.exports = {
+  TRANSPORT_MODES,
+  MATERIAL_FACTORS,
+  materialFactors,
+  estimateLogistics,
+  getLogisticsConfig,
+};
@@ -0,0 +1,86 @@
+// lib/permissions.js - Role-based permissions
+// Each user holds one role. Routes name the permission they need and the
+// requirePermission() middleware checks it; admins hold every permission.
+// Ownership (lib/auth) still applies on top: a role only lets a user act on
+// records of their own organization.
+
+const { sendError } = require("./validation");
+
+const ROLES = {
+  viewer: "Viewer",
+  plant_operator: "Plant operator",
+  assessor: "Assessor",
+  compliance_officer: "Compliance officer",
+  admin: "Admin",
+};
+
+// permission → roles granted it (besides admin) and what it allows, used in
+// error messages
+const PERMISSIONS = {
+  "industries:write": {
+    roles: ["plant_operator"],
+    action: "manage industries and their requirements",
+  },
+  "materials:write": {
+    roles: ["plant_operator", "compliance_officer"],
+    action: "change materials",
+  },
+  "materials:regulatory_status": {
+    roles: ["compliance_officer"],
+    action: "set a material's regulatory status",
+  },
+  "opportunities:write": {
+    roles: ["plant_operator", "assessor"],
+    action: "create or edit reuse opportunities",
+  },
+  "opportunities:review": {
+    roles: ["assessor"],
+    action: "review reuse opportunities",
+  },
+  "transactions:write": {
+    roles: ["plant_operator", "compliance_officer"],
+    action: "propose or progress transactions",
+  },
+  "rules:manage": {
+    roles: ["compliance_officer"],
+    action: "reload the regulatory rule sets",
+  },
+  "analytics:snapshot": {
+    roles: ["assessor"],
+    action: "take circulation snapshots",
+  },
+  "members:manage": {
+    roles: [],
+    action: "manage organization members",
+  },
+};
+
+const can = (user, permission) =>
+  Boolean(user) &&
+  (user.role === "admin" || PERMISSIONS[permission].roles.includes(user.role));
+
+// Permissions held by a role, so clients can hide what the user cannot do
+const permissionsFor = (role) =>
+  Object.keys(PERMISSIONS).filter((permission) => can({ role }, permission));
+
+const sendPermissionDenied = (res, user, permission, fields = []) =>
+  sendError(
+    res,
+    403,
+    `${ROLES[user.role] || "Your role"} cannot ${PERMISSIONS[permission].action}`,
+    { code: "FORBIDDEN", fields, required_permission: permission },
+  );
+
+const requirePermission = (permission) => (req, res, next) => {
+  if (can(req.user, permission)) return next();
+  sendPermissionDenied(res, req.user, permission);
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  can,
+  permissionsFor,
+  sendPermissionDenied,
+  requirePermission,
+};
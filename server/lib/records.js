@@ -0,0 +1,170 @@
+// lib/records.js - Industry and material records
+// The schemas industries and materials are checked against and the inserts
+// that create them, shared by the API routes and the bulk importer so that a
+// record is stored the same way whichever way it arrives.
+
+const { runQuery } = require("../db");
+const { REGULATORY_LEVELS, AVAILABILITY_FACTORS } = require("./scoring");
+const { isBlank } = require("./validation");
+const { audited } = require("./audit");
+const { saveComponents } = require("./composition");
+const { geocode } = require("./geo");
+
+const REGULATORY_STATUSES = Object.keys(REGULATORY_LEVELS);
+const AVAILABILITY_STATUSES = Object.keys(AVAILABILITY_FACTORS);
+
+// ==================== INDUSTRIES ====================
+
+const INDUSTRY_SCHEMA = {
+  name: { type: "string", required: true, maxLength: 200 },
+  sector: { type: "string", required: true, maxLength: 100 },
+  location: { type: "string", maxLength: 200 },
+  latitude: { type: "number", min: -90, max: 90 },
+  longitude: { type: "number", min: -180, max: 180 },
+  description: { type: "string", maxLength: 2000 },
+  annual_output: { type: "number", min: 0 },
+};
+
+// Field errors for a latitude given without a longitude or the other way round
+const coordinateErrors = ({ latitude, longitude }) =>
+  isBlank(latitude) === isBlank(longitude)
+    ? []
+    : [
+        {
+          field: isBlank(latitude) ? "latitude" : "longitude",
+          message: "Latitude and longitude must be given together",
+        },
+      ];
+
+/**
+ * Sets location_source, and the coordinates when they are looked up, on the
+ * validated `fields` of an industry stored as `stored` (null when new);
+ * location_source is never taken from the input. Returns whether the
+ * coordinates change.
+ *
+ * Coordinates sent with the fields are kept as entered: "manual", unless
+ * they are the gazetteer's for the location (filled in via GET /api/geocode).
+ * Stored coordinates resubmitted by an edit form keep their source, and
+ * looked-up ones follow the location: a new or changed location is looked up
+ * in the gazetteer, and one it does not know clears looked-up coordinates
+ * but keeps manual ones.
+ */
+const placeIndustry = (fields, stored = null) => {
+  const { location, latitude, longitude } = fields;
+  delete fields.location_source;
+  const relocated = location !== undefined && location !== stored?.location;
+  const found = geocode(location ?? stored?.location);
+  const resubmitted =
+    !isBlank(latitude) &&
+    stored?.latitude === latitude &&
+    stored?.longitude === longitude;
+
+  if (!isBlank(latitude) && !resubmitted) {
+    fields.location_source =
+      found?.latitude === latitude && found?.longitude === longitude
+        ? "gazetteer"
+        : "manual";
+  } else if (
+    resubmitted &&
+    (stored.location_source !== "gazetteer" || !relocated)
+  ) {
+    fields.location_source = stored.location_source;
+  } else if (latitude !== undefined || relocated) {
+    if (found) {
+      fields.latitude = found.latitude;
+      fields.longitude = found.longitude;
+      fields.location_source = "gazetteer";
+    } else if (latitude !== undefined || stored?.location_source !== "manual") {
+      fields.latitude = null;
+      fields.longitude = null;
+      fields.location_source = null;
+    }
+  }
+
+  return (
+    fields.latitude !== undefined &&
+    (fields.latitude !== (stored?.latitude ?? null) ||
+      fields.longitude !== (stored?.longitude ?? null))
+  );
+};
+
+// Inserts a validated, placed industry owned by `organizationId`
+const insertIndustry = (fields, organizationId) =>
+  runQuery(
+    `INSERT INTO industries (name, sector, location, latitude, longitude, location_source,
+     description, annual_output, organization_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      fields.name,
+      fields.sector,
+      fields.location || null,
+      fields.latitude ?? null,
+      fields.longitude ?? null,
+      fields.location_source || null,
+      fields.description || null,
+      fields.annual_output || 0,
+      organizationId,
+    ],
+  );
+
+// ==================== MATERIALS ====================
+
+const MATERIAL_SCHEMA = {
+  industry_id: { type: "integer", required: true, references: "industries" },
+  name: { type: "string", required: true, maxLength: 200 },
+  material_type: { type: "string", required: true, maxLength: 100 },
+  quantity: { type: "number", min: 0 },
+  unit: { type: "unit" },
+  density: { type: "number", exclusiveMin: 0 },
+  chemical_composition: { type: "string", maxLength: 2000 },
+  components: { type: "array" },
+  mechanical_tolerance: { type: "number", min: 0, max: 1 },
+  thermodynamic_stability: { type: "number", min: 0, max: 1 },
+  regulatory_status: { type: "enum", values: REGULATORY_STATUSES },
+  availability_status: { type: "enum", values: AVAILABILITY_STATUSES },
+  description: { type: "string", maxLength: 2000 },
+};
+
+/**
+ * Inserts a validated material, with its already checked components, on
+ * behalf of `user` and logs it in the audit trail; returns its id. Call it
+ * inside withTransaction so the material and its components are stored
+ * together.
+ */
+const insertMaterial = async (user, fields) => {
+  const result = await audited(user, "material", null, "create", () =>
+    runQuery(
+      `INSERT INTO materials
+      (industry_id, name, material_type, quantity, unit, density,
+       chemical_composition, mechanical_tolerance, thermodynamic_stability,
+       regulatory_status, availability_status, description)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        fields.industry_id,
+        fields.name,
+        fields.material_type,
+        fields.quantity || 0,
+        fields.unit || "kg",
+        fields.density,
+        fields.chemical_composition,
+        fields.mechanical_tolerance,
+        fields.thermodynamic_stability,
+        fields.regulatory_status || "unknown",
+        fields.availability_status || "available",
+        fields.description,
+      ],
+    ),
+  );
+  if (fields.components) await saveComponents(result.id, fields.components);
+  return result.id;
+};
+
+module.exports = {
+  REGULATORY_STATUSES,
+  AVAILABILITY_STATUSES,
+  INDUSTRY_SCHEMA,
+  MATERIAL_SCHEMA,
+  coordinateErrors,
+  placeIndustry,
+  insertIndustry,
+  insertMaterial,
+};
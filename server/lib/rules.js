@@ -0,0 +1,370 @@
+// lib/rules.js - Regulatory rules engine
+// Rule sets are JSON or YAML files in RULES_DIR (default server/rules). Each
+// rule has a `when` (conditions on the material's type, structured
+// composition and regulatory status, all of which must hold) and a `then`
+// (hazard, waste status, waste code and sectors the material may not be
+// transferred to). Classifying a material runs every rule and merges the
+// outcomes of those that fire, keeping the most restrictive.
+
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+const { runQuery, getQuery, getAllQuery } = require("../db");
+const { findComponent, attachComponents } = require("./composition");
+
+const RULES_DIR = process.env.RULES_DIR || path.join(__dirname, "..", "rules");
+
+// Least to most restrictive; merged classifications keep the highest
+const HAZARD_LEVELS = ["unclassified", "non_hazardous", "hazardous"];
+const WASTE_STATUSES = ["end_of_waste", "by_product", "waste"];
+
+// Stands for every sector in forbid_sectors
+const ALL_SECTORS = "*";
+
+const CONDITION_KEYS = [
+  "material_type",
+  "regulatory_status",
+  "substances",
+  "min_percent",
+  "max_percent",
+  "sum",
+  "no_composition",
+];
+const OUTCOME_KEYS = ["hazard", "waste_status", "waste_code", "forbid_sectors"];
+
+// ==================== LOADING ====================
+
+const isStringList = (value) =>
+  Array.isArray(value) &&
+  value.length > 0 &&
+  value.every((item) => typeof item === "string" && item.trim());
+
+// Returns the problems with one rule, as messages
+const checkRule = (rule) => {
+  const problems = [];
+  if (!rule || typeof rule.id !== "string" || !rule.id.trim())
+    return ["every rule needs an id"];
+
+  const { when, then } = rule;
+  if (!when || typeof when !== "object" || Object.keys(when).length === 0)
+    problems.push(`rule ${rule.id}: "when" needs at least one condition`);
+  else {
+    for (const key of Object.keys(when))
+      if (!CONDITION_KEYS.includes(key))
+        problems.push(`rule ${rule.id}: unknown condition "${key}"`);
+    for (const key of ["material_type", "regulatory_status", "substances"])
+      if (when[key] !== undefined && !isStringList(when[key]))
+        problems.push(`rule ${rule.id}: ${key} must be a list of names`);
+    for (const key of ["min_percent", "max_percent"])
+      if (when[key] !== undefined && typeof when[key] !== "number")
+        problems.push(`rule ${rule.id}: ${key} must be a number`);
+    if (
+      (when.min_percent !== undefined || when.max_percent !== undefined) &&
+      when.substances === undefined
+    )
+      problems.push(`rule ${rule.id}: percent limits need "substances"`);
+  }
+
+  if (!then || typeof then !== "object" || Object.keys(then).length === 0)
+    problems.push(`rule ${rule.id}: "then" needs at least one outcome`);
+  else {
+    for (const key of Object.keys(then))
+      if (!OUTCOME_KEYS.includes(key))
+        problems.push(`rule ${rule.id}: unknown outcome "${key}"`);
+    if (then.hazard !== undefined && !HAZARD_LEVELS.includes(then.hazard))
+      problems.push(
+        `rule ${rule.id}: hazard must be one of ${HAZARD_LEVELS.join(", ")}`,
+      );
+    if (
+      then.waste_status !== undefined &&
+      !WASTE_STATUSES.includes(then.waste_status)
+    )
+      problems.push(
+        `rule ${rule.id}: waste_status must be one of ${WASTE_STATUSES.join(", ")}`,
+      );
+    if (then.forbid_sectors !== undefined && !isStringList(then.forbid_sectors))
+      problems.push(
+        `rule ${rule.id}: forbid_sectors must be a list of sectors`,
+      );
+  }
+  return problems;
+};
+
+const parseRuleFile = (file) => {
+  const text = fs.readFileSync(file, "utf8");
+  return path.extname(file) === ".json" ? JSON.parse(text) : YAML.parse(text);
+};
+
+/**
+ * Reads every .json, .yaml and .yml file in `dir`. A file with any problem
+ * is skipped as a whole and reported in `errors` as { file, message }.
+ */
+const loadRuleSets = (dir = RULES_DIR) => {
+  const ruleSets = [];
+  const errors = [];
+  if (!fs.existsSync(dir)) return { ruleSets, errors };
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((name) => /\.(json|ya?ml)$/i.test(name))
+    .sort();
+
+  for (const name of files) {
+    let ruleSet;
+    try {
+      ruleSet = parseRuleFile(path.join(dir, name));
+    } catch (err) {
+      errors.push({ file: name, message: err.message });
+      continue;
+    }
+
+    const problems = [];
+    if (!ruleSet || typeof ruleSet.id !== "string" || !ruleSet.id.trim())
+      problems.push("rule set needs an id");
+    else if (ruleSets.some((set) => set.id === ruleSet.id))
+      problems.push(`rule set id "${ruleSet.id}" is already used`);
+    if (!Array.isArray(ruleSet?.rules) || ruleSet.rules.length === 0)
+      problems.push("rule set needs a list of rules");
+    else {
+      const ids = new Set();
+      for (const rule of ruleSet.rules) {
+        problems.push(...checkRule(rule));
+        if (rule?.id && ids.has(rule.id))
+          problems.push(`rule id "${rule.id}" is used twice`);
+        ids.add(rule?.id);
+      }
+    }
+
+    if (problems.length > 0) {
+      errors.push({ file: name, message: problems.join("; ") });
+      continue;
+    }
+    ruleSets.push({
+      id: ruleSet.id,
+      name: ruleSet.name || ruleSet.id,
+      version: ruleSet.version === undefined ? null : String(ruleSet.version),
+      description: ruleSet.description || null,
+      file: name,
+      rules: ruleSet.rules,
+    });
+  }
+  return { ruleSets, errors };
+};
+
+let loaded = { ruleSets: [], errors: [] };
+
+// Re-reads the rule files; the previous rules stay in use until this runs
+const reloadRules = () => {
+  loaded = loadRuleSets();
+  for (const { file, message } of loaded.errors)
+    console.error(`❌ Rule file ${file} not loaded: ${message}`);
+  return loaded;
+};
+
+const getRuleSets = () => loaded;
+
+// ==================== EVALUATION ====================
+
+const lower = (text) => String(text || "").toLowerCase();
+
+// Percent of the listed substances: the highest one, or their sum. Returns
+// null when none is present and undefined when present without an amount.
+const substancePercent = (components, substances, sum) => {
+  let found = false;
+  let measured = false;
+  let total = 0;
+  let highest = 0;
+  for (const name of substances) {
+    const { present, percent } = findComponent(components, name);
+    if (!present) continue;
+    found = true;
+    if (percent === null) continue;
+    measured = true;
+    total += percent;
+    highest = Math.max(highest, percent);
+  }
+  if (!found) return null;
+  if (!measured) return undefined;
+  return sum ? total : highest;
+};
+
+const matches = (when, material) => {
+  const components = material.components || [];
+
+  if (
+    when.no_composition !== undefined &&
+    (components.length === 0) !== Boolean(when.no_composition)
+  )
+    return false;
+
+  if (when.material_type) {
+    const type = lower(material.material_type);
+    if (!when.material_type.some((t) => type && type.includes(lower(t))))
+      return false;
+  }
+
+  if (when.regulatory_status) {
+    const status = lower(material.regulatory_status || "unknown");
+    if (!when.regulatory_status.some((s) => lower(s) === status)) return false;
+  }
+
+  if (when.substances) {
+    const percent = substancePercent(components, when.substances, when.sum);
+    if (percent === null) return false;
+    const limited =
+      when.min_percent !== undefined || when.max_percent !== undefined;
+    // Present without a measured amount cannot be held against a limit
+    if (percent === undefined) return !limited;
+    if (when.min_percent !== undefined && percent < when.min_percent)
+      return false;
+    if (when.max_percent !== undefined && percent > when.max_percent)
+      return false;
+  }
+
+  return true;
+};
+
+const moreRestrictive = (levels, current, next) =>
+  levels.indexOf(next) > levels.indexOf(current) ? next : current;
+
+/**
+ * Runs every loaded rule against a material (with `components` attached).
+ * Returns { hazard, waste_status, waste_codes, forbidden_sectors,
+ * fired_rules, rule_sets }.
+ */
+const classifyMaterial = (material, ruleSets = loaded.ruleSets) => {
+  const classification = {
+    hazard: HAZARD_LEVELS[0],
+    waste_status: null,
+    waste_codes: [],
+    forbidden_sectors: [],
+    fired_rules: [],
+    rule_sets: ruleSets.map(({ id, version }) => ({ id, version })),
+  };
+
+  for (const ruleSet of ruleSets) {
+    for (const rule of ruleSet.rules) {
+      if (!matches(rule.when, material)) continue;
+      const { then } = rule;
+
+      classification.fired_rules.push({
+        rule_set: ruleSet.id,
+        rule: rule.id,
+        description: rule.description || null,
+        outcome: then,
+      });
+      if (then.hazard)
+        classification.hazard = moreRestrictive(
+          HAZARD_LEVELS,
+          classification.hazard,
+          then.hazard,
+        );
+      if (then.waste_status)
+        classification.waste_status = classification.waste_status
+          ? moreRestrictive(
+              WASTE_STATUSES,
+              classification.waste_status,
+              then.waste_status,
+            )
+          : then.waste_status;
+      if (
+        then.waste_code &&
+        !classification.waste_codes.includes(then.waste_code)
+      )
+        classification.waste_codes.push(then.waste_code);
+      for (const sector of then.forbid_sectors || [])
+        if (!classification.forbidden_sectors.includes(sector))
+          classification.forbidden_sectors.push(sector);
+    }
+  }
+  return classification;
+};
+
+// Rules that forbid transferring the classified material to `sector`
+const transferBlockers = (classification, sector) =>
+  classification.fired_rules.filter(({ outcome }) =>
+    (outcome.forbid_sectors || []).some(
+      (s) => s === ALL_SECTORS || lower(s) === lower(sector),
+    ),
+  );
+
+// ==================== STORAGE ====================
+
+const JSON_COLUMNS = [
+  "waste_codes",
+  "forbidden_sectors",
+  "fired_rules",
+  "rule_sets",
+];
+
+const parseClassification = (row) =>
+  row && {
+    ...row,
+    ...Object.fromEntries(
+      JSON_COLUMNS.map((column) => [column, JSON.parse(row[column] || "[]")]),
+    ),
+  };
+
+const findClassification = async (materialId) =>
+  parseClassification(
+    await getQuery(
+      "SELECT * FROM material_classifications WHERE material_id = ?",
+      [materialId],
+    ),
+  );
+
+const saveClassification = (materialId, classification) =>
+  runQuery(
+    `INSERT INTO material_classifications
+    (material_id, hazard, waste_status, ${JSON_COLUMNS.join(", ")}, classified_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT(material_id) DO UPDATE SET
+      hazard = excluded.hazard, waste_status = excluded.waste_status,
+      waste_codes = excluded.waste_codes,
+      forbidden_sectors = excluded.forbidden_sectors,
+      fired_rules = excluded.fired_rules, rule_sets = excluded.rule_sets,
+      classified_at = excluded.classified_at`,
+    [
+      materialId,
+      classification.hazard,
+      classification.waste_status,
+      ...JSON_COLUMNS.map((column) => JSON.stringify(classification[column])),
+    ],
+  );
+
+// Classifies one material with the current rules and stores the result;
+// returns null if the material does not exist
+const classifyAndStore = async (materialId) => {
+  const material = await getQuery("SELECT * FROM materials WHERE id = ?", [
+    materialId,
+  ]);
+  if (!material) return null;
+  await attachComponents([material]);
+  const classification = classifyMaterial(material);
+  await saveClassification(material.id, classification);
+  return { material_id: material.id, ...classification };
+};
+
+// Reclassifies every material, e.g. after the rule files changed
+const classifyAll = async () => {
+  const materials = await attachComponents(
+    await getAllQuery("SELECT * FROM materials"),
+  );
+  for (const material of materials)
+    await saveClassification(material.id, classifyMaterial(material));
+  return materials.length;
+};
+
+module.exports = {
+  RULES_DIR,
+  HAZARD_LEVELS,
+  WASTE_STATUSES,
+  loadRuleSets,
+  reloadRules,
+  getRuleSets,
+  classifyMaterial,
+  transferBlockers,
+  findClassification,
+  classifyAndStore,
+  classifyAll,
+};
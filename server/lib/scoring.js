@@ -0,0 +1,394 @@
+// lib/scoring.js - Compatibility Scoring Engine
+// Scores a source material against the input requirements of a target industry
+
+const { findComponent: findStructuredComponent } = require("./composition");
+
+// ==================== CONFIGURATION ====================
+
+// Relative weight of each dimension in the overall compatibility score
+const WEIGHTS = {
+  chemical_similarity: 0.25,
+  mechanical_tolerance: 0.2,
+  thermodynamic_stability: 0.2,
+  regulatory_alignment: 0.2,
+  functional_viability: 0.15,
+};
+
+// Ordinal ranking of regulatory statuses (higher is less restrictive)
+const REGULATORY_LEVELS = {
+  approved: 1,
+  compliant: 1,
+  exempt: 0.9,
+  pending: 0.6,
+  unknown: 0.5,
+  restricted: 0.3,
+  hazardous: 0.1,
+  prohibited: 0,
+};
+
+const AVAILABILITY_FACTORS = {
+  available: 1,
+  in_use: 0.6,
+  archived: 0,
+};
+
+// Feasibility falls with the transport distance between source and target,
+// from 1 next door towards MIN_DISTANCE_FACTOR far away (about 0.8 at 250 km,
+// 0.6 at 800 km). Pairs without coordinates on both sides are not penalized.
+const DISTANCE_SCALE_KM = 500;
+const MIN_DISTANCE_FACTOR = 0.5;
+
+// Score used when the material or requirement carries no data for a dimension
+const UNKNOWN_SCORE = 0.5;
+
+// Any dimension below this is treated as a blocker for feasibility
+const BLOCKING_THRESHOLD = 0.2;
+
+// Fallback requirements per sector, used when an industry has declared none
+const SECTOR_PROFILES = {
+  Steel: {
+    accepted_material_types: ["metal", "scrap", "slag", "mill scale", "flux"],
+    composition_limits: [
+      { component: "Fe" },
+      { component: "S", max: 0.5 },
+      { component: "Cu", max: 0.4 },
+    ],
+    min_mechanical_tolerance: 0.4,
+    min_thermal_stability: 0.6,
+    max_thermal_stability: null,
+    required_regulatory_status: null,
+  },
+  Chemicals: {
+    accepted_material_types: ["chemical", "solvent", "acid", "alkali", "gas"],
+    composition_limits: [{ component: "Hg", max: 0.01 }],
+    min_mechanical_tolerance: null,
+    min_thermal_stability: 0.5,
+    max_thermal_stability: null,
+    required_regulatory_status: "compliant",
+  },
+  Textiles: {
+    accepted_material_types: ["fiber", "fibre", "textile", "polymer", "dye"],
+    composition_limits: [],
+    min_mechanical_tolerance: 0.3,
+    min_thermal_stability: null,
+    max_thermal_stability: null,
+    required_regulatory_status: null,
+  },
+  Construction: {
+    accepted_material_types: [
+      "ash",
+      "slag",
+      "aggregate",
+      "gypsum",
+      "mineral",
+      "sand",
+      "rubble",
+    ],
+    composition_limits: [
+      { component: "SiO2" },
+      { component: "CaO" },
+      { component: "Al2O3" },
+      { component: "Pb", max: 0.1 },
+    ],
+    min_mechanical_tolerance: 0.5,
+    min_thermal_stability: null,
+    max_thermal_stability: null,
+    required_regulatory_status: null,
+  },
+  Electronics: {
+    accepted_material_types: ["metal", "polymer", "glass", "rare earth"],
+    composition_limits: [{ component: "Cd", max: 0.01 }],
+    min_mechanical_tolerance: 0.6,
+    min_thermal_stability: 0.6,
+    max_thermal_stability: null,
+    required_regulatory_status: "compliant",
+  },
+  Food: {
+    accepted_material_types: ["organic", "biomass", "water", "heat"],
+    composition_limits: [
+      { component: "Pb", max: 0.001 },
+      { component: "Hg", max: 0.001 },
+    ],
+    min_mechanical_tolerance: null,
+    min_thermal_stability: null,
+    max_thermal_stability: null,
+    required_regulatory_status: "approved",
+  },
+  Energy: {
+    accepted_material_types: ["biomass", "organic", "fuel", "heat", "gas"],
+    composition_limits: [{ component: "Cl", max: 1 }],
+    min_mechanical_tolerance: null,
+    min_thermal_stability: null,
+    max_thermal_stability: null,
+    required_regulatory_status: null,
+  },
+};
+
+const EMPTY_PROFILE = {
+  accepted_material_types: [],
+  composition_limits: [],
+  min_mechanical_tolerance: null,
+  min_thermal_stability: null,
+  max_thermal_stability: null,
+  required_regulatory_status: null,
+};
+
+// ==================== HELPERS ====================
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const clamp = (value) => Math.max(0, Math.min(1, value));
+
+// Material properties are 0–1 indices, but values entered as percentages
+// (e.g. 75 instead of 0.75) are accepted and normalised
+const normalizeIndex = (value) => {
+  if (value === null || value === undefined || value === "") return null;
+  const num = Number(value);
+  if (Number.isNaN(num)) return null;
+  return clamp(num > 1 ? num / 100 : num);
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Finds a component in free-text composition such as "SiO2 45%, CaO: 30 %"
+// and returns { present, percent } where percent may be null
+const findInText = (composition, component) => {
+  const name = escapeRegExp(component);
+  const mention = new RegExp(`(^|[^A-Za-z0-9])${name}(?![a-z0-9])`, "i");
+  if (!mention.test(composition)) return { present: false, percent: null };
+
+  const after = new RegExp(
+    `${name}(?![a-z0-9])\\s*[:=]?\\s*(\\d+(?:\\.\\d+)?)\\s*%`,
+    "i",
+  );
+  const before = new RegExp(
+    `(\\d+(?:\\.\\d+)?)\\s*%\\s*(?:of\\s+)?${name}(?![a-z0-9])`,
+    "i",
+  );
+  const match = composition.match(after) || composition.match(before);
+  return { present: true, percent: match ? parseFloat(match[1]) : null };
+};
+
+// ==================== DIMENSION SCORES ====================
+
+// Structured components (material.components) take precedence over the
+// free-text chemical_composition
+const scoreChemical = (material, requirements) => {
+  const components = material.components || [];
+  const composition = (material.chemical_composition || "").trim();
+  const limits = requirements.composition_limits || [];
+
+  if (limits.length === 0) {
+    return { score: 0.6, reason: "No composition constraints declared" };
+  }
+  if (components.length === 0 && !composition) {
+    return { score: UNKNOWN_SCORE, reason: "No composition data on material" };
+  }
+  const findComponent =
+    components.length > 0
+      ? (name) => findStructuredComponent(components, name)
+      : (name) => findInText(composition, name);
+
+  let satisfied = 0;
+  const violations = [];
+  for (const limit of limits) {
+    const { present, percent } = findComponent(limit.component);
+    const hasMin = limit.min !== null && limit.min !== undefined;
+    const hasMax = limit.max !== null && limit.max !== undefined;
+
+    if (!present) {
+      // Absent contaminants satisfy a max-only limit
+      if (hasMax && !hasMin) satisfied += 1;
+      continue;
+    }
+    if (percent === null) {
+      // Mentioned without a figure: desired components count, capped ones are unknown
+      satisfied += hasMax ? UNKNOWN_SCORE : 1;
+      continue;
+    }
+    if (hasMax && percent > limit.max) {
+      violations.push(`${limit.component} ${percent}% exceeds ${limit.max}%`);
+    } else if (hasMin && percent < limit.min) {
+      violations.push(`${limit.component} ${percent}% below ${limit.min}%`);
+    } else {
+      satisfied += 1;
+    }
+  }
+
+  if (violations.length > 0) {
+    return {
+      score: Math.min(BLOCKING_THRESHOLD / 2, satisfied / limits.length),
+      reason: violations.join("; "),
+    };
+  }
+  return {
+    score: satisfied / limits.length,
+    reason: `${Math.round(satisfied)} of ${limits.length} composition criteria met`,
+  };
+};
+
+const scoreMechanical = (material, requirements) => {
+  const value = normalizeIndex(material.mechanical_tolerance);
+  const min = normalizeIndex(requirements.min_mechanical_tolerance);
+
+  if (value === null) {
+    return {
+      score: UNKNOWN_SCORE,
+      reason: "Mechanical tolerance not measured",
+    };
+  }
+  if (min === null) {
+    return { score: value, reason: "No minimum tolerance declared" };
+  }
+  if (value >= min) {
+    return { score: 1, reason: `Tolerance ${value} meets minimum ${min}` };
+  }
+  return {
+    score: min > 0 ? value / min : 0,
+    reason: `Tolerance ${value} below minimum ${min}`,
+  };
+};
+
+const scoreThermodynamic = (material, requirements) => {
+  const value = normalizeIndex(material.thermodynamic_stability);
+  const min = normalizeIndex(requirements.min_thermal_stability);
+  const max = normalizeIndex(requirements.max_thermal_stability);
+
+  if (value === null) {
+    return { score: UNKNOWN_SCORE, reason: "Thermal stability not measured" };
+  }
+  if (min === null && max === null) {
+    return { score: value, reason: "No thermal stability range declared" };
+  }
+  if (min !== null && value < min) {
+    return {
+      score: min > 0 ? value / min : 0,
+      reason: `Stability ${value} below minimum ${min}`,
+    };
+  }
+  if (max !== null && value > max) {
+    return {
+      score: clamp(1 - (value - max) / Math.max(1 - max, 0.01)),
+      reason: `Stability ${value} above maximum ${max}`,
+    };
+  }
+  return { score: 1, reason: "Stability within declared range" };
+};
+
+const scoreRegulatory = (material, requirements) => {
+  const status = (material.regulatory_status || "unknown").toLowerCase();
+  const level = REGULATORY_LEVELS[status] ?? UNKNOWN_SCORE;
+  const required = requirements.required_regulatory_status
+    ? requirements.required_regulatory_status.toLowerCase()
+    : null;
+
+  if (!required) {
+    return { score: level, reason: `Material status "${status}"` };
+  }
+  const requiredLevel = REGULATORY_LEVELS[required] ?? UNKNOWN_SCORE;
+  if (level >= requiredLevel) {
+    return { score: 1, reason: `Status "${status}" satisfies "${required}"` };
+  }
+  return {
+    score: level * 0.5,
+    reason: `Status "${status}" does not satisfy "${required}"`,
+  };
+};
+
+const scoreFunctional = (material, requirements) => {
+  const type = (material.material_type || "").toLowerCase().trim();
+  const accepted = (requirements.accepted_material_types || []).map((t) =>
+    String(t).toLowerCase().trim(),
+  );
+
+  if (accepted.length === 0) {
+    return {
+      score: UNKNOWN_SCORE,
+      reason: "No accepted material types declared",
+    };
+  }
+  if (!type) {
+    return { score: UNKNOWN_SCORE, reason: "Material type not specified" };
+  }
+  if (accepted.includes(type)) {
+    return { score: 1, reason: `"${type}" is an accepted input` };
+  }
+  const partial = accepted.find((t) => type.includes(t) || t.includes(type));
+  if (partial) {
+    return {
+      score: 0.7,
+      reason: `"${type}" is related to accepted "${partial}"`,
+    };
+  }
+  return { score: 0.2, reason: `"${type}" is not an accepted input` };
+};
+
+// ==================== PUBLIC API ====================
+
+const getSectorProfile = (sector) => SECTOR_PROFILES[sector] || EMPTY_PROFILE;
+
+const distanceFactor = (distanceKm) => {
+  if (distanceKm === null || distanceKm === undefined) return 1;
+  return (
+    MIN_DISTANCE_FACTOR +
+    (1 - MIN_DISTANCE_FACTOR) * Math.exp(-distanceKm / DISTANCE_SCALE_KM)
+  );
+};
+
+/**
+ * Scores a material against a set of input requirements. The material may
+ * carry its structured `components` (see lib/composition); options are
+ * preprocessing_required and distance_km (source to target).
+ * Returns the overall compatibility score, the feasibility index and the
+ * per-dimension breakdown (all scores in the 0–1 range).
+ */
+const scoreCompatibility = (material, requirements, options = {}) => {
+  const profile = { ...EMPTY_PROFILE, ...requirements };
+
+  const breakdown = {
+    chemical_similarity: scoreChemical(material, profile),
+    mechanical_tolerance: scoreMechanical(material, profile),
+    thermodynamic_stability: scoreThermodynamic(material, profile),
+    regulatory_alignment: scoreRegulatory(material, profile),
+    functional_viability: scoreFunctional(material, profile),
+  };
+
+  let compatibility = 0;
+  for (const [dimension, weight] of Object.entries(WEIGHTS)) {
+    breakdown[dimension].score = round(clamp(breakdown[dimension].score));
+    compatibility += breakdown[dimension].score * weight;
+  }
+
+  const availability =
+    AVAILABILITY_FACTORS[material.availability_status || "available"] ?? 1;
+  const blocked = Object.values(breakdown).some(
+    (d) => d.score < BLOCKING_THRESHOLD,
+  );
+  const preprocessingFactor = options.preprocessing_required ? 0.9 : 1;
+  const distance = options.distance_km ?? null;
+
+  const feasibility =
+    compatibility *
+    availability *
+    preprocessingFactor *
+    distanceFactor(distance) *
+    (blocked ? 0.5 : 1);
+
+  return {
+    compatibility_score: round(compatibility),
+    feasibility_index: round(feasibility),
+    distance_km: distance === null ? null : Math.round(distance * 10) / 10,
+    distance_factor: round(distanceFactor(distance)),
+    breakdown,
+  };
+};
+
+module.exports = {
+  WEIGHTS,
+  REGULATORY_LEVELS,
+  AVAILABILITY_FACTORS,
+  SECTOR_PROFILES,
+  getSectorProfile,
+  distanceFactor,
+  scoreCompatibility,
+};
@@ -0,0 +1,47 @@
+// lib/search.js - Full-text search helpers
+// Turns free text into an FTS5 query and formats the snippets that
+// SQLite returns for the search_index table.
+
+// Markers passed to snippet(); control characters never occur in user text
+const HIGHLIGHT_START = "\u0001";
+const HIGHLIGHT_END = "\u0002";
+
+const HTML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+/**
+ * Builds an FTS5 MATCH expression from user input. Every word must match;
+ * the last one is treated as a prefix so results update while typing.
+ * Returns null when the text contains no searchable words.
+ */
+const toMatchQuery = (text) => {
+  const words = String(text || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words
+    .map((word, i) => (i === words.length - 1 ? `"${word}"*` : `"${word}"`))
+    .join(" ");
+};
+
+// Escapes the snippet text and turns the highlight markers into <mark> tags,
+// so the result can be rendered as HTML safely
+const formatSnippet = (snippet) =>
+  (snippet || "")
+    .replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+    .split(HIGHLIGHT_START)
+    .join("<mark>")
+    .split(HIGHLIGHT_END)
+    .join("</mark>");
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  toMatchQuery,
+  formatSnippet,
+};
@@ -0,0 +1,133 @@
+// lib/timeseries.js - Period buckets for time-series analytics
+// Timestamps fall into day, week (starting Monday), month, quarter or year
+// buckets, all in UTC. A bucket is named by its key: "2026-10-18" for days
+// and weeks (the first day), "2026-10", "2026-Q4" or "2026".
+
+const BUCKETS = ["day", "week", "month", "quarter", "year"];
+
+// Longest series one request may cover
+const MAX_BUCKETS = 400;
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// UTC midnight of a "YYYY-MM-DD..." date or timestamp
+const toDate = (value) => new Date(`${String(value).slice(0, 10)}T00:00:00Z`);
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const bucketStart = (date, bucket) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  switch (bucket) {
+    case "week":
+      return new Date(
+        Date.UTC(year, month, date.getUTCDate() - ((date.getUTCDay() + 6) % 7)),
+      );
+    case "month":
+      return new Date(Date.UTC(year, month, 1));
+    case "quarter":
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    case "year":
+      return new Date(Date.UTC(year, 0, 1));
+    default:
+      return new Date(Date.UTC(year, month, date.getUTCDate()));
+  }
+};
+
+// Start of the bucket `count` buckets after (or before) the one at `start`
+const shiftBucket = (start, bucket, count) => {
+  const year = start.getUTCFullYear();
+  const month = start.getUTCMonth();
+  const day = start.getUTCDate();
+  switch (bucket) {
+    case "week":
+      return new Date(Date.UTC(year, month, day + 7 * count));
+    case "month":
+      return new Date(Date.UTC(year, month + count, 1));
+    case "quarter":
+      return new Date(Date.UTC(year, month + 3 * count, 1));
+    case "year":
+      return new Date(Date.UTC(year + count, 0, 1));
+    default:
+      return new Date(Date.UTC(year, month, day + count));
+  }
+};
+
+const keyOf = (start, bucket) => {
+  const date = formatDate(start);
+  switch (bucket) {
+    case "month":
+      return date.slice(0, 7);
+    case "quarter":
+      return `${date.slice(0, 4)}-Q${Math.floor(start.getUTCMonth() / 3) + 1}`;
+    case "year":
+      return date.slice(0, 4);
+    default:
+      return date;
+  }
+};
+
+// Key of the bucket a timestamp falls in
+const bucketKey = (timestamp, bucket) =>
+  keyOf(bucketStart(toDate(timestamp), bucket), bucket);
+
+// Number of buckets from the one containing `from` to the one containing `to`
+const countBuckets = (from, to, bucket) => {
+  const first = bucketStart(toDate(from), bucket);
+  const last = bucketStart(toDate(to), bucket);
+  const months =
+    (last.getUTCFullYear() - first.getUTCFullYear()) * 12 +
+    last.getUTCMonth() -
+    first.getUTCMonth();
+  switch (bucket) {
+    case "week":
+      return Math.round((last - first) / (7 * MS_PER_DAY)) + 1;
+    case "month":
+      return months + 1;
+    case "quarter":
+      return months / 3 + 1;
+    case "year":
+      return last.getUTCFullYear() - first.getUTCFullYear() + 1;
+    default:
+      return Math.round((last - first) / MS_PER_DAY) + 1;
+  }
+};
+
+// The buckets from the one containing `from` to the one containing `to`, as
+// [{ key, start }] where start is the bucket's first day
+const bucketRange = (from, to, bucket) => {
+  const last = bucketStart(toDate(to), bucket);
+  const buckets = [];
+  for (
+    let start = bucketStart(toDate(from), bucket);
+    start <= last;
+    start = shiftBucket(start, bucket, 1)
+  )
+    buckets.push({ key: keyOf(start, bucket), start: formatDate(start) });
+  return buckets;
+};
+
+// First day of the bucket `count - 1` buckets before the one containing `to`,
+// so that from there to `to` spans `count` buckets
+const bucketsBefore = (to, bucket, count) =>
+  formatDate(shiftBucket(bucketStart(toDate(to), bucket), bucket, 1 - count));
+
+// The `count` buckets following the one containing `date`, as [{ key, start }]
+const bucketsAfter = (date, bucket, count) => {
+  const current = bucketStart(toDate(date), bucket);
+  return Array.from({ length: count }, (_, index) => {
+    const start = shiftBucket(current, bucket, index + 1);
+    return { key: keyOf(start, bucket), start: formatDate(start) };
+  });
+};
+
+module.exports = {
+  BUCKETS,
+  MAX_BUCKETS,
+  formatDate,
+  bucketKey,
+  countBuckets,
+  bucketRange,
+  bucketsBefore,
+  bucketsAfter,
+};
@@ -0,0 +1,153 @@
+// lib/units.js - Units of measure
+// Quantities are stored with one of the canonical unit codes below. Each unit
+// belongs to a dimension and converts through that dimension's base unit;
+// volume and mass convert into each other only through a material's density
+// (kg/m³).
+
+// ==================== REGISTRY ====================
+
+const BASE_UNITS = {
+  mass: "kg",
+  volume: "m3",
+  energy: "MJ",
+  count: "pcs",
+};
+
+// factor = size of one unit in its dimension's base unit
+const UNITS = {
+  g: { dimension: "mass", factor: 0.001, label: "Gram" },
+  kg: { dimension: "mass", factor: 1, label: "Kilogram" },
+  t: { dimension: "mass", factor: 1000, label: "Tonne" },
+  lb: { dimension: "mass", factor: 0.45359237, label: "Pound" },
+  l: { dimension: "volume", factor: 0.001, label: "Litre" },
+  m3: { dimension: "volume", factor: 1, label: "Cubic metre" },
+  MJ: { dimension: "energy", factor: 1, label: "Megajoule" },
+  GJ: { dimension: "energy", factor: 1000, label: "Gigajoule" },
+  kWh: { dimension: "energy", factor: 3.6, label: "Kilowatt-hour" },
+  MWh: { dimension: "energy", factor: 3600, label: "Megawatt-hour" },
+  pcs: { dimension: "count", factor: 1, label: "Pieces" },
+};
+
+// Spellings found in older records and accepted from clients, lower-cased
+const UNIT_ALIASES = {
+  gram: "g",
+  grams: "g",
+  kgs: "kg",
+  kilo: "kg",
+  kilos: "kg",
+  kilogram: "kg",
+  kilograms: "kg",
+  ton: "t",
+  tons: "t",
+  tonne: "t",
+  tonnes: "t",
+  mt: "t",
+  lbs: "lb",
+  pound: "lb",
+  pounds: "lb",
+  liter: "l",
+  liters: "l",
+  litre: "l",
+  litres: "l",
+  "m³": "m3",
+  "cubic meter": "m3",
+  "cubic meters": "m3",
+  "cubic metre": "m3",
+  "cubic metres": "m3",
+  unit: "pcs",
+  units: "pcs",
+  piece: "pcs",
+  pieces: "pcs",
+  pc: "pcs",
+  item: "pcs",
+  items: "pcs",
+};
+
+const UNIT_CODES = Object.keys(UNITS);
+
+const LOOKUP = {
+  ...UNIT_ALIASES,
+  ...Object.fromEntries(UNIT_CODES.map((code) => [code.toLowerCase(), code])),
+};
+
+// Returns the canonical code for a unit spelling, or null if it is unknown
+const normalizeUnit = (text) => {
+  if (typeof text !== "string") return null;
+  return LOOKUP[text.trim().toLowerCase().replace(/\s+/g, " ")] || null;
+};
+
+const dimensionOf = (unit) => UNITS[normalizeUnit(unit)]?.dimension || null;
+
+// ==================== CONVERSION ====================
+
+/**
+ * Converts a quantity between units. Volume and mass convert via density in
+ * kg/m³. Returns null when the units are unknown or cannot be converted.
+ */
+const convertQuantity = (quantity, from, to, density = null) => {
+  const source = UNITS[normalizeUnit(from)];
+  const target = UNITS[normalizeUnit(to)];
+  if (!source || !target || typeof quantity !== "number") return null;
+
+  let base = quantity * source.factor;
+  if (source.dimension !== target.dimension) {
+    if (!(density > 0)) return null;
+    if (source.dimension === "volume" && target.dimension === "mass")
+      base *= density;
+    else if (source.dimension === "mass" && target.dimension === "volume")
+      base /= density;
+    else return null;
+  }
+  return base / target.factor;
+};
+
+const canConvert = (from, to, density = null) =>
+  convertQuantity(1, from, to, density) !== null;
+
+/**
+ * Sums rows of { quantity, unit, density } in the given unit. Rows that
+ * cannot be converted are left out and counted per stored unit in
+ * `unconverted`, so callers can say what a total does not cover.
+ */
+const sumQuantities = (rows, unit) => {
+  let total = 0;
+  let included = 0;
+  const unconverted = {};
+
+  for (const row of rows) {
+    const value = convertQuantity(
+      row.quantity || 0,
+      row.unit,
+      unit,
+      row.density,
+    );
+    if (value === null) {
+      const key = row.unit || "unknown";
+      unconverted[key] = (unconverted[key] || 0) + 1;
+    } else {
+      total += value;
+      included += 1;
+    }
+  }
+
+  return {
+    total,
+    unit: normalizeUnit(unit),
+    included,
+    unconverted: Object.entries(unconverted).map(([unit, count]) => ({
+      unit,
+      count,
+    })),
+  };
+};
+
+module.exports = {
+  BASE_UNITS,
+  UNITS,
+  UNIT_CODES,
+  normalizeUnit,
+  dimensionOf,
+  convertQuantity,
+  canConvert,
+  sumQuantities,
+};
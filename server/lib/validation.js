@@ -0,0 +1,220 @@
+// lib/validation.js - Request validation
+// Routes declare a schema per payload; the validate() middleware checks types,
+// ranges, enums and referenced records before the handler runs. Every client
+// error is returned as { error, code, fields: [{ field, message }] }.
+
+const { getQuery } = require("../db");
+const { UNIT_CODES, normalizeUnit } = require("./units");
+
+// ==================== ERROR RESPONSES ====================
+
+const DEFAULT_CODES = {
+  400: "VALIDATION_ERROR",
+  401: "UNAUTHENTICATED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+};
+
+// Sends a 4xx error in the shared format; extra keys (e.g. dependents,
+// allowed_actions) are passed through alongside the standard ones
+const sendError = (res, status, error, { code, fields = [], ...extra } = {}) =>
+  res.status(status).json({
+    error,
+    code: code || DEFAULT_CODES[status] || "ERROR",
+    fields,
+    ...extra,
+  });
+
+const sendValidationError = (res, fields) =>
+  sendError(res, 400, `Invalid ${fields.map((f) => f.field).join(", ")}`, {
+    fields,
+  });
+
+// An error thrown to abandon work part-way, e.g. to roll back a transaction,
+// that is still answered as a 4xx: catch it with isClientError and pass
+// err.status, err.message and err.details to sendError
+const clientError = (status, error, details = {}) =>
+  Object.assign(new Error(error), { status, details });
+
+const isClientError = (err) => err.status >= 400 && err.status < 500;
+
+// ==================== FIELD CHECKS ====================
+
+// Tables a field may reference, with the label used in messages
+const REFERENCE_LABELS = {
+  industries: "Industry",
+  materials: "Material",
+  reuse_opportunities: "Opportunity",
+  organizations: "Organization",
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+const describeRange = ({ min, max, exclusiveMin }) => {
+  if (exclusiveMin !== undefined) return `Must be greater than ${exclusiveMin}`;
+  if (min !== undefined && max !== undefined)
+    return `Must be between ${min} and ${max}`;
+  if (min !== undefined) return `Must be at least ${min}`;
+  return `Must be at most ${max}`;
+};
+
+// Checks one non-blank value against its rule; returns { value } with the
+// coerced value, or { message } describing the problem
+const checkValue = (rule, raw) => {
+  switch (rule.type) {
+    case "string": {
+      if (typeof raw !== "string" && typeof raw !== "number")
+        return { message: "Must be text" };
+      // Passwords opt out of trimming so stray spaces stay significant
+      const value = rule.trim === false ? String(raw) : String(raw).trim();
+      if (!value && rule.required) return { message: "This field is required" };
+      if (rule.minLength && value.length < rule.minLength)
+        return { message: `Must be at least ${rule.minLength} characters` };
+      if (rule.maxLength && value.length > rule.maxLength)
+        return { message: `Must be at most ${rule.maxLength} characters` };
+      return { value };
+    }
+    case "number":
+    case "integer": {
+      // Form inputs arrive as strings, so numeric text is accepted
+      const value = typeof raw === "string" ? Number(raw.trim()) : raw;
+      if (typeof value !== "number" || !Number.isFinite(value))
+        return { message: "Must be a number" };
+      if (rule.type === "integer" && !Number.isInteger(value))
+        return { message: "Must be a whole number" };
+      if (
+        (rule.min !== undefined && value < rule.min) ||
+        (rule.max !== undefined && value > rule.max) ||
+        (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin)
+      )
+        return { message: describeRange(rule) };
+      return { value };
+    }
+    case "enum": {
+      const value = typeof raw === "string" ? raw.trim() : raw;
+      if (!rule.values.includes(value))
+        return { message: `Must be one of: ${rule.values.join(", ")}` };
+      return { value };
+    }
+    case "array":
+      if (!Array.isArray(raw)) return { message: "Must be a list" };
+      return { value: raw };
+    case "email": {
+      const value = String(raw).trim().toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value))
+        return { message: "Must be an email address" };
+      if (rule.maxLength && value.length > rule.maxLength)
+        return { message: `Must be at most ${rule.maxLength} characters` };
+      return { value };
+    }
+    // Any known spelling is accepted and stored as the canonical code
+    case "unit": {
+      const value = normalizeUnit(String(raw));
+      if (!value)
+        return { message: `Must be one of: ${UNIT_CODES.join(", ")}` };
+      return { value };
+    }
+    case "date": {
+      const value = String(raw).trim();
+      if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(Date.parse(value)))
+        return { message: "Must be a date (YYYY-MM-DD)" };
+      return { value };
+    }
+    default:
+      return { value: raw };
+  }
+};
+
+/**
+ * Checks input against a schema of { field: rule } where a rule is
+ * { type, required, min, max, exclusiveMin, minLength, maxLength, trim,
+ * values, references }.
+ * Blank optional fields become null. With partial: true (PATCH), missing
+ * required fields are allowed but may not be cleared.
+ */
+const validateInput = (schema, input = {}, { partial = false } = {}) => {
+  const fields = [];
+  const values = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = input[field];
+    if (isBlank(raw)) {
+      if (rule.required && !(partial && raw === undefined)) {
+        fields.push({ field, message: "This field is required" });
+      } else if (raw !== undefined) {
+        values[field] = null;
+      }
+      continue;
+    }
+    const { value, message } = checkValue(rule, raw);
+    if (message) fields.push({ field, message });
+    else values[field] = value;
+  }
+
+  return { values, fields };
+};
+
+// Returns a field error for every referenced id that has no matching row
+const checkReferences = async (schema, values) => {
+  const missing = [];
+  for (const [field, rule] of Object.entries(schema)) {
+    if (!rule.references || isBlank(values[field])) continue;
+    const row = await getQuery(
+      `SELECT id FROM ${rule.references} WHERE id = ?`,
+      [values[field]],
+    );
+    if (!row)
+      missing.push({
+        field,
+        message: `${REFERENCE_LABELS[rule.references]} ${values[field]} does not exist`,
+      });
+  }
+  return missing;
+};
+
+// Middleware validating req[source]. Unknown referenced ids give a 404.
+// Coerced values are written back to req.body and, for any source, exposed
+// on res.locals[source].
+const validate =
+  (schema, { source = "body", partial = false } = {}) =>
+  async (req, res, next) => {
+    const input = req[source] || {};
+    const { values, fields } = validateInput(schema, input, { partial });
+    if (fields.length > 0) return sendValidationError(res, fields);
+
+    try {
+      const missing = await checkReferences(schema, values);
+      if (missing.length > 0)
+        return sendError(res, 404, missing.map((f) => f.message).join("; "), {
+          fields: missing,
+        });
+    } catch (err) {
+      return next(err);
+    }
+
+    if (source === "body") req.body = { ...input, ...values };
+    res.locals[source] = values;
+    next();
+  };
+
+// Route parameter handler (app.param) rejecting ids that are not positive
+// integers before they reach SQL
+const validateIdParam = (req, res, next, value, name) => {
+  if (/^[1-9]\d*$/.test(value)) return next();
+  sendValidationError(res, [
+    { field: name, message: "Must be a positive whole number" },
+  ]);
+};
+
+module.exports = {
+  isBlank,
+  clientError,
+  isClientError,
+  sendError,
+  sendValidationError,
+  validate,
+  validateInput,
+  validateIdParam,
+};
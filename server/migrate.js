@@ -0,0 +1,173 @@
+// migrate.js - Versioned schema migrations
+// Usage: node migrate.js [up|down [steps]|status]
+//
+// Migrations live in ./migrations as NNN_description.js and export async
+// up() and down() functions. Applied versions are tracked in the
+// schema_migrations table; each migration runs inside its own transaction.
+
+const path = require("path");
+const fs = require("fs");
+const {
+  runQuery,
+  getAllQuery,
+  getQuery,
+  withTransaction,
+  closeDatabase,
+} = require("./db");
+
+const migrationsDir = path.join(__dirname, "migrations");
+
+// ==================== HELPERS ====================
+
+const hasColumn = async (table, column) => {
+  const columns = await getAllQuery(`PRAGMA table_info(${table})`);
+  return columns.some((c) => c.name === column);
+};
+
+// Schema helpers handed to every migration; both are idempotent so that
+// migrations can run against databases created before versioning existed
+const helpers = {
+  runQuery,
+  getAllQuery,
+  getQuery,
+  addColumn: async (table, column, type) => {
+    if (!(await hasColumn(table, column))) {
+      await runQuery(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+  },
+  dropColumn: async (table, column) => {
+    if (await hasColumn(table, column)) {
+      await runQuery(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  },
+};
+
+const ensureMigrationsTable = () =>
+  runQuery(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+const loadMigrations = () =>
+  fs
+    .readdirSync(migrationsDir)
+    .map((file) => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version, 10),
+      name,
+      ...require(path.join(migrationsDir, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+const appliedVersions = async () => {
+  const rows = await getAllQuery(
+    "SELECT version FROM schema_migrations ORDER BY version",
+  );
+  return new Set(rows.map((row) => row.version));
+};
+
+// ==================== COMMANDS ====================
+
+// Applies every pending migration in order; returns the versions applied
+const migrate = async () => {
+  await ensureMigrationsTable();
+  const applied = await appliedVersions();
+  const pending = loadMigrations().filter((m) => !applied.has(m.version));
+
+  for (const migration of pending) {
+    await withTransaction(async () => {
+      await migration.up(helpers);
+      await runQuery(
+        "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+        [migration.version, migration.name],
+      );
+    });
+    console.log(
+      `  ✅ Applied migration ${migration.version} (${migration.name})`,
+    );
+  }
+
+  if (pending.length === 0) console.log("  ✅ Schema is up to date");
+  return pending.map((m) => m.version);
+};
+
+// Reverts the most recent `steps` applied migrations
+const rollback = async (steps = 1) => {
+  await ensureMigrationsTable();
+  const applied = await appliedVersions();
+  const toRevert = loadMigrations()
+    .filter((m) => applied.has(m.version))
+    .reverse()
+    .slice(0, steps);
+
+  for (const migration of toRevert) {
+    await withTransaction(async () => {
+      await migration.down(helpers);
+      await runQuery("DELETE FROM schema_migrations WHERE version = ?", [
+        migration.version,
+      ]);
+    });
+    console.log(
+      `  ↩️  Reverted migration ${migration.version} (${migration.name})`,
+    );
+  }
+
+  if (toRevert.length === 0) console.log("  ℹ️  Nothing to roll back");
+  return toRevert.map((m) => m.version);
+};
+
+const status = async () => {
+  await ensureMigrationsTable();
+  const rows = await getAllQuery("SELECT * FROM schema_migrations");
+  const appliedAt = Object.fromEntries(
+    rows.map((row) => [row.version, row.applied_at]),
+  );
+  return loadMigrations().map((m) => ({
+    version: m.version,
+    name: m.name,
+    applied: m.version in appliedAt,
+    applied_at: appliedAt[m.version] || null,
+  }));
+};
+
+// ==================== CLI ====================
+
+if (require.main === module) {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  const run = async () => {
+    switch (command) {
+      case "up":
+      case "migrate":
+        await migrate();
+        break;
+      case "down":
+      case "rollback":
+        await rollback(arg ? parseInt(arg, 10) : 1);
+        break;
+      case "status":
+        for (const m of await status()) {
+          const mark = m.applied ? "✅" : "⏳";
+          const when = m.applied ? `  (${m.applied_at})` : "";
+          console.log(
+            `  ${mark} ${String(m.version).padStart(3, "0")} ${m.name}${when}`,
+          );
+        }
+        break;
+      default:
+        console.error(`Unknown command "${command}". Use up, down or status.`);
+        process.exitCode = 1;
+    }
+  };
+
+  run()
+    .catch((err) => {
+      console.error("❌ Migration failed:", err.message);
+      process.exitCode = 1;
+    })
+    .finally(closeDatabase);
+}
+
+module.exports = { migrate, rollback, status };
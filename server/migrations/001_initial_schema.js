@@ -0,0 +1,88 @@
+// 001 - Initial schema: the five core tables of the symbiosis engine
+
+module.exports = {
+  up: async ({ runQuery }) => {
+    await runQuery(`CREATE TABLE IF NOT EXISTS industries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      sector TEXT NOT NULL,
+      location TEXT,
+      description TEXT,
+      annual_output REAL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS materials (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      industry_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      material_type TEXT NOT NULL,
+      quantity REAL,
+      unit TEXT,
+      chemical_composition TEXT,
+      mechanical_tolerance REAL,
+      thermodynamic_stability REAL,
+      regulatory_status TEXT,
+      availability_status TEXT,
+      description TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (industry_id) REFERENCES industries(id) ON DELETE CASCADE
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS reuse_opportunities (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_material_id INTEGER NOT NULL,
+      target_industry_id INTEGER NOT NULL,
+      compatibility_score REAL,
+      feasibility_index REAL,
+      preprocessing_required TEXT,
+      estimated_cost_savings REAL,
+      environmental_impact_reduction REAL,
+      reliability_rating REAL,
+      status TEXT DEFAULT 'discovered',
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (source_material_id) REFERENCES materials(id) ON DELETE CASCADE,
+      FOREIGN KEY (target_industry_id) REFERENCES industries(id) ON DELETE CASCADE
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS transactions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      source_industry_id INTEGER NOT NULL,
+      target_industry_id INTEGER NOT NULL,
+      material_id INTEGER NOT NULL,
+      quantity_transferred REAL,
+      unit TEXT,
+      transaction_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+      status TEXT DEFAULT 'pending',
+      cost_savings REAL,
+      environmental_benefit REAL,
+      FOREIGN KEY (source_industry_id) REFERENCES industries(id) ON DELETE CASCADE,
+      FOREIGN KEY (target_industry_id) REFERENCES industries(id) ON DELETE CASCADE,
+      FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS circulation_metrics (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      industry_id INTEGER NOT NULL,
+      material_name TEXT,
+      days_to_reabsorption REAL,
+      circulation_cycles INTEGER,
+      reabsorption_rate REAL,
+      measured_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (industry_id) REFERENCES industries(id) ON DELETE CASCADE
+    )`);
+
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_materials_industry ON materials(industry_id)",
+    );
+  },
+
+  down: async ({ runQuery }) => {
+    await runQuery("DROP TABLE IF EXISTS circulation_metrics");
+    await runQuery("DROP TABLE IF EXISTS transactions");
+    await runQuery("DROP TABLE IF EXISTS reuse_opportunities");
+    await runQuery("DROP TABLE IF EXISTS materials");
+    await runQuery("DROP TABLE IF EXISTS industries");
+  },
+};
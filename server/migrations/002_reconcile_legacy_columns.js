@@ -0,0 +1,22 @@
+// 002 - Bring databases created by earlier builds in line with 001.
+// Those builds created industries without annual_output and an older
+// circulation_metrics layout; CREATE TABLE IF NOT EXISTS never fixed them.
+
+const LEGACY_COLUMNS = [
+  ["industries", "annual_output", "REAL"],
+  ["circulation_metrics", "material_name", "TEXT"],
+  ["circulation_metrics", "days_to_reabsorption", "REAL"],
+  ["circulation_metrics", "circulation_cycles", "INTEGER"],
+  ["circulation_metrics", "reabsorption_rate", "REAL"],
+];
+
+module.exports = {
+  up: async ({ addColumn }) => {
+    for (const [table, column, type] of LEGACY_COLUMNS) {
+      await addColumn(table, column, type);
+    }
+  },
+
+  // The columns belong to the 001 schema, so there is nothing to undo
+  down: async () => {},
+};
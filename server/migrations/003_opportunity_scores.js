@@ -0,0 +1,25 @@
+// 003 - Per-dimension compatibility scores on reuse opportunities
+
+const SCORE_COLUMNS = [
+  ["chemical_similarity", "REAL"],
+  ["mechanical_tolerance", "REAL"],
+  ["thermodynamic_stability", "REAL"],
+  ["regulatory_alignment", "REAL"],
+  ["functional_viability", "REAL"],
+  ["requirements_source", "TEXT"],
+  ["score_breakdown", "TEXT"],
+];
+
+module.exports = {
+  up: async ({ addColumn }) => {
+    for (const [column, type] of SCORE_COLUMNS) {
+      await addColumn("reuse_opportunities", column, type);
+    }
+  },
+
+  down: async ({ dropColumn }) => {
+    for (const [column] of SCORE_COLUMNS) {
+      await dropColumn("reuse_opportunities", column);
+    }
+  },
+};
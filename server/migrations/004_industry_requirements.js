@@ -0,0 +1,29 @@
+// 004 - Input requirements registry (the demand side of matching)
+
+module.exports = {
+  up: async ({ runQuery }) => {
+    await runQuery(`CREATE TABLE IF NOT EXISTS industry_requirements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      industry_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      accepted_material_types TEXT,
+      composition_limits TEXT,
+      min_mechanical_tolerance REAL,
+      min_thermal_stability REAL,
+      max_thermal_stability REAL,
+      required_regulatory_status TEXT,
+      monthly_demand_quantity REAL,
+      demand_unit TEXT DEFAULT 't',
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (industry_id) REFERENCES industries(id) ON DELETE CASCADE
+    )`);
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_requirements_industry ON industry_requirements(industry_id)",
+    );
+  },
+
+  down: async ({ runQuery }) => {
+    await runQuery("DROP TABLE IF EXISTS industry_requirements");
+  },
+};
@@ -0,0 +1,31 @@
+// 005 - Transaction state machine: opportunity link and transition history
+
+module.exports = {
+  up: async ({ runQuery, addColumn }) => {
+    await addColumn("transactions", "opportunity_id", "INTEGER");
+    await addColumn("transactions", "notes", "TEXT");
+    await addColumn("transactions", "updated_at", "DATETIME");
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS transaction_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      transaction_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      actor TEXT,
+      note TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE
+    )`);
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_transaction_history ON transaction_history(transaction_id)",
+    );
+  },
+
+  down: async ({ runQuery, dropColumn }) => {
+    await runQuery("DROP TABLE IF EXISTS transaction_history");
+    await dropColumn("transactions", "updated_at");
+    await dropColumn("transactions", "notes");
+    await dropColumn("transactions", "opportunity_id");
+  },
+};
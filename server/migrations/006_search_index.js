@@ -0,0 +1,67 @@
+// 006 - Full-text search index over industries, materials and opportunities
+// One FTS5 table holds every searchable record as (kind, ref_id, title, body,
+// detail); triggers on the source tables keep it in sync.
+
+// Columns indexed for each source table, in title/body/detail order
+const SOURCES = [
+  {
+    kind: "industry",
+    table: "industries",
+    columns: ["name", "description", "location"],
+  },
+  {
+    kind: "material",
+    table: "materials",
+    columns: ["name", "description", "chemical_composition"],
+  },
+  {
+    kind: "opportunity",
+    table: "reuse_opportunities",
+    columns: ["NULL", "notes", "preprocessing_required"],
+  },
+];
+
+const indexedValues = (columns, prefix) =>
+  columns.map((c) => (c === "NULL" ? c : `${prefix}.${c}`)).join(", ");
+
+module.exports = {
+  up: async ({ runQuery }) => {
+    await runQuery(`CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+      kind UNINDEXED,
+      ref_id UNINDEXED,
+      title,
+      body,
+      detail,
+      tokenize = 'porter unicode61'
+    )`);
+
+    for (const { kind, table, columns } of SOURCES) {
+      const watched = columns.filter((c) => c !== "NULL").join(", ");
+      const insert = `INSERT INTO search_index (kind, ref_id, title, body, detail)
+        VALUES ('${kind}', new.id, ${indexedValues(columns, "new")});`;
+      const remove = `DELETE FROM search_index WHERE kind = '${kind}' AND ref_id = old.id;`;
+
+      await runQuery(`CREATE TRIGGER IF NOT EXISTS search_${table}_insert
+        AFTER INSERT ON ${table} BEGIN ${insert} END`);
+      await runQuery(`CREATE TRIGGER IF NOT EXISTS search_${table}_update
+        AFTER UPDATE OF ${watched} ON ${table} BEGIN ${remove} ${insert} END`);
+      await runQuery(`CREATE TRIGGER IF NOT EXISTS search_${table}_delete
+        AFTER DELETE ON ${table} BEGIN ${remove} END`);
+
+      // Index the rows that existed before the triggers
+      await runQuery(
+        `INSERT INTO search_index (kind, ref_id, title, body, detail)
+         SELECT '${kind}', id, ${columns.join(", ")} FROM ${table}`,
+      );
+    }
+  },
+
+  down: async ({ runQuery }) => {
+    for (const { table } of SOURCES) {
+      for (const event of ["insert", "update", "delete"]) {
+        await runQuery(`DROP TRIGGER IF EXISTS search_${table}_${event}`);
+      }
+    }
+    await runQuery("DROP TABLE IF EXISTS search_index");
+  },
+};
@@ -0,0 +1,49 @@
+// 007 - User accounts, login sessions and industry ownership by organization
+
+module.exports = {
+  up: async ({ runQuery, addColumn }) => {
+    await runQuery(`CREATE TABLE IF NOT EXISTS organizations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    await runQuery(`CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      organization_id INTEGER NOT NULL,
+      email TEXT UNIQUE NOT NULL COLLATE NOCASE,
+      name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE
+    )`);
+
+    // Only a hash of each token is stored, so a leaked database cannot be
+    // used to sign in
+    await runQuery(`CREATE TABLE IF NOT EXISTS sessions (
+      token_hash TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      expires_at DATETIME NOT NULL,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)",
+    );
+
+    // Industries created before accounts existed have no owner until an
+    // organization claims them
+    await addColumn("industries", "organization_id", "INTEGER");
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_industries_organization ON industries(organization_id)",
+    );
+  },
+
+  down: async ({ runQuery, dropColumn }) => {
+    await runQuery("DROP INDEX IF EXISTS idx_industries_organization");
+    await dropColumn("industries", "organization_id");
+    await runQuery("DROP TABLE IF EXISTS sessions");
+    await runQuery("DROP TABLE IF EXISTS users");
+    await runQuery("DROP TABLE IF EXISTS organizations");
+  },
+};
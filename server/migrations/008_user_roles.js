@@ -0,0 +1,15 @@
+// 008 - User roles; the first member of each organization becomes its admin
+
+module.exports = {
+  up: async ({ runQuery, addColumn }) => {
+    await addColumn("users", "role", "TEXT NOT NULL DEFAULT 'plant_operator'");
+    await runQuery(
+      `UPDATE users SET role = 'admin'
+       WHERE id IN (SELECT MIN(id) FROM users GROUP BY organization_id)`,
+    );
+  },
+
+  down: async ({ dropColumn }) => {
+    await dropColumn("users", "role");
+  },
+};
@@ -0,0 +1,37 @@
+// 009 - Append-only audit log of changes to materials, opportunities and
+// transactions
+
+module.exports = {
+  up: async ({ runQuery }) => {
+    await runQuery(`CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      entity TEXT NOT NULL,
+      entity_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      actor_id INTEGER,
+      actor TEXT NOT NULL,
+      before_data TEXT,
+      after_data TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_audit_entity ON audit_log(entity, entity_id)",
+    );
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_audit_created ON audit_log(created_at)",
+    );
+
+    // Entries can be added but never edited or removed
+    for (const operation of ["UPDATE", "DELETE"]) {
+      await runQuery(`CREATE TRIGGER IF NOT EXISTS audit_log_no_${operation.toLowerCase()}
+        BEFORE ${operation} ON audit_log
+        BEGIN
+          SELECT RAISE(ABORT, 'audit_log is append-only');
+        END`);
+    }
+  },
+
+  down: async ({ runQuery }) => {
+    await runQuery("DROP TABLE IF EXISTS audit_log");
+  },
+};
@@ -0,0 +1,38 @@
+// 010 - Canonical unit codes and material density
+// Units were free text ("kg", "ton", "Liter"...). Known spellings are rewritten
+// to the codes in lib/units; unknown ones are left as they are and simply
+// stay out of converted totals.
+
+const { normalizeUnit } = require("../lib/units");
+
+const UNIT_COLUMNS = [
+  ["materials", "unit"],
+  ["transactions", "unit"],
+  ["industry_requirements", "demand_unit"],
+];
+
+module.exports = {
+  up: async ({ runQuery, getAllQuery, addColumn }) => {
+    // kg/m³, needed to convert between volume and mass
+    await addColumn("materials", "density", "REAL");
+
+    for (const [table, column] of UNIT_COLUMNS) {
+      const rows = await getAllQuery(
+        `SELECT DISTINCT ${column} as unit FROM ${table} WHERE ${column} IS NOT NULL`,
+      );
+      for (const { unit } of rows) {
+        const code = normalizeUnit(unit);
+        if (code && code !== unit)
+          await runQuery(
+            `UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`,
+            [code, unit],
+          );
+      }
+    }
+  },
+
+  // The original spellings are not kept, so codes stay as they are
+  down: async ({ dropColumn }) => {
+    await dropColumn("materials", "density");
+  },
+};
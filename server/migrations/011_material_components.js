@@ -0,0 +1,52 @@
+// 011 - Structured material composition
+// Free-text compositions that parse completely ("SiO2 45%, CaO 30%, Pb") are
+// copied into components; the rest are left as text for their owners to
+// enter by hand.
+
+const { parseComposition } = require("../lib/composition");
+
+module.exports = {
+  up: async ({ runQuery, getAllQuery }) => {
+    await runQuery(`CREATE TABLE IF NOT EXISTS material_components (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      material_id INTEGER NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      component TEXT NOT NULL,
+      identifier TEXT,
+      amount REAL,
+      basis TEXT NOT NULL DEFAULT 'percent',
+      method TEXT,
+      lab_reference TEXT,
+      FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE
+    )`);
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_components_material ON material_components(material_id)",
+    );
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_components_name ON material_components(component COLLATE NOCASE)",
+    );
+
+    const materials = await getAllQuery(
+      `SELECT id, chemical_composition FROM materials
+       WHERE chemical_composition IS NOT NULL AND chemical_composition != ''`,
+    );
+    for (const material of materials) {
+      const { components, unparsed } = parseComposition(
+        material.chemical_composition,
+      );
+      if (components.length === 0 || unparsed.length > 0) continue;
+      for (const [position, c] of components.entries()) {
+        await runQuery(
+          `INSERT INTO material_components
+          (material_id, position, component, amount, basis)
+          VALUES (?, ?, ?, ?, ?)`,
+          [material.id, position, c.component, c.amount, c.basis],
+        );
+      }
+    }
+  },
+
+  down: async ({ runQuery }) => {
+    await runQuery("DROP TABLE IF EXISTS material_components");
+  },
+};
@@ -0,0 +1,27 @@
+// 012 - Rule-based classification of materials
+// One row per material with the merged outcome of the regulatory rules and
+// the rules that fired. Rows are written by lib/rules, which also fills the
+// table on startup.
+
+module.exports = {
+  up: async ({ runQuery }) => {
+    await runQuery(`CREATE TABLE IF NOT EXISTS material_classifications (
+      material_id INTEGER PRIMARY KEY,
+      hazard TEXT NOT NULL DEFAULT 'unclassified',
+      waste_status TEXT,
+      waste_codes TEXT,
+      forbidden_sectors TEXT,
+      fired_rules TEXT,
+      rule_sets TEXT,
+      classified_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (material_id) REFERENCES materials(id) ON DELETE CASCADE
+    )`);
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_classifications_hazard ON material_classifications(hazard)",
+    );
+  },
+
+  down: async ({ runQuery }) => {
+    await runQuery("DROP TABLE IF EXISTS material_classifications");
+  },
+};
@@ -0,0 +1,34 @@
+// 013 - Industry coordinates
+// Industries get a latitude/longitude and where it came from ("gazetteer"
+// or "manual"). Existing locations that the bundled gazetteer knows are
+// geocoded; the rest stay without coordinates until someone enters them.
+
+const { geocode } = require("../lib/geo");
+
+module.exports = {
+  up: async ({ runQuery, getAllQuery, addColumn }) => {
+    await addColumn("industries", "latitude", "REAL");
+    await addColumn("industries", "longitude", "REAL");
+    await addColumn("industries", "location_source", "TEXT");
+
+    const industries = await getAllQuery(
+      `SELECT id, location FROM industries
+       WHERE location IS NOT NULL AND location != '' AND latitude IS NULL`,
+    );
+    for (const industry of industries) {
+      const found = geocode(industry.location);
+      if (!found) continue;
+      await runQuery(
+        `UPDATE industries SET latitude = ?, longitude = ?,
+         location_source = 'gazetteer' WHERE id = ?`,
+        [found.latitude, found.longitude, industry.id],
+      );
+    }
+  },
+
+  down: async ({ dropColumn }) => {
+    await dropColumn("industries", "location_source");
+    await dropColumn("industries", "longitude");
+    await dropColumn("industries", "latitude");
+  },
+};
@@ -0,0 +1,16 @@
+// 014 - Logistics estimates on opportunities
+// The estimate's net savings and net emissions benefit go into the existing
+// estimated_cost_savings and environmental_impact_reduction columns; the
+// chosen transport mode and the full calculation are stored beside them.
+
+module.exports = {
+  up: async ({ addColumn }) => {
+    await addColumn("reuse_opportunities", "transport_mode", "TEXT");
+    await addColumn("reuse_opportunities", "logistics_breakdown", "TEXT");
+  },
+
+  down: async ({ dropColumn }) => {
+    await dropColumn("reuse_opportunities", "logistics_breakdown");
+    await dropColumn("reuse_opportunities", "transport_mode");
+  },
+};
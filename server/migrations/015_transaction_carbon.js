@@ -0,0 +1,24 @@
+// 015 - Carbon accounting on transactions
+// Completed transactions store the CO2e they avoided in the existing
+// environmental_benefit column (tonnes), with the calculation beside it, and
+// when they were completed so benefits can be reported per period. Existing
+// completions take their date from the transition history; their carbon is
+// accounted by the server at startup.
+
+module.exports = {
+  up: async ({ runQuery, addColumn }) => {
+    await addColumn("transactions", "carbon_breakdown", "TEXT");
+    await addColumn("transactions", "completed_at", "DATETIME");
+
+    await runQuery(`UPDATE transactions SET completed_at = COALESCE(
+        (SELECT MAX(h.created_at) FROM transaction_history h
+         WHERE h.transaction_id = transactions.id AND h.to_status = 'completed'),
+        updated_at, transaction_date)
+      WHERE status = 'completed' AND completed_at IS NULL`);
+  },
+
+  down: async ({ dropColumn }) => {
+    await dropColumn("transactions", "completed_at");
+    await dropColumn("transactions", "carbon_breakdown");
+  },
+};
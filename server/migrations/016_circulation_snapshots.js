@@ -0,0 +1,29 @@
+// 016 - Computed circulation snapshots
+// circulation_metrics rows are now snapshots the server derives per material
+// from completed transactions. Each row records the material it describes and
+// the quantities behind its reabsorption rate, also in tonnes where the unit
+// converts, so snapshots can be aggregated across materials.
+
+module.exports = {
+  up: async ({ runQuery, addColumn }) => {
+    await addColumn("circulation_metrics", "material_id", "INTEGER");
+    await addColumn("circulation_metrics", "quantity_generated", "REAL");
+    await addColumn("circulation_metrics", "quantity_reabsorbed", "REAL");
+    await addColumn("circulation_metrics", "unit", "TEXT");
+    await addColumn("circulation_metrics", "generated_t", "REAL");
+    await addColumn("circulation_metrics", "reabsorbed_t", "REAL");
+    await runQuery(
+      "CREATE INDEX IF NOT EXISTS idx_circulation_measured ON circulation_metrics(measured_at)",
+    );
+  },
+
+  down: async ({ runQuery, dropColumn }) => {
+    await runQuery("DROP INDEX IF EXISTS idx_circulation_measured");
+    await dropColumn("circulation_metrics", "reabsorbed_t");
+    await dropColumn("circulation_metrics", "generated_t");
+    await dropColumn("circulation_metrics", "unit");
+    await dropColumn("circulation_metrics", "quantity_reabsorbed");
+    await dropColumn("circulation_metrics", "quantity_generated");
+    await dropColumn("circulation_metrics", "material_id");
+  },
+};
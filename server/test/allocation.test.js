@@ -0,0 +1,124 @@
+const assert = require("node:assert/strict");
+const { allocate } = require("../lib/allocation");
+
+const supply = (id, quantity_t) => ({ id, quantity_t });
+const demand = (id, quantity_t) => ({ id, quantity_t });
+const link = (from, to, value) => ({ supply: from, demand: to, value });
+
+// Allocations as "supply→demand: tonnes", for readable comparisons
+const summary = (allocations) =>
+  allocations.map(
+    ({ link: { supply: from, demand: to }, quantity_t }) =>
+      `${from}→${to}: ${Math.round(quantity_t * 1000) / 1000}`,
+  );
+
+const total = (allocations) =>
+  allocations.reduce((sum, allocation) => sum + allocation.value, 0);
+
+describe("allocate", () => {
+  it("fills the most valuable demand first", () => {
+    const allocations = allocate({
+      supplies: [supply("s", 10)],
+      demands: [demand("a", 6), demand("b", 6)],
+      links: [link("s", "b", 3), link("s", "a", 5)],
+    });
+    assert.deepEqual(summary(allocations), ["s→a: 6", "s→b: 4"]);
+    assert.equal(total(allocations), 42);
+  });
+
+  it("finds the best total where taking the best link first would not", () => {
+    const allocations = allocate({
+      supplies: [supply(1, 10), supply(2, 10)],
+      demands: [demand("a", 10), demand("b", 10)],
+      links: [
+        link(1, "a", 10),
+        link(1, "b", 9),
+        link(2, "a", 9),
+        link(2, "b", 1),
+      ],
+    });
+    assert.deepEqual(summary(allocations).sort(), ["1→b: 10", "2→a: 10"]);
+    assert.equal(total(allocations), 180);
+  });
+
+  it("never allocates more than a supply has or a demand needs", () => {
+    const supplies = [supply(1, 7), supply(2, 3), supply(3, 12)];
+    const demands = [demand("a", 5), demand("b", 9), demand("c", 4)];
+    const links = [];
+    supplies.forEach(({ id }, i) =>
+      demands.forEach(({ id: to }, j) =>
+        links.push(link(id, to, 1 + i + 2 * j)),
+      ),
+    );
+    const allocations = allocate({ supplies, demands, links });
+
+    const sum = (key, id) =>
+      allocations
+        .filter((allocation) => allocation.link[key] === id)
+        .reduce((tonnes, allocation) => tonnes + allocation.quantity_t, 0);
+    for (const { id, quantity_t } of supplies)
+      assert.ok(sum("supply", id) <= quantity_t + 1e-9);
+    for (const { id, quantity_t } of demands)
+      assert.ok(sum("demand", id) <= quantity_t + 1e-9);
+    // Supply exceeds demand and every link earns something, so all is met
+    assert.equal(
+      allocations.reduce((tonnes, a) => tonnes + a.quantity_t, 0),
+      18,
+    );
+  });
+
+  it("ignores links worth nothing", () => {
+    const allocations = allocate({
+      supplies: [supply(1, 10)],
+      demands: [demand("a", 10), demand("b", 10)],
+      links: [link(1, "a", 0), link(1, "b", -4)],
+    });
+    assert.deepEqual(allocations, []);
+  });
+
+  it("lists the allocations most valuable first", () => {
+    const allocations = allocate({
+      supplies: [supply(1, 2), supply(2, 20)],
+      demands: [demand("a", 2), demand("b", 20)],
+      links: [link(1, "a", 10), link(2, "b", 2)],
+    });
+    assert.deepEqual(
+      allocations.map((a) => a.value),
+      [40, 20],
+    );
+  });
+
+  describe("with a minimum lot", () => {
+    const supplies = [supply(1, 10)];
+    const demands = [demand("a", 8), demand("b", 8)];
+    const links = [link(1, "a", 5), link(1, "b", 4)];
+
+    it("splits freely without one", () => {
+      assert.deepEqual(summary(allocate({ supplies, demands, links })), [
+        "1→a: 8",
+        "1→b: 2",
+      ]);
+    });
+
+    it("drops allocations smaller than the lot", () => {
+      assert.deepEqual(
+        summary(allocate({ supplies, demands, links, min_lot_t: 5 })),
+        ["1→a: 8"],
+      );
+    });
+
+    it("leaves out links that could never carry a full lot", () => {
+      assert.deepEqual(
+        summary(
+          allocate({
+            supplies: [supply(1, 11)],
+            demands: [demand("a", 8), demand("b", 2), demand("c", 3)],
+            links: [...links, link(1, "c", 1)],
+            min_lot_t: 3,
+          }),
+        ),
+        ["1→a: 8", "1→c: 3"],
+      );
+    });
+  });
+});
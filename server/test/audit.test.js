@@ -0,0 +1,220 @@
+const assert = require("node:assert/strict");
+const { runQuery, getQuery } = require("../db");
+const { migrate } = require("../migrate");
+const { audited } = require("../lib/audit");
+const { startServer } = require("./helpers/server");
+
+describe("audit log", () => {
+  let server;
+  let api;
+  let admin;
+  let colleague;
+  let industry;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    admin = await server.signUp("Steelworks", "ops@steel.test");
+    await api("POST", "/organization/members", {
+      token: admin,
+      body: {
+        name: "Planner",
+        email: "planner@steel.test",
+        password: "secret123",
+        role: "plant_operator",
+      },
+    });
+    ({
+      body: { token: colleague },
+    } = await api("POST", "/auth/login", {
+      body: { email: "planner@steel.test", password: "secret123" },
+    }));
+    ({
+      body: { id: industry },
+    } = await api("POST", "/industries", {
+      token: admin,
+      body: { name: "Mill", sector: "Steel" },
+    }));
+  });
+
+  after(() => server?.stop());
+
+  const entries = async (query) =>
+    (await api("GET", `/audit?${new URLSearchParams(query)}`, { token: admin }))
+      .body;
+
+  it("logs a material's creation, update and deletion with its snapshots", async () => {
+    const {
+      body: { id },
+    } = await api("POST", "/materials", {
+      token: admin,
+      body: {
+        industry_id: industry,
+        name: "Slag",
+        material_type: "blast furnace slag",
+        quantity: 40,
+        unit: "t",
+      },
+    });
+    await api("PATCH", `/materials/${id}`, {
+      token: admin,
+      body: { quantity: 25 },
+    });
+    await api("DELETE", `/materials/${id}`, { token: admin });
+
+    const { data } = await entries({
+      entity: "material",
+      entity_id: id,
+      sort: "created_at",
+      order: "asc",
+    });
+    assert.deepEqual(
+      data.map((entry) => entry.action),
+      ["create", "update", "delete"],
+    );
+    const [created, updated, deleted] = data;
+
+    assert.equal(created.before, null);
+    assert.equal(created.after.name, "Slag");
+    assert.equal(created.after.quantity, 40);
+    assert.equal(created.actor, "ops@steel.test");
+
+    assert.equal(updated.before.quantity, 40);
+    assert.equal(updated.after.quantity, 25);
+    assert.ok(
+      updated.changes.some(
+        (change) =>
+          change.field === "quantity" &&
+          change.before === 40 &&
+          change.after === 25,
+      ),
+    );
+
+    assert.equal(deleted.before.quantity, 25);
+    assert.equal(deleted.after, null);
+  });
+
+  it("does not log updates that change nothing", async () => {
+    const {
+      body: { id },
+    } = await api("POST", "/materials", {
+      token: admin,
+      body: {
+        industry_id: industry,
+        name: "Scale",
+        material_type: "mill scale",
+      },
+    });
+    await api("PATCH", `/materials/${id}`, {
+      token: admin,
+      body: { name: "Scale" },
+    });
+    const { data } = await entries({ entity: "material", entity_id: id });
+    assert.deepEqual(
+      data.map((entry) => entry.action),
+      ["create"],
+    );
+  });
+
+  it("filters entries by entity, action and actor", async () => {
+    const {
+      body: { id: actorId },
+    } = await api("GET", "/auth/me", { token: colleague });
+    const {
+      body: { id },
+    } = await api("POST", "/materials", {
+      token: colleague,
+      body: { industry_id: industry, name: "Dust", material_type: "flue dust" },
+    });
+
+    const byActor = await entries({ actor_id: actorId });
+    assert.deepEqual(
+      byActor.data.map((entry) => [
+        entry.entity,
+        entry.entity_id,
+        entry.action,
+      ]),
+      [["material", id, "create"]],
+    );
+    assert.equal(byActor.pagination.total, 1);
+
+    const deletes = await entries({ entity: "material", action: "delete" });
+    assert.ok(deletes.data.length > 0);
+    assert.ok(deletes.data.every((entry) => entry.action === "delete"));
+    assert.equal(
+      (await entries({ entity: "transaction" })).pagination.total,
+      0,
+    );
+
+    const invalid = await api("GET", "/audit?action=rename", { token: admin });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.fields[0].field, "action");
+  });
+
+  it("is only readable by signed-in users", async () => {
+    assert.equal((await api("GET", "/audit")).status, 401);
+  });
+});
+
+describe("audit_log table", () => {
+  before(async () => {
+    await migrate();
+    await runQuery(
+      "INSERT INTO industries (name, sector) VALUES ('Audit mill', 'Steel')",
+    );
+  });
+
+  // Other test files share the database and number their own records
+  after(async () => {
+    await runQuery(
+      "DELETE FROM materials WHERE industry_id IN (SELECT id FROM industries WHERE name = 'Audit mill')",
+    );
+    await runQuery("DELETE FROM industries WHERE name = 'Audit mill'");
+  });
+
+  it("refuses to change or remove entries", async () => {
+    const { id } = await runQuery(
+      "INSERT INTO audit_log (entity, entity_id, action, actor) VALUES ('material', 1, 'create', 'system')",
+    );
+    await assert.rejects(
+      runQuery("UPDATE audit_log SET actor = 'someone' WHERE id = ?", [id]),
+      /append-only/,
+    );
+    await assert.rejects(
+      runQuery("DELETE FROM audit_log WHERE id = ?", [id]),
+      /append-only/,
+    );
+    const entry = await getQuery("SELECT actor FROM audit_log WHERE id = ?", [
+      id,
+    ]);
+    assert.equal(entry.actor, "system");
+  });
+
+  it("logs nothing and keeps nothing of a change that fails", async () => {
+    const { id: industryId } = await getQuery(
+      "SELECT id FROM industries WHERE name = 'Audit mill'",
+    );
+    const { id } = await runQuery(
+      "INSERT INTO materials (industry_id, name, material_type, quantity) VALUES (?, 'Ash', 'fly ash', 10)",
+      [industryId],
+    );
+    const { count } = await getQuery("SELECT COUNT(*) as count FROM audit_log");
+
+    await assert.rejects(
+      audited(null, "material", id, "update", async () => {
+        await runQuery("UPDATE materials SET quantity = 0 WHERE id = ?", [id]);
+        throw new Error("interrupted");
+      }),
+      /interrupted/,
+    );
+    const material = await getQuery(
+      "SELECT quantity FROM materials WHERE id = ?",
+      [id],
+    );
+    assert.equal(material.quantity, 10);
+    assert.equal(
+      (await getQuery("SELECT COUNT(*) as count FROM audit_log")).count,
+      count,
+    );
+  });
+});
@@ -0,0 +1,234 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { startServer } = require("./helpers/server");
+
+describe("CORS", () => {
+  const allowedOrigin = async (env, origin) => {
+    const server = await startServer(env);
+    try {
+      const { headers } = await server.api("GET", "/industries", {
+        headers: { Origin: origin },
+      });
+      return headers.get("access-control-allow-origin");
+    } finally {
+      await server.stop();
+    }
+  };
+
+  it("lets any origin call the API unless CORS_ORIGINS is set", async () => {
+    assert.equal(
+      await allowedOrigin({ CORS_ORIGINS: "" }, "https://b2g.example"),
+      "*",
+    );
+  });
+
+  it("allows only the origins listed in CORS_ORIGINS", async () => {
+    const env = {
+      CORS_ORIGINS: "https://b2g.example, http://localhost:3000",
+    };
+    assert.equal(
+      await allowedOrigin(env, "https://b2g.example"),
+      "https://b2g.example",
+    );
+    assert.equal(await allowedOrigin(env, "https://elsewhere.example"), null);
+  });
+});
+
+describe("accounts and sessions", () => {
+  let server;
+  let api;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+  });
+
+  after(() => server?.stop());
+
+  const login = (email, password) =>
+    api("POST", "/auth/login", { body: { email, password } });
+
+  it("signs up an organization with its first member as admin", async () => {
+    const token = await server.signUp("Steelworks", "Ops@Steel.test");
+    const { status, body } = await api("GET", "/auth/me", { token });
+    assert.equal(status, 200);
+    assert.equal(body.email, "ops@steel.test");
+    assert.equal(body.role, "admin");
+    assert.equal(body.organization_name, "Steelworks");
+    assert.equal(body.system_admin, false);
+    assert.ok(body.permissions.includes("members:manage"));
+  });
+
+  it("refuses an organization or email that is already registered", async () => {
+    const organization = await api("POST", "/auth/register", {
+      body: {
+        organization_name: "Steelworks",
+        name: "Other",
+        email: "other@steel.test",
+        password: "secret123",
+      },
+    });
+    assert.equal(organization.status, 409);
+    assert.equal(organization.body.fields[0].field, "organization_name");
+
+    const email = await api("POST", "/auth/register", {
+      body: {
+        organization_name: "Ironworks",
+        name: "Ops",
+        email: "ops@steel.test",
+        password: "secret123",
+      },
+    });
+    assert.equal(email.status, 409);
+  });
+
+  it("answers a wrong password and an unknown email alike", async () => {
+    const wrong = await login("ops@steel.test", "secret124");
+    const unknown = await login("nobody@steel.test", "secret123");
+    assert.equal(wrong.status, 401);
+    assert.deepEqual(wrong.body, unknown.body);
+    assert.equal(wrong.body.code, "INVALID_CREDENTIALS");
+  });
+
+  it("ends a session on sign-out", async () => {
+    const { status, body } = await login("ops@steel.test", "secret123");
+    assert.equal(status, 200);
+    assert.equal(body.user.email, "ops@steel.test");
+    const { token } = body;
+
+    assert.equal((await api("GET", "/auth/me", { token })).status, 200);
+    await api("POST", "/auth/logout", { token });
+    const after = await api("GET", "/auth/me", { token });
+    assert.equal(after.status, 401);
+    assert.equal(after.body.code, "UNAUTHENTICATED");
+  });
+
+  it("needs a signed-in user for every change", async () => {
+    const { status } = await api("POST", "/industries", {
+      body: { name: "Mill", sector: "Steel" },
+    });
+    assert.equal(status, 401);
+    assert.equal((await api("GET", "/industries")).status, 200);
+  });
+});
+
+describe("organizations", () => {
+  let server;
+  let api;
+  let steel;
+  let cement;
+  let mill;
+
+  before(async () => {
+    server = await startServer({ SYSTEM_ADMIN_EMAILS: "root@b2g.test" });
+    ({ api } = server);
+    steel = await server.signUp("Steelworks", "ops@steel.test");
+    cement = await server.signUp("Cement Co", "ops@cement.test");
+    ({
+      body: { id: mill },
+    } = await api("POST", "/industries", {
+      token: steel,
+      body: { name: "Mill", sector: "Steel" },
+    }));
+  });
+
+  after(() => server?.stop());
+
+  it("lets only an industry's organization change it and its materials", async () => {
+    const denied = await api("PATCH", `/industries/${mill}`, {
+      token: cement,
+      body: { description: "Ours now" },
+    });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, "FORBIDDEN");
+
+    const material = await api("POST", "/materials", {
+      token: cement,
+      body: { industry_id: mill, name: "Slag", material_type: "slag" },
+    });
+    assert.equal(material.status, 403);
+
+    const allowed = await api("PATCH", `/industries/${mill}`, {
+      token: steel,
+      body: { description: "Integrated steel plant" },
+    });
+    assert.equal(allowed.status, 200);
+  });
+
+  it("keeps members to their own organization", async () => {
+    const added = await api("POST", "/organization/members", {
+      token: steel,
+      body: {
+        name: "Planner",
+        email: "planner@steel.test",
+        password: "secret123",
+      },
+    });
+    assert.equal(added.status, 201);
+
+    const { body: members } = await api("GET", "/organization/members", {
+      token: cement,
+    });
+    assert.deepEqual(
+      members.map((member) => member.email),
+      ["ops@cement.test"],
+    );
+    const { body: steelMembers } = await api("GET", "/organization/members", {
+      token: steel,
+    });
+    assert.equal(
+      steelMembers.find((member) => member.email === "planner@steel.test").role,
+      "plant_operator",
+    );
+
+    const changed = await api(
+      "PATCH",
+      `/organization/members/${added.body.id}`,
+      { token: cement, body: { role: "admin" } },
+    );
+    assert.equal(changed.status, 404);
+  });
+
+  it("lets only a system administrator assign an unowned industry", async () => {
+    const file = path.join(server.dir, "plants.csv");
+    fs.writeFileSync(file, "name,sector\nLegacy kiln,Cement\n");
+    server.cli("import.js", "industries", file);
+    const { body: industries } = await api("GET", "/industries");
+    const legacy = industries.find(
+      (industry) => industry.name === "Legacy kiln",
+    );
+    assert.equal(legacy.organization_id, null);
+
+    // Nobody may change it until it is assigned
+    const edit = () =>
+      api("PATCH", `/industries/${legacy.id}`, {
+        token: cement,
+        body: { description: "Clinker line" },
+      });
+    assert.equal((await edit()).status, 403);
+
+    const claim = (token, organization_id) =>
+      api("POST", `/industries/${legacy.id}/claim`, {
+        token,
+        body: { organization_id },
+      });
+    assert.equal((await claim(cement)).status, 403);
+
+    const root = await api("POST", "/auth/register", {
+      body: {
+        organization_name: "Platform",
+        name: "Root",
+        email: "root@b2g.test",
+        password: "secret123",
+      },
+    });
+    const { body: me } = await api("GET", "/auth/me", { token: cement });
+    const assigned = await claim(root.body.token, me.organization_id);
+    assert.equal(assigned.status, 200);
+    assert.equal((await edit()).status, 200);
+
+    assert.equal((await claim(root.body.token)).status, 409);
+    assert.equal((await claim(root.body.token, 9999)).status, 404);
+  });
+});
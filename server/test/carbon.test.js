@@ -0,0 +1,168 @@
+const assert = require("node:assert/strict");
+const { carbonFootprint } = require("../lib/carbon");
+const { startServer } = require("./helpers/server");
+
+describe("carbonFootprint", () => {
+  const SLAG = { material_type: "blast furnace slag", quantity_t: 100 };
+
+  it("counts avoided landfill and virgin production", () => {
+    const footprint = carbonFootprint(SLAG);
+    assert.equal(footprint.material_label, "Slag");
+    assert.equal(footprint.landfill_avoided_co2e_t, 0.5);
+    assert.equal(footprint.virgin_displaced_co2e_t, 35);
+    // Without a route, transport is left out
+    assert.equal(footprint.route_km, null);
+    assert.equal(footprint.transport_co2e_t, 0);
+    assert.equal(footprint.net_co2e_avoided_t, 35.5);
+  });
+
+  it("deducts preprocessing energy and transport", () => {
+    const footprint = carbonFootprint({
+      ...SLAG,
+      transport_mode: "truck",
+      route_km: 100,
+      preprocessing: true,
+    });
+    // 35 kWh/t at 0.71 kg/kWh, and 0.105 kg per tonne-km
+    assert.equal(footprint.preprocessing_co2e_t, 2.485);
+    assert.equal(footprint.transport_co2e_t, 1.05);
+    assert.equal(footprint.net_co2e_avoided_t, 31.965);
+  });
+
+  it("takes factor overrides", () => {
+    const footprint = carbonFootprint({
+      ...SLAG,
+      overrides: { virgin_co2e_kg_per_t: 0 },
+    });
+    assert.equal(footprint.net_co2e_avoided_t, 0.5);
+    assert.equal(footprint.factors.virgin_co2e_kg_per_t, 0);
+  });
+});
+
+describe("carbon accounting", () => {
+  let server;
+  let api;
+  let supplier;
+  let receiver;
+  const industries = {};
+  const transactions = {};
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    supplier = await server.signUp("Steelworks", "ops@steel.test");
+    receiver = await server.signUp("Cement Co", "ops@cement.test");
+    for (const [token, name, sector, location] of [
+      [supplier, "Mill", "Steel", "Chennai"],
+      [supplier, "Plant", "Power", undefined],
+      [receiver, "Kiln", "Cement", "Ennore"],
+    ]) {
+      const { body } = await api("POST", "/industries", {
+        token,
+        body: { name, sector, location },
+      });
+      industries[name] = body.id;
+    }
+
+    for (const [name, industry, material_type, quantity, unit] of [
+      ["Slag", "Mill", "blast furnace slag", 10, "t"],
+      ["Ash", "Plant", "fly ash", 20, "t"],
+      ["Sludge", "Plant", "sludge", 5, "m3"],
+    ]) {
+      const { body: material } = await api("POST", "/materials", {
+        token: supplier,
+        body: {
+          industry_id: industries[industry],
+          name,
+          material_type,
+          quantity,
+          unit,
+        },
+      });
+      const { body: transaction } = await api("POST", "/transactions", {
+        token: receiver,
+        body: {
+          material_id: material.id,
+          target_industry_id: industries.Kiln,
+          quantity_transferred: quantity,
+          unit,
+        },
+      });
+      for (const [action, token] of [
+        ["approve", receiver],
+        ["ship", supplier],
+        ["receive", receiver],
+        ["complete", receiver],
+      ])
+        await api("POST", `/transactions/${transaction.id}/${action}`, {
+          token,
+          body: {},
+        });
+      transactions[name] = transaction.id;
+    }
+  });
+
+  after(() => server?.stop());
+
+  const carbon = async (query = "") => {
+    const { status, body } = await api("GET", `/analytics/carbon?${query}`);
+    assert.equal(status, 200);
+    return body;
+  };
+
+  it("accounts each completed transfer over the distance it travelled", async () => {
+    const { body } = await api("GET", "/transactions?status=completed");
+    const byId = Object.fromEntries(body.data.map((t) => [t.id, t]));
+
+    const slag = byId[transactions.Slag];
+    assert.equal(
+      slag.environmental_benefit,
+      slag.carbon_breakdown.net_co2e_avoided_t,
+    );
+    assert.equal(slag.carbon_breakdown.transport_mode, "truck");
+    assert.ok(slag.carbon_breakdown.transport_co2e_t > 0);
+    assert.ok(slag.environmental_benefit < 3.55);
+
+    // The plant has no coordinates, so its transfer has no transport
+    assert.equal(byId[transactions.Ash].carbon_breakdown.route_km, null);
+    assert.equal(byId[transactions.Ash].environmental_benefit, 12.1);
+
+    // Volumes without a density cannot be accounted in tonnes
+    assert.equal(byId[transactions.Sludge].carbon_breakdown, null);
+  });
+
+  it("totals the benefit per period and counts what it could not account", async () => {
+    const { total, unaccounted, data } = await carbon();
+    assert.equal(total.transactions, 2);
+    assert.equal(total.quantity_t, 30);
+    assert.equal(unaccounted, 1);
+    assert.deepEqual(
+      data.map(({ key }) => key),
+      [new Date().toISOString().slice(0, 7)],
+    );
+    assert.equal(data[0].net_co2e_avoided_t, total.net_co2e_avoided_t);
+  });
+
+  it("groups by material or sector, largest benefit first", async () => {
+    const { data } = await carbon("group_by=material_type");
+    assert.deepEqual(
+      data.map(({ key }) => key),
+      ["fly ash", "blast furnace slag"],
+    );
+
+    const power = await carbon("group_by=source_sector&sector=Power");
+    assert.deepEqual(
+      power.data.map(({ key, transactions }) => [key, transactions]),
+      [["Power", 1]],
+    );
+  });
+
+  it("rejects unknown groupings", async () => {
+    const { status, body } = await api(
+      "GET",
+      "/analytics/carbon?group_by=colour",
+    );
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, "group_by");
+  });
+});
@@ -0,0 +1,201 @@
+const assert = require("node:assert/strict");
+const { setTimeout: sleep } = require("timers/promises");
+const { computeCirculation } = require("../lib/circulation");
+const { startServer } = require("./helpers/server");
+
+describe("computeCirculation", () => {
+  const material = (id, fields) => ({
+    id,
+    industry_id: 1,
+    name: `Lot ${id}`,
+    created_at: "2026-01-01 00:00:00",
+    ...fields,
+  });
+
+  it("derives reabsorption time, cycles and rate from completed transfers", () => {
+    const [slag] = computeCirculation(
+      [material(1, { quantity: 60, unit: "t" })],
+      [
+        {
+          material_id: 1,
+          quantity_transferred: 30,
+          unit: "t",
+          completed_at: "2026-01-11 00:00:00",
+        },
+        {
+          material_id: 1,
+          quantity_transferred: 10000,
+          unit: "kg",
+          completed_at: "2026-01-21 00:00:00",
+        },
+      ],
+    );
+    assert.deepEqual(slag, {
+      material_id: 1,
+      industry_id: 1,
+      material_name: "Lot 1",
+      days_to_reabsorption: 15,
+      circulation_cycles: 2,
+      // 40 t transferred of the 100 t generated, 60 t of which is left
+      reabsorption_rate: 0.4,
+      quantity_generated: 100,
+      quantity_reabsorbed: 40,
+      unit: "t",
+      generated_t: 100,
+      reabsorbed_t: 40,
+    });
+  });
+
+  it("counts transfers it cannot convert as cycles only", () => {
+    const [sludge, idle] = computeCirculation(
+      [material(1, { quantity: 5, unit: "m3" }), material(2, { quantity: 8 })],
+      [
+        {
+          material_id: 1,
+          quantity_transferred: 2,
+          unit: "t",
+          completed_at: "2026-01-02 00:00:00",
+        },
+      ],
+    );
+    assert.equal(sludge.circulation_cycles, 1);
+    assert.equal(sludge.quantity_reabsorbed, 0);
+    assert.equal(sludge.generated_t, null);
+
+    assert.equal(idle.days_to_reabsorption, null);
+    assert.equal(idle.circulation_cycles, 0);
+    assert.equal(idle.reabsorption_rate, 0);
+  });
+});
+
+describe("circulation snapshots", () => {
+  let server;
+  let api;
+  let supplier;
+  let receiver;
+  let mill;
+  let kiln;
+  let slag;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    supplier = await server.signUp("Steelworks", "ops@steel.test");
+    receiver = await server.signUp("Cement Co", "ops@cement.test");
+    ({
+      body: { id: mill },
+    } = await api("POST", "/industries", {
+      token: supplier,
+      body: { name: "Mill", sector: "Steel" },
+    }));
+    ({
+      body: { id: kiln },
+    } = await api("POST", "/industries", {
+      token: receiver,
+      body: { name: "Kiln", sector: "Cement" },
+    }));
+    ({
+      body: { id: slag },
+    } = await api("POST", "/materials", {
+      token: supplier,
+      body: {
+        industry_id: mill,
+        name: "Slag",
+        material_type: "blast furnace slag",
+        quantity: 100,
+        unit: "t",
+      },
+    }));
+  });
+
+  after(() => server?.stop());
+
+  const transfer = async (quantity_transferred) => {
+    const { body } = await api("POST", "/transactions", {
+      token: receiver,
+      body: {
+        material_id: slag,
+        target_industry_id: kiln,
+        quantity_transferred,
+      },
+    });
+    for (const [action, token] of [
+      ["approve", receiver],
+      ["ship", supplier],
+      ["receive", receiver],
+      ["complete", receiver],
+    ])
+      await api("POST", `/transactions/${body.id}/${action}`, {
+        token,
+        body: {},
+      });
+  };
+
+  const snapshot = () =>
+    api("POST", "/analytics/circulation/snapshot", { token: supplier });
+
+  it("leaves taking snapshots to assessors and admins", async () => {
+    await api("POST", "/organization/members", {
+      token: supplier,
+      body: {
+        name: "Operator",
+        email: "operator@steel.test",
+        password: "secret123",
+      },
+    });
+    const { body: session } = await api("POST", "/auth/login", {
+      body: { email: "operator@steel.test", password: "secret123" },
+    });
+    const { status, body } = await api(
+      "POST",
+      "/analytics/circulation/snapshot",
+      { token: session.token },
+    );
+    assert.equal(status, 403);
+    assert.equal(body.required_permission, "analytics:snapshot");
+  });
+
+  it("stores the metrics of every material", async () => {
+    await transfer(40);
+    const taken = await snapshot();
+    assert.equal(taken.status, 200);
+    assert.equal(taken.body.materials, 1);
+
+    const { body } = await api("GET", "/analytics/circulation?snapshot=latest");
+    assert.equal(body.data.length, 1);
+    const [metrics] = body.data;
+    assert.equal(metrics.measured_at, taken.body.measured_at);
+    assert.equal(metrics.industry_name, "Mill");
+    assert.equal(metrics.circulation_cycles, 1);
+    assert.equal(metrics.reabsorption_rate, 0.4);
+    assert.equal(metrics.quantity_generated, 100);
+    assert.equal(metrics.days_to_reabsorption, 0);
+  });
+
+  it("follows the metrics from snapshot to snapshot", async () => {
+    await transfer(10);
+    // Snapshots are told apart by the second they were taken in
+    await sleep(1100);
+    await snapshot();
+
+    const { status, body } = await api("GET", "/analytics/circulation/trend");
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.map(({ circulation_cycles, reabsorbed_t }) => [
+        circulation_cycles,
+        reabsorbed_t,
+      ]),
+      [
+        [1, 40],
+        [2, 50],
+      ],
+    );
+    assert.equal(body.data[1].reabsorption_rate, 0.5);
+
+    const { body: cement } = await api(
+      "GET",
+      "/analytics/circulation/trend?sector=Cement",
+    );
+    assert.deepEqual(cement.data, []);
+  });
+});
@@ -0,0 +1,172 @@
+const assert = require("node:assert/strict");
+const {
+  isValidCas,
+  toPercent,
+  totalPercent,
+  formatComposition,
+  parseComposition,
+  validateComponents,
+  findComponent,
+} = require("../lib/composition");
+
+describe("parseComposition", () => {
+  it("reads amounts written after or before the component", () => {
+    const { components, unparsed } = parseComposition(
+      "SiO2 45%, CaO: 30 %; 200 ppm Pb\n12 wt% of Al2O3, Zn=150 mg/kg",
+    );
+    assert.deepEqual(components, [
+      { component: "SiO2", amount: 45, basis: "percent" },
+      { component: "CaO", amount: 30, basis: "percent" },
+      { component: "Pb", amount: 200, basis: "ppm" },
+      { component: "Al2O3", amount: 12, basis: "percent" },
+      { component: "Zn", amount: 150, basis: "ppm" },
+    ]);
+    assert.deepEqual(unparsed, []);
+  });
+
+  it("keeps components named without an amount", () => {
+    const { components } = parseComposition("Fe, iron oxide");
+    assert.deepEqual(components, [
+      { component: "Fe", amount: null, basis: "percent" },
+      { component: "iron oxide", amount: null, basis: "percent" },
+    ]);
+  });
+
+  it("lists the parts it cannot read", () => {
+    const { components, unparsed } = parseComposition(
+      "SiO2 45%, mostly calcium with some traces, 45",
+    );
+    assert.equal(components.length, 1);
+    assert.deepEqual(unparsed, ["mostly calcium with some traces", "45"]);
+  });
+
+  it("reads nothing from blank text", () => {
+    assert.deepEqual(parseComposition(""), { components: [], unparsed: [] });
+    assert.deepEqual(parseComposition(null), { components: [], unparsed: [] });
+    assert.deepEqual(parseComposition(" , ;"), {
+      components: [],
+      unparsed: [],
+    });
+  });
+});
+
+describe("isValidCas", () => {
+  it("checks the registry number's checksum", () => {
+    assert.equal(isValidCas("7631-86-9"), true);
+    assert.equal(isValidCas("7732-18-5"), true);
+    assert.equal(isValidCas("7631-86-8"), false);
+    assert.equal(isValidCas("SiO2"), false);
+  });
+});
+
+describe("amounts", () => {
+  it("expresses ppm in percent", () => {
+    assert.equal(toPercent({ amount: 2500, basis: "ppm" }), 0.25);
+    assert.equal(toPercent({ amount: 12, basis: "percent" }), 12);
+    assert.equal(toPercent({ amount: null, basis: "percent" }), null);
+  });
+
+  it("totals and formats components", () => {
+    const components = [
+      { component: "SiO2", amount: 45, basis: "percent" },
+      { component: "Pb", amount: 200, basis: "ppm" },
+      { component: "Fe", amount: null, basis: "percent" },
+    ];
+    assert.equal(totalPercent(components), 45.02);
+    assert.equal(formatComposition(components), "SiO2 45%, Pb 200 ppm, Fe");
+  });
+});
+
+describe("validateComponents", () => {
+  it("normalises valid components", () => {
+    const { components, fields } = validateComponents([
+      { component: "Silica", identifier: "7631-86-9", amount: "45" },
+      { component: "Pb", amount: 200, basis: "ppm", method: "XRF" },
+    ]);
+    assert.deepEqual(fields, []);
+    assert.deepEqual(components[0], {
+      component: "Silica",
+      identifier: "7631-86-9",
+      amount: 45,
+      basis: "percent",
+      method: null,
+      lab_reference: null,
+    });
+    assert.equal(components[1].method, "XRF");
+  });
+
+  it("names the field of each problem", () => {
+    const { fields } = validateComponents([
+      { component: "SiO2", amount: 120 },
+      { component: "sio2" },
+      { component: "Silica", identifier: "7631-86-8" },
+      { component: "Pb", amount: 2000000, basis: "ppm" },
+      {},
+    ]);
+    assert.deepEqual(
+      fields.map((f) => f.field),
+      [
+        "components[0].amount",
+        "components[1].component",
+        "components[2].identifier",
+        "components[3].amount",
+        "components[4].component",
+      ],
+    );
+  });
+
+  it("rejects amounts adding up to more than 100%", () => {
+    const { fields } = validateComponents([
+      { component: "CaO", amount: 60 },
+      { component: "SiO2", amount: 45 },
+    ]);
+    assert.deepEqual(
+      fields.map((f) => f.field),
+      ["components"],
+    );
+  });
+
+  it("allows a small excess from rounding", () => {
+    const { fields } = validateComponents([
+      { component: "CaO", amount: 60.5 },
+      { component: "SiO2", amount: 40.3 },
+    ]);
+    assert.deepEqual(fields, []);
+  });
+
+  it("rejects a list that is not an array", () => {
+    const { fields } = validateComponents("SiO2 45%");
+    assert.deepEqual(fields, [
+      { field: "components", message: "Must be a list" },
+    ]);
+  });
+});
+
+describe("findComponent", () => {
+  const components = [
+    { component: "Silica", identifier: "SiO2", amount: 45, basis: "percent" },
+    { component: "Pb", identifier: null, amount: 200, basis: "ppm" },
+  ];
+
+  it("finds a component by name or identifier in any case", () => {
+    assert.deepEqual(findComponent(components, "silica"), {
+      present: true,
+      percent: 45,
+    });
+    assert.deepEqual(findComponent(components, "sio2"), {
+      present: true,
+      percent: 45,
+    });
+    assert.deepEqual(findComponent(components, "PB"), {
+      present: true,
+      percent: 0.02,
+    });
+  });
+
+  it("reports components that are not listed", () => {
+    assert.deepEqual(findComponent(components, "Cu"), {
+      present: false,
+      percent: null,
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+describe("opportunity discovery", () => {
+  let server;
+  let api;
+  let token;
+  const industries = {};
+  let material;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    token = await server.signUp("Steelworks", "ops@steel.test");
+    for (const [name, sector, latitude, longitude] of [
+      ["Mill", "Steel", 13.08, 80.27],
+      ["Kiln", "Cement", 13.23, 80.32],
+      ["Works", "Construction", 28.61, 77.21],
+    ]) {
+      const { body } = await api("POST", "/industries", {
+        token,
+        body: { name, sector, latitude, longitude },
+      });
+      industries[name] = body.id;
+    }
+    ({
+      body: { id: material },
+    } = await api("POST", "/materials", {
+      token,
+      body: {
+        industry_id: industries.Mill,
+        name: "BF slag",
+        material_type: "blast furnace slag",
+        quantity: 500,
+        unit: "t",
+      },
+    }));
+  });
+
+  after(() => server?.stop());
+
+  const discover = (body) =>
+    api("POST", "/reuse-opportunities/discover", { token, body });
+
+  it("stays within the radius of the material's source", async () => {
+    const { status, body } = await discover({ threshold: 0, radius_km: 100 });
+    assert.equal(status, 200);
+    assert.equal(body.out_of_range, 1);
+    assert.deepEqual(
+      body.opportunities.map((o) => [
+        o.source_material_id,
+        o.target_industry_id,
+      ]),
+      [[material, industries.Kiln]],
+    );
+    assert.ok(body.opportunities[0].distance_km > 10);
+    assert.ok(body.opportunities[0].distance_km < 30);
+  });
+
+  it("matches every other industry once and never the source itself", async () => {
+    const { body } = await discover({ threshold: 0 });
+    assert.equal(body.evaluated, 2);
+    assert.equal(body.skipped, 1);
+    assert.deepEqual(
+      body.opportunities.map((o) => o.target_industry_id),
+      [industries.Works],
+    );
+
+    const again = await discover({ threshold: 0 });
+    assert.equal(again.body.created, 0);
+    assert.equal(again.body.skipped, 2);
+
+    const { body: listed } = await api(
+      "GET",
+      `/reuse-opportunities?material_id=${material}`,
+    );
+    assert.equal(listed.pagination.total, 2);
+  });
+
+  it("leaves out pairs below the feasibility threshold", async () => {
+    await api("POST", "/materials", {
+      token,
+      body: {
+        industry_id: industries.Kiln,
+        name: "Kiln dust",
+        material_type: "cement kiln dust",
+      },
+    });
+    const { body } = await discover({ threshold: 1 });
+    assert.equal(body.created, 0);
+    assert.equal(body.below_threshold, 2);
+  });
+
+  it("rejects a threshold outside 0 to 1", async () => {
+    const { status, body } = await discover({ threshold: 1.5 });
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, "threshold");
+  });
+});
@@ -0,0 +1,190 @@
+const assert = require("node:assert/strict");
+const { runQuery } = require("../db");
+const { migrate } = require("../migrate");
+const {
+  exponentialSmoothing,
+  seasonalNaive,
+  forecastSeries,
+  forecastGeneration,
+} = require("../lib/forecast");
+
+// Two years of a stream peaking every December
+const SEASONAL = Array.from({ length: 24 }, (_, i) =>
+  i % 12 === 11 ? 50 : 10 + (i % 12),
+);
+
+describe("exponentialSmoothing", () => {
+  it("projects a steady series at its level without spread", () => {
+    const { method, points } = exponentialSmoothing([5, 5, 5, 5], 3);
+    assert.equal(method, "exponential_smoothing");
+    assert.deepEqual(points, [
+      { value: 5, sigma: 0 },
+      { value: 5, sigma: 0 },
+      { value: 5, sigma: 0 },
+    ]);
+  });
+
+  it("takes the spread as the level itself with too few errors", () => {
+    const { points } = exponentialSmoothing([4, 4], 1);
+    assert.deepEqual(points, [{ value: 4, sigma: 4 }]);
+  });
+
+  it("fits the smoothing factor to the history", () => {
+    // A series that keeps jumping to a new level follows it closely
+    const { alpha } = exponentialSmoothing([1, 10, 20, 30, 40, 50], 1);
+    assert.equal(alpha, 0.9);
+  });
+
+  it("widens the interval further ahead", () => {
+    const { points } = exponentialSmoothing([8, 12, 9, 11, 10], 3);
+    assert.ok(points[0].sigma > 0);
+    assert.ok(points[1].sigma > points[0].sigma);
+    assert.ok(points[2].sigma > points[1].sigma);
+  });
+
+  it("blends in the prior while the history is short", () => {
+    const short = exponentialSmoothing([4, 4, 4], 1, 10);
+    assert.equal(short.prior_weight, 0.75);
+    assert.equal(short.points[0].value, 0.75 * 10 + 0.25 * 4);
+
+    const year = exponentialSmoothing(Array(12).fill(4), 1, 10);
+    assert.equal(year.prior_weight, 0);
+    assert.equal(year.points[0].value, 4);
+  });
+});
+
+describe("seasonalNaive", () => {
+  it("repeats the last season", () => {
+    const { method, points } = seasonalNaive(SEASONAL, 13);
+    assert.equal(method, "seasonal_naive");
+    assert.deepEqual(
+      points.map((p) => p.value),
+      [...SEASONAL.slice(12), SEASONAL[12]],
+    );
+    assert.ok(points.every((p) => p.sigma === 0));
+  });
+
+  it("grows the error with each season ahead", () => {
+    const noisy = SEASONAL.map((value, i) => value + (i < 12 ? 0 : 2));
+    const { points } = seasonalNaive(noisy, 25);
+    assert.equal(points[0].sigma, 2);
+    assert.equal(points[11].sigma, 2);
+    assert.equal(points[12].sigma, 2 * Math.sqrt(2));
+    assert.equal(points[24].sigma, 2 * Math.sqrt(3));
+  });
+});
+
+describe("forecastSeries", () => {
+  it("chooses seasonal naive from two seasons that show it", () => {
+    assert.equal(forecastSeries(SEASONAL, 6).method, "seasonal_naive");
+  });
+
+  it("smooths with less than two seasons unless told otherwise", () => {
+    const history = SEASONAL.slice(0, 18);
+    assert.equal(forecastSeries(history, 6).method, "exponential_smoothing");
+    assert.equal(
+      forecastSeries(history, 6, { method: "seasonal_naive" }).method,
+      "seasonal_naive",
+    );
+  });
+
+  it("cannot repeat a season it has not seen in full", () => {
+    const { method } = forecastSeries(SEASONAL.slice(0, 12), 6, {
+      method: "seasonal_naive",
+    });
+    assert.equal(method, "exponential_smoothing");
+  });
+
+  it("smooths when asked even if the series is seasonal", () => {
+    const { method } = forecastSeries(SEASONAL, 6, {
+      method: "exponential_smoothing",
+    });
+    assert.equal(method, "exponential_smoothing");
+  });
+});
+
+describe("forecastGeneration", () => {
+  // Noon UTC on the 15th, `months` months from now
+  const monthsFromNow = (months) => {
+    const now = new Date();
+    return new Date(
+      Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + months, 15, 12),
+    );
+  };
+  const sqlDate = (date) => date.toISOString().replace("T", " ").slice(0, 19);
+  const monthKey = (date) => date.toISOString().slice(0, 7);
+
+  before(async () => {
+    await migrate();
+    await runQuery(
+      "INSERT INTO industries (id, name, sector, annual_output) VALUES (1, 'Mill', 'Steel', 1000), (2, 'Kiln', 'Cement', 0)",
+    );
+    await runQuery(
+      `INSERT INTO materials (id, industry_id, name, material_type, quantity, unit, created_at)
+       VALUES (1, 1, 'BF slag', 'Slag', 10, 't', ?),
+              (2, 1, 'Slag fines', 'slag', 4000, 'kg', ?),
+              (3, 1, 'Sludge', 'sludge', 5, 'm3', ?)`,
+      [
+        sqlDate(monthsFromNow(-2)),
+        sqlDate(monthsFromNow(0)),
+        sqlDate(monthsFromNow(-1)),
+      ],
+    );
+    await runQuery(
+      `INSERT INTO transactions (source_industry_id, target_industry_id, material_id,
+         quantity_transferred, unit, status, completed_at)
+       VALUES (1, 2, 1, 5000, 'kg', 'completed', ?),
+              (1, 2, 1, 99, 't', 'pending', NULL)`,
+      [sqlDate(monthsFromNow(-1))],
+    );
+  });
+
+  it("counts what was transferred as generated in the month registered", async () => {
+    const { months, data } = await forecastGeneration({
+      horizon: 3,
+      history: 12,
+      method: "auto",
+    });
+    assert.deepEqual(
+      months,
+      [1, 2, 3].map((m) => monthKey(monthsFromNow(m))),
+    );
+
+    const slag = data.find((stream) => stream.material_type === "Slag");
+    assert.deepEqual(slag.materials, [1, 2]);
+    assert.deepEqual(slag.history, [
+      {
+        month: monthKey(monthsFromNow(-2)),
+        generated_t: 15,
+        transferred_t: 0,
+      },
+      {
+        month: monthKey(monthsFromNow(-1)),
+        generated_t: 0,
+        transferred_t: 5,
+      },
+      {
+        month: monthKey(monthsFromNow(0)),
+        generated_t: 4,
+        transferred_t: 0,
+      },
+    ]);
+    assert.equal(slag.forecast.length, 3);
+    assert.equal(slag.method, "exponential_smoothing");
+    // No other industry reports an output, so the prior is the mean month
+    assert.equal(slag.prior_t, 6.333);
+  });
+
+  it("leaves out materials that do not convert to tonnes", async () => {
+    const { data } = await forecastGeneration({
+      material_type: "SLUDGE",
+      horizon: 1,
+      history: 12,
+    });
+    assert.equal(data.length, 1);
+    assert.equal(data[0].unconverted, 1);
+    assert.deepEqual(data[0].history, []);
+    assert.equal(data[0].forecast.length, 0);
+    assert.equal(data[0].total, null);
+  });
+});
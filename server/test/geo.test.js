@@ -0,0 +1,182 @@
+const assert = require("node:assert/strict");
+const { distanceKm, geocode } = require("../lib/geo");
+const { coordinateErrors, placeIndustry } = require("../lib/records");
+const { startServer } = require("./helpers/server");
+
+const CHENNAI = { latitude: 13.0827, longitude: 80.2707 };
+const MUMBAI = { latitude: 19.076, longitude: 72.8777 };
+
+describe("distanceKm", () => {
+  it("measures the great-circle distance", () => {
+    assert.equal(Math.round(distanceKm(CHENNAI, MUMBAI)), 1033);
+    assert.equal(distanceKm(CHENNAI, CHENNAI), 0);
+  });
+
+  it("is unknown when either point has no coordinates", () => {
+    assert.equal(
+      distanceKm(CHENNAI, { latitude: null, longitude: null }),
+      null,
+    );
+    assert.equal(distanceKm(null, MUMBAI), null);
+  });
+});
+
+describe("geocode", () => {
+  it("finds places by name or alias, whatever the case and accents", () => {
+    assert.deepEqual(geocode("MADRAS"), {
+      ...CHENNAI,
+      place: "Chennai, India",
+    });
+    assert.equal(geocode("Ennore, Tamil Nadu").place, "Ennore, India");
+  });
+
+  it("returns null for places it does not know", () => {
+    assert.equal(geocode("Atlantis"), null);
+    assert.equal(geocode(""), null);
+  });
+});
+
+describe("coordinateErrors", () => {
+  it("requires latitude and longitude together", () => {
+    assert.deepEqual(coordinateErrors({ latitude: 13, longitude: 80 }), []);
+    assert.deepEqual(coordinateErrors({}), []);
+    assert.deepEqual(coordinateErrors({ latitude: 13 }), [
+      {
+        field: "longitude",
+        message: "Latitude and longitude must be given together",
+      },
+    ]);
+  });
+});
+
+describe("placeIndustry", () => {
+  it("looks up a new location and marks where coordinates came from", () => {
+    const fields = { location: "Bombay" };
+    assert.equal(placeIndustry(fields), true);
+    assert.deepEqual(fields, {
+      location: "Bombay",
+      ...MUMBAI,
+      location_source: "gazetteer",
+    });
+
+    const manual = { location: "Bombay", latitude: 19, longitude: 73 };
+    placeIndustry(manual);
+    assert.equal(manual.location_source, "manual");
+  });
+
+  it("keeps manual coordinates when the location moves somewhere unknown", () => {
+    const stored = {
+      location: "Plant 4",
+      latitude: 19,
+      longitude: 73,
+      location_source: "manual",
+    };
+    const fields = { location: "Plant 5" };
+    assert.equal(placeIndustry(fields, stored), false);
+    assert.equal(fields.latitude, undefined);
+  });
+});
+
+describe("distances", () => {
+  let server;
+  let api;
+  let token;
+  const industries = {};
+  const opportunities = {};
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    token = await server.signUp("Steelworks", "ops@steel.test");
+    for (const [name, sector, location] of [
+      ["Mill", "Steel", "Chennai"],
+      ["Kiln", "Cement", "Ennore"],
+      ["Works", "Cement", "Mumbai"],
+      ["Depot", "Cement", "Plant 9"],
+    ]) {
+      const { body } = await api("POST", "/industries", {
+        token,
+        body: { name, sector, location },
+      });
+      industries[name] = body.id;
+    }
+    const { body: slag } = await api("POST", "/materials", {
+      token,
+      body: {
+        industry_id: industries.Mill,
+        name: "Slag",
+        material_type: "blast furnace slag",
+      },
+    });
+    for (const name of ["Kiln", "Works", "Depot"]) {
+      const { body } = await api("POST", "/reuse-opportunities", {
+        token,
+        body: {
+          source_material_id: slag.id,
+          target_industry_id: industries[name],
+        },
+      });
+      opportunities[name] = body;
+    }
+  });
+
+  after(() => server?.stop());
+
+  it("places industries from their location", async () => {
+    const { body } = await api("GET", `/industries/${industries.Kiln}`);
+    assert.equal(body.location_source, "gazetteer");
+    assert.equal(body.latitude, 13.2146);
+
+    const { body: depot } = await api("GET", `/industries/${industries.Depot}`);
+    assert.equal(depot.latitude, null);
+  });
+
+  it("refuses half a coordinate pair", async () => {
+    const { status, body } = await api(
+      "PATCH",
+      `/industries/${industries.Depot}`,
+      {
+        token,
+        body: { latitude: 12.9 },
+      },
+    );
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, "longitude");
+  });
+
+  it("looks locations up for forms", async () => {
+    const found = await api("GET", "/geocode?q=Madras");
+    assert.equal(found.status, 200);
+    assert.equal(found.body.place, "Chennai, India");
+
+    const missing = await api("GET", "/geocode?q=Atlantis");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.fields[0].field, "q");
+  });
+
+  it("discounts feasibility with distance", () => {
+    const { Kiln, Works, Depot } = opportunities;
+    assert.ok(Kiln.distance_km > 10 && Kiln.distance_km < 30);
+    assert.ok(Works.distance_km > 1000);
+    assert.equal(Depot.distance_km, null);
+    assert.ok(Works.feasibility_index < Kiln.feasibility_index);
+  });
+
+  it("filters and sorts opportunities by distance", async () => {
+    const list = async (query) => {
+      const { status, body } = await api(
+        "GET",
+        `/reuse-opportunities?${query}`,
+      );
+      assert.equal(status, 200);
+      return body.data.map((opportunity) => opportunity.target_industry_id);
+    };
+    assert.deepEqual(await list("radius_km=100"), [industries.Kiln]);
+    // Pairs without a distance come last either way
+    assert.deepEqual(await list("sort=distance_km&order=desc"), [
+      industries.Works,
+      industries.Kiln,
+      industries.Depot,
+    ]);
+  });
+});
@@ -0,0 +1,187 @@
+const assert = require("node:assert/strict");
+const {
+  MAX_LOOP_LENGTH,
+  MAX_LOOPS,
+  MAX_PATHWAYS,
+  buildGraph,
+  degreeCentrality,
+  betweennessCentrality,
+  connectedComponents,
+  articulationPoints,
+  findLoops,
+  findPathways,
+} = require("../lib/graph");
+
+const nodes = (...ids) => ids.map((id) => ({ id }));
+
+let nextEdge = 1;
+const edge = (source, target, weight = 1) => ({
+  id: nextEdge++,
+  source,
+  target,
+  weight,
+});
+
+// 1 → 2 → 3 → 1 and 3 → 4 → 5, with 6 on its own
+const network = () =>
+  buildGraph(nodes(1, 2, 3, 4, 5, 6), [
+    edge(1, 2, 0.9),
+    edge(2, 3, 0.8),
+    edge(3, 1, 0.7),
+    edge(3, 4, 0.6),
+    edge(4, 5, 0.5),
+  ]);
+
+describe("buildGraph", () => {
+  it("ignores self-loops and edges to unknown industries", () => {
+    const graph = buildGraph(nodes(1, 2), [edge(1, 2), edge(1, 1), edge(2, 9)]);
+    assert.equal(graph.edges.length, 1);
+    assert.deepEqual([...graph.successors.get(1)], [2]);
+    assert.deepEqual([...graph.predecessors.get(2)], [1]);
+  });
+
+  it("counts parallel opportunities as one connection", () => {
+    const graph = buildGraph(nodes(1, 2), [edge(1, 2), edge(1, 2)]);
+    assert.equal(graph.outgoing.get(1).length, 2);
+    assert.equal(degreeCentrality(graph).get(1).out_degree, 1);
+  });
+});
+
+describe("degreeCentrality", () => {
+  it("counts in, out and total connections", () => {
+    const degrees = degreeCentrality(network());
+    assert.deepEqual(degrees.get(3), {
+      in_degree: 1,
+      out_degree: 2,
+      degree: 3,
+      degree_centrality: 3 / 5,
+    });
+    assert.equal(degrees.get(6).degree, 0);
+  });
+});
+
+describe("betweennessCentrality", () => {
+  it("scores the industries that shortest paths pass through", () => {
+    const centrality = betweennessCentrality(
+      buildGraph(nodes(1, 2, 3), [edge(1, 2), edge(2, 3)]),
+    );
+    assert.equal(centrality.get(1), 0);
+    assert.equal(centrality.get(2), 0.5);
+    assert.equal(centrality.get(3), 0);
+  });
+
+  it("is zero in networks too small to route through", () => {
+    const centrality = betweennessCentrality(
+      buildGraph(nodes(1, 2), [edge(1, 2)]),
+    );
+    assert.deepEqual([...centrality.values()], [0, 0]);
+  });
+});
+
+describe("connectedComponents", () => {
+  it("lists clusters ignoring direction, largest first", () => {
+    assert.deepEqual(connectedComponents(network()), [[1, 2, 3, 4, 5], [6]]);
+  });
+});
+
+describe("articulationPoints", () => {
+  it("finds the industries a cluster falls apart without", () => {
+    assert.deepEqual(articulationPoints(network()), [
+      { id: 3, parts: 2, cut_off: 2 },
+      { id: 4, parts: 2, cut_off: 1 },
+    ]);
+  });
+});
+
+describe("findLoops", () => {
+  it("lists each cycle once from its lowest industry", () => {
+    const graph = buildGraph(nodes(1, 2, 3, 4), [
+      edge(2, 3),
+      edge(3, 1),
+      edge(1, 2),
+      edge(3, 4),
+      edge(4, 3),
+    ]);
+    assert.deepEqual(findLoops(graph), {
+      loops: [
+        [1, 2, 3],
+        [3, 4],
+      ],
+      truncated: false,
+    });
+  });
+
+  it("ignores cycles longer than MAX_LOOP_LENGTH", () => {
+    const ring = (size) => {
+      const ids = Array.from({ length: size }, (_, i) => i + 1);
+      return buildGraph(
+        nodes(...ids),
+        ids.map((id) => edge(id, (id % size) + 1)),
+      );
+    };
+    assert.equal(findLoops(ring(MAX_LOOP_LENGTH)).loops.length, 1);
+    assert.equal(findLoops(ring(MAX_LOOP_LENGTH + 1)).loops.length, 0);
+  });
+
+  it("stops after MAX_LOOPS", () => {
+    // Every pair of distinct industries is a two-industry loop
+    const ids = Array.from({ length: 12 }, (_, i) => i + 1);
+    const edges = ids.flatMap((a) =>
+      ids.filter((b) => b !== a).map((b) => edge(a, b)),
+    );
+    const { loops, truncated } = findLoops(buildGraph(nodes(...ids), edges));
+    assert.equal(loops.length, MAX_LOOPS);
+    assert.equal(truncated, true);
+  });
+
+  it("gives up on dense networks without loops instead of walking every path", () => {
+    const ids = Array.from({ length: 60 }, (_, i) => i + 1);
+    const edges = ids.flatMap((a) =>
+      ids.filter((b) => b > a).map((b) => edge(a, b)),
+    );
+    const started = Date.now();
+    const { loops, truncated } = findLoops(buildGraph(nodes(...ids), edges));
+    assert.deepEqual(loops, []);
+    assert.equal(truncated, true);
+    assert.ok(Date.now() - started < 5000);
+  });
+});
+
+describe("findPathways", () => {
+  it("follows opportunities out of each industry reached, best first", () => {
+    const graph = network();
+    const [first] = graph.outgoing.get(1);
+    const pathways = findPathways(graph, [first], 3);
+    assert.deepEqual(
+      pathways.map(({ steps, score }) => ({
+        route: [steps[0].source, ...steps.map((step) => step.target)],
+        score: Math.round(score * 1000) / 1000,
+      })),
+      [
+        { route: [1, 2], score: 0.9 },
+        { route: [1, 2, 3], score: 0.72 },
+        { route: [1, 2, 3, 4], score: 0.432 },
+      ],
+    );
+  });
+
+  it("never returns to an industry already on the pathway", () => {
+    const graph = network();
+    const pathways = findPathways(graph, graph.outgoing.get(2), 10);
+    for (const { steps } of pathways) {
+      const visited = [steps[0].source, ...steps.map((step) => step.target)];
+      assert.equal(new Set(visited).size, visited.length);
+    }
+    assert.equal(Math.max(...pathways.map((p) => p.steps.length)), 3);
+  });
+
+  it("keeps only the MAX_PATHWAYS best", () => {
+    const ids = Array.from({ length: 8 }, (_, i) => i + 1);
+    const graph = buildGraph(
+      nodes(...ids),
+      ids.flatMap((a) => ids.filter((b) => b !== a).map((b) => edge(a, b))),
+    );
+    const pathways = findPathways(graph, graph.outgoing.get(1), 4);
+    assert.equal(pathways.length, MAX_PATHWAYS);
+  });
+});
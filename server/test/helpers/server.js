@@ -0,0 +1,108 @@
+// test/helpers/server.js - The API under test
+// Starts index.js as a child process on a fresh database in a temporary
+// directory, so route tests exercise the server as deployed: migrations,
+// middleware and all.
+
+const { execFileSync, spawn } = require("child_process");
+const { once } = require("events");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const SERVER_DIR = path.join(__dirname, "..", "..");
+
+// Printed once the schema is migrated and the port is open
+const READY = ["Database initialization complete", "Server running"];
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+/**
+ * Starts the server with `env` added to the environment. Resolves to
+ * { api, signUp, cli, dir, stop }: api(method, route, { token, body, headers })
+ * sends a request to /api<route> and resolves to { status, headers, body };
+ * signUp registers a new organization with its admin and resolves to the
+ * admin's token; cli(script, ...args) runs one of the server's CLIs on the
+ * same database and returns its output. dir is a temporary directory for
+ * files the test needs.
+ */
+const startServer = async (env = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "b2g-test-"));
+  const dbPath = path.join(dir, "test.db");
+  const port = await freePort();
+  const child = spawn(process.execPath, ["index.js"], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      ...env,
+      DB_PATH: dbPath,
+      PORT: String(port),
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  child.stderr.on("data", (chunk) => (output += chunk));
+  await new Promise((resolve, reject) => {
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (READY.every((line) => output.includes(line))) resolve();
+    });
+    child.on("exit", (code) =>
+      reject(new Error(`Server exited with code ${code}:\n${output}`)),
+    );
+  });
+
+  const api = async (method, route, { token, body, headers } = {}) => {
+    const response = await fetch(`http://localhost:${port}/api${route}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  };
+
+  const signUp = async (organization_name, email) => {
+    const { status, body } = await api("POST", "/auth/register", {
+      body: { organization_name, name: email, email, password: "secret123" },
+    });
+    if (status !== 201) throw new Error(`Cannot register ${email}: ${status}`);
+    return body.token;
+  };
+
+  const stop = async () => {
+    if (child.exitCode === null) {
+      child.kill();
+      await once(child, "exit");
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  const cli = (script, ...args) =>
+    execFileSync(process.execPath, [script, ...args], {
+      cwd: SERVER_DIR,
+      env: { ...process.env, ...env, DB_PATH: dbPath },
+      encoding: "utf8",
+    });
+
+  return { api, signUp, cli, dir, stop };
+};
+
+module.exports = { startServer };
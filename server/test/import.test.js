@@ -0,0 +1,149 @@
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+// A CSV file as the client uploads it
+const csv = (filename, ...lines) => ({
+  filename,
+  content: Buffer.from(lines.join("\n")).toString("base64"),
+});
+
+describe("import commit", () => {
+  let server;
+  let api;
+  let admin;
+  let rival;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    admin = await server.signUp("Steelworks", "ops@steel.test");
+    rival = await server.signUp("Cement Co", "ops@cement.test");
+    await api("POST", "/industries", {
+      token: rival,
+      body: { name: "Kiln", sector: "Construction" },
+    });
+  });
+
+  after(() => server?.stop());
+
+  const industryNames = async () =>
+    (await api("GET", "/industries")).body.map((industry) => industry.name);
+
+  const materialNames = async () =>
+    (await api("GET", "/materials")).body.data.map((material) => material.name);
+
+  it("writes nothing when any row is invalid", async () => {
+    const { status, body } = await api("POST", "/import/industries/commit", {
+      token: admin,
+      body: csv(
+        "plants.csv",
+        "name,sector,city",
+        "Mill,Steel,Chennai",
+        "Foundry,,Ennore",
+      ),
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /1 of 2 rows have errors/);
+    assert.ok(body.fields.some(({ field }) => field === "rows[3].sector"));
+    assert.equal(body.report.created, 0);
+    assert.deepEqual(await industryNames(), ["Kiln"]);
+  });
+
+  it("refuses names repeated within the file or already taken", async () => {
+    const { status, body } = await api("POST", "/import/industries/commit", {
+      token: admin,
+      body: csv(
+        "plants.csv",
+        "name,sector",
+        "Mill,Steel",
+        "Mill,Steel",
+        "Kiln,Construction",
+      ),
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(
+      body.fields.map(({ field }) => field),
+      ["rows[3].name", "rows[4].name"],
+    );
+    assert.deepEqual(await industryNames(), ["Kiln"]);
+  });
+
+  it("creates every row for the importer's organization", async () => {
+    const { status, body } = await api("POST", "/import/industries/commit", {
+      token: admin,
+      body: csv(
+        "plants.csv",
+        "Plant;Category;Lat;Lng",
+        "Mill;Steel;13.08;80.27",
+        "Foundry;Metals;13.23;80.32",
+      ),
+    });
+    assert.equal(status, 201);
+    assert.equal(body.created, 2);
+    assert.equal(body.message, "Imported 2 industries");
+    assert.ok(body.rows.every(({ id }) => Number.isInteger(id)));
+
+    const { body: industries } = await api("GET", "/industries");
+    const mill = industries.find((industry) => industry.name === "Mill");
+    assert.equal(mill.organization_name, "Steelworks");
+    assert.equal(mill.latitude, 13.08);
+  });
+
+  it("imports materials only into the importer's own industries", async () => {
+    const file = (industry) =>
+      csv(
+        "stock.csv",
+        "industry,name,material_type,quantity,unit",
+        "Mill,BF slag,blast furnace slag,120,t",
+        `${industry},Fly ash,fly ash,40,t`,
+      );
+
+    const refused = await api("POST", "/import/materials/commit", {
+      token: admin,
+      body: file("Kiln"),
+    });
+    assert.equal(refused.status, 400);
+    assert.deepEqual(refused.body.fields, [
+      { field: "rows[3].industry", message: "Belongs to another organization" },
+    ]);
+    assert.deepEqual(await materialNames(), []);
+
+    const { status, body } = await api("POST", "/import/materials/commit", {
+      token: admin,
+      body: file("Foundry"),
+    });
+    assert.equal(status, 201);
+    assert.equal(body.created, 2);
+    assert.deepEqual((await materialNames()).sort(), ["BF slag", "Fly ash"]);
+  });
+
+  it("needs permission to write what is imported", async () => {
+    const added = await api("POST", "/organization/members", {
+      token: admin,
+      body: {
+        name: "Reader",
+        email: "reader@steel.test",
+        password: "secret123",
+        role: "viewer",
+      },
+    });
+    assert.equal(added.status, 201);
+    const {
+      body: { token: viewer },
+    } = await api("POST", "/auth/login", {
+      body: { email: "reader@steel.test", password: "secret123" },
+    });
+
+    const file = csv("plants.csv", "name,sector", "Smelter,Metals");
+    const { status } = await api("POST", "/import/industries/commit", {
+      token: viewer,
+      body: file,
+    });
+    assert.equal(status, 403);
+    const anonymous = await api("POST", "/import/industries/commit", {
+      body: file,
+    });
+    assert.equal(anonymous.status, 401);
+    assert.ok(!(await industryNames()).includes("Smelter"));
+  });
+});
@@ -0,0 +1,110 @@
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+describe("list endpoints", () => {
+  let server;
+  let api;
+
+  const QUANTITIES = [30, 10, 70, 50, 10, 60, 20];
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    const token = await server.signUp("Steelworks", "ops@steel.test");
+    const ids = {};
+    for (const [name, sector] of [
+      ["Mill", "Steel"],
+      ["Kiln", "Cement"],
+    ]) {
+      const { body } = await api("POST", "/industries", {
+        token,
+        body: { name, sector },
+      });
+      ids[name] = body.id;
+    }
+    for (const [i, quantity] of QUANTITIES.entries()) {
+      await api("POST", "/materials", {
+        token,
+        body: {
+          industry_id: i % 2 === 0 ? ids.Mill : ids.Kiln,
+          name: `Lot ${i + 1}`,
+          material_type: i % 2 === 0 ? "blast furnace slag" : "kiln dust",
+          quantity,
+          unit: "t",
+        },
+      });
+    }
+  });
+
+  after(() => server?.stop());
+
+  const list = async (query) => {
+    const { status, body } = await api("GET", `/materials?${query}`);
+    assert.equal(status, 200);
+    return body;
+  };
+
+  it("pages through the results without overlap", async () => {
+    const first = await list("limit=3&sort=name&order=asc");
+    assert.deepEqual(first.pagination, {
+      total: 7,
+      page: 1,
+      limit: 3,
+      pages: 3,
+    });
+    assert.deepEqual(first.sort, { field: "name", order: "asc" });
+
+    const seen = [];
+    for (const page of [1, 2, 3]) {
+      const { data } = await list(`limit=3&page=${page}&sort=name&order=asc`);
+      seen.push(...data.map((material) => material.name));
+    }
+    assert.deepEqual(
+      seen,
+      QUANTITIES.map((_, i) => `Lot ${i + 1}`),
+    );
+    assert.deepEqual((await list("limit=3&page=4")).data, []);
+  });
+
+  it("sorts by the requested field, breaking ties by id", async () => {
+    const { data } = await list("sort=quantity&order=asc");
+    assert.deepEqual(
+      data.map((material) => material.quantity),
+      [...QUANTITIES].sort((a, b) => a - b),
+    );
+    // Lots 2 and 5 both hold 10 t
+    assert.deepEqual(
+      data.slice(0, 2).map((material) => material.name),
+      ["Lot 2", "Lot 5"],
+    );
+  });
+
+  it("combines filters", async () => {
+    // The slag is lots 1, 3, 5 and 7, at 30, 70, 10 and 20 t
+    const { data, pagination } = await list(
+      "material_type=slag&min_quantity=20&max_quantity=70&sort=quantity&order=asc",
+    );
+    assert.equal(pagination.total, 3);
+    assert.deepEqual(
+      data.map((material) => [material.name, material.industry_name]),
+      [
+        ["Lot 7", "Mill"],
+        ["Lot 1", "Mill"],
+        ["Lot 3", "Mill"],
+      ],
+    );
+  });
+
+  it("rejects unknown sort fields and out-of-range paging", async () => {
+    for (const query of [
+      "sort=colour",
+      "order=sideways",
+      "limit=501",
+      "page=0",
+    ]) {
+      const { status, body } = await api("GET", `/materials?${query}`);
+      assert.equal(status, 400, query);
+      assert.equal(body.fields.length, 1);
+    }
+  });
+});
@@ -0,0 +1,162 @@
+const assert = require("node:assert/strict");
+const { TRANSPORT_MODES, estimateLogistics } = require("../lib/logistics");
+const { startServer } = require("./helpers/server");
+
+describe("estimateLogistics", () => {
+  const SHIPMENT = {
+    transport_mode: "truck",
+    quantity_t: 100,
+    distance_km: 100,
+    material_type: "blast furnace slag",
+  };
+
+  it("weighs haulage against avoided disposal and virgin material", () => {
+    const estimate = estimateLogistics(SHIPMENT);
+    // 100 km as the crow flies is 130 km by road
+    assert.equal(estimate.route_km, 130);
+    assert.equal(estimate.tonne_km, 13000);
+    // 4 per tonne handled and 0.09 per tonne-km
+    assert.equal(estimate.haulage_cost, 1570);
+    assert.equal(estimate.avoided_disposal_cost, 3500);
+    assert.equal(estimate.avoided_virgin_cost, 3000);
+    assert.equal(estimate.net_savings, 4930);
+    assert.equal(estimate.haulage_co2e_t, 1.365);
+    assert.equal(estimate.avoided_co2e_t, 35.5);
+    assert.equal(estimate.net_co2e_reduction_t, 34.135);
+    assert.equal(estimate.factors.material.label, "Slag");
+  });
+
+  it("uses a given route distance and factor overrides", () => {
+    const estimate = estimateLogistics({
+      ...SHIPMENT,
+      route_km: 200,
+      overrides: { disposal_cost_per_t: 0, virgin_co2e_kg_per_t: 0 },
+    });
+    assert.equal(estimate.distance_km, 100);
+    assert.equal(estimate.route_km, 200);
+    assert.equal(estimate.avoided_disposal_cost, 0);
+    assert.equal(estimate.avoided_co2e_t, 0.5);
+  });
+
+  it("falls back to the default factors for unknown materials", () => {
+    const estimate = estimateLogistics({
+      ...SHIPMENT,
+      material_type: "mystery sludge",
+    });
+    assert.equal(estimate.factors.material.label, "Other");
+  });
+});
+
+describe("logistics estimates", () => {
+  let server;
+  let api;
+  let token;
+  const opportunities = {};
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    token = await server.signUp("Steelworks", "ops@steel.test");
+    const industries = {};
+    for (const [name, sector, location] of [
+      ["Mill", "Steel", "Chennai"],
+      ["Kiln", "Cement", "Ennore"],
+      ["Depot", "Cement", "Plant 9"],
+    ]) {
+      const { body } = await api("POST", "/industries", {
+        token,
+        body: { name, sector, location },
+      });
+      industries[name] = body.id;
+    }
+    const { body: slag } = await api("POST", "/materials", {
+      token,
+      body: {
+        industry_id: industries.Mill,
+        name: "Slag",
+        material_type: "blast furnace slag",
+        quantity: 100,
+        unit: "t",
+      },
+    });
+    for (const name of ["Kiln", "Depot"]) {
+      const { body } = await api("POST", "/reuse-opportunities", {
+        token,
+        body: {
+          source_material_id: slag.id,
+          target_industry_id: industries[name],
+        },
+      });
+      opportunities[name] = body.id;
+    }
+  });
+
+  after(() => server?.stop());
+
+  const estimate = (name, body) =>
+    api("POST", `/reuse-opportunities/${opportunities[name]}/logistics`, {
+      token,
+      body,
+    });
+
+  it("lists the transport modes and factors", async () => {
+    const { status, body } = await api("GET", "/logistics/factors");
+    assert.equal(status, 200);
+    assert.deepEqual(Object.keys(body.modes), TRANSPORT_MODES);
+  });
+
+  it("estimates from the material and the industries' coordinates and stores the result", async () => {
+    const { status, body } = await estimate("Kiln", { transport_mode: "rail" });
+    assert.equal(status, 200);
+    const { logistics } = body;
+    assert.equal(logistics.quantity_t, 100);
+    assert.ok(logistics.distance_km > 10 && logistics.distance_km < 30);
+    assert.deepEqual(logistics.inputs, { transport_mode: "rail" });
+
+    const { body: stored } = await api(
+      "GET",
+      `/reuse-opportunities/${opportunities.Kiln}`,
+    );
+    assert.equal(stored.transport_mode, "rail");
+    assert.equal(stored.estimated_cost_savings, logistics.net_savings);
+    assert.equal(
+      stored.environmental_impact_reduction,
+      logistics.net_co2e_reduction_t,
+    );
+  });
+
+  it("asks for what it cannot work out", async () => {
+    const unplaced = await estimate("Depot", { transport_mode: "truck" });
+    assert.equal(unplaced.status, 400);
+    assert.deepEqual(
+      unplaced.body.fields.map(({ field }) => field),
+      ["distance_km"],
+    );
+
+    const volume = await estimate("Depot", {
+      transport_mode: "truck",
+      quantity: 50,
+      unit: "m3",
+      distance_km: 40,
+    });
+    assert.equal(volume.status, 400);
+    assert.equal(volume.body.fields[0].field, "quantity");
+
+    const given = await estimate("Depot", {
+      transport_mode: "truck",
+      quantity: 50,
+      distance_km: 40,
+    });
+    assert.equal(given.status, 200);
+    assert.equal(given.body.logistics.quantity_t, 50);
+    assert.equal(given.body.logistics.route_km, 40);
+  });
+
+  it("rejects unknown transport modes", async () => {
+    const { status, body } = await estimate("Kiln", {
+      transport_mode: "zeppelin",
+    });
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, "transport_mode");
+  });
+});
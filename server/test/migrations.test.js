@@ -0,0 +1,119 @@
+const assert = require("node:assert/strict");
+const { execFileSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sqlite3 = require("sqlite3");
+
+const SERVER_DIR = path.join(__dirname, "..");
+
+// [version, name] of every migration, in order
+const MIGRATIONS = fs
+  .readdirSync(path.join(SERVER_DIR, "migrations"))
+  .map((file) => file.match(/^(\d+)_(.+)\.js$/))
+  .filter(Boolean)
+  .map(([, version, name]) => [Number(version), name])
+  .sort(([a], [b]) => a - b);
+const [LATEST, LATEST_NAME] = MIGRATIONS.at(-1);
+
+// Migrations run through the CLI against a database file of their own, so
+// rolling back never touches the database other tests share
+describe("migrations", () => {
+  let dir;
+  let dbPath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "b2g-migrations-"));
+    dbPath = path.join(dir, "test.db");
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const migrateCli = (...args) =>
+    execFileSync(process.execPath, ["migrate.js", ...args], {
+      cwd: SERVER_DIR,
+      env: { ...process.env, DB_PATH: dbPath },
+      encoding: "utf8",
+    });
+
+  // Runs statements in order on their own connection; resolves to the rows
+  // of the last
+  const query = (...statements) =>
+    new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(dbPath);
+      const results = [];
+      db.serialize(() => {
+        for (const sql of statements)
+          db.all(sql, (err, rows) => (err ? reject(err) : results.push(rows)));
+        db.close((err) => (err ? reject(err) : resolve(results.at(-1))));
+      });
+    });
+
+  // Every table, index and trigger with its definition, version table aside
+  const schema = () =>
+    query(
+      "SELECT type, name, sql FROM sqlite_master WHERE name NOT IN ('schema_migrations', 'sqlite_sequence') ORDER BY type, name",
+    );
+
+  it("applies each pending migration once", async () => {
+    const first = migrateCli("up");
+    for (const [version, name] of MIGRATIONS)
+      assert.ok(first.includes(`Applied migration ${version} (${name})`));
+    assert.match(migrateCli("up"), /Schema is up to date/);
+
+    const status = migrateCli("status");
+    assert.doesNotMatch(status, /⏳/);
+    const versions = await query(
+      "SELECT version FROM schema_migrations ORDER BY version",
+    );
+    assert.deepEqual(
+      versions.map(({ version }) => version),
+      MIGRATIONS.map(([version]) => version),
+    );
+  });
+
+  it("rolls back step by step and reapplies to the same schema", async () => {
+    migrateCli("up");
+    const applied = await schema();
+
+    assert.ok(migrateCli("down").includes(`Reverted migration ${LATEST}`));
+    const pending = `⏳ ${String(LATEST).padStart(3, "0")} ${LATEST_NAME}`;
+    assert.ok(migrateCli("status").includes(pending));
+    assert.notDeepEqual(await schema(), applied);
+
+    migrateCli("down", "99");
+    assert.deepEqual(await schema(), []);
+    assert.match(migrateCli("down"), /Nothing to roll back/);
+
+    migrateCli("up");
+    assert.deepEqual(await schema(), applied);
+  });
+
+  it("upgrades a database created before versioning and keeps its rows", async () => {
+    fs.copyFileSync(path.join(SERVER_DIR, "data", "symbiosis.db"), dbPath);
+    const counts = () =>
+      query(
+        "SELECT (SELECT COUNT(*) FROM industries) as industries, (SELECT COUNT(*) FROM materials) as materials",
+      );
+    const [before] = await counts();
+
+    migrateCli("up");
+    assert.deepEqual(await counts(), [before]);
+    const columns = await query("PRAGMA table_info(industries)");
+    for (const column of ["annual_output", "organization_id", "latitude"])
+      assert.ok(
+        columns.some(({ name }) => name === column),
+        column,
+      );
+  });
+
+  it("stores requirements' demand in tonnes unless told otherwise", async () => {
+    migrateCli("up");
+    const [{ demand_unit }] = await query(
+      "INSERT INTO industries (id, name, sector) VALUES (1, 'Kiln', 'Cement')",
+      "INSERT INTO industry_requirements (industry_id, name) VALUES (1, 'Slag')",
+      "SELECT demand_unit FROM industry_requirements",
+    );
+    assert.equal(demand_unit, "t");
+  });
+});
@@ -0,0 +1,105 @@
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+describe("symbiosis network", () => {
+  let server;
+  let api;
+  let supplier;
+  let receiver;
+  const industries = {};
+  let slag;
+  let opportunity;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    supplier = await server.signUp("Steelworks", "ops@steel.test");
+    receiver = await server.signUp("Cement Co", "ops@cement.test");
+    for (const [token, name, sector] of [
+      [supplier, "Mill", "Steel"],
+      [receiver, "Kiln", "Cement"],
+      [receiver, "Depot", "Logistics"],
+    ]) {
+      const { body } = await api("POST", "/industries", {
+        token,
+        body: { name, sector },
+      });
+      industries[name] = body.id;
+    }
+    ({ body: slag } = await api("POST", "/materials", {
+      token: supplier,
+      body: {
+        industry_id: industries.Mill,
+        name: "Slag",
+        material_type: "blast furnace slag",
+        quantity: 100,
+        unit: "t",
+      },
+    }));
+    ({ body: opportunity } = await api("POST", "/reuse-opportunities", {
+      token: receiver,
+      body: {
+        source_material_id: slag.id,
+        target_industry_id: industries.Kiln,
+      },
+    }));
+    await api("PATCH", `/reuse-opportunities/${opportunity.id}/status`, {
+      token: receiver,
+      body: { status: "accepted" },
+    });
+
+    // 30 t through the opportunity and 10 t agreed directly
+    for (const body of [
+      { opportunity_id: opportunity.id, quantity_transferred: 30 },
+      {
+        material_id: slag.id,
+        target_industry_id: industries.Kiln,
+        quantity_transferred: 10,
+      },
+    ]) {
+      const { body: transaction } = await api("POST", "/transactions", {
+        token: receiver,
+        body,
+      });
+      for (const [action, token] of [
+        ["approve", receiver],
+        ["ship", supplier],
+        ["receive", receiver],
+        ["complete", receiver],
+      ])
+        await api("POST", `/transactions/${transaction.id}/${action}`, {
+          token,
+          body: {},
+        });
+    }
+  });
+
+  after(() => server?.stop());
+
+  it("returns every industry as a node with its completed throughput", async () => {
+    const { status, body } = await api("GET", "/symbiosis/network");
+    assert.equal(status, 200);
+    const nodes = Object.fromEntries(
+      body.nodes.map((node) => [node.name, node]),
+    );
+    assert.deepEqual(Object.keys(nodes).sort(), ["Depot", "Kiln", "Mill"]);
+    assert.equal(nodes.Mill.sector, "Steel");
+    assert.equal(nodes.Mill.materials, 1);
+    assert.equal(nodes.Mill.throughput_t, 40);
+    assert.equal(nodes.Kiln.throughput_t, 40);
+    assert.equal(nodes.Depot.throughput_t, 0);
+  });
+
+  it("returns opportunities as directed edges with what went through them", async () => {
+    const { body } = await api("GET", "/symbiosis/network");
+    assert.equal(body.edges.length, 1);
+    const [edge] = body.edges;
+    assert.equal(edge.id, opportunity.id);
+    assert.equal(edge.source, industries.Mill);
+    assert.equal(edge.target, industries.Kiln);
+    assert.equal(edge.strength, opportunity.feasibility_index);
+    assert.equal(edge.status, "accepted");
+    assert.equal(edge.material_name, "Slag");
+    assert.equal(edge.transferred_t, 30);
+  });
+});
@@ -0,0 +1,147 @@
+const assert = require("node:assert/strict");
+const { PERMISSIONS, can, permissionsFor } = require("../lib/permissions");
+const { startServer } = require("./helpers/server");
+
+describe("can", () => {
+  it("grants admins every permission and anonymous users none", () => {
+    for (const permission of Object.keys(PERMISSIONS)) {
+      assert.equal(can({ role: "admin" }, permission), true, permission);
+      assert.equal(can(null, permission), false, permission);
+    }
+  });
+
+  it("grants other roles only what their duties need", () => {
+    assert.deepEqual(permissionsFor("viewer"), []);
+    assert.deepEqual(permissionsFor("assessor"), [
+      "opportunities:write",
+      "opportunities:review",
+      "analytics:snapshot",
+    ]);
+    assert.equal(can({ role: "plant_operator" }, "members:manage"), false);
+    assert.equal(
+      can({ role: "compliance_officer" }, "materials:regulatory_status"),
+      true,
+    );
+  });
+});
+
+describe("role checks", () => {
+  let server;
+  let api;
+  let admin;
+  const tokens = {};
+  let slag;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    admin = await server.signUp("Steelworks", "ops@steel.test");
+    for (const role of [
+      "viewer",
+      "plant_operator",
+      "assessor",
+      "compliance_officer",
+    ]) {
+      const email = `${role}@steel.test`;
+      await api("POST", "/organization/members", {
+        token: admin,
+        body: { name: role, email, password: "secret123", role },
+      });
+      const { body } = await api("POST", "/auth/login", {
+        body: { email, password: "secret123" },
+      });
+      tokens[role] = body.token;
+    }
+    const { body: mill } = await api("POST", "/industries", {
+      token: admin,
+      body: { name: "Mill", sector: "Steel" },
+    });
+    ({ body: slag } = await api("POST", "/materials", {
+      token: admin,
+      body: { industry_id: mill.id, name: "Slag", material_type: "slag" },
+    }));
+  });
+
+  after(() => server?.stop());
+
+  it("refuses a role without the permission and names it", async () => {
+    const { status, body } = await api("PATCH", `/materials/${slag.id}`, {
+      token: tokens.viewer,
+      body: { quantity: 5 },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, "FORBIDDEN");
+    assert.equal(body.error, "Viewer cannot change materials");
+    assert.equal(body.required_permission, "materials:write");
+  });
+
+  it("lets only compliance officers set a material's regulatory status", async () => {
+    const set = (role, regulatory_status) =>
+      api("PATCH", `/materials/${slag.id}`, {
+        token: tokens[role],
+        body: { regulatory_status },
+      });
+
+    const denied = await set("plant_operator", "approved");
+    assert.equal(denied.status, 403);
+    assert.equal(
+      denied.body.required_permission,
+      "materials:regulatory_status",
+    );
+    assert.deepEqual(denied.body.fields, [
+      {
+        field: "regulatory_status",
+        message: "Only compliance officers can change this",
+      },
+    ]);
+    // Resubmitting the stored value is not a change
+    assert.equal((await set("plant_operator", "unknown")).status, 200);
+    assert.equal((await set("compliance_officer", "approved")).status, 200);
+  });
+
+  it("leaves reviewing opportunities to assessors", async () => {
+    const { body: kiln } = await api("POST", "/industries", {
+      token: admin,
+      body: { name: "Kiln", sector: "Cement" },
+    });
+    const { body: opportunity } = await api("POST", "/reuse-opportunities", {
+      token: tokens.plant_operator,
+      body: { source_material_id: slag.id, target_industry_id: kiln.id },
+    });
+    const review = (role) =>
+      api("PATCH", `/reuse-opportunities/${opportunity.id}/status`, {
+        token: tokens[role],
+        body: { status: "under_review" },
+      });
+    const denied = await review("plant_operator");
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.fields[0].field, "status");
+    assert.equal((await review("assessor")).status, 200);
+
+    const discover = (role) =>
+      api("POST", "/reuse-opportunities/discover", { token: tokens[role] });
+    assert.equal((await discover("plant_operator")).status, 403);
+    assert.equal((await discover("assessor")).status, 200);
+  });
+
+  it("keeps member management to admins", async () => {
+    const added = await api("POST", "/organization/members", {
+      token: tokens.compliance_officer,
+      body: { name: "Temp", email: "temp@steel.test", password: "secret123" },
+    });
+    assert.equal(added.status, 403);
+    assert.equal(added.body.required_permission, "members:manage");
+
+    const { body: me } = await api("GET", "/auth/me", { token: admin });
+    const demoted = await api("PATCH", `/organization/members/${me.id}`, {
+      token: admin,
+      body: { role: "viewer" },
+    });
+    assert.equal(demoted.status, 409);
+  });
+
+  it("tells clients which permissions a user holds", async () => {
+    const { body } = await api("GET", "/auth/me", { token: tokens.assessor });
+    assert.deepEqual(body.permissions, permissionsFor("assessor"));
+  });
+});
@@ -0,0 +1,154 @@
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+describe("industry, material and opportunity records", () => {
+  let server;
+  let api;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    token = await server.signUp("Steelworks", "ops@steel.test");
+  });
+
+  after(() => server?.stop());
+
+  const create = async (route, body) => {
+    const { status, body: created } = await api("POST", route, {
+      token,
+      body,
+    });
+    assert.equal(status, 201);
+    return created.id;
+  };
+
+  it("reads a record by id and answers 404 for one that does not exist", async () => {
+    const id = await create("/industries", { name: "Mill", sector: "Steel" });
+    const { status, body } = await api("GET", `/industries/${id}`);
+    assert.equal(status, 200);
+    assert.equal(body.name, "Mill");
+    assert.equal(body.organization_name, "Steelworks");
+
+    for (const route of ["industries", "materials", "reuse-opportunities"]) {
+      const missing = await api("GET", `/${route}/9999`);
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, "NOT_FOUND");
+    }
+  });
+
+  it("replaces a record with PUT and changes only what PATCH gives", async () => {
+    const id = await create("/industries", {
+      name: "Foundry",
+      sector: "Metals",
+      description: "Grey iron castings",
+    });
+
+    const incomplete = await api("PUT", `/industries/${id}`, {
+      token,
+      body: { name: "Foundry" },
+    });
+    assert.equal(incomplete.status, 400);
+    assert.deepEqual(
+      incomplete.body.fields.map(({ field }) => field),
+      ["sector"],
+    );
+
+    await api("PATCH", `/industries/${id}`, {
+      token,
+      body: { annual_output: 1200 },
+    });
+    let { body } = await api("GET", `/industries/${id}`);
+    assert.equal(body.annual_output, 1200);
+    assert.equal(body.description, "Grey iron castings");
+
+    await api("PUT", `/industries/${id}`, {
+      token,
+      body: { name: "Foundry", sector: "Castings", description: "" },
+    });
+    ({ body } = await api("GET", `/industries/${id}`));
+    assert.equal(body.sector, "Castings");
+    assert.equal(body.description, null);
+  });
+
+  it("refuses a second industry with the same name", async () => {
+    const { status, body } = await api("POST", "/industries", {
+      token,
+      body: { name: "Mill", sector: "Steel" },
+    });
+    assert.equal(status, 409);
+    assert.equal(body.code, "DUPLICATE");
+  });
+
+  it("rescores an opportunity when its preprocessing changes", async () => {
+    const industry = await create("/industries", {
+      name: "Kiln",
+      sector: "Cement",
+    });
+    const source = await create("/industries", {
+      name: "Furnace",
+      sector: "Steel",
+    });
+    const material = await create("/materials", {
+      industry_id: source,
+      name: "BF slag",
+      material_type: "blast furnace slag",
+    });
+    const id = await create("/reuse-opportunities", {
+      source_material_id: material,
+      target_industry_id: industry,
+    });
+    const before = (await api("GET", `/reuse-opportunities/${id}`)).body;
+    assert.equal(before.material_name, "BF slag");
+    assert.equal(before.target_industry_name, "Kiln");
+
+    const { status, body } = await api("PATCH", `/reuse-opportunities/${id}`, {
+      token,
+      body: { preprocessing_required: "Grinding and drying" },
+    });
+    assert.equal(status, 200);
+    assert.ok(body.feasibility_index < before.feasibility_index);
+    const after = (await api("GET", `/reuse-opportunities/${id}`)).body;
+    assert.equal(after.preprocessing_required, "Grinding and drying");
+    assert.equal(after.feasibility_index, body.feasibility_index);
+  });
+
+  it("deletes an industry with its dependents only when forced", async () => {
+    const industry = await create("/industries", {
+      name: "Smelter",
+      sector: "Metals",
+    });
+    const material = await create("/materials", {
+      industry_id: industry,
+      name: "Dross",
+      material_type: "aluminium dross",
+    });
+    const { body: kilns } = await api("GET", "/industries");
+    await create("/reuse-opportunities", {
+      source_material_id: material,
+      target_industry_id: kilns.find((i) => i.name === "Kiln").id,
+    });
+
+    const refused = await api("DELETE", `/industries/${industry}`, { token });
+    assert.equal(refused.status, 409);
+    assert.equal(refused.body.code, "HAS_DEPENDENTS");
+    assert.deepEqual(refused.body.dependents, {
+      materials: 1,
+      opportunities: 1,
+      transactions: 0,
+    });
+    assert.equal((await api("GET", `/materials/${material}`)).status, 200);
+
+    const forced = await api("DELETE", `/industries/${industry}?force=true`, {
+      token,
+    });
+    assert.equal(forced.status, 200);
+    assert.equal((await api("GET", `/industries/${industry}`)).status, 404);
+    assert.equal((await api("GET", `/materials/${material}`)).status, 404);
+    const { body } = await api(
+      "GET",
+      `/reuse-opportunities?material_id=${material}`,
+    );
+    assert.equal(body.pagination.total, 0);
+  });
+});
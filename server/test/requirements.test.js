@@ -0,0 +1,156 @@
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+describe("industry requirements", () => {
+  let server;
+  let api;
+  let supplier;
+  let receiver;
+  let mill;
+  let kiln;
+  let slag;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    supplier = await server.signUp("Steelworks", "ops@steel.test");
+    receiver = await server.signUp("Cement Co", "ops@cement.test");
+    ({
+      body: { id: mill },
+    } = await api("POST", "/industries", {
+      token: supplier,
+      body: { name: "Mill", sector: "Steel" },
+    }));
+    ({
+      body: { id: kiln },
+    } = await api("POST", "/industries", {
+      token: receiver,
+      body: { name: "Kiln", sector: "Cement" },
+    }));
+    ({
+      body: { id: slag },
+    } = await api("POST", "/materials", {
+      token: supplier,
+      body: {
+        industry_id: mill,
+        name: "BF slag",
+        material_type: "blast furnace slag",
+        composition: "CaO 40%, SiO2 35%",
+        quantity: 100,
+        unit: "t",
+      },
+    }));
+  });
+
+  after(() => server?.stop());
+
+  const requirementsPath = () => `/industries/${kiln}/requirements`;
+
+  const addRequirement = async (body) => {
+    const { status, body: created } = await api("POST", requirementsPath(), {
+      token: receiver,
+      body,
+    });
+    assert.equal(status, 201);
+    return created.id;
+  };
+
+  const assess = async () => {
+    const { status, body } = await api("POST", "/reuse-opportunities", {
+      token: supplier,
+      body: { source_material_id: slag, target_industry_id: kiln },
+    });
+    assert.equal(status, 201);
+    await api("DELETE", `/reuse-opportunities/${body.id}`, { token: supplier });
+    return body;
+  };
+
+  it("scores against the sector profile until requirements are declared", async () => {
+    assert.equal((await assess()).requirements_source, "sector:Cement");
+  });
+
+  it("stores a requirement with its types and limits normalized", async () => {
+    const id = await addRequirement({
+      name: "Clinker substitute",
+      accepted_material_types: " blast furnace slag, fly ash ,",
+      composition_limits: [{ component: "CaO", min: "30", max: 60 }],
+      monthly_demand_quantity: 2000,
+      demand_unit: "tonnes",
+    });
+
+    const { body } = await api("GET", requirementsPath());
+    assert.equal(body.length, 1);
+    assert.equal(body[0].id, id);
+    assert.deepEqual(body[0].accepted_material_types, [
+      "blast furnace slag",
+      "fly ash",
+    ]);
+    assert.deepEqual(body[0].composition_limits, [
+      { component: "CaO", min: 30, max: 60 },
+    ]);
+    assert.equal(body[0].demand_unit, "t");
+  });
+
+  it("matches against the requirement the material suits best", async () => {
+    await addRequirement({
+      name: "Low-lime filler",
+      accepted_material_types: ["fly ash"],
+      composition_limits: [{ component: "CaO", max: 5 }],
+    });
+    const { body: requirements } = await api("GET", requirementsPath());
+    const suited = requirements.find(
+      (requirement) => requirement.name === "Clinker substitute",
+    );
+    assert.equal(
+      (await assess()).requirements_source,
+      `requirement:${suited.id}`,
+    );
+  });
+
+  it("refuses limits that contradict themselves", async () => {
+    const { status, body } = await api("POST", requirementsPath(), {
+      token: receiver,
+      body: {
+        name: "Broken",
+        composition_limits: [{ component: "SiO2", min: 50, max: 20 }],
+        min_thermal_stability: 0.8,
+        max_thermal_stability: 0.2,
+      },
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(
+      body.fields.map(({ field }) => field),
+      ["composition_limits", "max_thermal_stability"],
+    );
+  });
+
+  it("lets only the industry's organization change its requirements", async () => {
+    const { body: requirements } = await api("GET", requirementsPath());
+    const [{ id }] = requirements;
+
+    const denied = await api("DELETE", `${requirementsPath()}/${id}`, {
+      token: supplier,
+    });
+    assert.equal(denied.status, 403);
+
+    const updated = await api("PUT", `${requirementsPath()}/${id}`, {
+      token: receiver,
+      body: { name: "Renamed", accepted_material_types: ["slag"] },
+    });
+    assert.equal(updated.status, 200);
+    const deleted = await api("DELETE", `${requirementsPath()}/${id}`, {
+      token: receiver,
+    });
+    assert.equal(deleted.status, 200);
+    const { body } = await api("GET", requirementsPath());
+    assert.ok(body.every((requirement) => requirement.id !== id));
+    assert.equal(
+      (
+        await api("DELETE", `${requirementsPath()}/${id}`, {
+          token: receiver,
+        })
+      ).status,
+      404,
+    );
+  });
+});
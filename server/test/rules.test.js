@@ -0,0 +1,226 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  RULES_DIR,
+  loadRuleSets,
+  classifyMaterial,
+  transferBlockers,
+} = require("../lib/rules");
+
+const RULE_SET = {
+  id: "test",
+  version: 3,
+  rules: [
+    {
+      id: "LEAD",
+      when: { substances: ["Pb", "PbO"], min_percent: 0.3 },
+      then: {
+        hazard: "hazardous",
+        waste_code: "HP 10",
+        forbid_sectors: ["Food"],
+      },
+    },
+    {
+      id: "METALS",
+      when: { substances: ["Zn", "Cu"], sum: true, max_percent: 5 },
+      then: { hazard: "non_hazardous" },
+    },
+    {
+      id: "SLAG",
+      when: { material_type: ["slag"] },
+      then: { waste_status: "by_product" },
+    },
+    {
+      id: "BANNED",
+      when: { regulatory_status: ["prohibited"] },
+      then: { waste_status: "waste", forbid_sectors: ["*"] },
+    },
+    {
+      id: "UNKNOWN",
+      when: { no_composition: true },
+      then: { waste_code: "UNANALYSED" },
+    },
+  ],
+};
+
+const percent = (component, amount) => ({
+  component,
+  identifier: null,
+  amount,
+  basis: "percent",
+});
+
+const classify = (material) =>
+  classifyMaterial(material, [{ ...RULE_SET, version: "3" }]);
+
+const firedRules = (classification) =>
+  classification.fired_rules.map(({ rule }) => rule);
+
+describe("loadRuleSets", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "rules-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const write = (name, content) =>
+    fs.writeFileSync(
+      path.join(dir, name),
+      typeof content === "string" ? content : JSON.stringify(content),
+    );
+
+  it("loads the rule sets shipped with the server", () => {
+    const { ruleSets, errors } = loadRuleSets(RULES_DIR);
+    assert.deepEqual(errors, []);
+    assert.ok(ruleSets.length > 0);
+  });
+
+  it("reads JSON and YAML files in name order", () => {
+    write("b.json", RULE_SET);
+    write(
+      "a.yaml",
+      "id: other\nrules:\n  - id: R1\n    when: { material_type: [ash] }\n    then: { waste_status: by_product }\n",
+    );
+    write("notes.txt", "not a rule set");
+    const { ruleSets, errors } = loadRuleSets(dir);
+    assert.deepEqual(errors, []);
+    assert.deepEqual(
+      ruleSets.map(({ id, name, version, file }) => ({
+        id,
+        name,
+        version,
+        file,
+      })),
+      [
+        { id: "other", name: "other", version: null, file: "a.yaml" },
+        { id: "test", name: "test", version: "3", file: "b.json" },
+      ],
+    );
+  });
+
+  it("skips a file with any problem and says why", () => {
+    write("good.json", RULE_SET);
+    write("broken.json", "{ not json");
+    write("bad.json", {
+      id: "bad",
+      rules: [
+        { id: "R1", when: { colour: ["red"] }, then: { hazard: "toxic" } },
+        { id: "R1", when: { min_percent: "1" }, then: {} },
+      ],
+    });
+    write("dup.json", { ...RULE_SET });
+    const { ruleSets, errors } = loadRuleSets(dir);
+
+    assert.deepEqual(
+      ruleSets.map((set) => set.file),
+      ["dup.json"],
+    );
+    const messages = Object.fromEntries(
+      errors.map(({ file, message }) => [file, message]),
+    );
+    assert.deepEqual(Object.keys(messages).sort(), [
+      "bad.json",
+      "broken.json",
+      "good.json",
+    ]);
+    assert.match(messages["bad.json"], /unknown condition "colour"/);
+    assert.match(messages["bad.json"], /hazard must be one of/);
+    assert.match(messages["bad.json"], /min_percent must be a number/);
+    assert.match(messages["bad.json"], /percent limits need "substances"/);
+    assert.match(messages["bad.json"], /"then" needs at least one outcome/);
+    assert.match(messages["bad.json"], /rule id "R1" is used twice/);
+    assert.match(messages["good.json"], /rule set id "test" is already used/);
+  });
+
+  it("loads nothing from a missing directory", () => {
+    assert.deepEqual(loadRuleSets(path.join(dir, "missing")), {
+      ruleSets: [],
+      errors: [],
+    });
+  });
+});
+
+describe("classifyMaterial", () => {
+  it("leaves a material no rule matches unclassified", () => {
+    const result = classify({
+      material_type: "plastic",
+      components: [percent("PE", 99)],
+    });
+    assert.equal(result.hazard, "unclassified");
+    assert.equal(result.waste_status, null);
+    assert.deepEqual(result.fired_rules, []);
+    assert.deepEqual(result.rule_sets, [{ id: "test", version: "3" }]);
+  });
+
+  it("fires on the highest listed substance at or above a limit", () => {
+    const below = classify({ components: [percent("Pb", 0.2)] });
+    const above = classify({
+      components: [percent("Pb", 0.2), percent("PbO", 0.4)],
+    });
+    assert.deepEqual(firedRules(below), []);
+    assert.deepEqual(firedRules(above), ["LEAD"]);
+    assert.equal(above.hazard, "hazardous");
+    assert.deepEqual(above.waste_codes, ["HP 10"]);
+    assert.deepEqual(above.forbidden_sectors, ["Food"]);
+  });
+
+  it("sums the listed substances when asked", () => {
+    const within = classify({
+      components: [percent("Zn", 2), percent("Cu", 2)],
+    });
+    const over = classify({ components: [percent("Zn", 3), percent("Cu", 3)] });
+    assert.deepEqual(firedRules(within), ["METALS"]);
+    assert.deepEqual(firedRules(over), []);
+  });
+
+  it("does not hold an unmeasured substance against a limit", () => {
+    const result = classify({ components: [percent("Pb", null)] });
+    assert.deepEqual(firedRules(result), []);
+  });
+
+  it("keeps the most restrictive outcome of the rules that fire", () => {
+    const result = classify({
+      material_type: "Steel slag",
+      regulatory_status: "Prohibited",
+      components: [percent("Zn", 1), percent("Pb", 1)],
+    });
+    assert.deepEqual(firedRules(result), ["LEAD", "METALS", "SLAG", "BANNED"]);
+    assert.equal(result.hazard, "hazardous");
+    assert.equal(result.waste_status, "waste");
+    assert.deepEqual(result.forbidden_sectors, ["Food", "*"]);
+  });
+
+  it("matches materials without any composition", () => {
+    assert.deepEqual(firedRules(classify({ material_type: "rubble" })), [
+      "UNKNOWN",
+    ]);
+  });
+});
+
+describe("transferBlockers", () => {
+  it("lists the rules forbidding a sector, in any case", () => {
+    const result = classify({ components: [percent("Pb", 1)] });
+    assert.deepEqual(
+      transferBlockers(result, "food").map(({ rule }) => rule),
+      ["LEAD"],
+    );
+    assert.deepEqual(transferBlockers(result, "Construction"), []);
+  });
+
+  it("treats * as every sector", () => {
+    const result = classify({
+      regulatory_status: "prohibited",
+      components: [percent("PE", 100)],
+    });
+    assert.deepEqual(
+      transferBlockers(result, "Construction").map(({ rule }) => rule),
+      ["BANNED"],
+    );
+  });
+});
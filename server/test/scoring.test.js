@@ -0,0 +1,158 @@
+const assert = require("node:assert/strict");
+const {
+  WEIGHTS,
+  getSectorProfile,
+  distanceFactor,
+  scoreCompatibility,
+} = require("../lib/scoring");
+
+const SLAG = {
+  material_type: "slag",
+  chemical_composition: "CaO 40%, SiO2 35%, Al2O3 12%",
+  mechanical_tolerance: 0.8,
+  thermodynamic_stability: 0.9,
+  regulatory_status: "approved",
+  availability_status: "available",
+};
+
+const CEMENT_INPUT = {
+  accepted_material_types: ["slag", "fly ash"],
+  composition_limits: [
+    { component: "CaO", min: 30 },
+    { component: "SiO2", min: 20, max: 45 },
+  ],
+  min_mechanical_tolerance: 0.5,
+  min_thermal_stability: 0.6,
+  required_regulatory_status: "compliant",
+};
+
+describe("scoreCompatibility", () => {
+  it("weights the dimensions into a score between 0 and 1", () => {
+    const total = Object.values(WEIGHTS).reduce((sum, w) => sum + w, 0);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+  });
+
+  it("scores a material meeting every requirement as fully compatible", () => {
+    const result = scoreCompatibility(SLAG, CEMENT_INPUT);
+    for (const { score } of Object.values(result.breakdown))
+      assert.equal(score, 1);
+    assert.equal(result.compatibility_score, 1);
+    assert.equal(result.feasibility_index, 1);
+  });
+
+  it("blocks a material whose composition breaks a limit", () => {
+    const result = scoreCompatibility(
+      { ...SLAG, chemical_composition: "CaO 40%, SiO2 60%" },
+      CEMENT_INPUT,
+    );
+    const { chemical_similarity } = result.breakdown;
+    assert.ok(chemical_similarity.score <= 0.1);
+    assert.match(chemical_similarity.reason, /SiO2 60% exceeds 45%/);
+    // A blocking dimension halves feasibility on top of the weighted score
+    assert.equal(
+      result.feasibility_index,
+      Math.round(result.compatibility_score * 0.5 * 1000) / 1000,
+    );
+  });
+
+  it("prefers structured components over the composition text", () => {
+    const result = scoreCompatibility(
+      {
+        ...SLAG,
+        chemical_composition: "CaO 10%",
+        components: [
+          { component: "Calcium oxide", identifier: "CaO", amount: 42 },
+          { component: "SiO2", amount: 300000, basis: "ppm" },
+        ],
+      },
+      CEMENT_INPUT,
+    );
+    assert.equal(result.breakdown.chemical_similarity.score, 1);
+  });
+
+  it("reads indices entered as percentages", () => {
+    const result = scoreCompatibility(
+      { ...SLAG, mechanical_tolerance: 25 },
+      CEMENT_INPUT,
+    );
+    assert.equal(result.breakdown.mechanical_tolerance.score, 0.5);
+  });
+
+  it("scores missing data as unknown rather than incompatible", () => {
+    const result = scoreCompatibility({}, CEMENT_INPUT);
+    const { breakdown } = result;
+    assert.equal(breakdown.chemical_similarity.score, 0.5);
+    assert.equal(breakdown.mechanical_tolerance.score, 0.5);
+    assert.equal(breakdown.thermodynamic_stability.score, 0.5);
+    assert.equal(breakdown.functional_viability.score, 0.5);
+  });
+
+  it("falls short of a required regulatory status", () => {
+    const result = scoreCompatibility(
+      { ...SLAG, regulatory_status: "pending" },
+      CEMENT_INPUT,
+    );
+    assert.equal(result.breakdown.regulatory_alignment.score, 0.3);
+  });
+
+  it("credits related material types in part", () => {
+    const related = scoreCompatibility(
+      { ...SLAG, material_type: "granulated slag" },
+      CEMENT_INPUT,
+    );
+    const unrelated = scoreCompatibility(
+      { ...SLAG, material_type: "plastic" },
+      CEMENT_INPUT,
+    );
+    assert.equal(related.breakdown.functional_viability.score, 0.7);
+    assert.equal(unrelated.breakdown.functional_viability.score, 0.2);
+  });
+
+  it("discounts feasibility for availability, preprocessing and distance", () => {
+    const base = scoreCompatibility(SLAG, CEMENT_INPUT).feasibility_index;
+    const inUse = scoreCompatibility(
+      { ...SLAG, availability_status: "in_use" },
+      CEMENT_INPUT,
+    );
+    const processed = scoreCompatibility(SLAG, CEMENT_INPUT, {
+      preprocessing_required: true,
+    });
+    const far = scoreCompatibility(SLAG, CEMENT_INPUT, { distance_km: 500 });
+    assert.equal(inUse.feasibility_index, base * 0.6);
+    assert.equal(processed.feasibility_index, base * 0.9);
+    assert.equal(far.distance_km, 500);
+    assert.equal(far.feasibility_index, far.distance_factor);
+    assert.equal(inUse.compatibility_score, base);
+  });
+});
+
+describe("distanceFactor", () => {
+  it("does not penalize pairs without a known distance", () => {
+    assert.equal(distanceFactor(null), 1);
+    assert.equal(distanceFactor(undefined), 1);
+    assert.equal(distanceFactor(0), 1);
+  });
+
+  it("falls with distance towards its floor", () => {
+    const near = distanceFactor(250);
+    const far = distanceFactor(800);
+    assert.ok(near > far);
+    assert.ok(Math.abs(near - 0.8) < 0.01);
+    assert.ok(Math.abs(far - 0.6) < 0.01);
+    assert.ok(distanceFactor(1e6) >= 0.5);
+  });
+});
+
+describe("getSectorProfile", () => {
+  it("returns the built-in profile of a known sector", () => {
+    assert.ok(
+      getSectorProfile("Steel").accepted_material_types.includes("slag"),
+    );
+  });
+
+  it("returns an empty profile for other sectors", () => {
+    const profile = getSectorProfile("Bakery");
+    assert.deepEqual(profile.accepted_material_types, []);
+    assert.deepEqual(profile.composition_limits, []);
+  });
+});
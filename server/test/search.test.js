@@ -0,0 +1,113 @@
+const assert = require("node:assert/strict");
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  toMatchQuery,
+  formatSnippet,
+} = require("../lib/search");
+const { startServer } = require("./helpers/server");
+
+describe("toMatchQuery", () => {
+  it("requires every word and completes the last as a prefix", () => {
+    assert.equal(toMatchQuery("Fly ASH"), '"fly" "ash"*');
+  });
+
+  it("drops FTS syntax so input cannot break the query", () => {
+    assert.equal(toMatchQuery('slag" OR NEAR(*'), '"slag" "or" "near"*');
+    assert.equal(toMatchQuery(" -*- "), null);
+  });
+});
+
+describe("formatSnippet", () => {
+  it("escapes HTML and marks the highlighted words", () => {
+    assert.equal(
+      formatSnippet(`<b>${HIGHLIGHT_START}slag${HIGHLIGHT_END} & ash`),
+      "&lt;b&gt;<mark>slag</mark> &amp; ash",
+    );
+  });
+});
+
+describe("search", () => {
+  let server;
+  let api;
+  let token;
+  let mill;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    token = await server.signUp("Steelworks", "ops@steel.test");
+    ({
+      body: { id: mill },
+    } = await api("POST", "/industries", {
+      token,
+      body: {
+        name: "Mill",
+        sector: "Steel",
+        description: "Produces granulated slag as a by-product",
+      },
+    }));
+    await api("POST", "/materials", {
+      token,
+      body: {
+        industry_id: mill,
+        name: "Granulated slag",
+        material_type: "blast furnace slag",
+      },
+    });
+  });
+
+  after(() => server?.stop());
+
+  const search = async (query) => {
+    const { status, body } = await api("GET", `/search?${query}`);
+    assert.equal(status, 200);
+    return body.results;
+  };
+
+  it("ranks matches in titles above matches in descriptions", async () => {
+    const results = await search("q=granul");
+    assert.deepEqual(
+      results.map(({ type, title }) => [type, title]),
+      [
+        ["material", "Granulated slag"],
+        ["industry", "Mill"],
+      ],
+    );
+    assert.equal(results[1].subtitle, "Steel");
+    assert.match(results[1].snippet, /<mark>granulated<\/mark> slag/);
+  });
+
+  it("searches one kind of record when asked", async () => {
+    const results = await search("q=slag&type=industry");
+    assert.deepEqual(
+      results.map(({ type, id }) => [type, id]),
+      [["industry", mill]],
+    );
+  });
+
+  it("follows records as they change and go", async () => {
+    const { body } = await api("POST", "/materials", {
+      token,
+      body: { industry_id: mill, name: "Mill scale", material_type: "scale" },
+    });
+    await api("PATCH", `/materials/${body.id}`, {
+      token,
+      body: { name: "Iron oxide scale" },
+    });
+    assert.deepEqual(
+      (await search("q=oxide")).map(({ id }) => id),
+      [body.id],
+    );
+
+    await api("DELETE", `/materials/${body.id}`, { token });
+    assert.deepEqual(await search("q=oxide"), []);
+  });
+
+  it("returns nothing for input without words and refuses no input", async () => {
+    assert.deepEqual(await search("q=%2A%2A"), []);
+    const { status, body } = await api("GET", "/search");
+    assert.equal(status, 400);
+    assert.equal(body.fields[0].field, "q");
+  });
+});
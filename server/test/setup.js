@@ -0,0 +1,5 @@
+// test/setup.js - Loaded by mocha before any test file
+// Tests that use db.js directly share one in-memory database, however mocha
+// is started, so a test run never writes to data/symbiosis.db. Route tests
+// start their own server on a temporary file (see helpers/server.js).
+process.env.DB_PATH = ":memory:";
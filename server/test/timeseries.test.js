@@ -0,0 +1,186 @@
+const assert = require("node:assert/strict");
+const {
+  formatDate,
+  bucketKey,
+  countBuckets,
+  bucketRange,
+  bucketsBefore,
+  bucketsAfter,
+} = require("../lib/timeseries");
+const { startServer } = require("./helpers/server");
+
+describe("bucketKey", () => {
+  it("names the bucket a timestamp falls in", () => {
+    const timestamp = "2026-10-18 23:15:32";
+    assert.equal(bucketKey(timestamp, "day"), "2026-10-18");
+    // Weeks start on Monday; the 18th is a Sunday
+    assert.equal(bucketKey(timestamp, "week"), "2026-10-12");
+    assert.equal(bucketKey(timestamp, "month"), "2026-10");
+    assert.equal(bucketKey(timestamp, "quarter"), "2026-Q4");
+    assert.equal(bucketKey(timestamp, "year"), "2026");
+  });
+});
+
+describe("bucket ranges", () => {
+  it("lists every bucket between two dates, both ends included", () => {
+    assert.deepEqual(bucketRange("2026-11-20", "2027-02-03", "month"), [
+      { key: "2026-11", start: "2026-11-01" },
+      { key: "2026-12", start: "2026-12-01" },
+      { key: "2027-01", start: "2027-01-01" },
+      { key: "2027-02", start: "2027-02-01" },
+    ]);
+    assert.equal(countBuckets("2026-11-20", "2027-02-03", "month"), 4);
+    assert.equal(countBuckets("2026-10-18", "2026-10-19", "week"), 2);
+    assert.equal(countBuckets("2026-02-01", "2026-12-31", "quarter"), 4);
+  });
+
+  it("steps back and forward whole buckets", () => {
+    assert.equal(bucketsBefore("2026-10-18", "month", 12), "2025-11-01");
+    assert.equal(bucketsBefore("2026-10-18", "week", 1), "2026-10-12");
+    assert.deepEqual(
+      bucketsAfter("2026-12-15", "quarter", 2).map(({ key }) => key),
+      ["2027-Q1", "2027-Q2"],
+    );
+  });
+});
+
+describe("time series", () => {
+  let server;
+  let api;
+  const today = formatDate(new Date());
+  const threeDays = `bucket=day&date_from=${bucketsBefore(today, "day", 3)}`;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    const supplier = await server.signUp("Steelworks", "ops@steel.test");
+    const receiver = await server.signUp("Cement Co", "ops@cement.test");
+    const industries = {};
+    for (const [token, name, sector] of [
+      [supplier, "Mill", "Steel"],
+      [receiver, "Kiln", "Cement"],
+    ]) {
+      const { body } = await api("POST", "/industries", {
+        token,
+        body: { name, sector },
+      });
+      industries[name] = body.id;
+    }
+    const { body: slag } = await api("POST", "/materials", {
+      token: supplier,
+      body: {
+        industry_id: industries.Mill,
+        name: "Slag",
+        material_type: "blast furnace slag",
+        quantity: 10,
+        unit: "t",
+      },
+    });
+    await api("POST", "/materials", {
+      token: receiver,
+      body: {
+        industry_id: industries.Kiln,
+        name: "Kiln dust",
+        material_type: "cement kiln dust",
+      },
+    });
+    const { body: transaction } = await api("POST", "/transactions", {
+      token: receiver,
+      body: {
+        material_id: slag.id,
+        target_industry_id: industries.Kiln,
+        quantity_transferred: 4000,
+        unit: "kg",
+        cost_savings: 250,
+      },
+    });
+    for (const [action, token] of [
+      ["approve", receiver],
+      ["ship", supplier],
+      ["receive", receiver],
+      ["complete", receiver],
+    ])
+      await api("POST", `/transactions/${transaction.id}/${action}`, {
+        token,
+        body: {},
+      });
+  });
+
+  after(() => server?.stop());
+
+  const timeseries = async (query) => {
+    const { status, body } = await api("GET", `/analytics/timeseries?${query}`);
+    assert.equal(status, 200);
+    return body;
+  };
+
+  it("buckets each metric over the requested range", async () => {
+    const { buckets, metrics } = await timeseries(
+      `${threeDays}&metrics=materials_registered,quantity_transferred,cost_savings`,
+    );
+    assert.deepEqual(buckets.at(-1), { key: today, start: today });
+    assert.equal(buckets.length, 3);
+
+    const materials = metrics.materials_registered;
+    assert.deepEqual(materials.values, [0, 0, 2]);
+    assert.equal(materials.change, 2);
+    // No percentage change from nothing
+    assert.equal(materials.change_pct, null);
+
+    assert.equal(metrics.quantity_transferred.unit, "t");
+    assert.deepEqual(metrics.quantity_transferred.values, [0, 0, 4]);
+    assert.deepEqual(metrics.cost_savings.values, [0, 0, 250]);
+    assert.deepEqual(Object.keys(metrics), [
+      "materials_registered",
+      "quantity_transferred",
+      "cost_savings",
+    ]);
+  });
+
+  it("leaves empty buckets out of averages", async () => {
+    const { metrics } = await timeseries(
+      `${threeDays}&metrics=avg_feasibility`,
+    );
+    assert.deepEqual(metrics.avg_feasibility.values, [null, null, null]);
+    assert.equal(metrics.avg_feasibility.change, null);
+  });
+
+  it("splits series per sector and filters by one", async () => {
+    const { metrics } = await timeseries(
+      `${threeDays}&metrics=materials_registered&group_by=sector`,
+    );
+    assert.deepEqual(
+      metrics.materials_registered.groups.map(({ key, values }) => [
+        key,
+        values.at(-1),
+      ]),
+      [
+        ["Steel", 1],
+        ["Cement", 1],
+      ],
+    );
+
+    const cement = await timeseries(
+      `${threeDays}&metrics=materials_registered,transactions_completed&sector=Cement`,
+    );
+    assert.equal(cement.metrics.materials_registered.current, 1);
+    // Completed transfers count for the industry that sent the material
+    assert.equal(cement.metrics.transactions_completed.current, 0);
+  });
+
+  it("rejects unknown metrics and impossible ranges", async () => {
+    for (const [query, field] of [
+      ["metrics=materials_registered,happiness", "metrics"],
+      [`date_from=${today}&date_to=2020-01-01`, "date_from"],
+      // More than MAX_BUCKETS days
+      [`bucket=day&date_from=2000-01-01&date_to=${today}`, "date_from"],
+    ]) {
+      const { status, body } = await api(
+        "GET",
+        `/analytics/timeseries?${query}`,
+      );
+      assert.equal(status, 400, query);
+      assert.equal(body.fields[0].field, field);
+    }
+  });
+});
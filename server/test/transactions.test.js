@@ -0,0 +1,234 @@
+const assert = require("node:assert/strict");
+const { startServer } = require("./helpers/server");
+
+describe("transaction lifecycle", () => {
+  let server;
+  let api;
+  // The supplier's and the receiver's admins
+  let supplier;
+  let receiver;
+  let source;
+  let target;
+
+  before(async () => {
+    server = await startServer();
+    ({ api } = server);
+    supplier = await server.signUp("Steelworks", "ops@steel.test");
+    receiver = await server.signUp("Cement Co", "ops@cement.test");
+    ({
+      body: { id: source },
+    } = await api("POST", "/industries", {
+      token: supplier,
+      body: { name: "Mill", sector: "Steel" },
+    }));
+    ({
+      body: { id: target },
+    } = await api("POST", "/industries", {
+      token: receiver,
+      body: { name: "Kiln", sector: "Construction" },
+    }));
+  });
+
+  after(() => server?.stop());
+
+  const createMaterial = async (fields) => {
+    const { status, body } = await api("POST", "/materials", {
+      token: supplier,
+      body: {
+        industry_id: source,
+        name: "Slag",
+        material_type: "blast furnace slag",
+        ...fields,
+      },
+    });
+    assert.equal(status, 201);
+    return body.id;
+  };
+
+  const stockOf = async (materialId) =>
+    (await api("GET", `/materials/${materialId}`)).body.quantity;
+
+  const propose = async (material_id, quantity_transferred, unit) => {
+    const { status, body } = await api("POST", "/transactions", {
+      token: receiver,
+      body: {
+        material_id,
+        target_industry_id: target,
+        quantity_transferred,
+        unit,
+      },
+    });
+    assert.equal(status, 201);
+    assert.equal(body.status, "pending");
+    return body.id;
+  };
+
+  const act = (id, action, token) =>
+    api("POST", `/transactions/${id}/${action}`, { token, body: {} });
+
+  // Takes a transaction through the steps before completion
+  const deliver = async (id) => {
+    for (const [action, token] of [
+      ["approve", receiver],
+      ["ship", supplier],
+      ["receive", receiver],
+    ])
+      assert.equal((await act(id, action, token)).status, 200);
+  };
+
+  it("walks a transfer from proposal to completion and draws it from stock", async () => {
+    const material = await createMaterial({ quantity: 100, unit: "t" });
+    const id = await propose(material, 20, "t");
+    await deliver(id);
+
+    const { status, body } = await act(id, "complete", receiver);
+    assert.equal(status, 200);
+    assert.equal(body.status, "completed");
+    assert.deepEqual(body.allowed_actions, []);
+    assert.equal(await stockOf(material), 80);
+
+    const history = await api("GET", `/transactions/${id}/history`);
+    assert.deepEqual(
+      history.body.map((entry) => [entry.action, entry.to_status]),
+      [
+        ["create", "pending"],
+        ["approve", "approved"],
+        ["ship", "shipped"],
+        ["receive", "received"],
+        ["complete", "completed"],
+      ],
+    );
+  });
+
+  it("lets only the party named for each step take it", async () => {
+    const id = await propose(await createMaterial({ quantity: 10 }), 1);
+
+    const approve = await act(id, "approve", supplier);
+    assert.equal(approve.status, 403);
+    assert.equal(approve.body.code, "FORBIDDEN");
+
+    assert.equal((await act(id, "approve", receiver)).status, 200);
+    assert.equal((await act(id, "ship", receiver)).status, 403);
+  });
+
+  it("refuses steps out of order and says which are allowed", async () => {
+    const id = await propose(await createMaterial({ quantity: 10 }), 1);
+
+    const { status, body } = await act(id, "complete", receiver);
+    assert.equal(status, 409);
+    assert.equal(body.code, "INVALID_TRANSITION");
+    assert.deepEqual(body.allowed_actions, ["approve", "cancel"]);
+
+    assert.equal((await act(id, "cancel", supplier)).status, 200);
+    assert.equal((await act(id, "approve", receiver)).status, 409);
+  });
+
+  it("draws a quantity given in another unit in the stock's unit", async () => {
+    const material = await createMaterial({ quantity: 10, unit: "t" });
+    const id = await propose(material, 2500, "kg");
+    await deliver(id);
+    assert.equal((await act(id, "complete", receiver)).status, 200);
+    assert.equal(await stockOf(material), 7.5);
+  });
+
+  it("refuses to complete a transfer larger than the stock", async () => {
+    const material = await createMaterial({ quantity: 5, unit: "t" });
+    const id = await propose(material, 6, "t");
+    await deliver(id);
+
+    const { status, body } = await act(id, "complete", receiver);
+    assert.equal(status, 409);
+    assert.equal(body.code, "INSUFFICIENT_QUANTITY");
+    assert.equal(await stockOf(material), 5);
+  });
+
+  it("refuses to complete a transfer that no longer converts to the stock's unit", async () => {
+    const material = await createMaterial({
+      quantity: 100,
+      unit: "m3",
+      density: 2000,
+    });
+    const id = await propose(material, 10, "t");
+    await deliver(id);
+    await api("PATCH", `/materials/${material}`, {
+      token: supplier,
+      body: { density: null },
+    });
+
+    const { status, body } = await act(id, "complete", receiver);
+    assert.equal(status, 409);
+    assert.equal(body.code, "INCOMPATIBLE_UNITS");
+    assert.equal(await stockOf(material), 100);
+
+    await api("PATCH", `/materials/${material}`, {
+      token: supplier,
+      body: { density: 2000 },
+    });
+    assert.equal((await act(id, "complete", receiver)).status, 200);
+    assert.equal(await stockOf(material), 95);
+  });
+
+  it("completes a transfer once when both completions arrive together", async () => {
+    const material = await createMaterial({ quantity: 50, unit: "t" });
+    const id = await propose(material, 10, "t");
+    await deliver(id);
+
+    const results = await Promise.all([
+      act(id, "complete", receiver),
+      act(id, "complete", receiver),
+    ]);
+    assert.deepEqual(results.map(({ status }) => status).sort(), [200, 409]);
+    const lost = results.find(({ status }) => status === 409).body;
+    assert.equal(lost.code, "INVALID_TRANSITION");
+    assert.deepEqual(lost.allowed_actions, []);
+    assert.equal(await stockOf(material), 40);
+  });
+
+  it("never draws more than the stock for transfers completed together", async () => {
+    const material = await createMaterial({ quantity: 15, unit: "t" });
+    const first = await propose(material, 10, "t");
+    const second = await propose(material, 10, "t");
+    await deliver(first);
+    await deliver(second);
+
+    const results = await Promise.all([
+      act(first, "complete", receiver),
+      act(second, "complete", receiver),
+    ]);
+    assert.deepEqual(results.map(({ status }) => status).sort(), [200, 409]);
+    assert.equal(
+      results.find(({ status }) => status === 409).body.code,
+      "INSUFFICIENT_QUANTITY",
+    );
+    assert.equal(await stockOf(material), 5);
+
+    // The refused transfer is left as it was, to be completed once restocked
+    const refused = results[0].status === 409 ? first : second;
+    const history = await api("GET", `/transactions/${refused}/history`);
+    assert.equal(history.body.at(-1).to_status, "received");
+  });
+
+  it("keeps concurrent writes out of each other's transactions", async () => {
+    const results = await Promise.all(
+      Array.from({ length: 8 }, (_, i) =>
+        api("POST", "/materials", {
+          token: supplier,
+          body: {
+            industry_id: source,
+            name: `Batch ${i}`,
+            material_type: "mill scale",
+          },
+        }),
+      ),
+    );
+    assert.deepEqual(
+      results.map(({ status }) => status),
+      Array(8).fill(201),
+    );
+    const audit = await api("GET", "/audit?entity=material&action=create", {
+      token: supplier,
+    });
+    const logged = audit.body.data.map((entry) => entry.entity_id);
+    for (const { body } of results) assert.ok(logged.includes(body.id));
+  });
+});
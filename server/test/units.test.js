@@ -0,0 +1,116 @@
+const assert = require("node:assert/strict");
+const {
+  UNIT_CODES,
+  normalizeUnit,
+  dimensionOf,
+  convertQuantity,
+  canConvert,
+  sumQuantities,
+} = require("../lib/units");
+
+const close = (actual, expected) =>
+  assert.ok(
+    Math.abs(actual - expected) < 1e-9,
+    `expected ${expected}, got ${actual}`,
+  );
+
+describe("normalizeUnit", () => {
+  it("returns canonical codes unchanged", () => {
+    for (const code of UNIT_CODES) assert.equal(normalizeUnit(code), code);
+  });
+
+  it("reads aliases regardless of case and spacing", () => {
+    assert.equal(normalizeUnit(" Tonnes "), "t");
+    assert.equal(normalizeUnit("KWH"), "kWh");
+    assert.equal(normalizeUnit("cubic   metres"), "m3");
+    assert.equal(normalizeUnit("m³"), "m3");
+  });
+
+  it("returns null for unknown or missing units", () => {
+    assert.equal(normalizeUnit("furlong"), null);
+    assert.equal(normalizeUnit(""), null);
+    assert.equal(normalizeUnit(null), null);
+    assert.equal(normalizeUnit(12), null);
+  });
+});
+
+describe("dimensionOf", () => {
+  it("names the dimension of a unit or alias", () => {
+    assert.equal(dimensionOf("lbs"), "mass");
+    assert.equal(dimensionOf("litre"), "volume");
+    assert.equal(dimensionOf("MWh"), "energy");
+    assert.equal(dimensionOf("items"), "count");
+    assert.equal(dimensionOf("furlong"), null);
+  });
+});
+
+describe("convertQuantity", () => {
+  it("converts within a dimension", () => {
+    close(convertQuantity(2.5, "t", "kg"), 2500);
+    close(convertQuantity(1, "lb", "g"), 453.59237);
+    close(convertQuantity(1, "MWh", "GJ"), 3.6);
+    close(convertQuantity(500, "l", "m3"), 0.5);
+  });
+
+  it("converts between volume and mass through the density", () => {
+    close(convertQuantity(2, "m3", "t", 1500), 3);
+    close(convertQuantity(3, "t", "m3", 1500), 2);
+    close(convertQuantity(1000, "l", "kg", 800), 800);
+  });
+
+  it("cannot convert between volume and mass without a density", () => {
+    assert.equal(convertQuantity(2, "m3", "t"), null);
+    assert.equal(convertQuantity(2, "m3", "t", 0), null);
+    assert.equal(convertQuantity(2, "m3", "t", -5), null);
+  });
+
+  it("never converts other dimensions into each other", () => {
+    assert.equal(convertQuantity(1, "kWh", "kg", 1000), null);
+    assert.equal(convertQuantity(1, "pcs", "t", 1000), null);
+  });
+
+  it("returns null for unknown units or non-numeric quantities", () => {
+    assert.equal(convertQuantity(1, "furlong", "kg"), null);
+    assert.equal(convertQuantity(1, "kg", null), null);
+    assert.equal(convertQuantity("1", "kg", "t"), null);
+  });
+});
+
+describe("canConvert", () => {
+  it("tells whether two units convert", () => {
+    assert.equal(canConvert("kg", "tons"), true);
+    assert.equal(canConvert("m3", "kg"), false);
+    assert.equal(canConvert("m3", "kg", 2400), true);
+  });
+});
+
+describe("sumQuantities", () => {
+  it("sums rows in the requested unit and reports those left out", () => {
+    const result = sumQuantities(
+      [
+        { quantity: 2, unit: "t" },
+        { quantity: 500, unit: "kg" },
+        { quantity: 4, unit: "m3", density: 250 },
+        { quantity: 10, unit: "m3" },
+        { quantity: 3, unit: "m3" },
+        { quantity: 7, unit: "pcs" },
+        { quantity: 1, unit: null },
+      ],
+      "tonnes",
+    );
+    close(result.total, 3.5);
+    assert.equal(result.unit, "t");
+    assert.equal(result.included, 3);
+    assert.deepEqual(result.unconverted, [
+      { unit: "m3", count: 2 },
+      { unit: "pcs", count: 1 },
+      { unit: "unknown", count: 1 },
+    ]);
+  });
+
+  it("counts rows without a quantity as zero", () => {
+    const result = sumQuantities([{ quantity: null, unit: "kg" }], "kg");
+    assert.equal(result.total, 0);
+    assert.equal(result.included, 1);
+  });
+});
@@ -0,0 +1,133 @@
+const assert = require("node:assert/strict");
+const { validateInput } = require("../lib/validation");
+const { startServer } = require("./helpers/server");
+
+const SCHEMA = {
+  name: { type: "string", required: true, maxLength: 5 },
+  quantity: { type: "number", min: 0 },
+  count: { type: "integer", exclusiveMin: 0 },
+  status: { type: "enum", values: ["open", "closed"] },
+  email: { type: "email" },
+  unit: { type: "unit" },
+  since: { type: "date" },
+  password: { type: "string", trim: false },
+};
+
+describe("validateInput", () => {
+  it("coerces form text into the declared types", () => {
+    const { values, fields } = validateInput(SCHEMA, {
+      name: "  Mill ",
+      quantity: " 12.5",
+      count: "3",
+      status: "open ",
+      email: " Ops@Steel.TEST",
+      unit: "Tonnes",
+      password: " secret ",
+    });
+    assert.deepEqual(fields, []);
+    assert.deepEqual(values, {
+      name: "Mill",
+      quantity: 12.5,
+      count: 3,
+      status: "open",
+      email: "ops@steel.test",
+      unit: "t",
+      password: " secret ",
+    });
+  });
+
+  it("reports every invalid field with a message", () => {
+    const { fields } = validateInput(SCHEMA, {
+      name: "Steelworks",
+      quantity: -1,
+      count: 1.5,
+      status: "shut",
+      email: "nobody",
+      unit: "furlongs",
+      since: "yesterday",
+    });
+    assert.deepEqual(
+      fields.map(({ field }) => field),
+      ["name", "quantity", "count", "status", "email", "unit", "since"],
+    );
+    const messages = Object.fromEntries(
+      fields.map(({ field, message }) => [field, message]),
+    );
+    assert.equal(messages.name, "Must be at most 5 characters");
+    assert.equal(messages.quantity, "Must be at least 0");
+    assert.equal(messages.count, "Must be a whole number");
+    assert.equal(messages.status, "Must be one of: open, closed");
+  });
+
+  it("clears blank optional fields and requires the rest", () => {
+    const { values, fields } = validateInput(SCHEMA, {
+      name: " ",
+      quantity: "",
+      count: null,
+    });
+    assert.deepEqual(fields, [
+      { field: "name", message: "This field is required" },
+    ]);
+    assert.deepEqual(values, { quantity: null, count: null });
+  });
+
+  it("lets a partial update leave required fields out but not clear them", () => {
+    assert.deepEqual(
+      validateInput(SCHEMA, { quantity: 1 }, { partial: true }).fields,
+      [],
+    );
+    assert.deepEqual(
+      validateInput(SCHEMA, { name: "" }, { partial: true }).fields,
+      [{ field: "name", message: "This field is required" }],
+    );
+  });
+});
+
+describe("validation errors", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startServer();
+    token = await server.signUp("Steelworks", "ops@steel.test");
+  });
+
+  after(() => server?.stop());
+
+  it("answers invalid input with 400 and every field's problem", async () => {
+    const { status, body } = await server.api("POST", "/industries", {
+      token,
+      body: { name: "", latitude: 120 },
+    });
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      error: "Invalid name, sector, latitude",
+      code: "VALIDATION_ERROR",
+      fields: [
+        { field: "name", message: "This field is required" },
+        { field: "sector", message: "This field is required" },
+        { field: "latitude", message: "Must be between -90 and 90" },
+      ],
+    });
+  });
+
+  it("answers a reference to a missing record with 404", async () => {
+    const { status, body } = await server.api("POST", "/materials", {
+      token,
+      body: { industry_id: 42, name: "Slag", material_type: "slag" },
+    });
+    assert.equal(status, 404);
+    assert.equal(body.code, "NOT_FOUND");
+    assert.deepEqual(body.fields, [
+      { field: "industry_id", message: "Industry 42 does not exist" },
+    ]);
+  });
+
+  it("rejects ids that are not positive whole numbers", async () => {
+    for (const id of ["abc", "0", "1.5"]) {
+      const { status, body } = await server.api("GET", `/industries/${id}`);
+      assert.equal(status, 400, id);
+      assert.equal(body.code, "VALIDATION_ERROR");
+    }
+  });
+});